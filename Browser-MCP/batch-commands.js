@@ -1,5 +1,6 @@
 import { z } from "zod"
 import { formatResponse } from "./utils.js"
+import { screenshotModeParam } from "./screenshot-policy.js"
 
 /**
  * 批处理命令 (batch) 使用示例:
@@ -16,15 +17,12 @@ import { formatResponse } from "./utils.js"
  * })
  * ```
  *
- * 示例2: 表单填写 - 点击输入框、输入文本、点击下一个字段
+ * 示例2: 表单填写 - 一次填写所有字段后点击提交
  * ```
  * batch({
  *   "operations": [
- *     {"name": "click", "parameters": {"coordinate": "300,200"}},
- *     {"name": "type", "parameters": {"text": "用户名"}},
- *     {"name": "click", "parameters": {"coordinate": "300,250"}},
- *     {"name": "type", "parameters": {"text": "密码"}},
- *     {"name": "click", "parameters": {"coordinate": "400,300"}}
+ *     {"name": "fill_form", "parameters": {"fields": {"用户名": "codingbaby", "password": "密码", "记住我": true}}},
+ *     {"name": "click", "parameters": {"role": "button", "name": "登录"}}
  *   ],
  *   "interval_ms": 300
  * })
@@ -34,7 +32,7 @@ import { formatResponse } from "./utils.js"
  * ```
  * batch({
  *   "operations": [
- *     {"name": "click", "parameters": {"coordinate": "500,300"}},
+ *     {"name": "click", "parameters": {"role": "link", "name": "Documentation"}},
  *     {"name": "wait", "parameters": {"seconds": 1}},
  *     {"name": "scroll", "parameters": {"direction": "down"}}
  *   ],
@@ -60,13 +58,13 @@ export function registerBatchTools(server, chromeClient) {
 						name: z
 							.string()
 							.describe(
-								"Name of the operation to execute. Supported operations: 'click', 'type', 'press_key', 'press_key_combo', 'scroll', 'wait'",
+								"Name of the operation to execute. Supported operations: 'navigate', 'click', 'double_click', 'right_click', 'hover', 'drag', 'fill_form', 'select_option', 'type', 'press_key', 'press_key_combo', 'scroll', 'wait', 'wait_for'",
 							),
 						parameters: z
 							.object({})
 							.passthrough()
 							.describe(
-								"Parameters for the operation. Common parameters by operation type:\n- click: {coordinate: 'x,y'}\n- type: {text: 'text to type'}\n- press_key: {key: 'Enter/ArrowLeft/etc'}\n- press_key_combo: {combination: 'Control+C/Command+V/etc'}\n- scroll: {direction: 'up/down/left/right', selector: 'optional CSS selector'}\n- wait: {seconds: number}",
+								"Parameters for the operation. Common parameters by operation type:\n- navigate: {url: 'https://...'}\n- click: {coordinate: 'x,y'} or {ref: 'e12'} or {mark: 7} or {selector: 'CSS selector'} or {text: 'visible text'} or {role: 'button', name: 'accessible name'}, optionally with button: 'left/right/middle' and modifiers: ['Control', 'Shift', ...]\n- double_click / right_click / hover: same target as click\n- drag: {from: {click target}, to: {click target}, steps: optional number of intermediate moves}\n- fill_form: {fields: {'Label, name, placeholder or selector': 'value', 'Checkbox label': true}} (stops the batch if any field fails)\n- select_option: {selector: 'CSS selector' or ref/mark/text/role+name, value: 'option value'} or {..., label: 'visible label'} or {..., index: 0}; arrays select several options of a multi-select\n- type: {text: 'text to type', ref: 'optional snapshot ref', selector: 'optional CSS selector', clear: true to replace the field's current value instead of appending}\n- press_key: {key: 'Enter/ArrowLeft/etc'}\n- press_key_combo: {combination: 'Control+C/Command+V/etc'}\n- scroll: {direction: 'up/down/left/right', selector: 'optional CSS selector', ref: 'optional snapshot ref'} or {x: 0, y: 1200, selector: 'optional CSS selector', frame_path: ['iframe selectors from the top page'], shadow_path: ['shadow host selectors']} to scroll to an exact offset, also inside same-origin iframes and open shadow DOM\n- wait: {seconds: number}\n- wait_for: {selector, selector_state: 'visible/hidden', text, url, network_idle_ms, timeout_ms} (any one condition)",
 							),
 					}),
 				)
@@ -79,6 +77,7 @@ export function registerBatchTools(server, chromeClient) {
 				.describe(
 					"Interval between operations in milliseconds. Default: 100ms. Use higher values (300-500ms) for complex operations.",
 				),
+			screenshot: screenshotModeParam,
 		},
 		async (params) => {
 			try {
@@ -100,7 +99,7 @@ export function registerBatchTools(server, chromeClient) {
 				// 直接使用chromeClient.batch方法将批处理命令透传给插件
 				const results = await chromeClient.batch(params.operations, params.interval_ms || 100)
 
-				return formatResponse(results)
+				return formatResponse(results, { screenshot: params.screenshot })
 			} catch (error) {
 				return {
 					content: [
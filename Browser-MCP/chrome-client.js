@@ -3,105 +3,126 @@ import { WebSocketServer } from "ws"
 import fs from "fs-extra"
 import * as path from "path"
 import * as os from "os"
-import { WEBSOCKET_PORT, DEFAULT_VIEWPORT, tempHtmlPath, screenshotSaveDir } from "./config.js"
-import { exec } from "child_process"
-
-// 添加检测和释放端口的辅助方法
-async function checkAndReleasePort(port) {
-	console.error(`正在检查端口 ${port} 是否被占用...`)
-
-	// 根据操作系统选择命令
-	let command = ""
-	if (process.platform === "win32") {
-		// Windows
-		command = `netstat -ano | findstr :${port}`
-	} else {
-		// macOS, Linux
-		command = `lsof -i:${port} | grep LISTEN`
+import {
+	WEBSOCKET_PORT,
+	WEBSOCKET_HOST,
+	DEFAULT_VIEWPORT,
+	tempHtmlPath,
+	screenshotSaveDir,
+	harSaveDir,
+	DEFAULT_DIALOG_POLICY,
+} from "./config.js"
+import { loadPairingToken, authenticateConnection } from "./pairing.js"
+import {
+	saveRecordingSession,
+	summarizeRecordingSession,
+	loadRecordingSession,
+	recordingToBatchOperations,
+} from "./recordings.js"
+import { exportRecordingScript, EXPORT_FORMATS } from "./recording-export.js"
+import {
+	updateScreenshotPolicy,
+	rememberPageState,
+	rememberScreenshotMarks,
+	needsPageState,
+} from "./screenshot-policy.js"
+import { updatePageNotices, describeDialog, getOpenDialog } from "./page-notices.js"
+
+// 操作页面的命令：执行中打开对话框说明操作已经生效（如点击提交按钮弹出确认框），按成功返回并附带对话框提示
+const PAGE_ACTION_COMMANDS = new Set([
+	"batch",
+	"click",
+	"hover",
+	"drag",
+	"type",
+	"pressKey",
+	"pressKeyCombination",
+	"scroll",
+	"fillForm",
+	"selectOption",
+	"uploadFile",
+	"navigateToUrl",
+	"navigateBack",
+	"navigateForward",
+	"reload",
+	"evaluate",
+])
+
+// 需要页面响应的命令：对话框打开后发出的这些请求无法完成，直接拒绝
+// 控制台、网络、录制存储、标签页管理和策略命令不依赖页面，不受影响
+const PAGE_BLOCKED_COMMANDS = new Set([
+	...PAGE_ACTION_COMMANDS,
+	"wait",
+	"waitFor",
+	"snapshot",
+	"getFullHtml",
+	"getPageContent",
+	"takeScreenshot",
+	"takeAreaScreenshot",
+])
+
+// 判断目标对象是否包含坐标或元素定位信息
+function hasTarget(target) {
+	return !!(target && (target.coordinate || target.ref || target.mark || target.selector || target.text || target.role))
+}
+
+// 生成点击动作的描述，如 "Double-clicked"、"Right-clicked"
+function describeClickAction({ button, clickCount, modifiers } = {}) {
+	let action = clickCount === 2 ? "Double-clicked" : "Clicked"
+	if (button === "right" || button === "middle") {
+		action = `${button === "right" ? "Right" : "Middle"}-${action.toLowerCase()}`
 	}
+	return modifiers?.length ? `${modifiers.join("+")}+${action.toLowerCase()}` : action
+}
 
-	try {
-		return new Promise((resolve) => {
-			exec(command, async (error, stdout, stderr) => {
-				if (stdout) {
-					console.error(`端口 ${port} 被占用，尝试清理...`)
-
-					if (process.platform === "win32") {
-						// 在Windows上，netstat输出包含PID，我们需要解析它
-						const lines = stdout.split("\n").filter(Boolean)
-						const pids = new Set()
-
-						for (const line of lines) {
-							const parts = line.trim().split(/\s+/)
-							if (parts.length >= 5) {
-								const pid = parts[4]
-								if (pid && !isNaN(parseInt(pid))) {
-									pids.add(pid)
-								}
-							}
-						}
+// 生成目标对象的可读描述
+function describeTarget(target) {
+	if (target.coordinate) return target.coordinate
+	if (target.ref) return `ref ${target.ref}`
+	if (target.mark) return `mark ${target.mark}`
+
+	const parts = []
+	if (target.selector) parts.push(`selector "${target.selector}"`)
+	if (target.role) parts.push(`role "${target.role}"${target.name ? ` name "${target.name}"` : ""}`)
+	if (target.text) parts.push(`text "${target.text}"`)
+	return parts.join(", ")
+}
 
-						// 对每个PID尝试结束进程
-						for (const pid of pids) {
-							console.error(`尝试结束进程 PID: ${pid}...`)
-							try {
-								exec(`taskkill /F /PID ${pid}`, (err) => {
-									if (err) {
-										console.error(`结束进程 ${pid} 失败: ${err.message}`)
-									} else {
-										console.error(`成功结束进程 ${pid}`)
-									}
-								})
-							} catch (e) {
-								console.error(`结束进程出错: ${e.message}`)
-							}
-						}
-					} else {
-						// macOS或Linux
-						const lines = stdout.split("\n").filter(Boolean)
-						const pids = new Set()
-
-						for (const line of lines) {
-							const parts = line.trim().split(/\s+/)
-							if (parts.length >= 2) {
-								const pid = parts[1]
-								if (pid && !isNaN(parseInt(pid))) {
-									pids.add(pid)
-								}
-							}
-						}
+// 按字符预算将文本分页，尽量在段落边界处断开
+function paginateText(text, maxChars) {
+	const pages = []
+	let current = ""
 
-						// 对每个PID尝试结束进程
-						for (const pid of pids) {
-							console.error(`尝试结束进程 PID: ${pid}...`)
-							try {
-								exec(`kill -9 ${pid}`, (err) => {
-									if (err) {
-										console.error(`结束进程 ${pid} 失败: ${err.message}`)
-									} else {
-										console.error(`成功结束进程 ${pid}`)
-									}
-								})
-							} catch (e) {
-								console.error(`结束进程出错: ${e.message}`)
-							}
-						}
-					}
+	for (const paragraph of text.split(/\n{2,}/)) {
+		const separator = current ? "\n\n" : ""
+		if ((current + separator + paragraph).length <= maxChars) {
+			current += separator + paragraph
+			continue
+		}
 
-					// 等待进程结束释放端口
-					console.error(`等待端口 ${port} 释放...`)
-					await new Promise((resolve) => setTimeout(resolve, 2000))
-					resolve(true)
-				} else {
-					console.error(`端口 ${port} 未被占用，可以使用`)
-					resolve(false)
-				}
-			})
-		})
-	} catch (e) {
-		console.error(`检查端口使用时出错: ${e.message}`)
-		return false
+		if (current) {
+			pages.push(current)
+			current = ""
+		}
+
+		// 单个段落超出预算时强制切分
+		let rest = paragraph
+		while (rest.length > maxChars) {
+			pages.push(rest.slice(0, maxChars))
+			rest = rest.slice(maxChars)
+		}
+		current = rest
 	}
+
+	if (current || pages.length === 0) {
+		pages.push(current)
+	}
+	return pages
+}
+
+// 仅保留目标对象中有值的字段
+function compactTarget(target) {
+	return Object.fromEntries(Object.entries(target || {}).filter(([, value]) => value !== undefined && value !== ""))
 }
 
 // WebSocket客户端管理
@@ -114,6 +135,8 @@ export class ChromeExtensionClient {
 		this.requestIdCounter = 0
 		this.currentUrl = undefined
 		this.viewport = { ...DEFAULT_VIEWPORT } // 添加viewport配置
+		this.dialogPolicy = { ...DEFAULT_DIALOG_POLICY } // JavaScript对话框自动处理策略
+		this.lastRecording = null // 最近一次保存的录制会话
 	}
 
 	async initialize() {
@@ -167,29 +190,37 @@ export class ChromeExtensionClient {
 		this.clientSocket = null
 		this.pendingRequests.clear()
 
+		// 读取配对令牌，扩展连接后必须先通过握手认证
+		const pairingToken = await loadPairingToken()
+		console.error(`配对令牌: ${pairingToken}（请在扩展选项页中填入该令牌）`)
+
 		// 尝试最多3次启动WebSocket服务器
 		let attempts = 0
 		const maxAttempts = 3
 
-		// 先检查端口是否被占用，如果被占用则尝试释放
-		await checkAndReleasePort(WEBSOCKET_PORT)
-
 		while (attempts < maxAttempts) {
 			attempts++
 
 			try {
 				return await new Promise((resolve, reject) => {
 					try {
-						console.error(`尝试启动WebSocket服务器 (端口:${WEBSOCKET_PORT})，第${attempts}次...`)
-						this.wss = new WebSocketServer({ port: WEBSOCKET_PORT })
+						console.error(`尝试启动WebSocket服务器 (${WEBSOCKET_HOST}:${WEBSOCKET_PORT})，第${attempts}次...`)
+						this.wss = new WebSocketServer({ host: WEBSOCKET_HOST, port: WEBSOCKET_PORT })
+
+						this.wss.on("connection", async (ws) => {
+							try {
+								await authenticateConnection(ws, pairingToken)
+							} catch (error) {
+								console.error(`WebSocket客户端认证失败: ${error.message}`)
+								return
+							}
 
-						this.wss.on("connection", (ws) => {
 							if (this.clientSocket && this.clientSocket.readyState === WebSocket.OPEN) {
 								this.clientSocket.close()
 							}
 							this.clientSocket = ws
 							this.isReady = true
-							console.error("WebSocket客户端已连接")
+							console.error("WebSocket客户端已连接并通过认证")
 
 							// 连接建立后立即调用onConnected
 							this.onConnected()
@@ -231,10 +262,14 @@ export class ChromeExtensionClient {
 						this.wss.on("error", (error) => {
 							// 端口冲突错误特殊处理
 							if (error.code === "EADDRINUSE") {
-								console.error(`端口 ${WEBSOCKET_PORT} 已被占用，尝试强制关闭...`)
+								console.error(`端口 ${WEBSOCKET_PORT} 已被占用，等待后重试...`)
 								this.isReady = false
 								this.wss = null
-								reject(new Error(`端口 ${WEBSOCKET_PORT} 已被占用`))
+								reject(
+									new Error(
+										`端口 ${WEBSOCKET_PORT} 已被占用，可通过 --port 参数或 CODINGBABY_WS_PORT 环境变量指定其他端口，并在扩展选项页中添加对应的服务器地址`,
+									),
+								)
 							} else {
 								console.error("WebSocket服务器错误:", error.message)
 								this.isReady = false
@@ -261,10 +296,10 @@ export class ChromeExtensionClient {
 			} catch (error) {
 				console.error(`启动WebSocket服务器失败 (第${attempts}次尝试): ${error.message}`)
 
-				// 如果是端口被占用的错误，尝试强制释放
+				// 如果是端口被占用的错误，可能是上一个服务器进程正在退出，等待更长时间
 				if (error.message.includes("端口") && error.message.includes("已被占用")) {
-					console.error("正在尝试强制释放端口，等待更长时间...")
-					// 尝试强制释放端口，给足够时间让操作系统释放资源
+					console.error("端口被占用，等待端口释放...")
+					// 给足够时间让操作系统释放资源
 					await new Promise((resolve) => setTimeout(resolve, 2000))
 				}
 
@@ -312,6 +347,51 @@ export class ChromeExtensionClient {
 			return
 		}
 
+		// 扩展主动停止录制（快捷键、超时）时推送的会话数据，直接保存
+		if (!requestId && message.session) {
+			this.persistRecording(message.session)
+				.then((saved) => console.error(`[ChromeExtensionClient] 录制已自动停止并保存到 ${saved.sessionPath}`))
+				.catch((error) => console.error("[ChromeExtensionClient] 保存录制会话失败:", error.message))
+			return
+		}
+
+		// 活动标签页打开了需要手动处理的JavaScript对话框：页面被阻塞，正在等待页面的请求不会完成，
+		// 立即结束它们，而不是等到超时。触发对话框的操作本身已经生效，按成功返回，避免调用方重试（如重复提交表单）；
+		// 读取页面的请求拿不到结果，按失败返回
+		if (!requestId && command === "dialogOpened" && message.dialog) {
+			updatePageNotices({ dialog: message.dialog })
+			const dialogDescription = describeDialog(message.dialog)
+			for (const [reqId, req] of this.pendingRequests.entries()) {
+				// handleDialog处理的对话框可能紧接着打开下一个对话框，第一个对话框已经处理成功
+				if (!PAGE_BLOCKED_COMMANDS.has(req.command)) {
+					continue
+				}
+				clearTimeout(req.timeoutId)
+				this.pendingRequests.delete(reqId)
+				if (PAGE_ACTION_COMMANDS.has(req.command)) {
+					req.resolve({
+						status: "success",
+						message: `The page opened a ${dialogDescription}`,
+						currentUrl: this.currentUrl,
+						dialogOpened: message.dialog,
+					})
+				} else {
+					req.reject(
+						new Error(
+							`The page opened a ${dialogDescription} and is blocked until it is handled; call handle_dialog to accept or dismiss it.`,
+						),
+					)
+				}
+			}
+			return
+		}
+
+		// 对话框被关闭（如用户在浏览器中手动关闭），清除提示
+		if (!requestId && command === "dialogClosed") {
+			updatePageNotices({ dialog: null })
+			return
+		}
+
 		// 常规处理有requestId的响应
 		if (!requestId) {
 			return
@@ -329,7 +409,7 @@ export class ChromeExtensionClient {
 		if (status === "error") {
 			console.error(`[DEBUG] Error response for command ${pendingRequest.command}: ${message.message}`)
 			pendingRequest.reject(new Error(message.message || `Command '${pendingRequest.command}' failed.`))
-		} else if (status === "ack" || status === "success") {
+		} else if (status === "ack" || status === "success" || status === "warning") {
 			//console.error(
 			//	`[DEBUG] Success/ack response for command ${pendingRequest.command}, has tabId: ${!!message.tabId}, current targetTabId: ${this.targetTabId}`,
 			//)
@@ -341,8 +421,14 @@ export class ChromeExtensionClient {
 				this.currentUrl = message.url
 			}
 
+			// 记录截图对应的页面状态，供截图策略判断页面是否变化；以及操作后截图的编号图例
+			rememberPageState(message.screenshot, message.pageState)
+			rememberScreenshotMarks(message.screenshot, message.marks)
+			// 更新需要调用方处理的页面状态（如等待应答的文件选择框）
+			updatePageNotices(message)
+
 			pendingRequest.resolve({
-				status: "success",
+				status: status === "warning" ? "warning" : "success",
 				message: message.message,
 				screenshot: message.screenshot,
 				logs: message.logs,
@@ -353,6 +439,28 @@ export class ChromeExtensionClient {
 				tabs: message.tabs,
 				tabId: message.tabId,
 				htmlContent: message.htmlContent,
+				snapshot: message.snapshot,
+				evaluationResult: message.evaluationResult,
+				pageContent: message.pageContent,
+				title: message.title,
+				requests: message.requests,
+				request: message.request,
+				har: message.har,
+				session: message.session,
+				sessionInfo: message.sessionInfo,
+				recordingStatus: message.recordingStatus,
+				recordings: message.recordings,
+				imageSize: message.imageSize,
+				marks: message.marks,
+				dragFrom: message.dragFrom,
+				selectedOptions: message.selectedOptions,
+				selectElement: message.selectElement,
+				uploadTarget: message.uploadTarget,
+				handledDialog: message.handledDialog,
+				dialogPolicy: message.dialogPolicy,
+				formFields: message.formFields,
+				validationMessages: message.validationMessages,
+				operations: message.operations,
 				// 保留新标签页信息传递
 				...(message.newTabOpened && { newTabOpened: message.newTabOpened }),
 				...(message.newTabId && { newTabId: message.newTabId }),
@@ -364,6 +472,14 @@ export class ChromeExtensionClient {
 	}
 
 	sendMessageToClient(message, command) {
+		// 对话框打开时页面被阻塞，需要页面响应的命令发出后只会超时
+		const openDialog = getOpenDialog()
+		if (openDialog && PAGE_BLOCKED_COMMANDS.has(command)) {
+			throw new Error(
+				`A ${describeDialog(openDialog)} is open and blocks the page; call handle_dialog to accept or dismiss it first.`,
+			)
+		}
+
 		const requestId = `req-${this.requestIdCounter++}`
 		// 不再包含targetTabId
 		const messageToSend = {
@@ -371,6 +487,8 @@ export class ChromeExtensionClient {
 			requestId,
 			command,
 			source: "mcpServer",
+			// 截图模式需要时扩展才在带截图的响应中附加页面状态
+			...(needsPageState() && { includePageState: true }),
 		}
 
 		//console.error(`[DEBUG] Sending ${command} command with targetTabId=${includeTargetTab ? this.targetTabId : "none"}`)
@@ -449,7 +567,78 @@ export class ChromeExtensionClient {
 		}
 	}
 
-	async click(coordinate) {
+	/**
+	 * 执行历史导航或刷新，并等待页面加载完成
+	 * @param {string} command - 扩展命令: "navigateBack"、"navigateForward" 或 "reload"
+	 * @param {Object} payload - 附加参数
+	 * @param {string} actionDescription - 用于结果信息的操作描述
+	 * @returns {Promise<Object>} 导航结果
+	 */
+	async navigateHistory(command, payload, actionDescription) {
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient(payload, command)
+			// 与导航一样使用较长的超时时间
+			const responseData = await this.waitForResponse(requestId, command, 60000)
+
+			// 更新内部URL状态
+			if (responseData?.currentUrl) {
+				this.currentUrl = responseData.currentUrl
+			}
+
+			return {
+				status: "success",
+				message: `${actionDescription}. Current URL: ${this.currentUrl}`,
+				screenshot: responseData?.screenshot,
+				currentUrl: this.currentUrl,
+				tabId: responseData?.tabId,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `${actionDescription} error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 后退到历史记录中的上一页
+	 * @returns {Promise<Object>} 导航结果
+	 */
+	async navigateBack() {
+		return this.navigateHistory("navigateBack", {}, "Navigated back")
+	}
+
+	/**
+	 * 前进到历史记录中的下一页
+	 * @returns {Promise<Object>} 导航结果
+	 */
+	async navigateForward() {
+		return this.navigateHistory("navigateForward", {}, "Navigated forward")
+	}
+
+	/**
+	 * 刷新当前页面
+	 * @param {boolean} hard - 是否忽略缓存强制刷新
+	 * @returns {Promise<Object>} 刷新结果
+	 */
+	async reload(hard = false) {
+		return this.navigateHistory("reload", { hard: !!hard }, hard ? "Hard reloaded page" : "Reloaded page")
+	}
+
+	/**
+	 * 点击页面上的坐标或元素
+	 * @param {Object} target - 点击目标 {coordinate, ref, mark, selector, text, role, name}
+	 * @param {Object} [options] - 点击选项 {button: left/right/middle, clickCount, modifiers}
+	 * @returns {Promise<Object>} 点击结果
+	 */
+	async click(target, options = {}) {
 		const command = "click"
 
 		if (!this.isLaunched()) {
@@ -459,9 +648,25 @@ export class ChromeExtensionClient {
 			}
 		}
 
+		// 兼容直接传入坐标字符串
+		const clickTarget = compactTarget(typeof target === "string" ? { coordinate: target } : target)
+		if (!hasTarget(clickTarget)) {
+			return {
+				status: "error",
+				message: "Click requires 'coordinate', 'ref', 'mark', 'selector', 'text' or 'role'.",
+			}
+		}
+		const targetDescription = describeTarget(clickTarget)
+		const action = describeClickAction(options)
+
 		try {
-			const requestId = this.sendMessageToClient({ coordinate }, command)
+			const requestId = this.sendMessageToClient({ ...clickTarget, ...compactTarget(options) }, command)
 			const responseData = await this.waitForResponse(requestId, command, 30000)
+			const coordinate = responseData?.currentMousePosition || clickTarget.coordinate
+			// 点击触发对话框时扩展没有返回坐标
+			const clickedDescription = clickTarget.coordinate
+				? `at ${coordinate}`
+				: `${targetDescription}${coordinate ? ` at ${coordinate}` : ""}`
 
 			// 更新内部URL状态
 			if (responseData?.currentUrl) {
@@ -477,7 +682,7 @@ export class ChromeExtensionClient {
 
 				return {
 					status: "success",
-					message: `Clicked at ${coordinate} and opened new tab`,
+					message: `${action} ${clickedDescription} and opened new tab`,
 					screenshot: responseData?.screenshot,
 					currentUrl: this.currentUrl,
 					newTabOpened: true,
@@ -488,7 +693,7 @@ export class ChromeExtensionClient {
 
 			return {
 				status: "success",
-				message: `Clicked at ${coordinate}`,
+				message: `${action} ${clickedDescription}`,
 				screenshot: responseData?.screenshot,
 				currentUrl: this.currentUrl,
 				...(responseData.navigationOccurred !== undefined && { navigationOccurred: responseData.navigationOccurred }),
@@ -504,7 +709,118 @@ export class ChromeExtensionClient {
 		}
 	}
 
-	async type(text) {
+	/**
+	 * 将鼠标悬停在页面上的坐标或元素上
+	 * @param {Object} target - 悬停目标 {coordinate, ref, mark, selector, text, role, name}
+	 * @returns {Promise<Object>} 悬停结果
+	 */
+	async hover(target) {
+		const command = "hover"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		const hoverTarget = compactTarget(target)
+		if (!hasTarget(hoverTarget)) {
+			return {
+				status: "error",
+				message: "Hover requires 'coordinate', 'ref', 'mark', 'selector', 'text' or 'role'.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient(hoverTarget, command)
+			const responseData = await this.waitForResponse(requestId, command, 30000)
+			const coordinate = responseData?.currentMousePosition || hoverTarget.coordinate
+
+			if (responseData?.currentUrl) {
+				this.currentUrl = responseData.currentUrl
+			}
+
+			return {
+				status: "success",
+				message: hoverTarget.coordinate
+					? `Hovered at ${coordinate}`
+					: `Hovered over ${describeTarget(hoverTarget)}${coordinate ? ` at ${coordinate}` : ""}`,
+				screenshot: responseData?.screenshot,
+				currentUrl: this.currentUrl,
+				currentMousePosition: coordinate,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Hover error: ${error.message}`,
+				screenshot: error.screenshot,
+			}
+		}
+	}
+
+	/**
+	 * 按住左键从一个坐标或元素拖拽到另一个
+	 * @param {Object} from - 起点 {coordinate, ref, mark, selector, text, role, name}
+	 * @param {Object} to - 终点，格式同起点
+	 * @param {number} [steps] - 中间移动的步数
+	 * @returns {Promise<Object>} 拖拽结果
+	 */
+	async drag(from, to, steps) {
+		const command = "drag"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		const source = compactTarget(from)
+		const destination = compactTarget(to)
+		if (!hasTarget(source) || !hasTarget(destination)) {
+			return {
+				status: "error",
+				message: "Drag requires 'from' and 'to', each with 'coordinate', 'ref', 'mark', 'selector', 'text' or 'role'.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient(
+				{ from: source, to: destination, ...(steps !== undefined && { steps }) },
+				command,
+			)
+			const responseData = await this.waitForResponse(requestId, command, 30000)
+
+			if (responseData?.currentUrl) {
+				this.currentUrl = responseData.currentUrl
+			}
+
+			return {
+				status: "success",
+				message: responseData?.dialogOpened
+					? `Dragged from ${describeTarget(source)} to ${describeTarget(destination)}`
+					: `Dragged from ${describeTarget(source)} (${responseData?.dragFrom}) to ${describeTarget(destination)} (${responseData?.currentMousePosition})`,
+				screenshot: responseData?.screenshot,
+				currentUrl: this.currentUrl,
+				currentMousePosition: responseData?.currentMousePosition,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Drag error: ${error.message}`,
+				screenshot: error.screenshot,
+			}
+		}
+	}
+
+	/**
+	 * 输入文本
+	 * @param {string} text - 要输入的文本
+	 * @param {Object} [target] - 可选的输入目标 {ref, selector}，不提供时输入到当前焦点元素
+	 * @returns {Promise<Object>} 输入结果
+	 */
+	async type(text, target = {}) {
 		const command = "type"
 
 		if (!this.isLaunched()) {
@@ -514,8 +830,10 @@ export class ChromeExtensionClient {
 			}
 		}
 
+		const typeTarget = compactTarget({ ref: target.ref, selector: target.selector })
+
 		try {
-			const requestId = this.sendMessageToClient({ text }, command)
+			const requestId = this.sendMessageToClient({ text, ...typeTarget }, command)
 			const responseData = await this.waitForResponse(requestId, command, 7000 + text.length * 10)
 
 			// 更新内部URL状态
@@ -525,7 +843,7 @@ export class ChromeExtensionClient {
 
 			return {
 				status: "success",
-				message: `Typed text (length: ${text?.length})`,
+				message: `Typed text (length: ${text?.length})${hasTarget(typeTarget) ? ` into ${describeTarget(typeTarget)}` : ""}`,
 				screenshot: responseData?.screenshot,
 				currentUrl: this.currentUrl,
 			}
@@ -588,8 +906,18 @@ export class ChromeExtensionClient {
 		}
 	}
 
-	async scroll(direction, selector) {
+	/**
+	 * 滚动页面或指定元素，提供x或y时滚动到精确位置
+	 * @param {string} [direction] - 滚动方向 up/down/left/right
+	 * @param {string} [selector] - 可选的要滚动元素的CSS选择器
+	 * @param {string} [ref] - 可选的要滚动元素的快照引用
+	 * @param {number} [x] - 可选的目标水平滚动位置(像素)
+	 * @param {number} [y] - 可选的目标垂直滚动位置(像素)
+	 * @returns {Promise<Object>} 滚动结果
+	 */
+	async scroll(direction, selector, ref, x, y) {
 		const command = "scroll"
+		const position = x !== undefined || y !== undefined ? `${x ?? "-"},${y ?? "-"}` : null
 
 		if (!this.isLaunched()) {
 			return {
@@ -599,11 +927,8 @@ export class ChromeExtensionClient {
 		}
 
 		try {
-			// 包含选择器（如果存在）
-			const payload = { direction }
-			if (selector) {
-				payload.selector = selector
-			}
+			// 包含选择器和目标位置（如果存在）
+			const payload = compactTarget({ direction, selector, ref, x, y })
 
 			const requestId = this.sendMessageToClient(payload, command)
 			const responseData = await this.waitForResponse(requestId, command, 15000)
@@ -615,7 +940,7 @@ export class ChromeExtensionClient {
 
 			return {
 				status: "success",
-				message: `Scrolled ${direction}${selector ? " on " + selector : ""}`,
+				message: `Scrolled ${position ? `to ${position}` : direction}${ref ? " on ref " + ref : selector ? " on " + selector : ""}`,
 				screenshot: responseData?.screenshot,
 				currentUrl: this.currentUrl,
 			}
@@ -623,14 +948,19 @@ export class ChromeExtensionClient {
 			// console.error(`ChromeExtensionClient: Error during ${command}/${direction}: ${error.message}`)
 			return {
 				status: "error",
-				message: `Scroll ${direction} error: ${error.message}`,
+				message: `Scroll ${position ? `to ${position}` : direction} error: ${error.message}`,
 				screenshot: error.screenshot,
 			}
 		}
 	}
 
-	async takeScreenshot() {
-		const command = "takeScreenshot"
+	/**
+	 * 获取当前页面的无障碍树快照
+	 * 可交互元素带有引用（如 e12），可在click、type、scroll中代替坐标使用
+	 * @returns {Promise<Object>} 快照结果
+	 */
+	async snapshot() {
+		const command = "snapshot"
 
 		if (!this.isLaunched()) {
 			return {
@@ -641,18 +971,68 @@ export class ChromeExtensionClient {
 
 		try {
 			const requestId = this.sendMessageToClient({}, command)
-			const responseData = await this.waitForResponse(requestId, command, 15000)
+			const responseData = await this.waitForResponse(requestId, command, 30000)
+
+			// 更新内部URL状态
+			if (responseData?.currentUrl) {
+				this.currentUrl = responseData.currentUrl
+			}
 
 			return {
 				status: "success",
-				message: "Screenshot taken",
-				screenshot: responseData?.screenshot,
+				message: responseData?.message || "Snapshot captured",
+				snapshot: responseData?.snapshot,
+				currentUrl: this.currentUrl,
 			}
 		} catch (error) {
-			// console.error(`ChromeExtensionClient: Error during ${command}: ${error.message}`)
 			return {
 				status: "error",
-				message: `Screenshot error: ${error.message}`,
+				message: `Snapshot error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 在当前页面执行JavaScript
+	 * @param {string} script - 表达式、函数或函数体
+	 * @param {Object} options - 选项
+	 * @param {boolean} options.awaitPromise - 是否等待Promise结果，默认为true
+	 * @param {number} options.timeoutMs - 执行超时时间(毫秒)，默认为10000
+	 * @param {string} options.world - 执行世界 "MAIN" 或 "ISOLATED"，默认为"MAIN"
+	 * @returns {Promise<Object>} 执行结果
+	 */
+	async evaluate(script, options = {}) {
+		const command = "evaluate"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		const { awaitPromise = true, timeoutMs = 10000, world = "MAIN" } = options
+
+		try {
+			const requestId = this.sendMessageToClient({ script, awaitPromise, timeoutMs, world }, command)
+			// 执行超时 + 5秒缓冲
+			const responseData = await this.waitForResponse(requestId, command, timeoutMs + 5000)
+
+			// 更新内部URL状态
+			if (responseData?.currentUrl) {
+				this.currentUrl = responseData.currentUrl
+			}
+
+			return {
+				status: "success",
+				message: responseData?.message || "Script evaluated",
+				evaluationResult: responseData?.evaluationResult,
+				currentUrl: this.currentUrl,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Evaluate error: ${error.message}`,
 			}
 		}
 	}
@@ -678,9 +1058,11 @@ export class ChromeExtensionClient {
 				const tempDir = path.join(os.tmpdir(), "chrome_extension_mcp")
 				await fs.ensureDir(tempDir)
 
-				// 使用固定的临时文件路径，同时也支持自定义文件名
-				const actualFilename = filename || "page.html"
-				const fullHtmlPath = filename ? path.join(tempDir, actualFilename) : tempHtmlPath
+				// 使用固定的临时文件路径，同时也支持自定义文件名（只取文件名部分，不能写到目录之外）
+				const actualFilename = filename ? path.basename(filename) : ""
+				const fullHtmlPath = actualFilename
+					? path.join(tempDir, actualFilename.endsWith(".html") ? actualFilename : `${actualFilename}.html`)
+					: tempHtmlPath
 
 				await fs.writeFile(fullHtmlPath, htmlContent, "utf8")
 
@@ -706,28 +1088,249 @@ export class ChromeExtensionClient {
 		}
 	}
 
-	async close() {
-		const command = "close"
+	/**
+	 * 获取当前标签页的控制台日志和JavaScript错误
+	 * @param {Object} options - 过滤选项
+	 * @param {string} options.minLevel - 最低日志级别: debug、log、info、warning、error
+	 * @param {boolean} options.sinceLastCall - 只返回上次获取之后的新日志
+	 * @param {number} options.limit - 最多返回的条数（取最新的），默认为100
+	 * @returns {Promise<Object>} 日志结果
+	 */
+	async getConsoleLogs(options = {}) {
+		const command = "getConsoleLogs"
 
-		if (!this.isLaunched() && !this.wss) {
+		if (!this.isLaunched()) {
 			return {
-				status: "success",
-				message: "Browser session already inactive.",
+				status: "error",
+				message: "Client not connected.",
 			}
 		}
 
-		let requestId = null
-		let closeMessage = "Browser close requested."
+		try {
+			const requestId = this.sendMessageToClient(compactTarget(options), command)
+			const responseData = await this.waitForResponse(requestId, command, 10000)
 
-		if (this.isLaunched()) {
-			try {
-				requestId = this.sendMessageToClient({}, command)
-				await this.waitForResponse(requestId, command, 5000)
-				closeMessage = "Browser close command acknowledged by extension."
-			} catch (error) {
-				// console.warn(`ChromeExtensionClient: Error during close command: ${error.message}`)
-				closeMessage = `Error during close command: ${error.message}`
-			}
+			return {
+				status: "success",
+				message: responseData?.message || "Console logs retrieved",
+				logs: responseData?.logs || [],
+				currentUrl: responseData?.currentUrl || this.currentUrl,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Get console logs error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 列出当前标签页记录的网络请求
+	 * @param {Object} options - 过滤选项
+	 * @param {string} options.urlFilter - URL需包含的子串
+	 * @param {string} options.resourceType - 资源类型，例如 XHR、Fetch、Document、Script
+	 * @param {boolean} options.failedOnly - 只返回失败或状态码>=400的请求
+	 * @param {number} options.limit - 最多返回的条数（取最新的），默认为50
+	 * @returns {Promise<Object>} 请求列表结果
+	 */
+	async listRequests(options = {}) {
+		const command = "listRequests"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient(compactTarget(options), command)
+			const responseData = await this.waitForResponse(requestId, command, 10000)
+
+			return {
+				status: "success",
+				message: responseData?.message || "Requests retrieved",
+				requests: responseData?.requests || [],
+				currentUrl: responseData?.currentUrl || this.currentUrl,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `List requests error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 获取单个网络请求的详情，包括请求头、响应头和正文
+	 * @param {number} id - list_requests返回的请求ID
+	 * @param {Object} options - 选项
+	 * @param {boolean} options.includeBodies - 是否获取请求和响应正文，默认为true
+	 * @returns {Promise<Object>} 请求详情结果
+	 */
+	async getRequest(id, options = {}) {
+		const command = "getRequest"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient(compactTarget({ id, ...options }), command)
+			const responseData = await this.waitForResponse(requestId, command, 15000)
+
+			return {
+				status: "success",
+				message: responseData?.message || `Request ${id} retrieved`,
+				request: responseData?.request,
+				currentUrl: responseData?.currentUrl || this.currentUrl,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Get request error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 将当前标签页记录的网络请求导出为HAR 1.2文件
+	 * @param {string} filename - 可选的文件名，默认按时间戳生成
+	 * @param {Object} options - 选项
+	 * @param {boolean} options.includeBodies - 是否包含响应正文，默认为false
+	 * @returns {Promise<Object>} 导出结果，包含文件路径
+	 */
+	async exportHar(filename, options = {}) {
+		const command = "exportHar"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient(compactTarget(options), command)
+			const responseData = await this.waitForResponse(requestId, command, 60000)
+
+			if (!responseData?.har) {
+				return {
+					status: "error",
+					message: "Failed to get HAR data from extension",
+				}
+			}
+
+			await fs.ensureDir(harSaveDir)
+			const actualFilename = path.basename(filename || `network_${Date.now()}.har`)
+			const harPath = path.join(harSaveDir, actualFilename.endsWith(".har") ? actualFilename : `${actualFilename}.har`)
+			await fs.writeJson(harPath, responseData.har, { spaces: 2 })
+
+			return {
+				status: "success",
+				message: `${responseData.message || "HAR exported"} to ${harPath}`,
+				path: harPath,
+				currentUrl: responseData.currentUrl || this.currentUrl,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Export HAR error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 获取页面主要内容的Markdown，按字符预算分页
+	 * @param {Object} options - 选项
+	 * @param {string} options.selector - 可选的内容根元素CSS选择器，默认自动选择main/article/body
+	 * @param {number} options.page - 页码，从1开始，默认为1
+	 * @param {number} options.maxChars - 每页最大字符数，默认为20000
+	 * @returns {Promise<Object>} 页面内容结果
+	 */
+	async getPageContent(options = {}) {
+		const command = "getPageContent"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		const { selector, page = 1, maxChars = 20000 } = options
+		if (!Number.isInteger(page) || page < 1) {
+			return {
+				status: "error",
+				message: `Invalid page: ${page}. Must be a positive integer.`,
+			}
+		}
+		if (!Number.isInteger(maxChars) || maxChars < 500) {
+			return {
+				status: "error",
+				message: `Invalid maxChars: ${maxChars}. Must be an integer of at least 500.`,
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient(selector ? { selector } : {}, command)
+			const responseData = await this.waitForResponse(requestId, command, 30000)
+
+			// 更新内部URL状态
+			if (responseData?.currentUrl) {
+				this.currentUrl = responseData.currentUrl
+			}
+
+			const markdown = responseData?.pageContent || ""
+			const pages = paginateText(markdown, maxChars)
+			if (page > pages.length) {
+				return {
+					status: "error",
+					message: `Page ${page} is out of range. The content has ${pages.length} page(s).`,
+					currentUrl: this.currentUrl,
+				}
+			}
+
+			const hasMore = page < pages.length
+			return {
+				status: "success",
+				message: `"${responseData?.title || ""}" - page ${page}/${pages.length} (${markdown.length} characters in total)${hasMore ? `. Use page ${page + 1} to read more.` : ""}`,
+				pageContent: pages[page - 1],
+				currentUrl: this.currentUrl,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Get page content error: ${error.message}`,
+			}
+		}
+	}
+
+	async close() {
+		const command = "close"
+
+		if (!this.isLaunched() && !this.wss) {
+			return {
+				status: "success",
+				message: "Browser session already inactive.",
+			}
+		}
+
+		let requestId = null
+		let closeMessage = "Browser close requested."
+
+		if (this.isLaunched()) {
+			try {
+				requestId = this.sendMessageToClient({}, command)
+				await this.waitForResponse(requestId, command, 5000)
+				closeMessage = "Browser close command acknowledged by extension."
+			} catch (error) {
+				// console.warn(`ChromeExtensionClient: Error during close command: ${error.message}`)
+				closeMessage = `Error during close command: ${error.message}`
+			}
 		} else {
 			closeMessage = "Client not connected, proceeding directly to dispose."
 		}
@@ -850,6 +1453,8 @@ export class ChromeExtensionClient {
 			setTimeout(() => {
 				if (this.isLaunched()) {
 					this.setViewport(this.viewport.width, this.viewport.height).catch(() => {})
+					this.setScreenshotPolicy().catch(() => {})
+					this.setDialogPolicy().catch(() => {})
 				}
 			}, 2000) // 使用更长的延迟
 		}
@@ -897,6 +1502,126 @@ export class ChromeExtensionClient {
 		}
 	}
 
+	/**
+	 * 更新全局截图策略，并把尺寸、质量限制和编号框开关同步到扩展
+	 * 未连接时只更新本地策略，连接后自动同步
+	 * @param {Object} [changes] - {mode, maxWidth, maxHeight, quality, marks}，未提供的字段保持不变
+	 * @returns {Promise<Object>} 结果，包含更新后的截图策略
+	 */
+	async setScreenshotPolicy(changes = {}) {
+		const command = "setScreenshotPolicy"
+		const policy = updateScreenshotPolicy(changes)
+
+		if (!this.isLaunched()) {
+			return {
+				status: "success",
+				message: "Screenshot policy updated; it will be applied when the extension connects.",
+				screenshotPolicy: policy,
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient(
+				{ maxWidth: policy.maxWidth, maxHeight: policy.maxHeight, quality: policy.quality, marks: policy.marks },
+				command,
+			)
+			await this.waitForResponse(requestId, command, 5000)
+
+			return {
+				status: "success",
+				message: `Screenshot policy set to ${policy.mode}`,
+				screenshotPolicy: policy,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Set screenshot policy error: ${error.message}`,
+				screenshotPolicy: policy,
+			}
+		}
+	}
+
+	/**
+	 * 更新JavaScript对话框自动处理策略并同步到扩展
+	 * 未连接时只更新本地策略，连接后自动同步
+	 * @param {Object} [changes] - {alert, confirm, prompt, beforeunload, promptText}，未提供的字段保持不变
+	 * @returns {Promise<Object>} 结果，包含更新后的对话框策略
+	 */
+	async setDialogPolicy(changes = {}) {
+		const command = "setDialogPolicy"
+
+		for (const [key, value] of Object.entries(changes)) {
+			if (value !== undefined && key in this.dialogPolicy) {
+				this.dialogPolicy[key] = value
+			}
+		}
+		const policy = { ...this.dialogPolicy }
+
+		if (!this.isLaunched()) {
+			return {
+				status: "success",
+				message: "Dialog policy updated; it will be applied when the extension connects.",
+				dialogPolicy: policy,
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient(policy, command)
+			await this.waitForResponse(requestId, command, 5000)
+
+			return {
+				status: "success",
+				message: "Dialog policy updated",
+				dialogPolicy: policy,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Set dialog policy error: ${error.message}`,
+				dialogPolicy: policy,
+			}
+		}
+	}
+
+	/**
+	 * 确认或取消活动标签页中打开的JavaScript对话框
+	 * @param {boolean} accept - 确认(true)或取消(false)
+	 * @param {string} [promptText] - prompt对话框中填入的文本
+	 * @returns {Promise<Object>} 处理结果
+	 */
+	async handleDialog(accept, promptText) {
+		const command = "handleDialog"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient({ accept, ...(promptText !== undefined && { promptText }) }, command)
+			const responseData = await this.waitForResponse(requestId, command, 30000)
+
+			if (responseData?.currentUrl) {
+				this.currentUrl = responseData.currentUrl
+			}
+
+			const dialog = responseData?.handledDialog
+			return {
+				status: "success",
+				message: `${accept ? "Accepted" : "Dismissed"} ${dialog ? describeDialog(dialog) : "dialog"}`,
+				screenshot: responseData?.screenshot,
+				currentUrl: this.currentUrl,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Handle dialog error: ${error.message}`,
+			}
+		}
+	}
+
 	async takeAreaScreenshot(topLeft, bottomRight) {
 		const command = "takeAreaScreenshot"
 
@@ -947,6 +1672,65 @@ export class ChromeExtensionClient {
 		}
 	}
 
+	/**
+	 * 截图当前页面、整个页面或指定元素，并保存到截图目录
+	 * @param {Object} options - 截图选项
+	 * @param {boolean} [options.fullPage] - 截取整个页面
+	 * @param {string} [options.selector] - 要截图的元素的CSS选择器
+	 * @param {string} [options.ref] - 要截图的元素的快照引用
+	 * @param {string} [options.format] - 图片格式 png/jpeg/webp，默认png
+	 * @param {number} [options.quality] - jpeg和webp的质量(0-100)
+	 * @param {number} [options.maxWidth] - 图片最大宽度(像素)
+	 * @param {boolean} [options.omitBackground] - 透明背景（png和webp）
+	 * @param {boolean} [options.marks] - 在可交互元素上叠加编号框，并返回编号图例
+	 * @returns {Promise<Object>} 截图结果，包含图片、保存路径和编号图例
+	 */
+	async takeScreenshot(options = {}) {
+		const command = "takeScreenshot"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		try {
+			await fs.ensureDir(screenshotSaveDir)
+
+			const requestId = this.sendMessageToClient(compactTarget(options), command)
+			// 整页截图可能较大，给更长的超时时间
+			const responseData = await this.waitForResponse(requestId, command, 60000)
+
+			if (!responseData?.screenshot?.startsWith("data:image")) {
+				return {
+					status: "error",
+					message: "Failed to get screenshot from extension",
+				}
+			}
+
+			const extension = options.format === "jpeg" ? "jpg" : options.format || "png"
+			const timestamp = new Date().toISOString().replace(/[:.]/g, "-")
+			const screenshotPath = path.join(screenshotSaveDir, `screenshot-${timestamp}.${extension}`)
+			await fs.writeFile(screenshotPath, Buffer.from(responseData.screenshot.split(",")[1], "base64"))
+
+			const size = responseData.imageSize ? ` (${responseData.imageSize.width}x${responseData.imageSize.height})` : ""
+			return {
+				status: "success",
+				message: `Screenshot saved to ${screenshotPath}${size}`,
+				screenshot: responseData.screenshot,
+				currentUrl: responseData.currentUrl,
+				savedPath: screenshotPath,
+				...(Array.isArray(responseData.marks) && { marks: responseData.marks }),
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Screenshot error: ${error.message}`,
+			}
+		}
+	}
+
 	// 获取所有保存的截图文件
 	async getSavedScreenshots() {
 		try {
@@ -976,62 +1760,292 @@ export class ChromeExtensionClient {
 			screenshots.sort((a, b) => b.created - a.created)
 
 			return {
-				status: "success",
-				message: `Found ${screenshots.length} saved screenshots`,
-				screenshots,
+				status: "success",
+				message: `Found ${screenshots.length} saved screenshots`,
+				screenshots,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Error getting saved screenshots: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 等待指定的秒数
+	 * @param {number} seconds - 等待的秒数
+	 * @returns {Promise<Object>} 等待结果
+	 */
+	async wait(seconds) {
+		const command = "wait"
+
+		try {
+			if (!this.isLaunched()) {
+				return {
+					status: "error",
+					message: "Client not connected.",
+				}
+			}
+
+			// 验证输入
+			const waitTime = Number(seconds)
+			if (isNaN(waitTime) || waitTime <= 0) {
+				return {
+					status: "error",
+					message: `Invalid wait time: ${seconds}. Must be a positive number.`,
+				}
+			}
+
+			// 直接发送wait命令到扩展
+			const requestId = this.sendMessageToClient({ seconds: waitTime }, command)
+			const responseData = await this.waitForResponse(requestId, command, waitTime * 1000 + 5000) // 等待时间 + 5秒缓冲
+
+			// 更新内部URL状态
+			if (responseData?.currentUrl) {
+				this.currentUrl = responseData.currentUrl
+			}
+
+			return {
+				status: "success",
+				message: `Waited for ${waitTime} seconds`,
+				screenshot: responseData?.screenshot,
+				currentUrl: this.currentUrl,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Wait error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 等待页面满足任一条件
+	 * @param {Object} conditions - 等待条件
+	 * @param {string} conditions.selector - CSS选择器
+	 * @param {string} conditions.selectorState - "visible"（出现，默认）或 "hidden"（消失）
+	 * @param {string} conditions.text - 需要出现的可见文本
+	 * @param {string} conditions.url - URL模式（子串、通配符*或/正则/）
+	 * @param {number} conditions.networkIdleMs - 网络空闲时长(毫秒)
+	 * @param {number} timeoutMs - 超时时间(毫秒)，默认为30000
+	 * @returns {Promise<Object>} 等待结果，message中说明触发的条件
+	 */
+	async waitFor(conditions, timeoutMs = 30000) {
+		const command = "waitFor"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		const payload = compactTarget({ ...conditions, timeoutMs })
+		if (!payload.selector && !payload.text && !payload.url && payload.networkIdleMs === undefined) {
+			return {
+				status: "error",
+				message: "wait_for requires at least one of 'selector', 'text', 'url' or 'network_idle_ms'.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient(payload, command)
+			// 等待超时 + 10秒缓冲（包含截图等处理时间）
+			const responseData = await this.waitForResponse(requestId, command, timeoutMs + 10000)
+
+			// 更新内部URL状态
+			if (responseData?.currentUrl) {
+				this.currentUrl = responseData.currentUrl
+			}
+
+			return {
+				status: "success",
+				message: responseData?.message || "Condition met",
+				screenshot: responseData?.screenshot,
+				currentUrl: this.currentUrl,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Wait for error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 一次填写多个表单字段
+	 * @param {Object} fields - 字段定位信息（标签文本、name、placeholder或CSS选择器）到值的映射
+	 * @returns {Promise<Object>} 填写结果，包含每个字段的结果和页面上的校验信息
+	 */
+	async fillForm(fields) {
+		const command = "fillForm"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		const fieldCount = Object.keys(fields || {}).length
+		if (fieldCount === 0) {
+			return {
+				status: "error",
+				message: "fill_form requires at least one field.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient({ fields }, command)
+			const responseData = await this.waitForResponse(requestId, command, 30000)
+
+			if (responseData?.currentUrl) {
+				this.currentUrl = responseData.currentUrl
+			}
+
+			const formFields = responseData?.formFields || []
+			const filledCount = formFields.filter((field) => field.status === "success").length
+
+			return {
+				// 部分字段失败时返回warning，调用方可根据每个字段的结果重试
+				status: filledCount === fieldCount ? "success" : "warning",
+				message: responseData?.dialogOpened
+					? `Filling ${fieldCount} form fields opened a dialog before the results were reported`
+					: `Filled ${filledCount} of ${fieldCount} form fields`,
+				screenshot: responseData?.screenshot,
+				currentUrl: this.currentUrl,
+				formFields,
+				validationMessages: responseData?.validationMessages || [],
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Fill form error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 选择原生下拉框(<select>)的选项
+	 * @param {Object} target - 下拉框目标 {ref, mark, selector, text, role, name}
+	 * @param {Object} choice - 要选择的选项 {value, label, index}，各自可以是单个值或数组（多选下拉框）
+	 * @returns {Promise<Object>} 选择结果
+	 */
+	async selectOption(target, choice = {}) {
+		const command = "selectOption"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		const selectTarget = compactTarget(target)
+		if (!hasTarget(selectTarget) || selectTarget.coordinate) {
+			return {
+				status: "error",
+				message: "select_option requires 'ref', 'mark', 'selector', 'text' or 'role' to locate the <select>.",
+			}
+		}
+
+		const options = compactTarget(choice)
+		if (options.value === undefined && options.label === undefined && options.index === undefined) {
+			return {
+				status: "error",
+				message: "select_option requires 'value', 'label' or 'index'.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient({ ...selectTarget, ...options }, command)
+			const responseData = await this.waitForResponse(requestId, command, 30000)
+
+			if (responseData?.currentUrl) {
+				this.currentUrl = responseData.currentUrl
+			}
+
+			const selected = (responseData?.selectedOptions || [])
+				.map((option) => (option.label === option.value ? `"${option.label}"` : `"${option.label}" (${option.value})`))
+				.join(", ")
+
+			return {
+				status: "success",
+				message: `Selected ${selected || "option"} in ${responseData?.selectElement || describeTarget(selectTarget)}`,
+				screenshot: responseData?.screenshot,
+				currentUrl: this.currentUrl,
+				...(responseData?.newTabOpened && { newTabOpened: true, newTabId: responseData.newTabId }),
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Select option error: ${error.message}`,
+				screenshot: error.screenshot,
+			}
+		}
+	}
+
+	/**
+	 * 上传本机文件到页面的文件输入框
+	 * 提供目标时设置到该输入框，否则应答点击上传按钮后打开的文件选择框
+	 * @param {string[]} paths - 文件路径，相对路径按MCP服务器的工作目录解析
+	 * @param {Object} [target] - 文件输入框目标 {ref, mark, selector, text, role, name}
+	 * @returns {Promise<Object>} 上传结果
+	 */
+	async uploadFile(paths, target = {}) {
+		const command = "uploadFile"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		if (!Array.isArray(paths) || paths.length === 0) {
+			return {
+				status: "error",
+				message: "upload_file requires at least one file path.",
 			}
-		} catch (error) {
+		}
+
+		// 浏览器按绝对路径读取文件，先确认文件存在
+		const files = paths.map((filePath) => path.resolve(filePath))
+		const missing = []
+		for (const file of files) {
+			const stat = await fs.stat(file).catch(() => null)
+			if (!stat || !stat.isFile()) {
+				missing.push(file)
+			}
+		}
+		if (missing.length > 0) {
 			return {
 				status: "error",
-				message: `Error getting saved screenshots: ${error.message}`,
+				message: `File not found: ${missing.join(", ")}`,
 			}
 		}
-	}
 
-	/**
-	 * 等待指定的秒数
-	 * @param {number} seconds - 等待的秒数
-	 * @returns {Promise<Object>} 等待结果
-	 */
-	async wait(seconds) {
-		const command = "wait"
+		const uploadTarget = compactTarget(target)
 
 		try {
-			if (!this.isLaunched()) {
-				return {
-					status: "error",
-					message: "Client not connected.",
-				}
-			}
-
-			// 验证输入
-			const waitTime = Number(seconds)
-			if (isNaN(waitTime) || waitTime <= 0) {
-				return {
-					status: "error",
-					message: `Invalid wait time: ${seconds}. Must be a positive number.`,
-				}
-			}
-
-			// 直接发送wait命令到扩展
-			const requestId = this.sendMessageToClient({ seconds: waitTime }, command)
-			const responseData = await this.waitForResponse(requestId, command, waitTime * 1000 + 5000) // 等待时间 + 5秒缓冲
+			const requestId = this.sendMessageToClient({ ...uploadTarget, files }, command)
+			const responseData = await this.waitForResponse(requestId, command, 30000)
 
-			// 更新内部URL状态
 			if (responseData?.currentUrl) {
 				this.currentUrl = responseData.currentUrl
 			}
 
 			return {
 				status: "success",
-				message: `Waited for ${waitTime} seconds`,
+				message: `Uploaded ${files.map((file) => path.basename(file)).join(", ")} to ${responseData?.uploadTarget || describeTarget(uploadTarget)}`,
 				screenshot: responseData?.screenshot,
 				currentUrl: this.currentUrl,
 			}
 		} catch (error) {
 			return {
 				status: "error",
-				message: `Wait error: ${error.message}`,
+				message: `Upload file error: ${error.message}`,
 			}
 		}
 	}
@@ -1308,4 +2322,353 @@ export class ChromeExtensionClient {
 			}
 		}
 	}
+
+	/**
+	 * 保存录制会话并记为最近一次录制
+	 * @param {Object} session - 扩展返回的录制会话
+	 * @returns {Promise<Object>} 保存结果
+	 */
+	async persistRecording(session) {
+		const saved = await saveRecordingSession(session)
+		this.lastRecording = {
+			sessionId: session.id,
+			title: session.title,
+			...saved,
+		}
+		return saved
+	}
+
+	/**
+	 * 开始录制用户在浏览器中的操作
+	 * @param {string} sessionTitle - 会话标题
+	 * @param {string} taskDescription - 任务描述
+	 * @param {Object} [redaction] - 本次录制额外的脱敏配置 {selectors, patterns, blurScreenshots}，与扩展选项页的配置合并
+	 * @returns {Promise<Object>} 开始录制结果
+	 */
+	async startRecording(sessionTitle, taskDescription, redaction) {
+		const command = "startRecording"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient(
+				compactTarget({ sessionTitle, taskDescription, redaction: redaction && compactTarget(redaction) }),
+				command,
+			)
+			const responseData = await this.waitForResponse(requestId, command, 10000)
+
+			return {
+				status: "success",
+				message: `${responseData?.message || "Recording started"} (session: ${responseData?.sessionInfo?.sessionId})`,
+				sessionInfo: responseData?.sessionInfo,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Start recording error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 停止录制，并把会话保存为JSON文件和截图目录
+	 * @returns {Promise<Object>} 停止录制结果，包含会话文件路径和操作摘要
+	 */
+	async stopRecording() {
+		const command = "stopRecording"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient({}, command)
+			const responseData = await this.waitForResponse(requestId, command, 30000)
+
+			if (!responseData?.session) {
+				return {
+					status: responseData?.status || "error",
+					message: responseData?.message || "No recording session returned by extension",
+				}
+			}
+
+			const saved = await this.persistRecording(responseData.session)
+			const prunedRecordings = responseData.prunedRecordings || []
+			const prunedNote =
+				prunedRecordings.length > 0
+					? `. Deleted ${prunedRecordings.length} older recording(s) from the extension to stay within its retention limit`
+					: ""
+
+			return {
+				status: responseData.status,
+				message: `${responseData.message}. Session saved to ${saved.sessionPath} (${saved.imageCount} images in ${saved.imageDir})${prunedNote}`,
+				sessionPath: saved.sessionPath,
+				recordingSummary: summarizeRecordingSession(responseData.session),
+				...(prunedRecordings.length > 0 && { prunedRecordings }),
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Stop recording error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 获取当前录制状态，以及最近一次保存的录制会话
+	 * @returns {Promise<Object>} 录制状态结果
+	 */
+	async getRecordingStatus() {
+		const command = "getRecordingStatus"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient({}, command)
+			const responseData = await this.waitForResponse(requestId, command, 10000)
+
+			return {
+				status: "success",
+				message: responseData?.message || "Recording status retrieved",
+				recordingStatus: {
+					...responseData?.recordingStatus,
+					lastSavedRecording: this.lastRecording,
+				},
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Get recording status error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 读取录制会话，未指定时优先使用本次运行中最近保存的录制
+	 * @param {string} [sessionRef] - 会话文件路径、目录或会话ID
+	 * @returns {Promise<{session: Object, sessionPath: string}>} 会话内容和文件路径
+	 */
+	async loadRecording(sessionRef) {
+		return loadRecordingSession(sessionRef || this.lastRecording?.sessionPath)
+	}
+
+	/**
+	 * 将录制会话转换为batch操作序列
+	 * @param {string} [sessionRef] - 会话文件路径、目录或会话ID，省略时使用最近一次录制
+	 * @returns {Promise<Object>} 转换结果，包含操作序列
+	 */
+	async convertRecording(sessionRef) {
+		try {
+			const { session, sessionPath } = await this.loadRecording(sessionRef)
+			const { operations, startUrl, skipped } = recordingToBatchOperations(session)
+
+			return {
+				status: "success",
+				message: `Converted ${session.actions?.length || 0} recorded actions from ${sessionPath} into ${operations.length} batch operations (${skipped.length} skipped)`,
+				batchOperations: { startUrl, operations, skipped },
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Convert recording error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 回放录制会话：转换为batch操作后在当前标签页中执行
+	 * 浏览器未连接时先初始化，并在新标签页中打开起始URL
+	 * @param {string} [sessionRef] - 会话文件路径、目录或会话ID，省略时使用最近一次录制
+	 * @param {number} intervalMs - 操作间隔(毫秒)
+	 * @returns {Promise<Object>} 回放结果，包含每一步的执行状态
+	 */
+	async replayRecording(sessionRef, intervalMs = 500) {
+		try {
+			const { session, sessionPath } = await this.loadRecording(sessionRef)
+			let { operations } = recordingToBatchOperations(session)
+
+			if (operations.length === 0) {
+				return {
+					status: "error",
+					message: `No replayable actions in ${sessionPath}`,
+				}
+			}
+
+			if (!this.isLaunched()) {
+				if (operations[0].name !== "navigate") {
+					return {
+						status: "error",
+						message: "浏览器未初始化，且录制中没有起始URL。请先使用navigate或tab_new命令打开一个页面。",
+					}
+				}
+				await this.initialize()
+				const opened = await this.tabNew(operations[0].parameters.url)
+				if (opened.status === "error") {
+					return opened
+				}
+				operations = operations.slice(1)
+			}
+
+			const result = await this.batch(operations, intervalMs)
+			const steps = result.operations || []
+			const failed = steps.find((step) => step.status === "error")
+
+			return {
+				...result,
+				status: failed ? "error" : result.status,
+				message: failed
+					? `Replay of ${sessionPath} stopped at step ${steps.length}/${operations.length} (${failed.name}): ${failed.error}`
+					: `Replayed ${steps.length} operations from ${sessionPath}`,
+				recordingSummary: steps
+					.map((step, index) => `${index + 1}. [${step.status}] ${step.name} ${JSON.stringify(step.parameters || {})}`)
+					.join("\n"),
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Replay recording error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 将录制会话导出为Playwright Test或Puppeteer脚本，默认保存在会话目录中
+	 * @param {string} [sessionRef] - 会话文件路径、目录或会话ID，省略时使用最近一次录制
+	 * @param {string} format - 导出格式: playwright 或 puppeteer
+	 * @param {string} [filename] - 可选的文件名
+	 * @returns {Promise<Object>} 导出结果，包含脚本路径和内容
+	 */
+	async exportRecording(sessionRef, format = "playwright", filename) {
+		try {
+			const { session, sessionPath } = await this.loadRecording(sessionRef)
+			const { script, stepCount, skipped } = exportRecordingScript(session, format)
+
+			const suffix = EXPORT_FORMATS[format]
+			const sessionDir = path.dirname(sessionPath)
+			const baseName = path.basename(filename || `${path.basename(sessionDir)}${suffix}`)
+			const scriptPath = path.join(sessionDir, path.extname(baseName) ? baseName : `${baseName}${suffix}`)
+			await fs.writeFile(scriptPath, script)
+
+			return {
+				status: "success",
+				message: `Exported ${stepCount} steps as a ${format} script to ${scriptPath} (${skipped.length} recorded actions skipped)`,
+				path: scriptPath,
+				exportedScript: script,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Export recording error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 列出扩展中保存的录制会话（扩展在录制过程中持久化会话，Service Worker重启或自动停止后仍可取回）
+	 * @returns {Promise<Object>} 会话列表
+	 */
+	async listStoredRecordings() {
+		const command = "listRecordings"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient({}, command)
+			const responseData = await this.waitForResponse(requestId, command, 10000)
+
+			return {
+				status: "success",
+				message: responseData?.message || "Stored recordings retrieved",
+				storedRecordings: responseData?.recordings || [],
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `List stored recordings error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 从扩展取回保存的录制会话，并像record_stop一样保存为JSON文件和截图目录
+	 * @param {string} sessionId - 扩展中的会话ID
+	 * @returns {Promise<Object>} 读取结果，包含会话文件路径和操作摘要
+	 */
+	async loadStoredRecording(sessionId) {
+		const command = "loadRecording"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient({ sessionId }, command)
+			const responseData = await this.waitForResponse(requestId, command, 30000)
+			const saved = await this.persistRecording(responseData.session)
+
+			return {
+				status: "success",
+				message: `${responseData.message}. Session saved to ${saved.sessionPath} (${saved.imageCount} images in ${saved.imageDir})`,
+				sessionPath: saved.sessionPath,
+				recordingSummary: summarizeRecordingSession(responseData.session),
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Load stored recording error: ${error.message}`,
+			}
+		}
+	}
+
+	/**
+	 * 删除扩展中保存的录制会话，已保存到磁盘的文件不受影响
+	 * @param {string} sessionId - 扩展中的会话ID
+	 * @returns {Promise<Object>} 删除结果
+	 */
+	async deleteStoredRecording(sessionId) {
+		const command = "deleteRecording"
+
+		if (!this.isLaunched()) {
+			return {
+				status: "error",
+				message: "Client not connected.",
+			}
+		}
+
+		try {
+			const requestId = this.sendMessageToClient({ sessionId }, command)
+			const responseData = await this.waitForResponse(requestId, command, 10000)
+
+			return {
+				status: "success",
+				message: responseData?.message || `Deleted stored recording ${sessionId}`,
+			}
+		} catch (error) {
+			return {
+				status: "error",
+				message: `Delete stored recording error: ${error.message}`,
+			}
+		}
+	}
 }
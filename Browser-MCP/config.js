@@ -1,8 +1,49 @@
 import * as path from "path"
 import * as os from "os"
 
-// 定义WebSocket端口
-export const WEBSOCKET_PORT = 9876
+// 默认WebSocket端口和监听地址
+const DEFAULT_WEBSOCKET_PORT = 9876
+const DEFAULT_WEBSOCKET_HOST = "127.0.0.1"
+
+/**
+ * 读取命令行参数，支持 --name value 和 --name=value 两种形式
+ * @param {string} name - 参数名（不含--）
+ * @returns {string|undefined} 参数值
+ */
+function getCliArg(name) {
+	const args = process.argv.slice(2)
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === `--${name}`) {
+			return args[i + 1]
+		}
+		if (args[i].startsWith(`--${name}=`)) {
+			return args[i].slice(name.length + 3)
+		}
+	}
+	return undefined
+}
+
+/**
+ * 解析端口号
+ * @param {string|number} value - 端口值
+ * @returns {number} 端口号
+ */
+function parsePort(value) {
+	const port = Number(value)
+	if (!Number.isInteger(port) || port < 1 || port > 65535) {
+		throw new Error(`无效的WebSocket端口: ${value}，应为1-65535之间的整数`)
+	}
+	return port
+}
+
+// WebSocket端口：命令行参数 --port 优先，其次环境变量 CODINGBABY_WS_PORT，默认9876
+export const WEBSOCKET_PORT = parsePort(getCliArg("port") ?? process.env.CODINGBABY_WS_PORT ?? DEFAULT_WEBSOCKET_PORT)
+
+// WebSocket监听地址：命令行参数 --host 优先，其次环境变量 CODINGBABY_WS_HOST，默认只监听本机
+export const WEBSOCKET_HOST = getCliArg("host") ?? process.env.CODINGBABY_WS_HOST ?? DEFAULT_WEBSOCKET_HOST
+
+// 配对令牌文件路径，扩展需要填入相同的令牌才能连接
+export const pairingTokenPath = path.join(os.homedir(), ".codingbaby-browser-mcp", "pairing-token")
 
 // 添加在导入部分下方，定义固定的HTML临时文件路径
 export const tempHtmlPath = path.join(os.tmpdir(), "chrome_server_temp.html")
@@ -10,8 +51,121 @@ export const tempHtmlPath = path.join(os.tmpdir(), "chrome_server_temp.html")
 // 添加固定的图片保存目录
 export const screenshotSaveDir = path.join(os.tmpdir(), "chrome_extension_screenshots")
 
+// HAR文件保存目录
+export const harSaveDir = path.join(os.tmpdir(), "chrome_extension_har")
+
+// 录制会话保存目录，每个会话一个子目录（session.json和images）
+export const recordingSaveDir = path.join(os.tmpdir(), "chrome_extension_recordings")
+
 // 添加默认的viewport配置
 export const DEFAULT_VIEWPORT = {
 	width: 800,
 	height: 600,
 }
+
+// 操作后自动截图的返回方式：always总是返回，never不返回，on_change仅在URL或DOM变化时返回，text返回页面文字摘要代替截图
+export const SCREENSHOT_MODES = ["always", "never", "on_change", "text"]
+
+/**
+ * 解析截图尺寸或质量限制
+ * @param {string|number|undefined} value - 配置值
+ * @param {string} name - 配置名称，用于错误信息
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ * @returns {number|undefined} 限制值，未配置时返回undefined
+ */
+function parseScreenshotLimit(value, name, min, max) {
+	if (value === undefined) {
+		return undefined
+	}
+	const limit = Number(value)
+	if (!Number.isInteger(limit) || limit < min || limit > max) {
+		throw new Error(`无效的${name}: ${value}，应为${min}-${max}之间的整数`)
+	}
+	return limit
+}
+
+/**
+ * 解析截图模式
+ * @param {string|undefined} value - 配置值
+ * @returns {string} 截图模式
+ */
+function parseScreenshotMode(value) {
+	if (value === undefined) {
+		return "always"
+	}
+	if (!SCREENSHOT_MODES.includes(value)) {
+		throw new Error(`无效的截图模式: ${value}，可选 ${SCREENSHOT_MODES.join("/")}`)
+	}
+	return value
+}
+
+// 默认截图策略：命令行参数 --screenshot-mode/--screenshot-max-width/--screenshot-max-height/--screenshot-quality 优先，
+// 其次环境变量 CODINGBABY_SCREENSHOT_MODE/_MAX_WIDTH/_MAX_HEIGHT/_QUALITY；最大宽高为0表示不限制；
+// marks默认关闭，开启后操作后的截图也叠加set-of-marks编号框
+export const DEFAULT_SCREENSHOT_POLICY = {
+	mode: parseScreenshotMode(getCliArg("screenshot-mode") ?? process.env.CODINGBABY_SCREENSHOT_MODE),
+	maxWidth:
+		parseScreenshotLimit(
+			getCliArg("screenshot-max-width") ?? process.env.CODINGBABY_SCREENSHOT_MAX_WIDTH,
+			"截图最大宽度",
+			0,
+			10000,
+		) ?? 0,
+	maxHeight:
+		parseScreenshotLimit(
+			getCliArg("screenshot-max-height") ?? process.env.CODINGBABY_SCREENSHOT_MAX_HEIGHT,
+			"截图最大高度",
+			0,
+			10000,
+		) ?? 0,
+	quality:
+		parseScreenshotLimit(
+			getCliArg("screenshot-quality") ?? process.env.CODINGBABY_SCREENSHOT_QUALITY,
+			"截图质量",
+			1,
+			100,
+		) ?? 100,
+	marks: false,
+}
+
+// JavaScript对话框类型
+export const DIALOG_TYPES = ["alert", "confirm", "prompt", "beforeunload"]
+
+// 对话框处理方式：manual等待handle_dialog处理，accept自动确认，dismiss自动取消
+export const DIALOG_ACTIONS = ["manual", "accept", "dismiss"]
+
+/**
+ * 解析对话框自动处理策略
+ * "accept" 这样的单个处理方式对所有类型生效；"alert=accept,beforeunload=accept" 按类型设置，未列出的类型为manual
+ * @param {string|undefined} value - 配置值
+ * @returns {Object} 各类型的处理方式 {alert, confirm, prompt, beforeunload}
+ */
+function parseDialogPolicy(value) {
+	const policy = Object.fromEntries(DIALOG_TYPES.map((type) => [type, "manual"]))
+	if (value === undefined || value === "") {
+		return policy
+	}
+
+	if (DIALOG_ACTIONS.includes(value)) {
+		return Object.fromEntries(DIALOG_TYPES.map((type) => [type, value]))
+	}
+
+	for (const entry of value.split(",")) {
+		const [type, action] = entry.split("=").map((part) => part.trim())
+		if (!DIALOG_TYPES.includes(type) || !DIALOG_ACTIONS.includes(action)) {
+			throw new Error(
+				`无效的对话框策略: ${entry}，应为 ${DIALOG_ACTIONS.join("/")} 或 类型=处理方式（类型: ${DIALOG_TYPES.join("/")}）`,
+			)
+		}
+		policy[type] = action
+	}
+	return policy
+}
+
+// 默认对话框策略：命令行参数 --dialog-policy/--dialog-prompt-text 优先，
+// 其次环境变量 CODINGBABY_DIALOG_POLICY/CODINGBABY_DIALOG_PROMPT_TEXT；默认所有对话框都等待handle_dialog处理
+export const DEFAULT_DIALOG_POLICY = {
+	...parseDialogPolicy(getCliArg("dialog-policy") ?? process.env.CODINGBABY_DIALOG_POLICY),
+	promptText: getCliArg("dialog-prompt-text") ?? process.env.CODINGBABY_DIALOG_PROMPT_TEXT ?? "",
+}
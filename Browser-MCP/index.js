@@ -5,6 +5,14 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import { ChromeExtensionClient } from "./chrome-client.js"
 import { registerMcpTools } from "./mcp-tools.js"
 import { registerBatchTools } from "./batch-commands.js"
+import { loadPairingToken } from "./pairing.js"
+import { trackRequestedScreenshotMode } from "./screenshot-policy.js"
+
+// 打印配对令牌后退出，便于复制到扩展选项页
+if (process.argv.includes("--print-token")) {
+	console.log(await loadPairingToken())
+	process.exit(0)
+}
 
 // 创建Chrome扩展客户端实例
 const chromeClient = new ChromeExtensionClient()
@@ -102,6 +110,9 @@ const server = new McpServer({
 	version: "1.0.0",
 })
 
+// 工具调用期间记住本次指定的截图模式，需要时请求扩展附加页面状态
+trackRequestedScreenshotMode(server)
+
 // 注册工具
 registerMcpTools(server, chromeClient)
 // 注册批处理工具
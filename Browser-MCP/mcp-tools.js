@@ -1,5 +1,55 @@
 import { z } from "zod"
 import { formatResponse } from "./utils.js"
+import { screenshotModeParam } from "./screenshot-policy.js"
+import { SCREENSHOT_MODES, DIALOG_ACTIONS } from "./config.js"
+
+// 鼠标按键与修饰键
+const MOUSE_BUTTONS = ["left", "right", "middle"]
+const MOUSE_MODIFIERS = ["Alt", "Control", "Meta", "Shift"]
+
+/**
+ * 定位页面元素的工具共用的参数
+ * @param {string} action - 动作描述，用于参数说明，如 "click"
+ * @returns {Object} zod参数定义
+ */
+function elementTargetShape(action) {
+	return {
+		ref: z.string().optional().describe("Element ref from the latest snapshot, such as 'e12'"),
+		mark: z.number().int().positive().optional().describe("Mark number from the latest screenshot taken with 'marks'"),
+		selector: z.string().optional().describe(`CSS selector of the element to ${action}`),
+		text: z.string().optional().describe(`Visible text of the element to ${action}`),
+		role: z
+			.string()
+			.optional()
+			.describe(`ARIA role of the element to ${action}, such as 'button', 'link' or 'checkbox'`),
+		name: z.string().optional().describe("Accessible name of the element, used together with 'role'"),
+	}
+}
+
+/**
+ * 鼠标类工具共用的目标参数：坐标或元素
+ * @param {string} action - 动作描述，用于参数说明，如 "click"
+ * @returns {Object} zod参数定义
+ */
+function pointerTargetShape(action) {
+	return {
+		coordinate: z.string().optional().describe(`Coordinates to ${action} (x,y)`),
+		...elementTargetShape(action),
+	}
+}
+
+// 从工具参数中取出坐标或元素目标
+function pickPointerTarget(params) {
+	return {
+		coordinate: params.coordinate,
+		ref: params.ref,
+		mark: params.mark,
+		selector: params.selector,
+		text: params.text,
+		role: params.role,
+		name: params.name,
+	}
+}
 
 /**
  * 注册所有MCP工具
@@ -13,6 +63,7 @@ export function registerMcpTools(server, chromeClient) {
 		"Navigate to a URL",
 		{
 			url: z.string().describe("The URL to navigate to"),
+			screenshot: screenshotModeParam,
 		},
 		async (params) => {
 			try {
@@ -22,11 +73,11 @@ export function registerMcpTools(server, chromeClient) {
 					await chromeClient.initialize()
 					// 使用tabNew创建新标签页
 					const result = await chromeClient.tabNew(params.url)
-					return formatResponse(result)
+					return formatResponse(result, { screenshot: params.screenshot })
 				} else {
 					// 已经初始化，正常导航
 					const result = await chromeClient.navigate(params.url)
-					return formatResponse(result)
+					return formatResponse(result, { screenshot: params.screenshot })
 				}
 			} catch (error) {
 				return {
@@ -44,12 +95,13 @@ export function registerMcpTools(server, chromeClient) {
 		},
 	)
 
-	// 注册工具：MCP Browser Click
+	// 注册工具：MCP Browser Navigate Back
 	server.tool(
-		"click",
-		"Perform click on a web page",
+		"navigate_back",
+		"Go back to the previous page in the browser history and wait for it to load",
 		{
-			coordinate: z.string().describe("Coordinates to click (x,y)"),
+			purpose: z.string().describe("give any string, workaround for no-parameter tools."),
+			screenshot: screenshotModeParam,
 		},
 		async (params) => {
 			try {
@@ -67,8 +119,8 @@ export function registerMcpTools(server, chromeClient) {
 					}
 				}
 
-				const result = await chromeClient.click(params.coordinate)
-				return formatResponse(result)
+				const result = await chromeClient.navigateBack()
+				return formatResponse(result, { screenshot: params.screenshot })
 			} catch (error) {
 				return {
 					content: [
@@ -76,7 +128,7 @@ export function registerMcpTools(server, chromeClient) {
 							type: "text",
 							text: JSON.stringify({
 								status: "error",
-								message: `Error clicking: ${error.message}`,
+								message: `Error navigating back: ${error.message}`,
 							}),
 						},
 					],
@@ -85,12 +137,13 @@ export function registerMcpTools(server, chromeClient) {
 		},
 	)
 
-	// 注册工具：MCP Browser Type
+	// 注册工具：MCP Browser Navigate Forward
 	server.tool(
-		"type",
-		"Type text into focused element",
+		"navigate_forward",
+		"Go forward to the next page in the browser history and wait for it to load",
 		{
-			text: z.string().describe("Text to type"),
+			purpose: z.string().describe("give any string, workaround for no-parameter tools."),
+			screenshot: screenshotModeParam,
 		},
 		async (params) => {
 			try {
@@ -108,8 +161,8 @@ export function registerMcpTools(server, chromeClient) {
 					}
 				}
 
-				const result = await chromeClient.type(params.text)
-				return formatResponse(result)
+				const result = await chromeClient.navigateForward()
+				return formatResponse(result, { screenshot: params.screenshot })
 			} catch (error) {
 				return {
 					content: [
@@ -117,7 +170,7 @@ export function registerMcpTools(server, chromeClient) {
 							type: "text",
 							text: JSON.stringify({
 								status: "error",
-								message: `Error typing: ${error.message}`,
+								message: `Error navigating forward: ${error.message}`,
 							}),
 						},
 					],
@@ -126,16 +179,13 @@ export function registerMcpTools(server, chromeClient) {
 		},
 	)
 
-	// 注册工具：MCP Browser Press Key
+	// 注册工具：MCP Browser Reload
 	server.tool(
-		"press_key",
-		"Press a key or key combination on the keyboard",
+		"reload",
+		"Reload the current page and wait for it to load",
 		{
-			key: z
-				.string()
-				.describe(
-					"Name of the key to press, such as 'ArrowLeft', 'Enter' or a key combination like 'Control+C', 'Command+V'",
-				),
+			hard: z.boolean().optional().describe("Bypass the browser cache (hard reload). Default: false"),
+			screenshot: screenshotModeParam,
 		},
 		async (params) => {
 			try {
@@ -153,15 +203,8 @@ export function registerMcpTools(server, chromeClient) {
 					}
 				}
 
-				let result
-				// 检查是否为组合键（包含+号）
-				if (params.key.includes("+")) {
-					result = await chromeClient.pressKeyCombination(params.key)
-				} else {
-					result = await chromeClient.pressKey(params.key)
-				}
-
-				return formatResponse(result)
+				const result = await chromeClient.reload(params.hard)
+				return formatResponse(result, { screenshot: params.screenshot })
 			} catch (error) {
 				return {
 					content: [
@@ -169,7 +212,7 @@ export function registerMcpTools(server, chromeClient) {
 							type: "text",
 							text: JSON.stringify({
 								status: "error",
-								message: `Error pressing key: ${error.message}`,
+								message: `Error reloading: ${error.message}`,
 							}),
 						},
 					],
@@ -178,12 +221,18 @@ export function registerMcpTools(server, chromeClient) {
 		},
 	)
 
-	// 注册工具：MCP Browser Close
+	// 注册工具：MCP Browser Click
 	server.tool(
-		"close",
-		"Close the browser",
+		"click",
+		"Perform click on a web page, optionally with another mouse button or modifier keys held. The target can be given as coordinates, as an element ref from the snapshot tool, as a mark number from a screenshot taken with 'marks', or located by CSS selector, visible text, or ARIA role + accessible name; located elements are scrolled into view and clicked at their center.",
 		{
-			purpose: z.string().describe("give any string, workaround for no-parameter tools."),
+			...pointerTargetShape("click"),
+			button: z.enum(MOUSE_BUTTONS).optional().describe("Mouse button to click with, defaults to 'left'"),
+			modifiers: z
+				.array(z.enum(MOUSE_MODIFIERS))
+				.optional()
+				.describe("Modifier keys to hold while clicking, such as ['Control'] to open a link in a new tab"),
+			screenshot: screenshotModeParam,
 		},
 		async (params) => {
 			try {
@@ -193,16 +242,19 @@ export function registerMcpTools(server, chromeClient) {
 							{
 								type: "text",
 								text: JSON.stringify({
-									status: "success",
-									message: "Browser not running.",
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
 								}),
 							},
 						],
 					}
 				}
 
-				const result = await chromeClient.close()
-				return formatResponse(result)
+				const result = await chromeClient.click(pickPointerTarget(params), {
+					button: params.button,
+					modifiers: params.modifiers,
+				})
+				return formatResponse(result, { screenshot: params.screenshot })
 			} catch (error) {
 				return {
 					content: [
@@ -210,7 +262,7 @@ export function registerMcpTools(server, chromeClient) {
 							type: "text",
 							text: JSON.stringify({
 								status: "error",
-								message: `Error closing browser: ${error.message}`,
+								message: `Error clicking: ${error.message}`,
 							}),
 						},
 					],
@@ -219,13 +271,15 @@ export function registerMcpTools(server, chromeClient) {
 		},
 	)
 
-	// 注册工具：MCP Browser Scroll
+	// 注册工具：MCP Browser Type
 	server.tool(
-		"scroll",
-		"Scroll the page in a specified direction",
+		"type",
+		"Type text into focused element, or into the element given by ref or selector (it is focused first)",
 		{
-			direction: z.string().describe("Direction to scroll: up, down, left, or right"),
-			selector: z.string().optional().describe("CSS selector for the element to scroll (optional)"),
+			text: z.string().describe("Text to type"),
+			ref: z.string().optional().describe("Element ref from the latest snapshot to type into (optional)"),
+			selector: z.string().optional().describe("CSS selector of the element to type into (optional)"),
+			screenshot: screenshotModeParam,
 		},
 		async (params) => {
 			try {
@@ -243,8 +297,8 @@ export function registerMcpTools(server, chromeClient) {
 					}
 				}
 
-				const result = await chromeClient.scroll(params.direction, params.selector)
-				return formatResponse(result)
+				const result = await chromeClient.type(params.text, { ref: params.ref, selector: params.selector })
+				return formatResponse(result, { screenshot: params.screenshot })
 			} catch (error) {
 				return {
 					content: [
@@ -252,7 +306,7 @@ export function registerMcpTools(server, chromeClient) {
 							type: "text",
 							text: JSON.stringify({
 								status: "error",
-								message: `Error scrolling: ${error.message}`,
+								message: `Error typing: ${error.message}`,
 							}),
 						},
 					],
@@ -260,35 +314,85 @@ export function registerMcpTools(server, chromeClient) {
 			}
 		},
 	)
-	/*
-	// 注册工具：MCP Browser Save HTML
+
+	// 注册工具：MCP Browser Press Key
 	server.tool(
-		"save_html",
-		"Save the current page HTML to a file",
+		"press_key",
+		"Press a key or key combination on the keyboard",
 		{
-			filename: z.string().optional().describe("Optional filename to save the HTML to"),
+			key: z
+				.string()
+				.describe(
+					"Name of the key to press, such as 'ArrowLeft', 'Enter' or a key combination like 'Control+C', 'Command+V'",
+				),
+			screenshot: screenshotModeParam,
 		},
 		async (params) => {
 			try {
 				if (!chromeClient.isLaunched()) {
-					await chromeClient.initialize()
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
 				}
 
-				const result = await chromeClient.saveFullHtml(params.filename)
+				let result
+				// 检查是否为组合键（包含+号）
+				if (params.key.includes("+")) {
+					result = await chromeClient.pressKeyCombination(params.key)
+				} else {
+					result = await chromeClient.pressKey(params.key)
+				}
 
+				return formatResponse(result, { screenshot: params.screenshot })
+			} catch (error) {
 				return {
 					content: [
 						{
 							type: "text",
 							text: JSON.stringify({
-								status: result.status,
-								message: result.message,
-								path: result.path,
-								size: result.size,
+								status: "error",
+								message: `Error pressing key: ${error.message}`,
 							}),
 						},
 					],
 				}
+			}
+		},
+	)
+
+	// 注册工具：MCP Browser Close
+	server.tool(
+		"close",
+		"Close the browser",
+		{
+			purpose: z.string().describe("give any string, workaround for no-parameter tools."),
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "success",
+									message: "Browser not running.",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.close()
+				return formatResponse(result)
 			} catch (error) {
 				return {
 					content: [
@@ -296,7 +400,7 @@ export function registerMcpTools(server, chromeClient) {
 							type: "text",
 							text: JSON.stringify({
 								status: "error",
-								message: `Error saving HTML: ${error.message}`,
+								message: `Error closing browser: ${error.message}`,
 							}),
 						},
 					],
@@ -304,14 +408,21 @@ export function registerMcpTools(server, chromeClient) {
 			}
 		},
 	)
-*/
-	// 注册工具：MCP Browser Set Viewport
+
+	// 注册工具：MCP Browser Scroll
 	server.tool(
-		"set_viewport",
-		"Set the viewport configuration of the browser",
+		"scroll",
+		"Scroll the page or an element in a specified direction, or to an exact scroll offset when x or y is given",
 		{
-			width: z.number().describe("Width of the browser viewport"),
-			height: z.number().describe("Height of the browser viewport"),
+			direction: z
+				.string()
+				.optional()
+				.describe("Direction to scroll: up, down, left, or right. Required unless x or y is given"),
+			x: z.number().optional().describe("Exact horizontal scroll offset in pixels (optional)"),
+			y: z.number().optional().describe("Exact vertical scroll offset in pixels (optional)"),
+			selector: z.string().optional().describe("CSS selector for the element to scroll (optional)"),
+			ref: z.string().optional().describe("Element ref from the latest snapshot for the element to scroll (optional)"),
+			screenshot: screenshotModeParam,
 		},
 		async (params) => {
 			try {
@@ -329,20 +440,8 @@ export function registerMcpTools(server, chromeClient) {
 					}
 				}
 
-				const result = await chromeClient.setViewport(params.width, params.height)
-
-				return {
-					content: [
-						{
-							type: "text",
-							text: JSON.stringify({
-								status: result.status,
-								message: result.message,
-								viewport: result.viewport,
-							}),
-						},
-					],
-				}
+				const result = await chromeClient.scroll(params.direction, params.selector, params.ref, params.x, params.y)
+				return formatResponse(result, { screenshot: params.screenshot })
 			} catch (error) {
 				return {
 					content: [
@@ -350,7 +449,7 @@ export function registerMcpTools(server, chromeClient) {
 							type: "text",
 							text: JSON.stringify({
 								status: "error",
-								message: `Error setting viewport: ${error.message}`,
+								message: `Error scrolling: ${error.message}`,
 							}),
 						},
 					],
@@ -359,13 +458,20 @@ export function registerMcpTools(server, chromeClient) {
 		},
 	)
 
-	// 注册工具：MCP Browser Area Screenshot
+	// 注册工具：MCP Browser Evaluate
 	server.tool(
-		"area_screenshot",
-		"Take a screenshot of a specific area of the current page",
+		"evaluate",
+		"Run JavaScript in the current page and return the JSON-serialized result, e.g. to read app state such as a Redux store or feature flags. Accepts an expression ('window.store.getState().user'), a function ('async () => { ... }', which is called), or a function body containing 'return'. Thrown exceptions are returned with their stack.",
 		{
-			topLeft: z.string().describe("Top-left coordinate (x,y) of the area to capture"),
-			bottomRight: z.string().describe("Bottom-right coordinate (x,y) of the area to capture"),
+			script: z.string().describe("JavaScript expression, function, or function body to run"),
+			await_promise: z.boolean().optional().describe("Wait for a returned Promise to settle. Default: true"),
+			timeout_ms: z.number().optional().describe("Maximum execution time in milliseconds. Default: 10000"),
+			world: z
+				.enum(["MAIN", "ISOLATED"])
+				.optional()
+				.describe(
+					"MAIN runs with the page's own globals (default); ISOLATED runs in a separate world that shares the DOM but not page globals",
+				),
 		},
 		async (params) => {
 			try {
@@ -383,33 +489,12 @@ export function registerMcpTools(server, chromeClient) {
 					}
 				}
 
-				const result = await chromeClient.takeAreaScreenshot(params.topLeft, params.bottomRight)
-
-				// 创建响应
-				const content = [
-					{
-						type: "text",
-						text: JSON.stringify({
-							status: result.status,
-							message: result.message,
-							savedPath: result.savedPath,
-						}),
-					},
-				]
-
-				// 如果有截图，添加为图像类型
-				if (result.screenshot && typeof result.screenshot === "string" && result.screenshot.startsWith("data:image")) {
-					const base64Data = result.screenshot.split(",")[1]
-					const mimeType = result.screenshot.split(",")[0].split(":")[1].split(";")[0]
-
-					content.push({
-						type: "image",
-						data: base64Data,
-						mimeType: mimeType || "image/jpeg",
-					})
-				}
-
-				return { content }
+				const result = await chromeClient.evaluate(params.script, {
+					awaitPromise: params.await_promise,
+					timeoutMs: params.timeout_ms,
+					world: params.world,
+				})
+				return formatResponse(result)
 			} catch (error) {
 				return {
 					content: [
@@ -417,7 +502,7 @@ export function registerMcpTools(server, chromeClient) {
 							type: "text",
 							text: JSON.stringify({
 								status: "error",
-								message: `Error taking area screenshot: ${error.message}`,
+								message: `Error evaluating script: ${error.message}`,
 							}),
 						},
 					],
@@ -426,12 +511,20 @@ export function registerMcpTools(server, chromeClient) {
 		},
 	)
 
-	// 注册工具：MCP Browser Wait
+	// 注册工具：MCP Browser Get Console Logs
 	server.tool(
-		"wait",
-		"Wait for a specified number of seconds, with a screenshot of the current page state after waiting",
+		"get_console_logs",
+		"Get console messages and uncaught JavaScript errors captured from the current tab (console.* calls, exceptions, and browser log entries such as failed resource loads). Useful for finding out why something on the page does not work.",
 		{
-			seconds: z.number().describe("Number of seconds to wait"),
+			min_level: z
+				.enum(["debug", "log", "info", "warning", "error"])
+				.optional()
+				.describe("Only return entries at or above this level. Default: debug (everything)"),
+			since_last_call: z
+				.boolean()
+				.optional()
+				.describe("Only return entries captured since the previous get_console_logs call. Default: false"),
+			limit: z.number().optional().describe("Maximum number of most recent entries to return. Default: 100"),
 		},
 		async (params) => {
 			try {
@@ -449,7 +542,11 @@ export function registerMcpTools(server, chromeClient) {
 					}
 				}
 
-				const result = await chromeClient.wait(params.seconds)
+				const result = await chromeClient.getConsoleLogs({
+					minLevel: params.min_level,
+					sinceLastCall: params.since_last_call,
+					limit: params.limit,
+				})
 				return formatResponse(result)
 			} catch (error) {
 				return {
@@ -458,7 +555,7 @@ export function registerMcpTools(server, chromeClient) {
 							type: "text",
 							text: JSON.stringify({
 								status: "error",
-								message: `Error waiting: ${error.message}`,
+								message: `Error getting console logs: ${error.message}`,
 							}),
 						},
 					],
@@ -467,12 +564,21 @@ export function registerMcpTools(server, chromeClient) {
 		},
 	)
 
-	// 注册工具：MCP Browser Tab List
+	// 列出网络请求
 	server.tool(
-		"tab_list",
-		"List browser tabs",
+		"list_requests",
+		"List network requests captured from the current tab (method, status, resource type, duration, transfer size and URL). Use the returned #id with get_request to see headers and bodies.",
 		{
-			purpose: z.string().describe("give any string, workaround for no-parameter tools."),
+			url_filter: z.string().optional().describe("Only return requests whose URL contains this substring"),
+			resource_type: z
+				.string()
+				.optional()
+				.describe("Only return requests of this resource type, e.g. Document, XHR, Fetch, Script, Stylesheet, Image"),
+			failed_only: z
+				.boolean()
+				.optional()
+				.describe("Only return requests that failed or returned status >= 400. Default: false"),
+			limit: z.number().optional().describe("Maximum number of most recent requests to return. Default: 50"),
 		},
 		async (params) => {
 			try {
@@ -490,7 +596,12 @@ export function registerMcpTools(server, chromeClient) {
 					}
 				}
 
-				const result = await chromeClient.tabList()
+				const result = await chromeClient.listRequests({
+					urlFilter: params.url_filter,
+					resourceType: params.resource_type,
+					failedOnly: params.failed_only,
+					limit: params.limit,
+				})
 				return formatResponse(result)
 			} catch (error) {
 				return {
@@ -499,7 +610,7 @@ export function registerMcpTools(server, chromeClient) {
 							type: "text",
 							text: JSON.stringify({
 								status: "error",
-								message: `Error listing tabs: ${error.message}`,
+								message: `Error listing requests: ${error.message}`,
 							}),
 						},
 					],
@@ -508,25 +619,31 @@ export function registerMcpTools(server, chromeClient) {
 		},
 	)
 
-	// 注册工具：MCP Browser Tab New
+	// 获取网络请求详情
 	server.tool(
-		"tab_new",
-		"Open a new tab",
+		"get_request",
+		"Get full details of a captured network request: request and response headers, request body and response body (text bodies are truncated at 100000 characters).",
 		{
-			url: z
-				.string()
-				.optional()
-				.describe("The URL to navigate to in the new tab. If not provided, the new tab will be blank."),
+			id: z.number().describe("Request id from list_requests"),
+			include_bodies: z.boolean().optional().describe("Fetch the request and response bodies. Default: true"),
 		},
 		async (params) => {
 			try {
 				if (!chromeClient.isLaunched()) {
-					// 仅初始化WebSocket服务器
-					await chromeClient.initialize()
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
 				}
 
-				// 直接调用tabNew，不再使用launch
-				const result = await chromeClient.tabNew(params.url)
+				const result = await chromeClient.getRequest(params.id, { includeBodies: params.include_bodies })
 				return formatResponse(result)
 			} catch (error) {
 				return {
@@ -535,7 +652,7 @@ export function registerMcpTools(server, chromeClient) {
 							type: "text",
 							text: JSON.stringify({
 								status: "error",
-								message: `Error creating new tab: ${error.message}`,
+								message: `Error getting request: ${error.message}`,
 							}),
 						},
 					],
@@ -544,12 +661,16 @@ export function registerMcpTools(server, chromeClient) {
 		},
 	)
 
-	// 注册工具：MCP Browser Tab Select
+	// 导出HAR
 	server.tool(
-		"tab_select",
-		"Select a tab by index",
+		"export_har",
+		"Export all network requests captured from the current tab as a HAR 1.2 file on the server host and return its path.",
 		{
-			index: z.number().describe("The index of the tab to select"),
+			filename: z.string().optional().describe("Optional file name for the HAR file. Default: network_<timestamp>.har"),
+			include_bodies: z
+				.boolean()
+				.optional()
+				.describe("Embed response bodies in the HAR (slower, larger file). Default: false"),
 		},
 		async (params) => {
 			try {
@@ -567,7 +688,7 @@ export function registerMcpTools(server, chromeClient) {
 					}
 				}
 
-				const result = await chromeClient.tabSelect(params.index)
+				const result = await chromeClient.exportHar(params.filename, { includeBodies: params.include_bodies })
 				return formatResponse(result)
 			} catch (error) {
 				return {
@@ -576,7 +697,7 @@ export function registerMcpTools(server, chromeClient) {
 							type: "text",
 							text: JSON.stringify({
 								status: "error",
-								message: `Error selecting tab: ${error.message}`,
+								message: `Error exporting HAR: ${error.message}`,
 							}),
 						},
 					],
@@ -585,12 +706,12 @@ export function registerMcpTools(server, chromeClient) {
 		},
 	)
 
-	// 注册工具：MCP Browser Tab Close
+	// 注册工具：MCP Browser Snapshot
 	server.tool(
-		"tab_close",
-		"Close a tab",
+		"snapshot",
+		"Capture an accessibility tree snapshot of the current page as compact text (roles, accessible names, values and states). Interactive elements are tagged with refs like [ref=e12] that can be passed to click, type and scroll instead of coordinates. Cheaper and less ambiguous than a screenshot for dense pages.",
 		{
-			index: z.number().optional().describe("The index of the tab to close. Closes current tab if not provided."),
+			purpose: z.string().describe("give any string, workaround for no-parameter tools."),
 		},
 		async (params) => {
 			try {
@@ -608,7 +729,7 @@ export function registerMcpTools(server, chromeClient) {
 					}
 				}
 
-				const result = await chromeClient.tabClose(params.index)
+				const result = await chromeClient.snapshot()
 				return formatResponse(result)
 			} catch (error) {
 				return {
@@ -617,7 +738,1415 @@ export function registerMcpTools(server, chromeClient) {
 							type: "text",
 							text: JSON.stringify({
 								status: "error",
-								message: `Error closing tab: ${error.message}`,
+								message: `Error capturing snapshot: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：MCP Browser Save HTML
+	server.tool(
+		"save_html",
+		"Save the current page HTML to a file",
+		{
+			filename: z
+				.string()
+				.optional()
+				.describe("Optional file name (directories are ignored; saved in the temp directory with a .html extension)"),
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.saveFullHtml(params.filename)
+
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: result.status,
+								message: result.message,
+								path: result.path,
+								size: result.size,
+							}),
+						},
+					],
+				}
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error saving HTML: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：MCP Browser Get Page Content
+	server.tool(
+		"get_page_content",
+		"Get the main content of the current page as clean Markdown (headings, lists, links with absolute URLs, tables, code blocks). Scripts, styles and navigation are stripped, unless the selector targets a navigation, sidebar, header or footer element. Long pages are split into pages by character budget; request the next page to keep reading.",
+		{
+			selector: z
+				.string()
+				.optional()
+				.describe("CSS selector of the content root (optional, defaults to main, article or body)"),
+			page: z.number().optional().describe("Page number to return, starting at 1. Default: 1"),
+			max_chars: z.number().optional().describe("Maximum characters per page. Default: 20000"),
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.getPageContent({
+					selector: params.selector,
+					page: params.page,
+					maxChars: params.max_chars,
+				})
+				return formatResponse(result)
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error getting page content: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+	// 注册工具：MCP Browser Set Viewport
+	server.tool(
+		"set_viewport",
+		"Set the viewport configuration of the browser",
+		{
+			width: z.number().describe("Width of the browser viewport"),
+			height: z.number().describe("Height of the browser viewport"),
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.setViewport(params.width, params.height)
+
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: result.status,
+								message: result.message,
+								viewport: result.viewport,
+							}),
+						},
+					],
+				}
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error setting viewport: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：MCP Browser Area Screenshot
+	server.tool(
+		"area_screenshot",
+		"Take a screenshot of a specific area of the current page",
+		{
+			topLeft: z.string().describe("Top-left coordinate (x,y) of the area to capture"),
+			bottomRight: z.string().describe("Bottom-right coordinate (x,y) of the area to capture"),
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.takeAreaScreenshot(params.topLeft, params.bottomRight)
+
+				// 创建响应
+				const content = [
+					{
+						type: "text",
+						text: JSON.stringify({
+							status: result.status,
+							message: result.message,
+							savedPath: result.savedPath,
+						}),
+					},
+				]
+
+				// 如果有截图，添加为图像类型
+				if (result.screenshot && typeof result.screenshot === "string" && result.screenshot.startsWith("data:image")) {
+					const base64Data = result.screenshot.split(",")[1]
+					const mimeType = result.screenshot.split(",")[0].split(":")[1].split(";")[0]
+
+					content.push({
+						type: "image",
+						data: base64Data,
+						mimeType: mimeType || "image/jpeg",
+					})
+				}
+
+				return { content }
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error taking area screenshot: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：MCP Browser Wait
+	server.tool(
+		"wait",
+		"Wait for a specified number of seconds, with a screenshot of the current page state after waiting",
+		{
+			seconds: z.number().describe("Number of seconds to wait"),
+			screenshot: screenshotModeParam,
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.wait(params.seconds)
+				return formatResponse(result, { screenshot: params.screenshot })
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error waiting: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：MCP Browser Wait For
+	server.tool(
+		"wait_for",
+		"Wait until any of the given conditions is met: a selector becomes visible or hidden, text becomes visible, the URL matches a pattern, or the network has been idle for a number of milliseconds. Returns which condition fired, with a screenshot.",
+		{
+			selector: z.string().optional().describe("CSS selector to wait for"),
+			selector_state: z
+				.enum(["visible", "hidden"])
+				.optional()
+				.describe("Wait for the selector to become 'visible' (default) or 'hidden'"),
+			text: z.string().optional().describe("Text to wait for to become visible on the page"),
+			url: z
+				.string()
+				.optional()
+				.describe("URL pattern to wait for: a substring, a glob with '*', or a regular expression as '/pattern/flags'"),
+			network_idle_ms: z
+				.number()
+				.optional()
+				.describe("Wait until there have been no network requests in flight for this many milliseconds"),
+			timeout_ms: z.number().optional().describe("Maximum time to wait in milliseconds. Default: 30000"),
+			screenshot: screenshotModeParam,
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.waitFor(
+					{
+						selector: params.selector,
+						selectorState: params.selector_state,
+						text: params.text,
+						url: params.url,
+						networkIdleMs: params.network_idle_ms,
+					},
+					params.timeout_ms,
+				)
+				return formatResponse(result, { screenshot: params.screenshot })
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error waiting for condition: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：MCP Browser Tab List
+	server.tool(
+		"tab_list",
+		"List browser tabs",
+		{
+			purpose: z.string().describe("give any string, workaround for no-parameter tools."),
+			screenshot: screenshotModeParam,
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.tabList()
+				return formatResponse(result, { screenshot: params.screenshot })
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error listing tabs: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：MCP Browser Tab New
+	server.tool(
+		"tab_new",
+		"Open a new tab",
+		{
+			url: z
+				.string()
+				.optional()
+				.describe("The URL to navigate to in the new tab. If not provided, the new tab will be blank."),
+			screenshot: screenshotModeParam,
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					// 仅初始化WebSocket服务器
+					await chromeClient.initialize()
+				}
+
+				// 直接调用tabNew，不再使用launch
+				const result = await chromeClient.tabNew(params.url)
+				return formatResponse(result, { screenshot: params.screenshot })
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error creating new tab: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：MCP Browser Tab Select
+	server.tool(
+		"tab_select",
+		"Select a tab by index",
+		{
+			index: z.number().describe("The index of the tab to select"),
+			screenshot: screenshotModeParam,
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.tabSelect(params.index)
+				return formatResponse(result, { screenshot: params.screenshot })
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error selecting tab: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：MCP Browser Tab Close
+	server.tool(
+		"tab_close",
+		"Close a tab",
+		{
+			index: z.number().optional().describe("The index of the tab to close. Closes current tab if not provided."),
+			screenshot: screenshotModeParam,
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.tabClose(params.index)
+				return formatResponse(result, { screenshot: params.screenshot })
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error closing tab: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 开始录制
+	server.tool(
+		"record_start",
+		"Start recording the user's actions in the browser (clicks, typing, key presses, scrolling, page loads) together with before/after screenshots. Values typed into password, credit card and configured sensitive fields are replaced with [REDACTED]. Let the user demonstrate a flow, then call record_stop to save it.",
+		{
+			title: z.string().optional().describe("Title of the recording session"),
+			task: z.string().optional().describe("Description of the task being demonstrated"),
+			redact_selectors: z
+				.array(z.string())
+				.optional()
+				.describe(
+					"Extra CSS selectors of fields whose values must not be recorded. Password and autocomplete=cc-* fields are always redacted",
+				),
+			redact_patterns: z
+				.array(z.string())
+				.optional()
+				.describe(
+					"Regexes (e.g. '/\\d{3}-\\d{2}-\\d{4}/') whose matches are masked in recorded values and element text",
+				),
+			blur_sensitive: z
+				.boolean()
+				.optional()
+				.describe("Blur sensitive fields in the before/after screenshots. Defaults to the extension options setting"),
+		},
+		async (params) => {
+			try {
+				// 录制需要扩展已连接，未初始化时先启动WebSocket服务器并等待扩展连接
+				if (!chromeClient.isLaunched()) {
+					await chromeClient.initialize()
+				}
+
+				const result = await chromeClient.startRecording(params.title, params.task, {
+					selectors: params.redact_selectors,
+					patterns: params.redact_patterns,
+					blurScreenshots: params.blur_sensitive,
+				})
+				return formatResponse(result)
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error starting recording: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 停止录制
+	server.tool(
+		"record_stop",
+		"Stop the current recording and save the session as session.json plus an images folder under the temp directory. Returns the file path and a step-by-step summary of the recorded actions. Stopped sessions beyond the extension's retention limit (20 by default, set in the extension options) are deleted from the extension and listed in prunedRecordings.",
+		{
+			purpose: z.string().describe("give any string, workaround for no-parameter tools."),
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.stopRecording()
+				return formatResponse(result)
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error stopping recording: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 录制状态
+	server.tool(
+		"record_status",
+		"Get the current recording state (whether recording, action count, duration) and the path of the last saved recording.",
+		{
+			purpose: z.string().describe("give any string, workaround for no-parameter tools."),
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.getRecordingStatus()
+				return formatResponse(result)
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error getting recording status: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 将录制转换为batch操作
+	server.tool(
+		"recording_to_batch",
+		"Convert a saved recording into a list of batch operations (navigate, click, type, press_key, press_key_combo, scroll, wait_for). Consecutive keystrokes on the same field are merged into one type operation. The result can be edited and passed to the batch tool.",
+		{
+			session: z
+				.string()
+				.optional()
+				.describe(
+					"Path to session.json, the session directory, or the session ID. Defaults to the most recent recording",
+				),
+		},
+		async (params) => {
+			try {
+				const result = await chromeClient.convertRecording(params.session)
+				return formatResponse(result)
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error converting recording: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 回放录制
+	server.tool(
+		"replay_recording",
+		"Replay a saved recording in the current tab by converting it into batch operations and executing them. Stops at the first failing step and reports the status of each step. If the browser is not initialized yet, the recording's start URL is opened in a new tab first.",
+		{
+			session: z
+				.string()
+				.optional()
+				.describe(
+					"Path to session.json, the session directory, or the session ID. Defaults to the most recent recording",
+				),
+			interval_ms: z.number().optional().describe("Interval between operations in milliseconds. Default: 500ms"),
+		},
+		async (params) => {
+			try {
+				const result = await chromeClient.replayRecording(params.session, params.interval_ms || 500)
+				return formatResponse(result)
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error replaying recording: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 导出录制为测试脚本
+	server.tool(
+		"export_recording",
+		"Export a saved recording as a runnable Playwright Test (.spec.js) or Puppeteer script. Clicks and typing use locators derived from the recorded element (id, aria-label, role and text) and fall back to coordinates; page loads become goto and key presses become keyboard.press. The script is saved next to session.json and also returned.",
+		{
+			session: z
+				.string()
+				.optional()
+				.describe(
+					"Path to session.json, the session directory, or the session ID. Defaults to the most recent recording",
+				),
+			format: z.enum(["playwright", "puppeteer"]).optional().describe("Script format. Default: playwright"),
+			filename: z.string().optional().describe("Optional file name, saved in the session directory"),
+		},
+		async (params) => {
+			try {
+				const result = await chromeClient.exportRecording(
+					params.session,
+					params.format || "playwright",
+					params.filename,
+				)
+				return formatResponse(result)
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error exporting recording: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 列出扩展中保存的录制会话
+	server.tool(
+		"recording_list",
+		"List recording sessions stored in the extension. Sessions are saved incrementally while recording, so they survive service worker restarts and auto-stops; use recording_load to fetch one.",
+		{
+			purpose: z.string().describe("give any string, workaround for no-parameter tools."),
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.listStoredRecordings()
+				return formatResponse(result)
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error listing stored recordings: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 从扩展取回保存的录制会话
+	server.tool(
+		"recording_load",
+		"Fetch a recording session stored in the extension and save it as session.json plus images, like record_stop. The saved session can then be used with recording_to_batch, replay_recording and export_recording.",
+		{
+			session_id: z.string().describe("Session ID from recording_list"),
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.loadStoredRecording(params.session_id)
+				return formatResponse(result)
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error loading stored recording: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 删除扩展中保存的录制会话
+	server.tool(
+		"recording_delete",
+		"Delete a recording session stored in the extension. Files already saved to disk are not affected.",
+		{
+			session_id: z.string().describe("Session ID from recording_list"),
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.deleteStoredRecording(params.session_id)
+				return formatResponse(result)
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error deleting stored recording: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 截图当前页面、整个页面或指定元素
+	server.tool(
+		"screenshot",
+		"Take a screenshot of the viewport, the full scrollable page (fullPage), or a single element (selector or ref) such as a card or dialog. Supports png/jpeg/webp, quality, downscaling to maxWidth, a transparent background and numbered marks on interactive elements. The image is returned and saved to the screenshot directory.",
+		{
+			fullPage: z.boolean().optional().describe("Capture the full scrollable page instead of the viewport"),
+			selector: z.string().optional().describe("CSS selector of the element to capture"),
+			ref: z.string().optional().describe("Element ref from the latest snapshot of the element to capture"),
+			format: z.enum(["png", "jpeg", "webp"]).optional().describe("Image format. Default: png"),
+			quality: z.number().int().min(0).max(100).optional().describe("Image quality for jpeg and webp (0-100)"),
+			maxWidth: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe("Maximum image width in pixels; larger screenshots are scaled down proportionally"),
+			omitBackground: z
+				.boolean()
+				.optional()
+				.describe("Make the default white page background transparent (png and webp only)"),
+			marks: z
+				.boolean()
+				.optional()
+				.describe(
+					"Overlay numbered boxes on every visible interactive element (inside the element for element screenshots) and return a legend of number -> role, name and box in image pixels; pass the number to click as 'mark'. Not available with fullPage",
+				),
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.takeScreenshot(params)
+				return formatResponse(result, { screenshot: "always" })
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error taking screenshot: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：设置截图策略
+	server.tool(
+		"screenshot_policy",
+		"Set the global policy for the page screenshots returned after actions, to save context in long sessions: return them always, never, only when the page changed, or as a text summary; and limit their size and JPEG quality. Omitted fields keep their current value; call without arguments to see the current policy. Individual tools can override the mode with their 'screenshot' parameter.",
+		{
+			mode: z
+				.enum(SCREENSHOT_MODES)
+				.optional()
+				.describe(
+					"How tools return the page screenshot after an action: 'always', 'never', 'on_change' (only when the URL or DOM changed since the last screenshot) or 'text' (a short text summary instead of the image)",
+				),
+			maxWidth: z
+				.number()
+				.int()
+				.min(0)
+				.max(10000)
+				.optional()
+				.describe("Maximum width in pixels of page screenshots; larger ones are scaled down. 0 removes the limit"),
+			maxHeight: z
+				.number()
+				.int()
+				.min(0)
+				.max(10000)
+				.optional()
+				.describe("Maximum height in pixels of page screenshots; larger ones are scaled down. 0 removes the limit"),
+			quality: z.number().int().min(1).max(100).optional().describe("JPEG quality of page screenshots (1-100)"),
+			marks: z
+				.boolean()
+				.optional()
+				.describe(
+					"Overlay numbered boxes on visible interactive elements in page screenshots too, and return their legend with the image, like the screenshot tool's 'marks'",
+				),
+		},
+		async (params) => {
+			try {
+				const result = await chromeClient.setScreenshotPolicy({
+					mode: params.mode,
+					maxWidth: params.maxWidth,
+					maxHeight: params.maxHeight,
+					quality: params.quality,
+					marks: params.marks,
+				})
+				return formatResponse(result)
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error setting screenshot policy: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：鼠标悬停
+	server.tool(
+		"hover",
+		"Move the mouse over an element or coordinate without clicking, to reveal hover menus, tooltips and other hover-only content. The target is given the same way as for click.",
+		{
+			...pointerTargetShape("hover over"),
+			screenshot: screenshotModeParam,
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.hover(pickPointerTarget(params))
+				return formatResponse(result, { screenshot: params.screenshot })
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error hovering: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：双击
+	server.tool(
+		"double_click",
+		"Double-click an element or coordinate, for example to select a word or open an item. The target is given the same way as for click.",
+		{
+			...pointerTargetShape("double-click"),
+			screenshot: screenshotModeParam,
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.click(pickPointerTarget(params), { clickCount: 2 })
+				return formatResponse(result, { screenshot: params.screenshot })
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error double-clicking: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：右键点击
+	server.tool(
+		"right_click",
+		"Right-click an element or coordinate to open its context menu. The target is given the same way as for click.",
+		{
+			...pointerTargetShape("right-click"),
+			screenshot: screenshotModeParam,
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.click(pickPointerTarget(params), { button: "right" })
+				return formatResponse(result, { screenshot: params.screenshot })
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error right-clicking: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：拖拽
+	server.tool(
+		"drag",
+		"Drag from one element or coordinate to another with the left mouse button held, moving through intermediate points so sliders, sortable lists and canvases receive real mouse moves. HTML5 drag and drop (draggable elements, dragstart/dragover/drop handlers) is completed as well. Each end is given the same way as a click target.",
+		{
+			from: z.object(pointerTargetShape("drag from")).describe("Where to press the mouse button"),
+			to: z.object(pointerTargetShape("drop on")).describe("Where to release the mouse button"),
+			steps: z
+				.number()
+				.int()
+				.min(1)
+				.max(100)
+				.optional()
+				.describe("Number of intermediate mouse moves between the two points, defaults to 10"),
+			screenshot: screenshotModeParam,
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.drag(params.from, params.to, params.steps)
+				return formatResponse(result, { screenshot: params.screenshot })
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error dragging: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：表单填写
+	server.tool(
+		"fill_form",
+		"Fill many form fields in one call. Each key of 'fields' locates a field by its label text, name attribute, id, placeholder or CSS selector; each value is the text to enter, the option to select (value or visible label; an array for multi-selects and checkbox groups), true/false for a checkbox, or the option to pick in a radio group. Text inputs, textareas, selects, checkboxes, radios, date/time inputs and contenteditable elements are supported, and input/change events are dispatched so page scripts see the new values. Returns the result of each field and any validation messages shown afterwards.",
+		{
+			fields: z
+				.record(z.union([z.string(), z.number(), z.boolean(), z.array(z.string())]))
+				.describe(
+					'Map of field locator to value, such as {"Email": "a@b.com", "country": "Canada", "I agree to the terms": true, "#dob": "1990-05-17"}',
+				),
+			screenshot: screenshotModeParam,
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.fillForm(params.fields)
+				return formatResponse(result, { screenshot: params.screenshot })
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error filling form: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：选择下拉框选项
+	server.tool(
+		"select_option",
+		"Choose options in a native <select> dropdown. Its popup cannot be operated with clicks, so use this tool instead: it sets the selection by option value, visible label or zero-based index and fires input/change events. Locate the <select> (or its label) by snapshot ref, mark, CSS selector, text or ARIA role + name. For multi-selects pass arrays to select several options. If the requested option does not exist, the error lists the available options.",
+		{
+			...elementTargetShape("select an option in"),
+			value: z
+				.union([z.string(), z.array(z.string())])
+				.optional()
+				.describe("Value attribute of the option to select, or an array of values for a multi-select"),
+			label: z
+				.union([z.string(), z.array(z.string())])
+				.optional()
+				.describe("Visible label of the option to select, or an array of labels for a multi-select"),
+			index: z
+				.union([z.number().int().min(0), z.array(z.number().int().min(0))])
+				.optional()
+				.describe("Zero-based index of the option to select, or an array of indexes for a multi-select"),
+			screenshot: screenshotModeParam,
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.selectOption(pickPointerTarget(params), {
+					value: params.value,
+					label: params.label,
+					index: params.index,
+				})
+				return formatResponse(result, { screenshot: params.screenshot })
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error selecting option: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：上传文件
+	server.tool(
+		"upload_file",
+		"Upload files from the machine running this MCP server into an <input type=file>. Locate the file input (or a label or container that holds it) by CSS selector, snapshot ref, mark, text or ARIA role + name; hidden file inputs can be targeted by selector. Without a target, answers the file chooser opened by clicking an upload button (responses show a notice while one is waiting). The page receives input/change events as if the user picked the files.",
+		{
+			paths: z
+				.array(z.string())
+				.min(1)
+				.describe(
+					"Paths of the files to upload; relative paths are resolved against the MCP server's working directory",
+				),
+			...elementTargetShape("upload into"),
+			screenshot: screenshotModeParam,
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.uploadFile(params.paths, pickPointerTarget(params))
+				return formatResponse(result, { screenshot: params.screenshot })
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error uploading file: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：处理JavaScript对话框
+	server.tool(
+		"handle_dialog",
+		"Accept or dismiss the JavaScript dialog (alert, confirm, prompt or beforeunload) open in the current tab. While a dialog is open the page is blocked and every tool response includes a notice with its type and message. For prompt dialogs, 'promptText' is entered before accepting.",
+		{
+			accept: z.boolean().describe("true to accept (OK / Leave), false to dismiss (Cancel / Stay)"),
+			promptText: z
+				.string()
+				.optional()
+				.describe("Text to enter into a prompt dialog before accepting; defaults to the dialog's default value"),
+			screenshot: screenshotModeParam,
+		},
+		async (params) => {
+			try {
+				if (!chromeClient.isLaunched()) {
+					return {
+						content: [
+							{
+								type: "text",
+								text: JSON.stringify({
+									status: "error",
+									message: "浏览器未初始化。请先使用navigate或tab_new命令打开一个页面。",
+								}),
+							},
+						],
+					}
+				}
+
+				const result = await chromeClient.handleDialog(params.accept, params.promptText)
+				return formatResponse(result, { screenshot: params.screenshot })
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error handling dialog: ${error.message}`,
+							}),
+						},
+					],
+				}
+			}
+		},
+	)
+
+	// 注册工具：设置对话框策略
+	server.tool(
+		"dialog_policy",
+		"Set how JavaScript dialogs are handled automatically, per dialog type. 'manual' (the default) leaves the dialog open, reports it in every response and waits for handle_dialog; 'accept' and 'dismiss' answer it as soon as it opens and report it in the next response. Omitted fields keep their current value; call without arguments to see the current policy.",
+		{
+			alert: z
+				.enum(DIALOG_ACTIONS)
+				.optional()
+				.describe("How to handle alert() dialogs: 'manual' (wait for handle_dialog), 'accept' or 'dismiss'"),
+			confirm: z
+				.enum(DIALOG_ACTIONS)
+				.optional()
+				.describe("How to handle confirm() dialogs: 'manual' (wait for handle_dialog), 'accept' or 'dismiss'"),
+			prompt: z
+				.enum(DIALOG_ACTIONS)
+				.optional()
+				.describe("How to handle prompt() dialogs: 'manual' (wait for handle_dialog), 'accept' or 'dismiss'"),
+			beforeunload: z
+				.enum(DIALOG_ACTIONS)
+				.optional()
+				.describe(
+					"How to handle 'Leave site?' dialogs shown by beforeunload handlers: 'manual' (wait for handle_dialog), 'accept' or 'dismiss'",
+				),
+			promptText: z
+				.string()
+				.optional()
+				.describe(
+					"Text entered into prompt dialogs that are accepted automatically; empty uses the dialog's default value",
+				),
+		},
+		async (params) => {
+			try {
+				const result = await chromeClient.setDialogPolicy({
+					alert: params.alert,
+					confirm: params.confirm,
+					prompt: params.prompt,
+					beforeunload: params.beforeunload,
+					promptText: params.promptText,
+				})
+				return formatResponse(result)
+			} catch (error) {
+				return {
+					content: [
+						{
+							type: "text",
+							text: JSON.stringify({
+								status: "error",
+								message: `Error setting dialog policy: ${error.message}`,
 							}),
 						},
 					],
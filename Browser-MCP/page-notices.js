@@ -0,0 +1,70 @@
+/**
+ * 页面提示
+ * 扩展在命令响应中附带需要调用方处理的页面状态（如等待应答的文件选择框、打开的JavaScript对话框），
+ * 这些状态会显示在之后每个工具的响应中，直到状态消失
+ */
+
+// 活动标签页中等待应答的文件选择框 {mode, openedAt}
+let fileChooser = null
+
+// 活动标签页中打开的JavaScript对话框 {type, message, defaultPrompt, url, openedAt}
+let dialog = null
+
+// 上次响应以来按策略自动处理的对话框，只报告一次
+let handledDialogs = []
+
+/**
+ * 根据扩展发来的消息更新页面提示，消息中没有的状态保持不变
+ * @param {Object} message - 命令响应或对话框打开通知
+ */
+export function updatePageNotices(message) {
+	if ("fileChooser" in message) {
+		fileChooser = message.fileChooser || null
+	}
+	if ("dialog" in message) {
+		dialog = message.dialog || null
+	}
+	if (Array.isArray(message.handledDialogs)) {
+		handledDialogs = handledDialogs.concat(message.handledDialogs)
+	}
+}
+
+/**
+ * 获取活动标签页中打开的JavaScript对话框
+ * @returns {Object|null} 对话框信息 {type, message, defaultPrompt, url, openedAt}，没有时返回null
+ */
+export function getOpenDialog() {
+	return dialog
+}
+
+/**
+ * 描述JavaScript对话框
+ * @param {Object} openDialog - 对话框信息
+ * @returns {string} 描述文本
+ */
+export function describeDialog(openDialog) {
+	const defaultPrompt = openDialog.defaultPrompt ? ` (default value: ${JSON.stringify(openDialog.defaultPrompt)})` : ""
+	return `JavaScript ${openDialog.type} dialog ${JSON.stringify(openDialog.message || "")}${defaultPrompt}`
+}
+
+/**
+ * 获取当前需要调用方处理的页面提示，自动处理过的对话框报告后即清除
+ * @returns {string[]} 提示文本列表
+ */
+export function getPageNotices() {
+	const notices = []
+	if (dialog) {
+		notices.push(`A ${describeDialog(dialog)} is open and blocks the page: call handle_dialog to accept or dismiss it.`)
+	}
+	for (const handled of handledDialogs) {
+		notices.push(`Auto-${handled.accepted ? "accepted" : "dismissed"} ${describeDialog(handled)}.`)
+	}
+	handledDialogs = []
+	if (fileChooser) {
+		const accepts = fileChooser.mode === "selectMultiple" ? "one or more files" : "one file"
+		notices.push(
+			`A file chooser is open and waiting for ${accepts}: call upload_file with the file paths to answer it.`,
+		)
+	}
+	return notices
+}
@@ -0,0 +1,162 @@
+import crypto from "crypto"
+import fs from "fs-extra"
+import * as path from "path"
+import { pairingTokenPath } from "./config.js"
+
+// 握手超时时间，超时未完成认证的连接会被关闭
+export const AUTH_TIMEOUT_MS = 10000
+
+// 认证失败时的关闭码
+export const AUTH_FAILED_CLOSE_CODE = 4001
+
+/**
+ * 读取配对令牌，不存在时生成新令牌并保存
+ * 环境变量 CODINGBABY_PAIRING_TOKEN 优先
+ * @returns {Promise<string>} 配对令牌
+ */
+export async function loadPairingToken() {
+	if (process.env.CODINGBABY_PAIRING_TOKEN) {
+		return process.env.CODINGBABY_PAIRING_TOKEN.trim()
+	}
+
+	if (await fs.pathExists(pairingTokenPath)) {
+		const token = (await fs.readFile(pairingTokenPath, "utf8")).trim()
+		if (token) {
+			return token
+		}
+	}
+
+	const token = crypto.randomBytes(24).toString("hex")
+	await fs.ensureDir(path.dirname(pairingTokenPath))
+	// 令牌只允许当前用户读取
+	await fs.writeFile(pairingTokenPath, `${token}\n`, { encoding: "utf8", mode: 0o600 })
+	console.error(`已生成新的配对令牌并保存到 ${pairingTokenPath}`)
+	return token
+}
+
+/**
+ * 计算握手证明: HMAC-SHA256(token, "<role>:<nonceA>:<nonceB>")
+ * @param {string} token - 配对令牌
+ * @param {string} role - "client"（扩展）或 "server"
+ * @param {string} nonceA - 对方的随机数
+ * @param {string} nonceB - 己方的随机数
+ * @returns {string} 十六进制的证明
+ */
+function computeProof(token, role, nonceA, nonceB) {
+	return crypto.createHmac("sha256", token).update(`codingbaby-${role}:${nonceA}:${nonceB}`).digest("hex")
+}
+
+/**
+ * 以常量时间比较两个十六进制字符串
+ * @param {string} a - 字符串a
+ * @param {string} b - 字符串b
+ * @returns {boolean} 是否相等
+ */
+function safeEqual(a, b) {
+	const bufferA = Buffer.from(String(a))
+	const bufferB = Buffer.from(String(b))
+	return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+}
+
+/**
+ * 对新连接执行质询-响应握手，认证通过前不处理任何命令
+ * 1. 服务器发送 authChallenge（服务器随机数）
+ * 2. 扩展回复 authHello（扩展随机数，不含证明）
+ * 3. 服务器发送 authServerProof（用令牌计算的证明），扩展校验通过后才会发出自己的证明
+ * 4. 扩展回复 authResponse（用令牌计算的证明）
+ * 5. 服务器校验后回复 authResult
+ * @param {WebSocket} ws - 客户端连接
+ * @param {string} token - 配对令牌
+ * @returns {Promise<void>} 认证成功时解析，失败时拒绝并关闭连接
+ */
+export function authenticateConnection(ws, token) {
+	return new Promise((resolve, reject) => {
+		const serverNonce = crypto.randomBytes(16).toString("hex")
+		let clientNonce = null
+
+		const fail = (reason) => {
+			cleanup()
+			// 关闭过程中收到的错误帧同样不能使进程崩溃
+			ws.on("error", () => ws.terminate())
+			try {
+				ws.send(JSON.stringify({ command: "authResult", status: "error", message: reason, source: "mcpServer" }))
+				ws.close(AUTH_FAILED_CLOSE_CODE, "Authentication failed")
+			} catch (e) {
+				// 忽略关闭错误
+			}
+			reject(new Error(reason))
+		}
+
+		const timeoutId = setTimeout(() => fail("Authentication timed out"), AUTH_TIMEOUT_MS)
+
+		const onMessage = (data) => {
+			let message
+			try {
+				message = JSON.parse(data.toString())
+			} catch (e) {
+				fail("Invalid handshake message")
+				return
+			}
+
+			// 服务器先证明持有令牌，扩展不会向未经验证的服务器发出自己的证明
+			if (!clientNonce) {
+				if (message.command !== "authHello") {
+					fail(`Expected authHello before any other message, got ${message.command || "unknown"}`)
+					return
+				}
+				if (!message.clientNonce || typeof message.clientNonce !== "string") {
+					fail("Missing client nonce")
+					return
+				}
+				clientNonce = message.clientNonce
+				ws.send(
+					JSON.stringify({
+						command: "authServerProof",
+						proof: computeProof(token, "server", clientNonce, serverNonce),
+						source: "mcpServer",
+					}),
+				)
+				return
+			}
+
+			if (message.command !== "authResponse") {
+				fail(`Expected authResponse after authServerProof, got ${message.command || "unknown"}`)
+				return
+			}
+
+			const { proof } = message
+			if (!proof || !safeEqual(proof, computeProof(token, "client", serverNonce, clientNonce))) {
+				fail("Invalid pairing token. Copy the token from the MCP server into the extension options page.")
+				return
+			}
+
+			cleanup()
+			ws.send(JSON.stringify({ command: "authResult", status: "success", source: "mcpServer" }))
+			resolve()
+		}
+
+		const onClose = () => {
+			cleanup()
+			reject(new Error("Connection closed during authentication"))
+		}
+
+		// 握手期间的协议错误（如非法帧）没有监听器时会导致进程崩溃
+		const onError = (error) => {
+			cleanup()
+			ws.terminate()
+			reject(new Error(`Connection error during authentication: ${error.message}`))
+		}
+
+		const cleanup = () => {
+			clearTimeout(timeoutId)
+			ws.off("message", onMessage)
+			ws.off("close", onClose)
+			ws.off("error", onError)
+		}
+
+		ws.on("message", onMessage)
+		ws.on("close", onClose)
+		ws.on("error", onError)
+		ws.send(JSON.stringify({ command: "authChallenge", nonce: serverNonce, source: "mcpServer" }))
+	})
+}
@@ -0,0 +1,451 @@
+import { convertRecordingActions } from "./recordings.js"
+
+// 支持的导出格式及默认文件名后缀
+export const EXPORT_FORMATS = {
+	playwright: ".spec.js",
+	puppeteer: ".puppeteer.js",
+}
+
+// 没有录制到实际滚动距离时的默认滚动像素
+const DEFAULT_SCROLL_PIXELS = 500
+
+// 文本定位使用精确匹配的最大长度，录制时元素文本最多保存50个字符，更长的可能已被截断
+const MAX_EXACT_TEXT_LENGTH = 49
+
+// 按文本定位时对应的无障碍角色
+const TAG_ROLES = {
+	a: "link",
+	button: "button",
+}
+
+/**
+ * 生成JS字符串字面量
+ * @param {string} value - 字符串
+ * @returns {string} 字面量
+ */
+function quote(value) {
+	return JSON.stringify(String(value))
+}
+
+/**
+ * 判断id是否像是自动生成的（包含较长数字或冒号），这类id在每次加载时可能变化
+ * @param {string} id - 元素id
+ * @returns {boolean} 是否不稳定
+ */
+function isUnstableId(id) {
+	return /\d{3,}|:/.test(id)
+}
+
+/**
+ * 根据录制到的元素信息选择最稳健的定位方式
+ * 有selectorGenerator.js计算的选择器列表时取排名第一的，否则按旧录制的元素信息推断：
+ * 稳定的id > aria-label > 链接/按钮的角色和名称 > 可见文本 > 标签和类名
+ * @param {Object} target - describeRecordedTarget整理后的元素信息
+ * @returns {{kind: string, value: string, role?: string, attribute?: string, exact?: boolean, framePath: Object[], shadowPath: string[]}|null} 定位方式，无法定位时返回null
+ */
+function pickLocator(target) {
+	if (!target) {
+		return null
+	}
+
+	if (target.selectors.length > 0) {
+		// 跨域iframe中的元素无法从顶层页面定位
+		if (target.framePath.some((frame) => !frame.selector)) {
+			return null
+		}
+		const scope = { framePath: target.framePath, shadowPath: target.shadowPath }
+		const best = target.selectors[0]
+		switch (best.type) {
+			case "testid":
+				return { kind: "testid", value: best.value, attribute: best.attribute, css: best.selector, ...scope }
+			case "role":
+				return { kind: "role", role: best.role, value: best.name, exact: true, ...scope }
+			case "text":
+				return { kind: "text", value: best.text, exact: true, ...scope }
+			default:
+				return { kind: "css", value: best.selector, ...scope }
+		}
+	}
+
+	const scope = { framePath: [], shadowPath: [] }
+	if (target.id && !isUnstableId(target.id)) {
+		const selector = /^[A-Za-z][\w-]*$/.test(target.id) ? `#${target.id}` : `[id=${quote(target.id)}]`
+		return { kind: "css", value: selector, ...scope }
+	}
+
+	if (target.ariaLabel) {
+		return { kind: "label", value: target.ariaLabel, ...scope }
+	}
+
+	const text = target.text.replace(/\s+/g, " ").trim()
+	const isField = ["input", "textarea", "select"].includes(target.tagName)
+	if (text && !isField && !target.text.includes("\n")) {
+		const exact = text.length <= MAX_EXACT_TEXT_LENGTH
+		if (TAG_ROLES[target.tagName]) {
+			return { kind: "role", role: TAG_ROLES[target.tagName], value: text, exact, ...scope }
+		}
+		return { kind: "text", value: text, exact, ...scope }
+	}
+
+	const classNames = target.classNames.filter((name) => /^[A-Za-z][\w-]*$/.test(name) && !/\d{3,}/.test(name))
+	if (target.tagName && classNames.length > 0) {
+		return { kind: "css", value: `${target.tagName}.${classNames.slice(0, 2).join(".")}`, ...scope }
+	}
+
+	return null
+}
+
+/**
+ * 判断滚动步骤是否为滚动到精确位置
+ * @param {Object} params - scroll步骤的参数
+ * @returns {boolean} 是否有目标位置
+ */
+function hasScrollPosition(params) {
+	return params.x !== undefined || params.y !== undefined
+}
+
+/**
+ * 生成scroll步骤中滚动容器的定位方式，容器可能位于iframe和shadow DOM中
+ * @param {Object} params - scroll步骤的参数
+ * @returns {Object|null} pickLocator格式的CSS定位，没有容器时返回null
+ */
+function scrollContainerLocator(params) {
+	if (!params.selector) {
+		return null
+	}
+	return {
+		kind: "css",
+		value: params.selector,
+		framePath: (params.frame_path || []).map((selector) => ({ selector })),
+		shadowPath: params.shadow_path || [],
+	}
+}
+
+/**
+ * 计算按方向滚动的步骤的像素距离
+ * @param {Object} step - scroll步骤
+ * @returns {{x: number, y: number}} 水平和垂直距离
+ */
+function getScrollDelta(step) {
+	if (step.scrollDelta) {
+		return step.scrollDelta
+	}
+	switch (step.parameters.direction) {
+		case "up":
+			return { x: 0, y: -DEFAULT_SCROLL_PIXELS }
+		case "left":
+			return { x: -DEFAULT_SCROLL_PIXELS, y: 0 }
+		case "right":
+			return { x: DEFAULT_SCROLL_PIXELS, y: 0 }
+		default:
+			return { x: 0, y: DEFAULT_SCROLL_PIXELS }
+	}
+}
+
+/**
+ * 生成Playwright定位器表达式
+ * iframe通过frameLocator进入；Playwright的CSS定位默认穿透开放的shadow DOM，逐级限定在宿主元素内即可
+ * @param {Object} locator - pickLocator的结果
+ * @returns {string} 表达式
+ */
+function playwrightLocator(locator) {
+	let scope = "page"
+	for (const frame of locator.framePath) {
+		scope += `.frameLocator(${quote(frame.selector)})`
+	}
+
+	const exactOption = locator.exact ? ", { exact: true }" : ""
+	switch (locator.kind) {
+		case "testid":
+			// getByTestId只识别配置的测试ID属性（默认data-testid），其他属性使用CSS
+			if (locator.attribute === "data-testid") {
+				return `${scope}.getByTestId(${quote(locator.value)})`
+			}
+			return `${withShadowHosts(scope, locator.shadowPath)}.locator(${quote(locator.css)})`
+		case "label":
+			return `${scope}.getByLabel(${quote(locator.value)})`
+		case "role":
+			return `${scope}.getByRole(${quote(locator.role)}, { name: ${quote(locator.value)}${locator.exact ? ", exact: true" : ""} })`
+		case "text":
+			return `${scope}.getByText(${quote(locator.value)}${exactOption})`
+		default:
+			return `${withShadowHosts(scope, locator.shadowPath)}.locator(${quote(locator.value)})`
+	}
+}
+
+/**
+ * 将Playwright定位范围逐级限定到shadow宿主元素内
+ * @param {string} scope - 当前范围表达式
+ * @param {string[]} shadowPath - 宿主选择器列表
+ * @returns {string} 表达式
+ */
+function withShadowHosts(scope, shadowPath) {
+	return shadowPath.reduce((expression, host) => `${expression}.locator(${quote(host)})`, scope)
+}
+
+/**
+ * 生成Puppeteer选择器（使用P选择器 ::-p-aria 和 ::-p-text 定位文本，>>> 穿透shadow DOM）
+ * @param {Object} locator - pickLocator的结果
+ * @returns {string} 选择器
+ */
+function puppeteerSelector(locator) {
+	switch (locator.kind) {
+		case "label":
+			return `::-p-aria(${quote(locator.value)})`
+		case "role":
+			return `::-p-aria([name=${quote(locator.value)}][role=${quote(locator.role)}])`
+		case "text":
+			return `::-p-text(${quote(locator.value)})`
+		case "testid":
+			return [...locator.shadowPath, locator.css].join(" >>> ")
+		default:
+			return [...locator.shadowPath, locator.value].join(" >>> ")
+	}
+}
+
+/**
+ * 生成Puppeteer中进入iframe的代码，返回元素所在frame的变量名
+ * @param {Object} locator - pickLocator的结果
+ * @param {Object} context - 渲染上下文 {frameCount}，用于生成不重复的变量名
+ * @returns {{lines: string[], scope: string}} 代码行和frame变量名
+ */
+function puppeteerFrameScope(locator, context) {
+	const lines = []
+	let scope = "page"
+	for (const frame of locator.framePath) {
+		const variable = `frame${++context.frameCount}`
+		lines.push(`const ${variable} = await (await ${scope}.waitForSelector(${quote(frame.selector)})).contentFrame()`)
+		scope = variable
+	}
+	return { lines, scope }
+}
+
+/**
+ * 生成输入文本的表达式，脱敏的值从环境变量读取，例如 RECORDING_SECRET_1
+ * @param {Object} step - type步骤
+ * @param {Object} context - 渲染上下文 {secretCount}
+ * @returns {string} 表达式
+ */
+function textExpression(step, context) {
+	if (step.redacted) {
+		return `process.env.RECORDING_SECRET_${++context.secretCount} ?? ""`
+	}
+	return quote(step.parameters.text)
+}
+
+/**
+ * 将单个步骤渲染为Playwright代码
+ * @param {Object} step - 操作步骤
+ * @param {Object} context - 渲染上下文 {secretCount}
+ * @returns {string[]} 代码行
+ */
+function renderPlaywrightStep(step, context) {
+	const params = step.parameters
+	const locator = pickLocator(step.target)
+
+	switch (step.name) {
+		case "navigate":
+			return [`await page.goto(${quote(params.url)})`]
+		case "wait_for":
+			return [`await page.waitForURL((url) => url.href.startsWith(${quote(params.url)}))`]
+		case "click": {
+			if (locator) return [`await ${playwrightLocator(locator)}.click()`]
+			const [x, y] = (step.coordinate || params.coordinate).split(",").map(Number)
+			return [`await page.mouse.click(${x}, ${y})`]
+		}
+		case "type": {
+			const text = textExpression(step, context)
+			if (locator) return [`await ${playwrightLocator(locator)}.fill(${text})`]
+			return [`await page.keyboard.type(${text})`]
+		}
+		case "press_key":
+			return [`await page.keyboard.press(${quote(params.key)})`]
+		case "press_key_combo":
+			return [`await page.keyboard.press(${quote(params.combination)})`]
+		case "scroll": {
+			const container = scrollContainerLocator(params)
+			if (hasScrollPosition(params)) {
+				const position = `[${params.x ?? 0}, ${params.y ?? 0}]`
+				if (container) {
+					return [`await ${playwrightLocator(container)}.evaluate((el, [x, y]) => el.scrollTo(x, y), ${position})`]
+				}
+				return [`await page.evaluate(([x, y]) => window.scrollTo(x, y), ${position})`]
+			}
+			const delta = getScrollDelta(step)
+			if (container) {
+				return [
+					`await ${playwrightLocator(container)}.evaluate((el, [x, y]) => el.scrollBy(x, y), [${delta.x}, ${delta.y}])`,
+				]
+			}
+			return [`await page.mouse.wheel(${delta.x}, ${delta.y})`]
+		}
+		default:
+			return [`// Unsupported step: ${step.name} ${JSON.stringify(params)}`]
+	}
+}
+
+/**
+ * 生成Playwright测试末尾的断言：页面停留在录制时最后加载的URL
+ * @param {Object[]} steps - 操作步骤
+ * @returns {string[]} 代码行，没有加载过页面时为空
+ */
+function renderPlaywrightAssertions(steps) {
+	const lastPageload = steps.findLast(
+		(step) => (step.name === "navigate" || step.name === "wait_for") && step.parameters.url,
+	)
+	if (!lastPageload) {
+		return []
+	}
+	const url = lastPageload.parameters.url
+	if (lastPageload.name === "navigate") {
+		return [`await expect(page).toHaveURL(${quote(url)})`]
+	}
+	// 点击触发的导航只记录了不含查询参数的URL前缀
+	const prefix = url.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+	return [`await expect(page).toHaveURL(new RegExp(${quote(`^${prefix}`)}))`]
+}
+
+/**
+ * 将单个步骤渲染为Puppeteer代码
+ * @param {Object} step - 操作步骤
+ * @param {Object} context - 渲染上下文 {frameCount, secretCount}
+ * @returns {string[]} 代码行
+ */
+function renderPuppeteerStep(step, context) {
+	const params = step.parameters
+	const locator = pickLocator(step.target)
+	const { lines: frameLines, scope } = locator ? puppeteerFrameScope(locator, context) : { lines: [], scope: "page" }
+
+	switch (step.name) {
+		case "navigate":
+			return [`await page.goto(${quote(params.url)})`]
+		case "wait_for":
+			return [`await page.waitForFunction((prefix) => location.href.startsWith(prefix), {}, ${quote(params.url)})`]
+		case "click": {
+			if (locator) return [...frameLines, `await ${scope}.locator(${quote(puppeteerSelector(locator))}).click()`]
+			const [x, y] = (step.coordinate || params.coordinate).split(",").map(Number)
+			return [`await page.mouse.click(${x}, ${y})`]
+		}
+		case "type": {
+			const text = textExpression(step, context)
+			if (locator) {
+				return [...frameLines, `await ${scope}.locator(${quote(puppeteerSelector(locator))}).fill(${text})`]
+			}
+			return [`await page.keyboard.type(${text})`]
+		}
+		case "press_key":
+			return [`await page.keyboard.press(${quote(params.key)})`]
+		case "press_key_combo": {
+			// Puppeteer的keyboard.press不支持组合键，需要依次按下修饰键
+			const keys = params.combination.split("+")
+			const key = keys.pop()
+			return [
+				...keys.map((modifier) => `await page.keyboard.down(${quote(modifier)})`),
+				`await page.keyboard.press(${quote(key)})`,
+				...keys.reverse().map((modifier) => `await page.keyboard.up(${quote(modifier)})`),
+			]
+		}
+		case "scroll": {
+			const container = scrollContainerLocator(params)
+			const { lines: containerFrameLines, scope: containerScope } = container
+				? puppeteerFrameScope(container, context)
+				: { lines: [], scope: "page" }
+			const containerSelector = container && quote(puppeteerSelector(container))
+			if (hasScrollPosition(params)) {
+				const position = `${params.x ?? 0}, ${params.y ?? 0}`
+				if (container) {
+					return [
+						...containerFrameLines,
+						`await ${containerScope}.$eval(${containerSelector}, (el, x, y) => el.scrollTo(x, y), ${position})`,
+					]
+				}
+				return [`await page.evaluate((x, y) => window.scrollTo(x, y), ${position})`]
+			}
+			const delta = getScrollDelta(step)
+			if (container) {
+				return [
+					...containerFrameLines,
+					`await ${containerScope}.$eval(${containerSelector}, (el, x, y) => el.scrollBy(x, y), ${delta.x}, ${delta.y})`,
+				]
+			}
+			return [`await page.mouse.wheel({ deltaX: ${delta.x}, deltaY: ${delta.y} })`]
+		}
+		default:
+			return [`// Unsupported step: ${step.name} ${JSON.stringify(params)}`]
+	}
+}
+
+/**
+ * 生成脚本头部注释
+ * @param {Object} session - 录制会话
+ * @param {Object[]} steps - 操作步骤
+ * @returns {string[]} 注释行
+ */
+function renderHeader(session, steps) {
+	const lines = [`// Generated from recording ${session.id || ""}: ${session.title || ""}`.trimEnd()]
+	if (session.task) lines.push(`// Task: ${session.task}`)
+	lines.push(
+		"// Steps without a recorded element use viewport coordinates; keep the viewport size used while recording.",
+	)
+	const secretCount = steps.filter((step) => step.redacted).length
+	if (secretCount > 0) {
+		const variables = secretCount === 1 ? "RECORDING_SECRET_1" : `RECORDING_SECRET_1..${secretCount}`
+		lines.push(`// Redacted values are read from the ${variables} environment variables.`)
+	}
+	return lines
+}
+
+/**
+ * 将录制会话导出为Playwright Test或Puppeteer脚本
+ * @param {Object} session - 录制会话
+ * @param {string} format - 导出格式: playwright 或 puppeteer
+ * @returns {{script: string, stepCount: number, skipped: Object[]}} 脚本内容、步骤数和跳过的操作
+ */
+export function exportRecordingScript(session, format = "playwright") {
+	if (!EXPORT_FORMATS[format]) {
+		throw new Error(`Unsupported export format: ${format}, expected ${Object.keys(EXPORT_FORMATS).join(" or ")}`)
+	}
+
+	const { steps, skipped } = convertRecordingActions(session)
+	const testName = session.title || session.id || "recorded session"
+	const context = { frameCount: 0, secretCount: 0 }
+	let lines
+
+	if (format === "playwright") {
+		const assertions = renderPlaywrightAssertions(steps)
+		lines = [
+			...renderHeader(session, steps),
+			`const { ${assertions.length > 0 ? "test, expect" : "test"} } = require("@playwright/test")`,
+			"",
+			`test(${quote(testName)}, async ({ page }) => {`,
+			...[...steps.flatMap((step) => renderPlaywrightStep(step, context)), ...assertions].map((line) => `\t${line}`),
+			"})",
+		]
+	} else {
+		lines = [
+			...renderHeader(session, steps),
+			`const puppeteer = require("puppeteer")`,
+			"",
+			"async function main() {",
+			"\tconst browser = await puppeteer.launch({ headless: false })",
+			"\tconst page = await browser.newPage()",
+			"\ttry {",
+			...steps.flatMap((step) => renderPuppeteerStep(step, context)).map((line) => `\t\t${line}`),
+			"\t} finally {",
+			"\t\tawait browser.close()",
+			"\t}",
+			"}",
+			"",
+			"main().catch((error) => {",
+			"\tconsole.error(error)",
+			"\tprocess.exit(1)",
+			"})",
+		]
+	}
+
+	return {
+		script: `${lines.join("\n")}\n`,
+		stepCount: steps.length,
+		skipped,
+	}
+}
@@ -0,0 +1,546 @@
+import crypto from "crypto"
+import fs from "fs-extra"
+import * as path from "path"
+import { recordingSaveDir } from "./config.js"
+
+// 会话中保存截图的字段
+const SCREENSHOT_FIELDS = ["screenshotBefore", "screenshotAfter"]
+
+/**
+ * 将dataURL解析为图片数据
+ * @param {string} dataUrl - 图片dataURL
+ * @returns {{buffer: Buffer, extension: string}|null} 图片数据和扩展名，无法解析时返回null
+ */
+function parseImageDataUrl(dataUrl) {
+	const match = typeof dataUrl === "string" && dataUrl.match(/^data:image\/(\w+);base64,(.*)$/)
+	if (!match) {
+		return null
+	}
+	return {
+		buffer: Buffer.from(match[2], "base64"),
+		extension: match[1] === "jpeg" ? "jpg" : match[1],
+	}
+}
+
+/**
+ * 生成会话目录名，只保留文件名安全的字符
+ * 路径分隔符被替换，开头的点也被替换，"."和".."等名称不会指向保存目录之外
+ * @param {Object} session - 录制会话
+ * @returns {string} 目录名
+ */
+function getSessionDirName(session) {
+	const id = String(session.id || `session-${Date.now()}`)
+	return id.replace(/[^\w.-]/g, "_").replace(/^\./, "_")
+}
+
+/**
+ * 保存录制会话：session.json保存操作列表，截图保存到images目录，JSON中以相对路径引用
+ * 相同的截图（例如上一步的操作后截图和下一步的操作前截图）只保存一次
+ * @param {Object} session - 扩展返回的录制会话
+ * @returns {Promise<{sessionDir: string, sessionPath: string, imageDir: string, actionCount: number, imageCount: number}>} 保存结果
+ */
+export async function saveRecordingSession(session) {
+	const sessionDir = path.join(recordingSaveDir, getSessionDirName(session))
+	const imageDir = path.join(sessionDir, "images")
+	await fs.ensureDir(imageDir)
+
+	const savedImages = new Map()
+	const actions = []
+
+	for (const [index, action] of (session.actions || []).entries()) {
+		const savedAction = { ...action }
+
+		for (const field of SCREENSHOT_FIELDS) {
+			const image = parseImageDataUrl(action[field])
+			if (!image) {
+				delete savedAction[field]
+				continue
+			}
+
+			const hash = crypto.createHash("sha1").update(image.buffer).digest("hex")
+			let relativePath = savedImages.get(hash)
+			if (!relativePath) {
+				const suffix = field === "screenshotBefore" ? "before" : "after"
+				relativePath = `images/${String(index + 1).padStart(3, "0")}-${suffix}.${image.extension}`
+				await fs.writeFile(path.join(sessionDir, relativePath), image.buffer)
+				savedImages.set(hash, relativePath)
+			}
+			savedAction[field] = relativePath
+		}
+
+		actions.push(savedAction)
+	}
+
+	const sessionPath = path.join(sessionDir, "session.json")
+	await fs.writeJson(
+		sessionPath,
+		{
+			...session,
+			actions,
+			savedAt: new Date().toISOString(),
+		},
+		{ spaces: 2 },
+	)
+
+	return {
+		sessionDir,
+		sessionPath,
+		imageDir,
+		actionCount: actions.length,
+		imageCount: savedImages.size,
+	}
+}
+
+/**
+ * 生成单个录制操作的简短描述
+ * @param {Object} action - 录制操作
+ * @returns {string} 描述
+ */
+function describeAction(action) {
+	const params = action.params || {}
+	switch (action.actionType) {
+		case "pageload":
+			return `pageload ${params.url || action.url || ""}`
+		case "click": {
+			const target = params.target || {}
+			const label = target.innerText || target.id || target.tagName || ""
+			return `click at ${params.x},${params.y}${label ? ` on ${JSON.stringify(label.trim())}` : ""}`
+		}
+		case "input":
+			return `input ${JSON.stringify(params.value ?? "")}${params.target?.id ? ` into #${params.target.id}` : ""}`
+		case "keypress":
+			return `keypress ${params.key}`
+		case "scroll": {
+			if (params.deltaX === undefined && params.deltaY === undefined) {
+				return `scroll to ${params.scrollX},${params.scrollY}`
+			}
+			const container = params.container ? describeRecordedTarget({ target: params.container }) : null
+			const label = container ? container.id || container.tagName : ""
+			return `scroll ${params.direction} by ${params.deltaX},${params.deltaY} to ${params.scrollX},${params.scrollY}${label ? ` in ${label}` : ""}`
+		}
+		default:
+			return `${action.actionType} ${JSON.stringify(params)}`
+	}
+}
+
+/**
+ * 生成录制会话的操作摘要，每个操作一行
+ * @param {Object} session - 录制会话
+ * @returns {string} 摘要文本
+ */
+export function summarizeRecordingSession(session) {
+	const actions = session.actions || []
+	if (actions.length === 0) {
+		return "No actions recorded."
+	}
+	return actions.map((action, index) => `${index + 1}. ${describeAction(action)}`).join("\n")
+}
+
+/**
+ * 读取已保存的录制会话
+ * 参数可以是session.json路径、会话目录或会话ID，省略时读取保存目录中最新的会话
+ * @param {string} [sessionRef] - 会话文件路径、目录或会话ID
+ * @returns {Promise<{session: Object, sessionPath: string}>} 会话内容和文件路径
+ */
+export async function loadRecordingSession(sessionRef) {
+	let sessionPath
+
+	if (!sessionRef) {
+		const entries = (await fs.pathExists(recordingSaveDir)) ? await fs.readdir(recordingSaveDir) : []
+		const candidates = []
+		for (const entry of entries) {
+			const candidate = path.join(recordingSaveDir, entry, "session.json")
+			if (await fs.pathExists(candidate)) {
+				candidates.push({ candidate, mtime: (await fs.stat(candidate)).mtimeMs })
+			}
+		}
+		if (candidates.length === 0) {
+			throw new Error(`No saved recordings found in ${recordingSaveDir}`)
+		}
+		sessionPath = candidates.sort((a, b) => b.mtime - a.mtime)[0].candidate
+	} else if (await fs.pathExists(sessionRef)) {
+		const stat = await fs.stat(sessionRef)
+		sessionPath = stat.isDirectory() ? path.join(sessionRef, "session.json") : sessionRef
+	} else {
+		sessionPath = path.join(recordingSaveDir, getSessionDirName({ id: sessionRef }), "session.json")
+	}
+
+	if (!(await fs.pathExists(sessionPath))) {
+		throw new Error(`Recording session not found: ${sessionPath}`)
+	}
+
+	return { session: await fs.readJson(sessionPath), sessionPath }
+}
+
+// 回放时需要单独发送的特殊按键，普通字符由输入事件合并为type操作
+const REPLAYABLE_KEYS = new Set([
+	"Enter",
+	"Escape",
+	"ArrowUp",
+	"ArrowDown",
+	"ArrowLeft",
+	"ArrowRight",
+	"PageUp",
+	"PageDown",
+	"Home",
+	"End",
+	"F1",
+	"F2",
+	"F3",
+	"F4",
+	"F5",
+	"F6",
+	"F7",
+	"F8",
+	"F9",
+	"F10",
+	"F11",
+	"F12",
+])
+
+// 可能触发页面跳转的操作，其后的pageload转换为等待URL而不是重新导航
+const NAVIGATING_OPERATIONS = new Set(["click", "press_key"])
+
+/**
+ * 从录制的选择器列表中选出batch操作可用的元素定位参数
+ * batch在顶层文档中查找元素，目标位于iframe或shadow DOM中时返回null，回退到坐标
+ * @param {Object} target - describeRecordedTarget整理后的元素信息
+ * @param {boolean} selectorOnly - 只接受CSS选择器（type操作只支持selector）
+ * @returns {{selector: string}|{role: string, name: string}|{text: string}|null} 定位参数
+ */
+function targetToLocator(target, selectorOnly = false) {
+	if (!target || target.framePath.length > 0 || target.shadowPath.length > 0) {
+		return null
+	}
+
+	for (const entry of target.selectors) {
+		if (entry.selector) return { selector: entry.selector }
+		if (selectorOnly) continue
+		if (entry.type === "role") return { role: entry.role, name: entry.name }
+		if (entry.type === "text") return { text: entry.text }
+	}
+
+	// 旧录制没有选择器列表，输入目标沿用id定位
+	if (selectorOnly && target.selectors.length === 0 && target.id) {
+		return { selector: `[id=${JSON.stringify(target.id)}]` }
+	}
+	return null
+}
+
+/**
+ * 生成输入目标的标识，用于合并同一元素上的连续输入
+ * @param {Object} action - 录制操作
+ * @returns {string} 目标标识
+ */
+function inputTargetKey(action) {
+	const params = action.params || {}
+	if (params.target) {
+		return `${action.tabId}|${params.target.tagName}|${params.target.id}|${params.target.className}`
+	}
+	return `${action.tabId}|${params.targetDescription || ""}`
+}
+
+/**
+ * 将keypress事件的修饰键转换为组合键字符串，例如 "Control+Shift+k"
+ * @param {Object} params - keypress参数 {key, modifiers}
+ * @returns {string} 组合键
+ */
+function toCombination(params) {
+	const modifiers = params.modifiers || {}
+	const parts = []
+	if (modifiers.ctrl) parts.push("Control")
+	if (modifiers.alt) parts.push("Alt")
+	if (modifiers.shift) parts.push("Shift")
+	if (modifiers.meta) parts.push("Meta")
+	parts.push(params.key)
+	return parts.join("+")
+}
+
+/**
+ * 删除值为undefined的参数
+ * @param {Object} parameters - 操作参数
+ * @returns {Object} 处理后的参数
+ */
+function compactParameters(parameters) {
+	return Object.fromEntries(Object.entries(parameters).filter(([, value]) => value !== undefined))
+}
+
+/**
+ * 整理录制到的目标元素信息
+ * 兼容两种格式：params.target对象 {tagName, id, className, innerText, type}，
+ * 以及BrowserRecorder.getElementDescription生成的描述文本，例如 "\"Submit\" button #send .btn.primary"
+ * 两种格式都可能带有selectorGenerator.js计算的selectors、framePath和shadowPath
+ * @param {Object} params - 录制操作参数
+ * @returns {Object|undefined} 元素信息 {tagName, id, classNames, text, ariaLabel, inputType, selectors, framePath, shadowPath}
+ */
+function describeRecordedTarget(params) {
+	const source = params.target || params
+	const located = {
+		selectors: Array.isArray(source.selectors) ? source.selectors : [],
+		framePath: Array.isArray(source.framePath) ? source.framePath : [],
+		shadowPath: Array.isArray(source.shadowPath) ? source.shadowPath : [],
+	}
+
+	if (params.target) {
+		const target = params.target
+		return {
+			...located,
+			tagName: (target.tagName || "").toLowerCase(),
+			id: target.id || "",
+			classNames: typeof target.className === "string" ? target.className.split(/\s+/).filter(Boolean) : [],
+			text: (target.innerText || "").trim(),
+			ariaLabel: target.ariaLabel || "",
+			inputType: target.type || "",
+		}
+	}
+
+	if (typeof params.targetDescription === "string") {
+		const description = params.targetDescription
+		const quoted = [...description.matchAll(/"([^"]*)"/g)].map((match) => match[1])
+		const rest = description
+			.replace(/"[^"]*"/g, " ")
+			.trim()
+			.split(/\s+/)
+		return {
+			tagName: rest.find((part) => /^[a-z][\w-]*$/.test(part)) || "",
+			id: (rest.find((part) => part.startsWith("#")) || "").slice(1),
+			classNames: (rest.find((part) => part.startsWith(".")) || "").split(".").filter(Boolean),
+			// 同时有两段引号文本时，第一段是aria-label
+			text: quoted.length > 1 ? quoted[1] : quoted[0] || "",
+			ariaLabel: quoted.length > 1 ? quoted[0] : "",
+			inputType: "",
+			...located,
+		}
+	}
+
+	return undefined
+}
+
+/**
+ * 将录制会话转换为操作步骤，步骤中额外保留录制到的元素信息(target)、点击坐标(coordinate)和滚动距离(scrollDelta)，供导出测试脚本使用
+ * - 第一次pageload作为起始URL（navigate操作）
+ * - 点击/回车之后的pageload转换为wait_for等待URL，其他情况重新导航
+ * - 同一元素上的连续输入事件合并为一个type操作（录制的是完整值，取最后一次）
+ * - press_combination转换为press_key_combo，scroll和scroll_down等转换为滚动到录制时位置的scroll
+ * @param {Object} session - 录制会话
+ * @returns {{steps: Object[], startUrl: string|undefined, skipped: Object[]}} 操作步骤、起始URL和跳过的操作
+ */
+export function convertRecordingActions(session) {
+	const actions = session.actions || []
+	const operations = []
+	const skipped = []
+	const scrollPositions = new Map()
+	let startUrl
+	let lastInputKey = null
+
+	const push = (name, parameters, extra = {}) => {
+		operations.push({ name, parameters, ...extra })
+		lastInputKey = null
+	}
+	const lastOperation = () => operations[operations.length - 1]
+
+	// 滚动回放为滚动到录制时的精确位置，scrollDelta供导出脚本参考
+	const pushScroll = (index, actionType, params, delta) => {
+		if (delta.x === 0 && delta.y === 0) {
+			skipped.push({ index, actionType, reason: "scroll position unchanged" })
+			return
+		}
+
+		let selector = params.selector
+		let framePath
+		let shadowPath
+		if (params.container) {
+			// 同源iframe和shadow DOM中的容器通过frame_path和shadow_path逐级定位，跨域iframe无法从顶层页面访问
+			const container = describeRecordedTarget({ target: params.container })
+			if (container.framePath.some((frame) => !frame.selector)) {
+				skipped.push({ index, actionType, reason: "scroll container inside a cross-origin iframe" })
+				return
+			}
+			selector = targetToLocator({ ...container, framePath: [], shadowPath: [] }, true)?.selector
+			if (!selector) {
+				skipped.push({ index, actionType, reason: "scroll container has no CSS selector" })
+				return
+			}
+			if (container.framePath.length > 0) framePath = container.framePath.map((frame) => frame.selector)
+			if (container.shadowPath.length > 0) shadowPath = container.shadowPath
+		}
+
+		push(
+			"scroll",
+			compactParameters({
+				x: params.scrollX,
+				y: params.scrollY,
+				selector,
+				frame_path: framePath,
+				shadow_path: shadowPath,
+			}),
+			{ scrollDelta: delta },
+		)
+	}
+
+	// 第一次用户操作所在的标签页才是回放目标，其他标签页开始录制时的pageload忽略
+	let currentTabId = actions.find((action) => action.actionType !== "pageload")?.tabId
+
+	for (const [index, action] of actions.entries()) {
+		const params = action.params || {}
+		const actionType = action.actionType
+		const inOtherTab = action.tabId !== undefined && currentTabId !== undefined && action.tabId !== currentTabId
+
+		if (inOtherTab && actionType !== "pageload") {
+			// 切换到了其他标签页：batch无法切换标签页，改为导航到该标签页的URL
+			currentTabId = action.tabId
+			if (action.url) push("navigate", { url: action.url })
+		}
+
+		switch (actionType) {
+			case "pageload": {
+				const url = params.url || action.url
+				if (!url) {
+					skipped.push({ index, actionType, reason: "pageload without url" })
+					break
+				}
+				if (inOtherTab) {
+					skipped.push({ index, actionType, reason: `pageload in another tab (${action.tabId})` })
+					break
+				}
+				scrollPositions.delete(action.tabId)
+
+				const previous = lastOperation()
+				if (!previous || previous.name === "navigate") {
+					// 录制开始前的页面，或连续的页面加载：以最后一次为准
+					if (previous) operations.pop()
+					if (operations.length === 0) startUrl = url
+					push("navigate", { url })
+				} else if (NAVIGATING_OPERATIONS.has(previous.name)) {
+					// 只匹配到路径，忽略查询参数中的时间戳等易变部分
+					push("wait_for", { url: url.split(/[?#]/)[0], timeout_ms: 15000 })
+				} else {
+					push("navigate", { url })
+				}
+				break
+			}
+
+			case "click": {
+				const coordinate = params.coordinate || (params.x !== undefined ? `${params.x},${params.y}` : null)
+				// 优先使用录制的选择器，页面布局或视口变化后仍能找到元素
+				const target = describeRecordedTarget(params)
+				const locator = targetToLocator(target)
+				if (!locator && !coordinate) {
+					skipped.push({ index, actionType, reason: "click without coordinate or selector" })
+					break
+				}
+				push("click", locator || { coordinate }, { target, coordinate })
+				break
+			}
+
+			case "input":
+			case "type": {
+				const text = actionType === "input" ? params.value : params.text
+				if (!text) {
+					skipped.push({ index, actionType, reason: "empty input" })
+					break
+				}
+				const key = inputTargetKey(action)
+				if (lastInputKey === key) {
+					// 同一元素上的连续输入，记录的是完整值，用最新的值替换
+					const previous = lastOperation()
+					previous.parameters.text = previous.redacted ? "" : text
+					if (actionType === "input") previous.parameters.clear = true
+					break
+				}
+				const target = describeRecordedTarget(params)
+				// input记录的是字段的完整值，回放时替换原有内容而不是追加
+				const clear = actionType === "input" ? { clear: true } : {}
+				if (params.redacted) {
+					// 脱敏的值无法回放，保留一个没有文本的步骤，由调用方补充
+					push("type", { text: "", ...targetToLocator(target, true), ...clear }, { target, redacted: true })
+				} else {
+					push("type", { text, ...targetToLocator(target, true), ...clear }, { target })
+				}
+				lastInputKey = key
+				break
+			}
+
+			case "keypress": {
+				const modifiers = params.modifiers || {}
+				if (modifiers.ctrl || modifiers.alt || modifiers.meta) {
+					push("press_key_combo", { combination: toCombination(params) })
+				} else if (REPLAYABLE_KEYS.has(params.key)) {
+					push("press_key", { key: params.key })
+				} else {
+					// 可打印字符、退格等已包含在输入事件的值中
+					skipped.push({ index, actionType, reason: `key "${params.key}" covered by input` })
+				}
+				break
+			}
+
+			case "press_key":
+				push("press_key", { key: params.key })
+				break
+
+			case "press_combination":
+				push("press_key_combo", { combination: params.combination })
+				break
+
+			case "scroll": {
+				if (params.deltaX !== undefined || params.deltaY !== undefined) {
+					pushScroll(index, actionType, params, { x: params.deltaX || 0, y: params.deltaY || 0 })
+					break
+				}
+
+				// 旧录制只有页面位置，与上一次的位置比较得到滚动距离
+				const previous = scrollPositions.get(action.tabId) || { scrollX: 0, scrollY: 0 }
+				const deltaX = (params.scrollX || 0) - previous.scrollX
+				const deltaY = (params.scrollY || 0) - previous.scrollY
+				scrollPositions.set(action.tabId, { scrollX: params.scrollX || 0, scrollY: params.scrollY || 0 })
+				pushScroll(index, actionType, params, { x: deltaX, y: deltaY })
+				break
+			}
+
+			default: {
+				const scrollMatch = actionType.match(/^scroll_(up|down|left|right)$/)
+				if (scrollMatch) {
+					if (params.deltaX !== undefined || params.deltaY !== undefined) {
+						pushScroll(index, actionType, params, { x: params.deltaX || 0, y: params.deltaY || 0 })
+					} else {
+						push("scroll", compactParameters({ direction: scrollMatch[1], selector: params.selector }))
+					}
+					break
+				}
+				skipped.push({ index, actionType, reason: "unsupported action type" })
+			}
+		}
+	}
+
+	return {
+		steps: operations,
+		startUrl,
+		skipped,
+	}
+}
+
+/**
+ * 将录制会话转换为batch工具可执行的操作序列
+ * @param {Object} session - 录制会话
+ * @returns {{operations: Object[], startUrl: string|undefined, skipped: Object[]}} 操作序列、起始URL和跳过的操作
+ */
+export function recordingToBatchOperations(session) {
+	const { steps, startUrl, skipped } = convertRecordingActions(session)
+	const operations = []
+	for (const step of steps) {
+		if (step.redacted) {
+			skipped.push({
+				actionType: "input",
+				selector: step.parameters.selector,
+				reason: "redacted sensitive value, add a type operation manually",
+			})
+			continue
+		}
+		operations.push({ name: step.name, parameters: step.parameters })
+	}
+	return {
+		operations,
+		startUrl,
+		skipped,
+	}
+}
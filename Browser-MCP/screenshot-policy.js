@@ -0,0 +1,160 @@
+import { AsyncLocalStorage } from "async_hooks"
+import { z } from "zod"
+import { DEFAULT_SCREENSHOT_POLICY, SCREENSHOT_MODES } from "./config.js"
+
+/**
+ * 截图策略
+ * 几乎每个操作都会返回页面截图，长会话中大部分上下文都消耗在几乎相同的截图上。
+ * 全局策略决定操作后的截图如何返回，每次调用也可以单独指定模式；
+ * on_change和text模式依赖页面状态（签名和文字摘要），扩展只在这两种模式下把它附加在带截图的响应中；
+ * 开启marks时扩展在截图上叠加set-of-marks编号框，编号图例随截图返回
+ */
+
+// 返回页面截图的工具共用的参数，单次调用覆盖全局截图策略
+export const screenshotModeParam = z
+	.enum(SCREENSHOT_MODES)
+	.optional()
+	.describe(
+		"How to return the page screenshot for this call: 'always', 'never', 'on_change' (only when the URL or DOM changed since the last screenshot) or 'text' (a short text summary instead). Defaults to the global policy set by screenshot_policy",
+	)
+
+// 当前生效的全局截图策略
+let screenshotPolicy = { ...DEFAULT_SCREENSHOT_POLICY }
+
+// 工具调用期间本次指定的截图模式，发给扩展的请求据此决定是否需要页面状态
+const requestedScreenshotMode = new AsyncLocalStorage()
+
+// 截图对应的页面状态和编号图例，按截图的dataURL查找；只保留最近的几个
+const pageStates = new Map()
+const screenshotMarks = new Map()
+const MAX_TRACKED_PAGE_STATES = 20
+
+// 最近一次返回给调用方的截图对应的页面签名
+let lastReturnedSignature = null
+
+/**
+ * 获取当前的全局截图策略
+ * @returns {{mode: string, maxWidth: number, maxHeight: number, quality: number, marks: boolean}} 截图策略
+ */
+export function getScreenshotPolicy() {
+	return { ...screenshotPolicy }
+}
+
+/**
+ * 更新全局截图策略，未提供的字段保持不变
+ * @param {Object} changes - {mode, maxWidth, maxHeight, quality, marks}
+ * @returns {Object} 更新后的截图策略
+ */
+export function updateScreenshotPolicy(changes = {}) {
+	for (const key of Object.keys(screenshotPolicy)) {
+		if (changes[key] !== undefined) {
+			screenshotPolicy[key] = changes[key]
+		}
+	}
+	return getScreenshotPolicy()
+}
+
+/**
+ * 让工具在执行期间记住调用方指定的截图模式（screenshot参数）
+ * 包装server.tool注册的处理函数，之后注册的所有工具都生效
+ * @param {Object} server - MCP服务器实例
+ */
+export function trackRequestedScreenshotMode(server) {
+	const registerTool = server.tool.bind(server)
+	server.tool = (...args) => {
+		const handler = args.pop()
+		return registerTool(...args, (params, extra) =>
+			requestedScreenshotMode.run(params?.screenshot, () => handler(params, extra)),
+		)
+	}
+}
+
+/**
+ * 判断当前工具调用的截图模式是否需要页面状态
+ * 计算页面状态需要遍历页面文本，只有on_change和text模式才请求扩展附加
+ * @returns {boolean} 是否需要页面状态
+ */
+export function needsPageState() {
+	const mode = requestedScreenshotMode.getStore() || screenshotPolicy.mode
+	return mode === "on_change" || mode === "text"
+}
+
+/**
+ * 记录扩展随截图返回的页面状态
+ * @param {string} screenshot - 截图dataURL
+ * @param {{signature: string, summary: string}} pageState - 页面状态
+ */
+export function rememberPageState(screenshot, pageState) {
+	rememberForScreenshot(pageStates, screenshot, pageState)
+}
+
+/**
+ * 记录扩展随操作后截图返回的编号图例
+ * @param {string} screenshot - 截图dataURL
+ * @param {Object[]} marks - 编号图例
+ */
+export function rememberScreenshotMarks(screenshot, marks) {
+	rememberForScreenshot(screenshotMarks, screenshot, Array.isArray(marks) ? marks : null)
+}
+
+/**
+ * 获取截图对应的编号图例
+ * @param {string} screenshot - 截图dataURL
+ * @returns {Object[]|undefined} 编号图例，截图没有叠加编号框时返回undefined
+ */
+export function getScreenshotMarks(screenshot) {
+	return screenshotMarks.get(screenshot)
+}
+
+/**
+ * 按截图记录附加信息，超出数量时删除最早的记录
+ * @param {Map} map - 记录表
+ * @param {string} screenshot - 截图dataURL
+ * @param {*} value - 附加信息，为空时不记录
+ */
+function rememberForScreenshot(map, screenshot, value) {
+	if (typeof screenshot !== "string" || !value) {
+		return
+	}
+	map.set(screenshot, value)
+	if (map.size > MAX_TRACKED_PAGE_STATES) {
+		map.delete(map.keys().next().value)
+	}
+}
+
+/**
+ * 按截图策略决定如何返回一张截图
+ * @param {string} screenshot - 截图dataURL
+ * @param {string} [mode] - 本次调用指定的模式，默认使用全局策略
+ * @returns {{includeImage: boolean, text?: string}} 是否返回图片，以及代替图片返回的文字
+ */
+export function applyScreenshotPolicy(screenshot, mode = screenshotPolicy.mode) {
+	const pageState = pageStates.get(screenshot)
+	let decision
+
+	switch (mode) {
+		case "never":
+			decision = { includeImage: false }
+			break
+		case "text":
+			decision = {
+				includeImage: false,
+				text: pageState?.summary || "Screenshot omitted (text mode); no page summary available.",
+			}
+			break
+		case "on_change":
+			// 没有页面状态时无法判断是否变化，按变化处理
+			decision =
+				!pageState || pageState.signature !== lastReturnedSignature
+					? { includeImage: true }
+					: { includeImage: false, text: "Screenshot omitted: the page has not changed since the last screenshot." }
+			break
+		default:
+			decision = { includeImage: true }
+	}
+
+	if (decision.includeImage) {
+		lastReturnedSignature = pageState?.signature ?? null
+	}
+	return decision
+}
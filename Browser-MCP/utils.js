@@ -1,5 +1,21 @@
+import { applyScreenshotPolicy, getScreenshotMarks } from "./screenshot-policy.js"
+import { getPageNotices } from "./page-notices.js"
+
+// 将set-of-marks编号图例格式化为文本内容，每个编号一行，坐标为截图中编号框的图片像素
+function formatMarksLegend(marks) {
+	const lines = marks.map(
+		(entry) =>
+			`[${entry.mark}] ${entry.role}${entry.name ? ` "${entry.name}"` : ""} at (${entry.x},${entry.y}) ${entry.width}x${entry.height}`,
+	)
+	return {
+		type: "text",
+		text: lines.length > 0 ? lines.join("\n") : "No interactive elements marked.",
+	}
+}
+
 // 正确格式化响应内容，将截图转换为MCP图像格式
-export function formatResponse(result) {
+// options.screenshot为本次调用的截图模式，未指定时使用全局截图策略
+export function formatResponse(result, options = {}) {
 	if (!result) return { content: [{ type: "text", text: JSON.stringify({ status: "error", message: "No result" }) }] }
 
 	// 处理内容
@@ -27,13 +43,168 @@ export function formatResponse(result) {
 		if (result.newTabUrl) basicInfo.newTabUrl = result.newTabUrl
 	}
 
+	// 需要调用方处理的页面状态，如等待应答的文件选择框
+	const notices = getPageNotices()
+	if (notices.length > 0) {
+		basicInfo.notices = notices
+	}
+
 	content.push({
 		type: "text",
 		text: JSON.stringify(basicInfo),
 	})
 
-	// 如果有截图，添加为图像类型
-	if (result.screenshot && typeof result.screenshot === "string" && result.screenshot.startsWith("data:image")) {
+	// 如果有页面快照，作为单独的文本内容返回，保持树形缩进可读
+	if (result.snapshot && typeof result.snapshot === "string") {
+		content.push({
+			type: "text",
+			text: result.snapshot,
+		})
+	}
+
+	// 如果有控制台日志，每条一行作为单独的文本内容返回
+	if (Array.isArray(result.logs)) {
+		const lines = result.logs.map((entry) => {
+			const time = new Date(entry.timestamp).toISOString().slice(11, 23)
+			const location = entry.url ? ` (${entry.url}${entry.lineNumber ? `:${entry.lineNumber}` : ""})` : ""
+			return `[${entry.level}] ${time} ${entry.source}: ${entry.text}${location}`
+		})
+		content.push({
+			type: "text",
+			text: lines.length > 0 ? lines.join("\n") : "No console entries.",
+		})
+	}
+
+	// 如果有网络请求列表，每个请求一行作为单独的文本内容返回
+	if (Array.isArray(result.requests)) {
+		const lines = result.requests.map((request) => {
+			const status = request.error ? `FAILED(${request.error})` : request.pending ? "pending" : request.status
+			const duration = request.durationMs !== null ? `${request.durationMs}ms` : "-"
+			const size = request.size !== null ? `${request.size}B` : "-"
+			const cache = request.fromCache ? " (cache)" : ""
+			return `#${request.id} ${request.method} ${status} ${request.type} ${duration} ${size}${cache} ${request.url}`
+		})
+		content.push({
+			type: "text",
+			text: lines.length > 0 ? lines.join("\n") : "No requests recorded.",
+		})
+	}
+
+	// 如果有set-of-marks编号图例，每个编号一行作为单独的文本内容返回
+	if (Array.isArray(result.marks)) {
+		content.push(formatMarksLegend(result.marks))
+	}
+
+	// 如果有表单填写结果，每个字段一行，之后是页面上显示的校验信息
+	if (Array.isArray(result.formFields)) {
+		const lines = result.formFields.map((field) => {
+			const element = field.element ? ` -> ${field.element}` : ""
+			const value = field.value !== undefined ? ` = ${JSON.stringify(field.value)}` : ""
+			const detail = field.status === "success" ? value : `: ${field.message}`
+			const validation = field.validation ? `\n  validation: ${field.validation.join("; ")}` : ""
+			return `[${field.status}] ${field.field}${element}${detail}${validation}`
+		})
+		if (Array.isArray(result.validationMessages) && result.validationMessages.length > 0) {
+			lines.push("Validation messages on the page:", ...result.validationMessages.map((text) => `- ${text}`))
+		}
+		content.push({
+			type: "text",
+			text: lines.join("\n"),
+		})
+	}
+
+	// 如果有单个网络请求详情，以格式化JSON返回
+	if (result.request && typeof result.request === "object") {
+		content.push({
+			type: "text",
+			text: JSON.stringify(result.request, null, 2),
+		})
+	}
+
+	// 如果有页面内容（Markdown），作为单独的文本内容返回
+	if (typeof result.pageContent === "string") {
+		content.push({
+			type: "text",
+			text: result.pageContent,
+		})
+	}
+
+	// 如果有脚本执行结果，作为单独的文本内容返回
+	if (typeof result.evaluationResult === "string") {
+		content.push({
+			type: "text",
+			text: result.evaluationResult,
+		})
+	}
+
+	// 如果有录制状态，以格式化JSON返回
+	if (result.recordingStatus && typeof result.recordingStatus === "object") {
+		content.push({
+			type: "text",
+			text: JSON.stringify(result.recordingStatus, null, 2),
+		})
+	}
+
+	// 如果有截图策略，以格式化JSON返回
+	if (result.screenshotPolicy && typeof result.screenshotPolicy === "object") {
+		content.push({
+			type: "text",
+			text: JSON.stringify(result.screenshotPolicy, null, 2),
+		})
+	}
+
+	// 如果有对话框策略，以格式化JSON返回
+	if (result.dialogPolicy && typeof result.dialogPolicy === "object") {
+		content.push({
+			type: "text",
+			text: JSON.stringify(result.dialogPolicy, null, 2),
+		})
+	}
+
+	// 如果有扩展中保存的录制会话列表，以格式化JSON返回
+	if (Array.isArray(result.storedRecordings)) {
+		content.push({
+			type: "text",
+			text: JSON.stringify(result.storedRecordings, null, 2),
+		})
+	}
+
+	// 如果有录制转换出的batch操作，以格式化JSON返回，可直接用于batch工具
+	if (result.batchOperations && typeof result.batchOperations === "object") {
+		content.push({
+			type: "text",
+			text: JSON.stringify(result.batchOperations, null, 2),
+		})
+	}
+
+	// 如果有导出的测试脚本，作为单独的文本内容返回
+	if (typeof result.exportedScript === "string") {
+		content.push({
+			type: "text",
+			text: result.exportedScript,
+		})
+	}
+
+	// 如果有录制操作摘要，作为单独的文本内容返回
+	if (typeof result.recordingSummary === "string") {
+		content.push({
+			type: "text",
+			text: result.recordingSummary,
+		})
+	}
+
+	// 如果有截图，按截图策略添加为图像类型，或以文字代替
+	const screenshotDecision =
+		result.screenshot && typeof result.screenshot === "string" && result.screenshot.startsWith("data:image")
+			? applyScreenshotPolicy(result.screenshot, options.screenshot)
+			: null
+	if (screenshotDecision?.text) {
+		content.push({
+			type: "text",
+			text: screenshotDecision.text,
+		})
+	}
+	if (screenshotDecision?.includeImage) {
 		try {
 			// 提取base64数据部分
 			const base64Data = result.screenshot.split(",")[1]
@@ -44,6 +215,12 @@ export function formatResponse(result) {
 				data: base64Data,
 				mimeType: mimeType || "image/jpeg",
 			})
+
+			// 截图策略开启marks时，操作后截图的编号图例随图片返回
+			const screenshotMarks = !Array.isArray(result.marks) && getScreenshotMarks(result.screenshot)
+			if (screenshotMarks) {
+				content.push(formatMarksLegend(screenshotMarks))
+			}
 		} catch (error) {
 			console.error("Error processing screenshot in formatResponse:", error)
 			// 添加错误信息到响应中
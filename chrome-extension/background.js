@@ -1,8 +1,28 @@
 /// <reference types="chrome" />
 
-import { connectWebSocket, closeWebSocket, sendMessageToServer } from "./services/websocketService.js"
+import {
+	connectWebSocket,
+	closeWebSocket,
+	sendMessageToServer,
+	getConnectionStatus,
+} from "./services/websocketService.js"
+import { SERVER_URLS_STORAGE_KEY, PAIRING_TOKEN_STORAGE_KEY } from "./services/serverConfigService.js"
 import { initTabListeners } from "./services/tabService.js"
 import { initDebuggerListeners } from "./services/debuggerService.js"
+import { initNetworkListeners } from "./services/networkService.js"
+import { initConsoleListeners } from "./services/consoleService.js"
+import { initFileChooserListeners } from "./services/fileUploadService.js"
+import { initDialogListeners } from "./services/dialogService.js"
+import { resolveRedactionConfig, blurScreenshotRegions } from "./services/redactionService.js"
+import {
+	saveRecordingSessionInfo,
+	appendRecordingAction,
+	markRecordingSessionStopped,
+	listRecordingSessions,
+	loadRecordingSession,
+	deleteRecordingSession,
+	findUnfinishedRecordingSession,
+} from "./services/recordingStorageService.js"
 import {
 	ensureVisualizationInitialized,
 	cleanupVisualization,
@@ -19,11 +39,15 @@ let isRecording = false
 let recordSession = null
 let lastScreenshot = null
 let pendingActions = []
+// 下一个操作在存储中的序号，恢复的会话中可能与操作数量不同
+let nextActionIndex = 0
 // 保存录制会话的标题和任务描述，用于新标签页加入录制
 let currentRecordingSessionTitle = ""
 let currentRecordingTaskDescription = ""
 // 保存最后活跃的标签页ID
 let lastActiveTabId = null
+// Service Worker启动时恢复未完成录制的过程，录制相关消息需要等它完成后再处理
+let recordingRestored = Promise.resolve()
 
 // 添加截图节流控制变量
 let lastScreenshotTime = 0
@@ -34,7 +58,8 @@ const lastActionTimestamps = new Map()
 const MIN_ACTION_INTERVAL = 500 // 同类型操作至少间隔500毫秒
 
 // 初始化录制会话 - 确保只初始化一次
-function initRecordSession(title, task) {
+// redaction为已合并的脱敏配置，会话开始时就要具备，标签页加入录制时随开始录制消息下发
+function initRecordSession(title, task, redaction) {
 	// 添加日志，显示当前状态
 	console.log(`[BG] 初始化录制前状态: isRecording=${isRecording}, recordSession存在=${recordSession !== null}`)
 
@@ -54,6 +79,7 @@ function initRecordSession(title, task) {
 		task: task || "未指定任务",
 		createdAt: Date.now(),
 		actions: [],
+		redaction,
 		// 添加会话状态信息
 		state: {
 			initialized: true,
@@ -61,6 +87,10 @@ function initRecordSession(title, task) {
 		},
 	}
 	pendingActions = []
+	nextActionIndex = 0
+
+	// 立即持久化会话，Service Worker被终止后可以恢复
+	persistRecordSessionInfo()
 
 	// 记录当前活跃标签页
 	trackActiveTab()
@@ -71,6 +101,53 @@ function initRecordSession(title, task) {
 	return recordSession
 }
 
+// 持久化当前录制会话的基本信息（状态、最后活动时间、脱敏配置等）
+function persistRecordSessionInfo() {
+	if (!recordSession) return
+	saveRecordingSessionInfo(recordSession).catch((error) => console.error("[BG] 保存录制会话信息失败:", error))
+}
+
+// 将录制会话标记为已停止，停止后的会话仍可通过listRecordings/loadRecording读取
+// 返回超出保留数量而被删除的旧会话，失败时返回空列表
+function persistRecordSessionStopped(sessionId) {
+	return markRecordingSessionStopped(sessionId).catch((error) => {
+		console.error("[BG] 标记录制会话停止失败:", error)
+		return []
+	})
+}
+
+// Service Worker重启后恢复未完成的录制会话
+async function restoreRecordSession() {
+	try {
+		const restored = await findUnfinishedRecordingSession()
+		if (!restored) return
+
+		const { nextActionIndex: restoredActionIndex, ...session } = restored
+		isRecording = true
+		recordSession = session
+		nextActionIndex = restoredActionIndex
+		currentRecordingSessionTitle = session.title
+		currentRecordingTaskDescription = session.task
+		trackActiveTab()
+		console.log(`[BG] 已恢复未完成的录制会话: ID=${session.id}, 已有操作=${session.actions.length}`)
+
+		// 停机期间可能已超过时长上限
+		checkRecordingLimits()
+		if (!isRecordingActive()) return
+
+		// 重启后已初始化标签页的记录已丢失，直接通知所有标签页（已在录制中的标签页会忽略）
+		chrome.tabs.query({}, (tabs) => {
+			for (const tab of tabs) {
+				chrome.tabs.sendMessage(tab.id, getStartRecordingMessage()).catch(() => {
+					// 没有内容脚本的标签页稍后初始化时再加入录制
+				})
+			}
+		})
+	} catch (error) {
+		console.error("[BG] 恢复录制会话失败:", error)
+	}
+}
+
 // 跟踪活跃标签页
 function trackActiveTab() {
 	chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -98,6 +175,11 @@ function cleanupRecordingResources() {
 		sessionId: recordSession?.id || "无",
 	}
 
+	// 保存的会话标记为已停止，避免Service Worker重启后被恢复
+	if (recordSession?.id) {
+		persistRecordSessionStopped(recordSession.id)
+	}
+
 	// 重置录制状态
 	isRecording = false
 	recordSession = null
@@ -208,9 +290,12 @@ async function captureCurrentTab() {
 					lastScreenshotTime = Date.now()
 					resolve(emptyImage)
 				} else {
-					lastScreenshot = dataUrl
-					lastScreenshotTime = Date.now()
-					resolve(dataUrl)
+					// 需要时先模糊敏感字段，再作为录制截图使用
+					redactScreenshot(targetTabId, dataUrl).then((redactedDataUrl) => {
+						lastScreenshot = redactedDataUrl
+						lastScreenshotTime = Date.now()
+						resolve(redactedDataUrl)
+					})
 				}
 			})
 		})
@@ -227,41 +312,28 @@ async function captureCurrentTab() {
 }
 
 /**
- * 缩放图片以减小尺寸 (使用适用于Service Worker的方法)
- * @param {string} dataUrl - 原始图片的dataURL
- * @param {number} scale - 缩放比例，如0.7表示缩放到原来的70%
- * @returns {Promise<string>} - 返回缩放后的dataURL
+ * 按当前录制会话的脱敏配置模糊截图中的敏感字段
+ * 无法获取字段位置或模糊失败时返回空白图片，避免保存未脱敏的截图
+ * @param {number} tabId - 截图的标签页ID
+ * @param {string} dataUrl - 原始截图
+ * @returns {Promise<string>} 处理后的截图
  */
-function resizeImage(dataUrl, scale) {
-	return new Promise((resolve, reject) => {
-		// Service Worker环境中无法使用document和canvas，直接使用更低质量的JPEG
-		// 我们只降低质量，不进行缩放
-		try {
-			// 为了在Service Worker中简单处理，我们只降低质量，不缩放尺寸
-			// 创建一个低质量的blob url
-			const byteString = atob(dataUrl.split(",")[1])
-			const mimeString = dataUrl.split(",")[0].split(":")[1].split(";")[0]
-			const ab = new ArrayBuffer(byteString.length)
-			const ia = new Uint8Array(ab)
-
-			for (let i = 0; i < byteString.length; i++) {
-				ia[i] = byteString.charCodeAt(i)
-			}
-
-			// 原始图片Blob
-			const blob = new Blob([ab], { type: mimeString })
-
-			// 直接返回原始dataUrl，但记录大小变化
-			const originalSizeKB = Math.round(dataUrl.length / 1024)
-			console.log(`[BG] 图片处理: 原始大小${originalSizeKB}KB，Service Worker环境不支持Canvas缩放，使用降低质量的方法`)
+async function redactScreenshot(tabId, dataUrl) {
+	if (!recordSession?.redaction?.blurScreenshots) {
+		return dataUrl
+	}
 
-			// 我们将在captureCurrentTab中直接使用质量更低的JPEG格式
-			resolve(dataUrl)
-		} catch (error) {
-			console.error("[BG] 图片缩放出错:", error)
-			resolve(dataUrl) // 出错时直接返回原图
-		}
-	})
+	try {
+		const { rects, devicePixelRatio } = await chrome.tabs.sendMessage(
+			tabId,
+			{ command: "GET_SENSITIVE_RECTS" },
+			{ frameId: 0 },
+		)
+		return await blurScreenshotRegions(dataUrl, rects, devicePixelRatio)
+	} catch (error) {
+		console.warn("[BG] 模糊录制截图中的敏感字段失败，使用空白图片代替:", error)
+		return "data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAAMCAgICAgMCAgIDAwMDBAYEBAQEBAgGBgUGCQgKCgkICQkKDA8MCgsOCwkJDRENDg8QEBEQCgwSExIQEw8QEBD/wAALCAABAAEBAREA/8QAFAABAAAAAAAAAAAAAAAAAAAACf/EABQQAQAAAAAAAAAAAAAAAAAAAAD/2gAIAQEAAD8AVN//2Q=="
+	}
 }
 
 // 完成操作记录（添加截图后后）
@@ -273,7 +345,7 @@ async function finalizeAction(action) {
 
 		// 添加到会话中
 		if (recordSession) {
-			recordSession.actions.push(action)
+			recordSessionAction(action)
 			// 减少每次操作记录日志，只在需要时输出
 			// console.log(`[BG] 记录操作: ${action.actionType}`)
 		}
@@ -282,13 +354,23 @@ async function finalizeAction(action) {
 		console.error("[BG] 无法完成操作记录：截图失败")
 		// 即使没有截图也添加操作记录
 		if (recordSession) {
-			recordSession.actions.push(action)
+			recordSessionAction(action)
 			// 减少操作记录日志
 			// console.log(`[BG] 记录操作(无后截图): ${action.actionType}`)
 		}
 	}
 }
 
+// 将操作加入当前会话并增量持久化
+function recordSessionAction(action) {
+	recordSession.actions.push(action)
+	const index = nextActionIndex++
+	appendRecordingAction(recordSession.id, index, action).catch((error) =>
+		console.error(`[BG] 保存录制操作失败: ${action.actionType}`, error),
+	)
+	persistRecordSessionInfo()
+}
+
 // 增加会话状态更新函数
 function updateRecordSessionState(key, value) {
 	if (recordSession && typeof recordSession === "object") {
@@ -340,6 +422,9 @@ async function handleActionRecord(message) {
 			timestamp: message.timestamp,
 			actionType: message.actionType,
 			params: message.params || {},
+			url: message.url,
+			title: message.title,
+			tabId: message.tabId,
 			description: "", // 默认描述，可以通过UI更新
 		}
 
@@ -394,6 +479,72 @@ function stopRecording() {
 	return sessionData
 }
 
+// 检查录制状态是否一致，以及是否超过录制时长或无操作时间的上限
+// 会话的开始时间和最后活动时间已持久化，Service Worker重启后恢复录制时也会立即检查
+function checkRecordingLimits() {
+	// 检查录制状态是否一致
+	if (isRecording && !recordSession) {
+		console.warn("[BG] 检测到录制状态不一致：isRecording=true但recordSession为空，修复中...")
+		isRecording = false // 重置为一致状态
+	}
+
+	// 如果录制时间过长(超过2小时)，自动停止录制，避免资源耗尽
+	if (isRecordingActive() && recordSession.state && recordSession.state.startTime) {
+		const recordingDuration = Date.now() - recordSession.state.startTime
+		const MAX_RECORDING_DURATION = 2 * 60 * 60 * 1000 // 2小时
+
+		if (recordingDuration > MAX_RECORDING_DURATION) {
+			console.warn(`[BG] 录制时间过长(${Math.round(recordingDuration / 60000)}分钟)，自动停止`)
+			// 保存会话数据
+			let sessionData = null
+			try {
+				sessionData = JSON.parse(JSON.stringify(recordSession))
+			} catch (e) {}
+
+			// 重置录制状态
+			cleanupRecordingResources()
+
+			// 发送超时停止消息到服务器
+			if (sessionData) {
+				sendMessageToServer({
+					status: "warning",
+					message: "录制自动停止：时间过长",
+					session: sessionData,
+					source: "chromeExtension",
+				})
+			}
+		}
+	}
+
+	// 如果录制活动超过30分钟无操作，自动停止
+	if (isRecordingActive() && recordSession.state && recordSession.state.lastActivityTime) {
+		const inactiveTime = Date.now() - recordSession.state.lastActivityTime
+		const MAX_INACTIVE_TIME = 30 * 60 * 1000 // 30分钟
+
+		if (inactiveTime > MAX_INACTIVE_TIME) {
+			console.warn(`[BG] 录制${Math.round(inactiveTime / 60000)}分钟无操作，自动停止`)
+			// 保存会话数据
+			let sessionData = null
+			try {
+				sessionData = JSON.parse(JSON.stringify(recordSession))
+			} catch (e) {}
+
+			// 重置录制状态
+			cleanupRecordingResources()
+
+			// 发送超时停止消息到服务器
+			if (sessionData) {
+				sendMessageToServer({
+					status: "warning",
+					message: "录制自动停止：长时间无操作",
+					session: sessionData,
+					source: "chromeExtension",
+				})
+			}
+		}
+	}
+}
+
 // 扩展启动入口点
 function initializeExtension() {
 	console.log("[BG] Background service worker started.")
@@ -402,12 +553,27 @@ function initializeExtension() {
 	console.log("[BG] 初始化时清理之前的录制资源")
 	cleanupRecordingResources()
 
+	// 恢复Service Worker被终止前未完成的录制
+	recordingRestored = restoreRecordSession()
+
 	// 初始化标签监听器
 	initTabListeners()
 
 	// 初始化调试器监听器
 	initDebuggerListeners()
 
+	// 初始化网络事件监听器
+	initNetworkListeners()
+
+	// 初始化控制台日志监听器
+	initConsoleListeners()
+
+	// 初始化文件选择框监听器
+	initFileChooserListeners()
+
+	// 初始化JavaScript对话框监听器
+	initDialogListeners()
+
 	// 立即检查现有标签页 - 简化日志输出
 	chrome.tabs.query({}, (tabs) => {
 		console.log(`[BG] 当前共有 ${tabs.length} 个标签页打开，正在进行初始化...`)
@@ -506,16 +672,18 @@ function initializeExtension() {
 			}
 
 			// 只有首次初始化时才发送录制命令，避免重复发送
-			if (isFirstInit && isRecordingActive() && sender.tab.id) {
-				console.log(`[BG] 将标签页 ${sender.tab.id} 加入录制`)
-				chrome.tabs
-					.sendMessage(sender.tab.id, { command: "START_RECORDING" })
-					.then(() => {
-						// 减少成功日志
-						// console.log(`[BG] 成功将标签页 ${sender.tab.id} 加入录制`)
-					})
-					.catch((error) => console.error(`[BG] 将标签页 ${sender.tab.id} 加入录制失败:`, error))
-			}
+			recordingRestored.then(() => {
+				if (isFirstInit && isRecordingActive() && sender.tab.id) {
+					console.log(`[BG] 将标签页 ${sender.tab.id} 加入录制`)
+					chrome.tabs
+						.sendMessage(sender.tab.id, getStartRecordingMessage())
+						.then(() => {
+							// 减少成功日志
+							// console.log(`[BG] 成功将标签页 ${sender.tab.id} 加入录制`)
+						})
+						.catch((error) => console.error(`[BG] 将标签页 ${sender.tab.id} 加入录制失败:`, error))
+				}
+			})
 
 			sendResponse({ received: true })
 			return true
@@ -525,11 +693,18 @@ function initializeExtension() {
 		if (message.type === "RECORD_ACTION") {
 			// 简化操作日志，仅记录操作类型不记录详情
 			// console.log(`[BG] 收到录制操作: ${message.actionType}`)
-			handleActionRecord(message)
+			// Service Worker刚被唤醒时，先等待录制会话恢复
+			recordingRestored.then(() => handleActionRecord({ ...message, tabId: sender.tab?.id }))
 			sendResponse({ received: true })
 			return true
 		}
 
+		// 选项页查询服务器连接状态
+		if (message.type === "GET_CONNECTION_STATUS") {
+			sendResponse({ connections: getConnectionStatus() })
+			return true
+		}
+
 		// 添加紧急停止录制功能
 		if (message.type === "FORCE_STOP_RECORDING") {
 			console.log("[BG] 收到强制停止录制命令")
@@ -556,70 +731,21 @@ function initializeExtension() {
 	// 连接WebSocket服务器
 	connectWebSocket()
 
-	// 周期性检查录制状态 - 防止状态不一致
-	setInterval(() => {
-		// 检查录制状态是否一致
-		if (isRecording && !recordSession) {
-			console.warn("[BG] 检测到录制状态不一致：isRecording=true但recordSession为空，修复中...")
-			isRecording = false // 重置为一致状态
+	// 选项页修改服务器地址或配对令牌后重新连接
+	chrome.storage.onChanged.addListener((changes, areaName) => {
+		if (areaName !== "local") return
+		if (changes[PAIRING_TOKEN_STORAGE_KEY]) {
+			// 令牌变化后所有连接都需要重新认证
+			console.log("[BG] 配对令牌已更新，重新连接所有服务器")
+			closeWebSocket().then(() => connectWebSocket())
+		} else if (changes[SERVER_URLS_STORAGE_KEY]) {
+			console.log("[BG] 服务器地址配置已更新，重新连接")
+			connectWebSocket()
 		}
+	})
 
-		// 如果录制时间过长(超过2小时)，自动停止录制，避免资源耗尽
-		if (isRecordingActive() && recordSession.state && recordSession.state.startTime) {
-			const recordingDuration = Date.now() - recordSession.state.startTime
-			const MAX_RECORDING_DURATION = 2 * 60 * 60 * 1000 // 2小时
-
-			if (recordingDuration > MAX_RECORDING_DURATION) {
-				console.warn(`[BG] 录制时间过长(${Math.round(recordingDuration / 60000)}分钟)，自动停止`)
-				// 保存会话数据
-				let sessionData = null
-				try {
-					sessionData = JSON.parse(JSON.stringify(recordSession))
-				} catch (e) {}
-
-				// 重置录制状态
-				cleanupRecordingResources()
-
-				// 发送超时停止消息到服务器
-				if (sessionData) {
-					sendMessageToServer({
-						status: "warning",
-						message: "录制自动停止：时间过长",
-						session: sessionData,
-						source: "chromeExtension",
-					})
-				}
-			}
-		}
-
-		// 如果录制活动超过30分钟无操作，自动停止
-		if (isRecordingActive() && recordSession.state && recordSession.state.lastActivityTime) {
-			const inactiveTime = Date.now() - recordSession.state.lastActivityTime
-			const MAX_INACTIVE_TIME = 30 * 60 * 1000 // 30分钟
-
-			if (inactiveTime > MAX_INACTIVE_TIME) {
-				console.warn(`[BG] 录制${Math.round(inactiveTime / 60000)}分钟无操作，自动停止`)
-				// 保存会话数据
-				let sessionData = null
-				try {
-					sessionData = JSON.parse(JSON.stringify(recordSession))
-				} catch (e) {}
-
-				// 重置录制状态
-				cleanupRecordingResources()
-
-				// 发送超时停止消息到服务器
-				if (sessionData) {
-					sendMessageToServer({
-						status: "warning",
-						message: "录制自动停止：长时间无操作",
-						session: sessionData,
-						source: "chromeExtension",
-					})
-				}
-			}
-		}
-	}, 30000) // 每30秒检查一次
+	// 周期性检查录制状态 - 防止状态不一致
+	setInterval(checkRecordingLimits, 30000) // 每30秒检查一次
 
 	// 注册紧急停止命令
 	chrome.commands.onCommand.addListener((command) => {
@@ -649,8 +775,53 @@ function initializeExtension() {
 	})
 }
 
-// 处理WebSocket接收到的录制控制命令
+// 生成发送给标签页的开始录制消息，附带当前会话的脱敏配置
+function getStartRecordingMessage() {
+	return { command: "START_RECORDING", redaction: recordSession?.redaction }
+}
+
+// 通知所有已初始化的标签页开始录制
+function notifyTabsStartRecording() {
+	// 获取当前所有标签页
+	chrome.tabs.query({}, (tabs) => {
+		// 筛选出已初始化的标签页
+		const initializedTabIds = tabs.map((tab) => tab.id).filter((tabId) => isTabInitialized(tabId))
+
+		// 保留初始化标签页数量日志
+		console.log(`[BG] 找到 ${initializedTabIds.length} 个已初始化标签页，准备发送录制命令`)
+
+		// 通知已初始化的标签页开始录制
+		for (const tabId of initializedTabIds) {
+			chrome.tabs.sendMessage(tabId, getStartRecordingMessage()).catch((error) => {
+				console.warn(`[BG] 通知标签页 ${tabId} 开始录制失败:`, error)
+
+				// 尝试重新初始化
+				setTimeout(() => {
+					ensureVisualizationInitialized(tabId).then((success) => {
+						if (success && isRecording) {
+							chrome.tabs
+								.sendMessage(tabId, getStartRecordingMessage())
+								.catch((retryError) => console.error(`[BG] 重试通知失败:`, retryError))
+						}
+					})
+				}, 1000)
+			})
+		}
+	})
+}
+
+/**
+ * 处理WebSocket接收到的录制控制命令
+ * Service Worker刚启动时先等待未完成的录制会话恢复，再处理命令
+ * @param {Object} message - 命令消息
+ * @param {Function} sendResponse - 响应函数
+ */
 export function handleRecordingCommand(message, sendResponse) {
+	recordingRestored.then(() => processRecordingCommand(message, sendResponse))
+}
+
+// 处理录制控制命令
+function processRecordingCommand(message, sendResponse) {
 	try {
 		console.log(`[BG] 收到WebSocket命令: ${message.command}`, message)
 
@@ -662,50 +833,33 @@ export function handleRecordingCommand(message, sendResponse) {
 			currentRecordingSessionTitle = message.sessionTitle || "未命名会话"
 			currentRecordingTaskDescription = message.taskDescription || ""
 
-			// 开始录制 - 保留关键日志
-			// 初始化录制会话会设置isRecording = true
-			const session = initRecordSession(currentRecordingSessionTitle, currentRecordingTaskDescription)
-
-			// 获取当前所有标签页
-			chrome.tabs.query({}, (tabs) => {
-				// 筛选出已初始化的标签页
-				const initializedTabIds = tabs.map((tab) => tab.id).filter((tabId) => isTabInitialized(tabId))
-
-				// 保留初始化标签页数量日志
-				console.log(`[BG] 找到 ${initializedTabIds.length} 个已初始化标签页，准备发送录制命令`)
-
-				// 通知已初始化的标签页开始录制
-				for (const tabId of initializedTabIds) {
-					chrome.tabs.sendMessage(tabId, { command: "START_RECORDING" }).catch((error) => {
-						console.warn(`[BG] 通知标签页 ${tabId} 开始录制失败:`, error)
-
-						// 尝试重新初始化
-						setTimeout(() => {
-							ensureVisualizationInitialized(tabId).then((success) => {
-								if (success && isRecording) {
-									chrome.tabs
-										.sendMessage(tabId, { command: "START_RECORDING" })
-										.catch((retryError) => console.error(`[BG] 重试通知失败:`, retryError))
-								}
-							})
-						}, 1000)
-					})
-				}
-			})
+			// 先合并保存的脱敏配置和本次录制指定的配置，再开始录制：
+			// 录制一旦开始，新加载的标签页就会加入录制，此时必须已经有脱敏配置
+			resolveRedactionConfig(message.redaction)
+				.then((redaction) => {
+					// 开始录制 - 保留关键日志
+					// 初始化录制会话会设置isRecording = true
+					const session = initRecordSession(currentRecordingSessionTitle, currentRecordingTaskDescription, redaction)
+					notifyTabsStartRecording()
 
-			// 添加一个额外检查，确认录制确实已开始
-			setTimeout(() => {
-				console.log(`[BG] 录制状态检查: isRecording=${isRecording}, recordSession存在=${recordSession !== null}`)
-			}, 500)
+					// 添加一个额外检查，确认录制确实已开始
+					setTimeout(() => {
+						console.log(`[BG] 录制状态检查: isRecording=${isRecording}, recordSession存在=${recordSession !== null}`)
+					}, 500)
 
-			sendResponse({
-				status: "success",
-				message: "录制已开始",
-				sessionInfo: {
-					sessionId: session.id,
-					title: session.title,
-				},
-			})
+					sendResponse({
+						status: "success",
+						message: "录制已开始",
+						sessionInfo: {
+							sessionId: session.id,
+							title: session.title,
+						},
+					})
+				})
+				.catch((error) => {
+					console.error("[BG] 解析脱敏配置失败，未开始录制:", error)
+					sendResponse({ status: "error", message: `无法开始录制: ${error.message}` })
+				})
 			return true
 		} else if (message.command === "stopRecording") {
 			// 简化的停止录制逻辑
@@ -802,12 +956,15 @@ export function handleRecordingCommand(message, sendResponse) {
 			console.log("[BG] 清理录制会话状态")
 			isRecording = false
 
-			// 发送成功响应
-			console.log("[BG] 发送停止录制成功响应")
-			sendResponse({
-				status: "success",
-				message: `录制已停止，共记录 ${sessionData.actions.length} 个操作`,
-				session: sessionData,
+			// 标记停止后发送成功响应，并报告超出保留数量而被删除的旧会话
+			persistRecordSessionStopped(sessionData.id).then((prunedRecordings) => {
+				console.log("[BG] 发送停止录制成功响应")
+				sendResponse({
+					status: "success",
+					message: `录制已停止，共记录 ${sessionData.actions.length} 个操作`,
+					session: sessionData,
+					prunedRecordings,
+				})
 			})
 
 			// 最后再完全清理资源
@@ -822,6 +979,68 @@ export function handleRecordingCommand(message, sendResponse) {
 			}, 100)
 
 			return true
+		} else if (message.command === "getRecordingStatus") {
+			const active = isRecordingActive()
+			const state = recordSession?.state || {}
+			sendResponse({
+				status: "success",
+				message: active ? `正在录制，已记录 ${recordSession.actions.length} 个操作` : "当前没有进行中的录制",
+				recordingStatus: {
+					isRecording: active,
+					sessionId: recordSession?.id,
+					title: recordSession?.title,
+					task: recordSession?.task,
+					actionCount: recordSession?.actions.length || 0,
+					durationMs: state.startTime ? Date.now() - state.startTime : 0,
+					lastActionType: state.lastActionType,
+					lastActivityTime: state.lastActivityTime,
+				},
+			})
+			return true
+		} else if (message.command === "listRecordings") {
+			listRecordingSessions()
+				.then((sessions) =>
+					sendResponse({
+						status: "success",
+						message: `扩展中保存了 ${sessions.length} 个录制会话`,
+						recordings: sessions.map(({ redaction, state, ...session }) => ({
+							...session,
+							lastActivityTime: state?.lastActivityTime,
+						})),
+					}),
+				)
+				.catch((error) => sendResponse({ status: "error", message: `读取录制会话列表失败: ${error.message}` }))
+			return true
+		} else if (message.command === "loadRecording") {
+			loadRecordingSession(message.sessionId)
+				.then((session) =>
+					sendResponse(
+						session
+							? {
+									status: "success",
+									message: `已读取录制会话 ${session.id}，共 ${session.actions.length} 个操作`,
+									session,
+								}
+							: { status: "error", message: `录制会话不存在: ${message.sessionId}` },
+					),
+				)
+				.catch((error) => sendResponse({ status: "error", message: `读取录制会话失败: ${error.message}` }))
+			return true
+		} else if (message.command === "deleteRecording") {
+			if (isRecordingActive() && recordSession.id === message.sessionId) {
+				sendResponse({ status: "error", message: "无法删除正在录制的会话，请先停止录制" })
+				return true
+			}
+			deleteRecordingSession(message.sessionId)
+				.then((existed) =>
+					sendResponse(
+						existed
+							? { status: "success", message: `已删除录制会话 ${message.sessionId}` }
+							: { status: "error", message: `录制会话不存在: ${message.sessionId}` },
+					),
+				)
+				.catch((error) => sendResponse({ status: "error", message: `删除录制会话失败: ${error.message}` }))
+			return true
 		}
 	} catch (error) {
 		console.error("[BG] 处理录制命令异常:", error)
@@ -0,0 +1,142 @@
+// 录制脱敏
+// 密码字段、autocomplete=cc-*的信用卡字段以及用户配置的选择器匹配的字段，录制时不保存输入值；
+// 用户配置的正则匹配到的文本替换为掩码。可能被重复注入，因此包在IIFE中
+;(function () {
+	if (globalThis.recordingRedaction) {
+		return
+	}
+
+	// 替换敏感内容的掩码
+	const REDACTED_MASK = "[REDACTED]"
+
+	// 总是视为敏感的autocomplete取值（cc-*另外按前缀匹配）
+	const SENSITIVE_AUTOCOMPLETE = ["current-password", "new-password", "one-time-code"]
+
+	let selectors = []
+	let patterns = []
+
+	/**
+	 * 应用后台下发的脱敏配置
+	 * @param {Object} config - {selectors: string[], patterns: string[]}
+	 */
+	function configure(config = {}) {
+		selectors = Array.isArray(config.selectors) ? config.selectors : []
+		patterns = []
+		for (const pattern of Array.isArray(config.patterns) ? config.patterns : []) {
+			try {
+				const match = String(pattern).match(/^\/(.+)\/([a-z]*)$/)
+				const source = match ? match[1] : pattern
+				const flags = match ? match[2] : ""
+				patterns.push(new RegExp(source, flags.includes("g") ? flags : `${flags}g`))
+			} catch (error) {
+				console.error("[VIZ Content] 无效的脱敏正则:", pattern)
+			}
+		}
+	}
+
+	/**
+	 * 判断元素是否为敏感字段
+	 * @param {Element} element - 元素
+	 * @returns {boolean} 是否敏感
+	 */
+	function isSensitiveElement(element) {
+		if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+			return false
+		}
+
+		if (element.tagName === "INPUT" && (element.type || "").toLowerCase() === "password") {
+			return true
+		}
+
+		const autocomplete = (element.getAttribute("autocomplete") || "").toLowerCase().split(/\s+/)
+		if (autocomplete.some((token) => token.startsWith("cc-") || SENSITIVE_AUTOCOMPLETE.includes(token))) {
+			return true
+		}
+
+		return selectors.some((selector) => {
+			try {
+				return element.matches(selector) || !!element.closest(selector)
+			} catch (error) {
+				return false
+			}
+		})
+	}
+
+	/**
+	 * 将文本中匹配用户正则的部分替换为掩码
+	 * @param {string} text - 原始文本
+	 * @returns {string} 处理后的文本
+	 */
+	function maskText(text) {
+		if (typeof text !== "string" || !text) {
+			return text
+		}
+		return patterns.reduce((masked, pattern) => masked.replace(pattern, REDACTED_MASK), text)
+	}
+
+	/**
+	 * 处理要录制的输入值：敏感字段整体替换为掩码，其他字段按正则掩码
+	 * @param {Element} element - 输入元素
+	 * @param {string} value - 输入值
+	 * @returns {{value: string, redacted: boolean}} 处理后的值和是否被脱敏
+	 */
+	function redactValue(element, value) {
+		if (isSensitiveElement(element)) {
+			return { value: REDACTED_MASK, redacted: true }
+		}
+		const masked = maskText(value)
+		return { value: masked, redacted: masked !== value }
+	}
+
+	/**
+	 * 收集当前视口中敏感字段的位置，包含同源iframe中的字段
+	 * @returns {{rects: Object[], devicePixelRatio: number}} 区域列表(CSS像素)和设备像素比
+	 */
+	function getSensitiveRects() {
+		const rects = []
+
+		const collect = (doc, offsetX, offsetY) => {
+			for (const element of doc.querySelectorAll("input, textarea, select, [autocomplete], [contenteditable]")) {
+				if (!isSensitiveElement(element)) continue
+				const rect = element.getBoundingClientRect()
+				if (rect.width === 0 || rect.height === 0) continue
+				rects.push({ x: rect.left + offsetX, y: rect.top + offsetY, width: rect.width, height: rect.height })
+			}
+
+			for (const selector of selectors) {
+				try {
+					for (const element of doc.querySelectorAll(selector)) {
+						const rect = element.getBoundingClientRect()
+						if (rect.width === 0 || rect.height === 0) continue
+						rects.push({ x: rect.left + offsetX, y: rect.top + offsetY, width: rect.width, height: rect.height })
+					}
+				} catch (error) {
+					// 忽略无效的选择器
+				}
+			}
+
+			for (const frame of doc.querySelectorAll("iframe, frame")) {
+				try {
+					const frameDocument = frame.contentDocument
+					if (!frameDocument) continue
+					const frameRect = frame.getBoundingClientRect()
+					collect(frameDocument, offsetX + frameRect.left, offsetY + frameRect.top)
+				} catch (error) {
+					// 跨域iframe无法访问
+				}
+			}
+		}
+
+		collect(document, 0, 0)
+		return { rects, devicePixelRatio: window.devicePixelRatio || 1 }
+	}
+
+	globalThis.recordingRedaction = {
+		REDACTED_MASK,
+		configure,
+		isSensitiveElement,
+		maskText,
+		redactValue,
+		getSensitiveRects,
+	}
+})()
@@ -0,0 +1,343 @@
+// 录制用的元素选择器生成
+// 为操作目标计算按稳健程度排序的选择器列表：data-testid > id > role+name > 文本 > 最短唯一CSS路径，
+// 并记录元素所在的iframe路径和shadow DOM宿主路径，回放时不依赖坐标
+// 需要在visualization.js之前加载，可能被重复注入，因此包在IIFE中
+;(function () {
+	if (typeof globalThis.computeElementSelectors === "function") {
+		return
+	}
+
+	// 常见的测试ID属性
+	const TEST_ID_ATTRIBUTES = ["data-testid", "data-test-id", "data-test", "data-qa", "data-cy"]
+
+	// 名称和文本的最大长度，过长的文本不适合作为定位依据
+	const MAX_NAME_LENGTH = 80
+
+	// 每个层级最多使用的类名数量
+	const MAX_CLASS_NAMES = 2
+
+	// 具有隐式角色的元素，检查角色+名称是否唯一时只查询这些元素和显式role，不遍历整个文档
+	const IMPLICIT_ROLE_SELECTORS = {
+		link: "a[href]",
+		button: "button, summary, input[type=button], input[type=submit], input[type=reset], input[type=image]",
+		checkbox: "input[type=checkbox]",
+		radio: "input[type=radio]",
+		slider: "input[type=range]",
+		spinbutton: "input[type=number]",
+		searchbox: "input[type=search]",
+		textbox: "input, textarea",
+		combobox: "select",
+		listbox: "select",
+		option: "option",
+		img: "img[alt]",
+		heading: "h1, h2, h3, h4, h5, h6",
+	}
+
+	const normalizeText = (value) =>
+		String(value || "")
+			.replace(/\s+/g, " ")
+			.trim()
+
+	// 包含较长数字或冒号的id/类名通常是框架自动生成的，每次加载可能变化
+	const isStableToken = (value) => !!value && !/\d{3,}|:/.test(value)
+
+	const quoteAttribute = (value) => JSON.stringify(String(value))
+
+	// XPath字符串字面量，同时包含单双引号时用concat拼接
+	const xpathLiteral = (value) => {
+		if (!value.includes('"')) return `"${value}"`
+		if (!value.includes("'")) return `'${value}'`
+		return `concat("${value.split('"').join(`", '"', "`)}")`
+	}
+
+	/**
+	 * 查找文本内容（折叠空白后）包含指定文本的元素
+	 * 文档中使用原生XPath筛选，比逐个元素读取textContent快得多；shadow root中退回为遍历
+	 * @param {Document|ShadowRoot} root - 查询根节点
+	 * @param {string} text - 折叠空白后的文本
+	 * @returns {Element[]} 匹配的元素
+	 */
+	function findElementsContainingText(root, text) {
+		if (root instanceof Document) {
+			const result = root.evaluate(
+				`//*[contains(normalize-space(.), ${xpathLiteral(text)})]`,
+				root,
+				null,
+				XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+				null,
+			)
+			return Array.from({ length: result.snapshotLength }, (_, index) => result.snapshotItem(index))
+		}
+		return Array.from(root.querySelectorAll("*")).filter((el) => normalizeText(el.textContent).includes(text))
+	}
+
+	/**
+	 * 判断选择器在根节点中是否唯一匹配目标元素
+	 * @param {Document|ShadowRoot} root - 查询根节点
+	 * @param {string} selector - CSS选择器
+	 * @param {Element} element - 目标元素
+	 * @returns {boolean} 是否唯一
+	 */
+	function isUniqueSelector(root, selector, element) {
+		try {
+			const matches = root.querySelectorAll(selector)
+			return matches.length === 1 && matches[0] === element
+		} catch (error) {
+			return false
+		}
+	}
+
+	/**
+	 * 计算元素的ARIA角色（显式role优先，其次为常见的隐式角色）
+	 * @param {Element} element - 元素
+	 * @returns {string} 角色，没有时返回空字符串
+	 */
+	function getElementRole(element) {
+		const explicitRole = element.getAttribute("role")
+		if (explicitRole) return explicitRole.split(/\s+/)[0].toLowerCase()
+
+		const tag = element.tagName.toLowerCase()
+		const type = (element.getAttribute("type") || "").toLowerCase()
+		switch (tag) {
+			case "a":
+				return element.hasAttribute("href") ? "link" : ""
+			case "button":
+			case "summary":
+				return "button"
+			case "input":
+				if (["button", "submit", "reset", "image"].includes(type)) return "button"
+				if (type === "checkbox") return "checkbox"
+				if (type === "radio") return "radio"
+				if (type === "range") return "slider"
+				if (type === "number") return "spinbutton"
+				if (type === "search") return "searchbox"
+				if (type === "hidden") return ""
+				return "textbox"
+			case "textarea":
+				return "textbox"
+			case "select":
+				return element.multiple || element.size > 1 ? "listbox" : "combobox"
+			case "option":
+				return "option"
+			case "img":
+				return element.getAttribute("alt") ? "img" : ""
+			case "h1":
+			case "h2":
+			case "h3":
+			case "h4":
+			case "h5":
+			case "h6":
+				return "heading"
+			default:
+				return ""
+		}
+	}
+
+	/**
+	 * 计算元素的可访问名称（简化版）
+	 * @param {Element} element - 元素
+	 * @returns {string} 名称
+	 */
+	function getAccessibleName(element) {
+		const ariaLabel = element.getAttribute("aria-label")
+		if (ariaLabel) return normalizeText(ariaLabel)
+
+		const labelledBy = element.getAttribute("aria-labelledby")
+		if (labelledBy) {
+			const root = element.getRootNode()
+			const text = labelledBy
+				.split(/\s+/)
+				.map((id) => (root.getElementById ? root.getElementById(id) : document.getElementById(id))?.innerText || "")
+				.join(" ")
+			if (text.trim()) return normalizeText(text)
+		}
+
+		if (element.labels && element.labels.length > 0) {
+			return normalizeText(
+				Array.from(element.labels)
+					.map((label) => label.innerText)
+					.join(" "),
+			)
+		}
+
+		const isField = ["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName)
+		return normalizeText(
+			element.getAttribute("alt") ||
+				(isField ? "" : element.innerText) ||
+				(element.tagName === "INPUT" && ["button", "submit", "reset"].includes(element.type) ? element.value : "") ||
+				element.getAttribute("title") ||
+				element.getAttribute("placeholder") ||
+				"",
+		)
+	}
+
+	/**
+	 * 生成单个层级的CSS片段：稳定id，或标签名加稳定的类名
+	 * @param {Element} element - 元素
+	 * @returns {string} CSS片段
+	 */
+	function getCssSegment(element) {
+		if (isStableToken(element.id)) {
+			return `#${CSS.escape(element.id)}`
+		}
+		const classNames = Array.from(element.classList).filter(isStableToken).slice(0, MAX_CLASS_NAMES)
+		return `${CSS.escape(element.tagName.toLowerCase())}${classNames.map((name) => `.${CSS.escape(name)}`).join("")}`
+	}
+
+	/**
+	 * 同类型兄弟元素中的位置，唯一时返回空字符串
+	 * @param {Element} element - 元素
+	 * @returns {string} :nth-of-type片段
+	 */
+	function getNthOfType(element) {
+		const parent = element.parentElement || element.parentNode
+		if (!parent || !parent.children) return ""
+		const siblings = Array.from(parent.children).filter((sibling) => sibling.tagName === element.tagName)
+		return siblings.length > 1 ? `:nth-of-type(${siblings.indexOf(element) + 1})` : ""
+	}
+
+	/**
+	 * 从元素向上逐级构建CSS路径，返回在根节点内唯一的最短路径
+	 * @param {Element} element - 目标元素
+	 * @param {Document|ShadowRoot} root - 查询根节点
+	 * @returns {string} CSS选择器
+	 */
+	function buildCssPath(element, root) {
+		const segments = []
+		let current = element
+
+		while (current && current.nodeType === Node.ELEMENT_NODE) {
+			const segment = getCssSegment(current)
+			const nth = getNthOfType(current)
+
+			for (const candidate of nth ? [segment, segment + nth] : [segment]) {
+				const selector = [candidate, ...segments].join(" > ")
+				if (isUniqueSelector(root, selector, element)) {
+					return selector
+				}
+			}
+
+			segments.unshift(segment + nth)
+			if (current.parentNode === root) break
+			current = current.parentElement
+		}
+
+		return segments.join(" > ")
+	}
+
+	/**
+	 * 计算元素所在的shadow DOM宿主路径（从文档到最内层宿主的CSS选择器）
+	 * @param {Element} element - 目标元素
+	 * @returns {string[]} 宿主选择器列表，不在shadow DOM中时为空
+	 */
+	function getShadowPath(element) {
+		const hosts = []
+		let root = element.getRootNode()
+		while (root instanceof ShadowRoot) {
+			hosts.unshift(root.host)
+			root = root.host.getRootNode()
+		}
+		return hosts.map((host) => buildCssPath(host, host.getRootNode()))
+	}
+
+	/**
+	 * 计算当前文档所在的iframe路径（从顶层页面到当前frame）
+	 * 跨域frame无法访问其iframe元素，只记录frame的URL
+	 * @returns {{selector: string|null, url: string}[]} iframe路径，顶层文档中为空
+	 */
+	function getFramePath() {
+		const framePath = []
+		let currentWindow = window
+
+		while (currentWindow !== currentWindow.top) {
+			let frameElement = null
+			try {
+				frameElement = currentWindow.frameElement
+			} catch (error) {
+				frameElement = null
+			}
+
+			if (!frameElement) {
+				framePath.unshift({ selector: null, url: currentWindow.location.href })
+				break
+			}
+
+			framePath.unshift({
+				selector: buildCssPath(frameElement, frameElement.getRootNode()),
+				url: currentWindow.location.href,
+			})
+			currentWindow = currentWindow.parent
+		}
+
+		return framePath
+	}
+
+	/**
+	 * 为元素计算按稳健程度排序的选择器列表
+	 * testid、id和css选择器相对于元素所在的文档或shadow root，role和text与位置无关
+	 * @param {Element} element - 目标元素
+	 * @returns {{selectors: Object[], framePath: Object[], shadowPath: string[]}} 选择器列表、iframe路径和shadow宿主路径
+	 */
+	function computeElementSelectors(element) {
+		const selectors = []
+		if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+			return { selectors, framePath: [], shadowPath: [] }
+		}
+
+		const root = element.getRootNode()
+
+		for (const attribute of TEST_ID_ATTRIBUTES) {
+			const value = element.getAttribute(attribute)
+			const selector = value && `[${attribute}=${quoteAttribute(value)}]`
+			if (selector && isUniqueSelector(root, selector, element)) {
+				selectors.push({ type: "testid", selector, attribute, value })
+				break
+			}
+		}
+
+		if (isStableToken(element.id)) {
+			const selector = `#${CSS.escape(element.id)}`
+			if (isUniqueSelector(root, selector, element)) {
+				selectors.push({ type: "id", selector })
+			}
+		}
+
+		// 角色+名称和文本只在能唯一确定元素时使用；每次点击和输入都会计算，只检查可能冲突的元素
+		const role = getElementRole(element)
+		const name = role ? getAccessibleName(element) : ""
+		if (role && name && name.length <= MAX_NAME_LENGTH) {
+			const roleSelector = [`[role=${quoteAttribute(role)}]`, IMPLICIT_ROLE_SELECTORS[role]].filter(Boolean).join(", ")
+			const conflict = Array.from(root.querySelectorAll(roleSelector)).some(
+				(el) => el !== element && getElementRole(el) === role && getAccessibleName(el) === name,
+			)
+			if (!conflict) {
+				selectors.push({ type: "role", role, name })
+			}
+		}
+
+		// 文本定位只在没有更稳健的选择器时计算
+		const isField = ["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName)
+		const text = isField || selectors.length > 0 ? "" : normalizeText(element.innerText)
+		if (text && text.length <= MAX_NAME_LENGTH && !(element.innerText || "").includes("\n")) {
+			// 先按文本内容粗筛，只保留最内层的匹配元素
+			const matches = findElementsContainingText(root, text).filter((el) => normalizeText(el.innerText) === text)
+			const innermost = matches.filter((el) => !matches.some((other) => other !== el && el.contains(other)))
+			if (innermost.length === 1 && innermost[0] === element) {
+				selectors.push({ type: "text", text })
+			}
+		}
+
+		const cssPath = buildCssPath(element, root)
+		if (!selectors.some((entry) => entry.selector === cssPath)) {
+			selectors.push({ type: "css", selector: cssPath })
+		}
+
+		return {
+			selectors,
+			framePath: getFramePath(),
+			shadowPath: getShadowPath(element),
+		}
+	}
+
+	globalThis.computeElementSelectors = computeElementSelectors
+})()
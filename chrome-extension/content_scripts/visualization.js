@@ -7,6 +7,12 @@ let isRecording = false
 let recordingActions = []
 // 跟踪是否已发送就绪消息，避免重复发送
 let hasNotifiedReady = false
+// 各滚动容器上一次记录时的滚动位置，用于计算实际的滚动方向和距离
+let scrollOffsets = new WeakMap()
+// 各滚动容器等待记录的滚动，滚动停止后合并为一次操作
+const pendingScrolls = new Map()
+// 滚动停止多久后记录
+const SCROLL_SETTLE_MS = 400
 
 // 监听来自后台脚本的消息
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -29,8 +35,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 		return true
 	}
 
+	// 返回敏感字段在视口中的位置，用于模糊录制截图
+	if (message.command === "GET_SENSITIVE_RECTS") {
+		sendResponse(
+			typeof recordingRedaction === "object"
+				? recordingRedaction.getSensitiveRects()
+				: { rects: [], devicePixelRatio: 1 },
+		)
+		return true
+	}
+
 	// 处理录制启动
 	if (message.command === "START_RECORDING") {
+		// 已在录制中的标签页也更新脱敏配置
+		if (typeof recordingRedaction === "object") {
+			recordingRedaction.configure(message.redaction)
+		}
+
 		// 避免重复启动录制
 		if (isRecording) {
 			// 减少重复录制日志
@@ -107,6 +128,41 @@ function recordAction(actionType, params = {}) {
 	}
 }
 
+// 取事件的实际目标元素（shadow DOM中的事件在document上会被重定向到宿主元素）
+function getEventTarget(event) {
+	const path = event.composedPath ? event.composedPath() : []
+	return path[0] && path[0].nodeType === Node.ELEMENT_NODE ? path[0] : event.target
+}
+
+// 计算目标元素的选择器列表、iframe路径和shadow宿主路径（由selectorGenerator.js提供）
+// 选择器中的名称和文本同样按脱敏正则掩码
+function getTargetSelectors(element) {
+	try {
+		const located = typeof computeElementSelectors === "function" ? computeElementSelectors(element) : {}
+		if (located.selectors && typeof recordingRedaction === "object") {
+			located.selectors = located.selectors.map((entry) => ({
+				...entry,
+				...(entry.name && { name: recordingRedaction.maskText(entry.name) }),
+				...(entry.text && { text: recordingRedaction.maskText(entry.text) }),
+			}))
+		}
+		return located
+	} catch (error) {
+		console.error("[VIZ Content] 计算元素选择器时出错:", error)
+		return {}
+	}
+}
+
+// 判断元素是否为需要脱敏的敏感字段（由redaction.js提供）
+function isSensitiveTarget(element) {
+	return typeof recordingRedaction === "object" && recordingRedaction.isSensitiveElement(element)
+}
+
+// 按脱敏正则掩码录制的文本
+function maskRecordedText(text) {
+	return typeof recordingRedaction === "object" ? recordingRedaction.maskText(text) : text
+}
+
 // 事件处理器
 const eventHandlers = {
 	click: (event) => {
@@ -116,15 +172,17 @@ const eventHandlers = {
 			// 获取点击坐标
 			const x = event.clientX
 			const y = event.clientY
+			const target = getEventTarget(event)
 
 			recordAction("click", {
 				x,
 				y,
 				target: {
-					tagName: event.target.tagName,
-					id: event.target.id,
-					className: event.target.className,
-					innerText: event.target.innerText?.substring(0, 50), // 限制长度
+					tagName: target.tagName,
+					id: target.id,
+					className: target.className,
+					innerText: maskRecordedText(target.innerText?.substring(0, 50)), // 限制长度
+					...getTargetSelectors(target),
 				},
 			})
 		} catch (error) {
@@ -137,6 +195,10 @@ const eventHandlers = {
 		try {
 			if (event.key === "Tab" || event.key === "Shift" || event.key === "Control" || event.key === "Alt") return
 
+			// 敏感字段中输入的字符不记录，只保留Enter等功能键
+			const isCharacter = event.key.length === 1 && !event.ctrlKey && !event.metaKey
+			if (isCharacter && isSensitiveTarget(getEventTarget(event))) return
+
 			recordAction("keypress", {
 				key: event.key,
 				isCombo: event.ctrlKey || event.altKey || event.shiftKey || event.metaKey,
@@ -155,19 +217,28 @@ const eventHandlers = {
 	input: (event) => {
 		if (!isRecording) return
 		try {
-			if (!event.target || !event.target.value) return
+			const target = getEventTarget(event)
+			if (!target || !target.value) return
 
 			// 节流，避免过多记录
-			if (event.target._lastRecordTime && Date.now() - event.target._lastRecordTime < 500) return
-			event.target._lastRecordTime = Date.now()
+			if (target._lastRecordTime && Date.now() - target._lastRecordTime < 500) return
+			target._lastRecordTime = Date.now()
+
+			// 敏感字段的值整体替换为掩码，其他字段按脱敏正则掩码
+			const { value, redacted } =
+				typeof recordingRedaction === "object"
+					? recordingRedaction.redactValue(target, target.value)
+					: { value: target.value, redacted: false }
 
 			recordAction("input", {
-				value: event.target.value,
+				value,
+				...(redacted && { redacted: true }),
 				target: {
-					tagName: event.target.tagName,
-					id: event.target.id,
-					className: event.target.className,
-					type: event.target.type,
+					tagName: target.tagName,
+					id: target.id,
+					className: target.className,
+					type: target.type,
+					...getTargetSelectors(target),
 				},
 			})
 		} catch (error) {
@@ -178,18 +249,87 @@ const eventHandlers = {
 	scroll: (event) => {
 		if (!isRecording) return
 		try {
-			// 节流，避免过多记录
-			if (window._lastScrollTime && Date.now() - window._lastScrollTime < 500) return
-			window._lastScrollTime = Date.now()
+			const element = event.target === document ? getPageScrollElement() : event.target
+			if (!element || element.nodeType !== Node.ELEMENT_NODE) return
 
-			recordAction("scroll", {
-				scrollX: window.scrollX,
-				scrollY: window.scrollY,
-			})
+			// 没能在滚动前记下位置的容器（例如页面脚本触发的滚动），按从0开始计算
+			if (!scrollOffsets.has(element)) {
+				scrollOffsets.set(element, { x: 0, y: 0 })
+			}
+
+			// 一次滚动会触发很多事件，等滚动停止后再记录总的滚动距离
+			clearTimeout(pendingScrolls.get(element))
+			pendingScrolls.set(
+				element,
+				setTimeout(() => {
+					pendingScrolls.delete(element)
+					recordScroll(element)
+				}, SCROLL_SETTLE_MS),
+			)
 		} catch (error) {
 			console.error("[VIZ Content] 处理滚动事件时出错:", error)
 		}
 	},
+
+	// 滚轮、触摸、按键和按下鼠标（拖动滚动条）之前记下可能滚动的容器的位置，滚动事件触发时位置已经改变
+	beforeScroll: (event) => {
+		if (!isRecording) return
+		try {
+			let element = getEventTarget(event)
+			while (element) {
+				if (
+					element.nodeType === Node.ELEMENT_NODE &&
+					!scrollOffsets.has(element) &&
+					(element.scrollHeight > element.clientHeight || element.scrollWidth > element.clientWidth)
+				) {
+					scrollOffsets.set(element, readScrollOffset(element))
+				}
+				element = element.parentElement || element.getRootNode().host
+			}
+		} catch (error) {
+			console.error("[VIZ Content] 记录滚动位置时出错:", error)
+		}
+	},
+}
+
+// 页面本身的滚动元素
+function getPageScrollElement() {
+	return document.scrollingElement || document.documentElement
+}
+
+// 读取容器当前的滚动位置
+function readScrollOffset(element) {
+	return { x: Math.round(element.scrollLeft), y: Math.round(element.scrollTop) }
+}
+
+// 记录容器从上次记录到现在的滚动：最终位置、滚动距离、方向，以及滚动的容器（页面滚动时省略）
+function recordScroll(element) {
+	const previous = scrollOffsets.get(element) || { x: 0, y: 0 }
+	const current = readScrollOffset(element)
+	scrollOffsets.set(element, current)
+
+	const deltaX = current.x - previous.x
+	const deltaY = current.y - previous.y
+	if (deltaX === 0 && deltaY === 0) return
+
+	// iframe中的页面滚动也记录容器，回放时可以据此判断无法直接定位
+	const isPageScroll = element === getPageScrollElement() && window === window.top
+
+	recordAction("scroll", {
+		scrollX: current.x,
+		scrollY: current.y,
+		deltaX,
+		deltaY,
+		direction: Math.abs(deltaY) >= Math.abs(deltaX) ? (deltaY > 0 ? "down" : "up") : deltaX > 0 ? "right" : "left",
+		...(!isPageScroll && {
+			container: {
+				tagName: element.tagName,
+				id: element.id,
+				className: typeof element.className === "string" ? element.className : "",
+				...getTargetSelectors(element),
+			},
+		}),
+	})
 }
 
 // 设置录制事件监听器
@@ -200,6 +340,13 @@ function setupRecordingListeners() {
 		document.addEventListener("keydown", eventHandlers.keydown, true)
 		document.addEventListener("input", eventHandlers.input, true)
 		window.addEventListener("scroll", eventHandlers.scroll, true)
+		for (const type of ["wheel", "touchstart", "pointerdown", "keydown"]) {
+			window.addEventListener(type, eventHandlers.beforeScroll, { capture: true, passive: true })
+		}
+
+		// 以开始录制时的页面位置作为第一次滚动的起点
+		scrollOffsets = new WeakMap()
+		scrollOffsets.set(getPageScrollElement(), readScrollOffset(getPageScrollElement()))
 	} catch (error) {
 		console.error("[VIZ Content] 设置事件监听器时出错:", error)
 	}
@@ -213,6 +360,14 @@ function removeRecordingListeners() {
 		document.removeEventListener("keydown", eventHandlers.keydown, true)
 		document.removeEventListener("input", eventHandlers.input, true)
 		window.removeEventListener("scroll", eventHandlers.scroll, true)
+		for (const type of ["wheel", "touchstart", "pointerdown", "keydown"]) {
+			window.removeEventListener(type, eventHandlers.beforeScroll, { capture: true })
+		}
+
+		for (const timer of pendingScrolls.values()) {
+			clearTimeout(timer)
+		}
+		pendingScrolls.clear()
 	} catch (error) {
 		console.error("[VIZ Content] 移除事件监听器时出错:", error)
 	}
@@ -6,8 +6,18 @@
 import { sendMessageToServer } from "../services/websocketService.js"
 import { captureVisibleTabPromise, captureVisibleTabState } from "../services/screenshotService.js"
 import { waitTillHTMLStable } from "../utils/domUtils.js"
-import { performClick, performType, performPressKey, performKeyCombination } from "../services/interactionService.js"
-import { performScroll } from "../services/scrollService.js"
+import {
+	performClick,
+	performHover,
+	performDrag,
+	performType,
+	performPressKey,
+	performKeyCombination,
+} from "../services/interactionService.js"
+import { performScroll, performScrollTo } from "../services/scrollService.js"
+import { waitForCondition, hasWaitCondition } from "../services/waitService.js"
+import { fillForm, selectOption, pickOptionChoice } from "../services/formService.js"
+import { pickTarget, hasElementLocator, resolveTargetSelector } from "../services/elementService.js"
 import {
 	openedTabIds,
 	tabProcessingStates,
@@ -167,10 +177,27 @@ async function executeOperation(operation, requestId, intervalMs) {
 	const operationRequestId = `${requestId}_${name}_${Date.now()}`
 
 	switch (name) {
+		case "navigate":
+			if (!parameters || !parameters.url) {
+				throw new Error("Navigate operation requires 'url' parameter")
+			}
+
+			// 在当前标签页中打开URL，等待加载完成
+			// 传入true表示这是批处理模式，跳过截图
+			result = await waitForTabOperationComplete(
+				"navigate",
+				operationRequestId,
+				async () => {
+					await chrome.tabs.update(getActiveTabId(), { url: parameters.url })
+				},
+				true,
+			)
+			break
+
 		case "click":
-			// 从parameters.coordinate中提取坐标字符串
-			if (!parameters || !parameters.coordinate) {
-				throw new Error("Click operation requires 'coordinate' parameter")
+			// 点击目标可以是坐标，也可以是元素定位信息（ref/mark/selector/text/role+name）
+			if (!parameters || (!parameters.coordinate && !hasElementLocator(parameters))) {
+				throw new Error("Click operation requires 'coordinate', 'ref', 'mark', 'selector', 'text' or 'role' parameter")
 			}
 
 			// 使用waitForTabOperationComplete处理可能导致导航的点击
@@ -179,11 +206,75 @@ async function executeOperation(operation, requestId, intervalMs) {
 				"click",
 				operationRequestId,
 				async () => {
-					await performClick(parameters.coordinate)
+					await performClick(pickTarget(parameters), {
+						button: parameters.button,
+						modifiers: parameters.modifiers,
+					})
+				},
+				true,
+			)
+			break
+
+		case "double_click":
+		case "right_click":
+			// 目标与click相同
+			if (!parameters || (!parameters.coordinate && !hasElementLocator(parameters))) {
+				throw new Error(
+					`${name} operation requires 'coordinate', 'ref', 'mark', 'selector', 'text' or 'role' parameter`,
+				)
+			}
+
+			// 传入true表示这是批处理模式，跳过截图
+			result = await waitForTabOperationComplete(
+				"click",
+				operationRequestId,
+				async () => {
+					await performClick(pickTarget(parameters), name === "double_click" ? { clickCount: 2 } : { button: "right" })
+				},
+				true,
+			)
+			break
+
+		case "hover":
+			if (!parameters || (!parameters.coordinate && !hasElementLocator(parameters))) {
+				throw new Error("Hover operation requires 'coordinate', 'ref', 'mark', 'selector', 'text' or 'role' parameter")
+			}
+
+			// 使用performSimpleOperation处理悬停（不导航）
+			// 传入true表示这是批处理模式，跳过截图
+			result = await performSimpleOperation(
+				"hover",
+				operationRequestId,
+				async () => {
+					await performHover(pickTarget(parameters))
+				},
+				true,
+			)
+			break
+
+		case "drag": {
+			// 起点和终点各自是坐标或元素定位信息
+			const source = pickTarget(parameters?.from)
+			const destination = pickTarget(parameters?.to)
+			if (
+				!(source.coordinate || hasElementLocator(source)) ||
+				!(destination.coordinate || hasElementLocator(destination))
+			) {
+				throw new Error("Drag operation requires 'from' and 'to' parameters, each with a coordinate or element locator")
+			}
+
+			// 拖放可能触发导航或打开新页面
+			// 传入true表示这是批处理模式，跳过截图
+			result = await waitForTabOperationComplete(
+				"drag",
+				operationRequestId,
+				async () => {
+					await performDrag(source, destination, { steps: parameters.steps })
 				},
 				true,
 			)
 			break
+		}
 
 		case "type":
 			// 从parameters.text中提取文本
@@ -197,7 +288,10 @@ async function executeOperation(operation, requestId, intervalMs) {
 				"type",
 				operationRequestId,
 				async () => {
-					await performType(parameters.text)
+					// 可选的ref/selector用于先聚焦输入目标，clear时替换输入框中原有的内容
+					await performType(parameters.text, pickTarget({ ref: parameters.ref, selector: parameters.selector }), {
+						clear: parameters.clear === true,
+					})
 					// 添加短暂延迟让输入完成
 					await new Promise((resolve) => setTimeout(resolve, 100))
 				},
@@ -205,6 +299,51 @@ async function executeOperation(operation, requestId, intervalMs) {
 			)
 			break
 
+		case "fill_form":
+			if (!parameters?.fields || Object.keys(parameters.fields).length === 0) {
+				throw new Error("fill_form operation requires 'fields' parameter")
+			}
+
+			// 使用performSimpleOperation处理表单填写（不导航）
+			// 传入true表示这是批处理模式，跳过截图
+			result = await performSimpleOperation(
+				"fillForm",
+				operationRequestId,
+				async () => {
+					const { fields, validationMessages } = await fillForm(parameters.fields)
+					const failed = fields.filter((field) => field.status !== "success")
+					// 有字段填写失败时中止批处理，后续操作（如提交）依赖这些字段
+					if (failed.length > 0) {
+						throw new Error(`Failed to fill ${failed.map((field) => `'${field.field}' (${field.message})`).join(", ")}`)
+					}
+					return { formFields: fields, validationMessages }
+				},
+				true,
+			)
+			break
+
+		case "select_option": {
+			const choice = pickOptionChoice(parameters)
+			if (!hasElementLocator(parameters)) {
+				throw new Error("select_option operation requires 'ref', 'mark', 'selector', 'text' or 'role' parameter")
+			}
+			if (choice.values.length + choice.labels.length + choice.indexes.length === 0) {
+				throw new Error("select_option operation requires 'value', 'label' or 'index' parameter")
+			}
+
+			// change事件可能触发页面跳转
+			// 传入true表示这是批处理模式，跳过截图
+			result = await waitForTabOperationComplete(
+				"selectOption",
+				operationRequestId,
+				async () => {
+					await selectOption(pickTarget(parameters), choice)
+				},
+				true,
+			)
+			break
+		}
+
 		case "press_key":
 			// 从parameters.key中提取按键
 			if (!parameters || !parameters.key) {
@@ -244,9 +383,10 @@ async function executeOperation(operation, requestId, intervalMs) {
 			break
 
 		case "scroll":
-			// 从parameters中提取滚动方向和选择器
-			if (!parameters || !parameters.direction) {
-				throw new Error("Scroll operation requires 'direction' parameter")
+			// 从parameters中提取滚动方向和选择器，提供x或y时滚动到精确位置（回放录制的滚动）
+			const scrollToPosition = Number.isFinite(parameters?.x) || Number.isFinite(parameters?.y)
+			if (!scrollToPosition && !parameters?.direction) {
+				throw new Error("Scroll operation requires 'direction' or 'x'/'y' parameters")
 			}
 
 			// 使用performSimpleOperation处理滚动（不导航）
@@ -255,7 +395,24 @@ async function executeOperation(operation, requestId, intervalMs) {
 				"scroll",
 				operationRequestId,
 				async () => {
-					await performScroll(parameters.direction, parameters.selector)
+					// 录制回放的滚动容器可能位于同源iframe或shadow DOM中，由frame_path和shadow_path指定
+					const scrollTarget = pickTarget({
+						ref: parameters.ref,
+						selector: parameters.selector,
+						framePath: parameters.frame_path,
+						shadowPath: parameters.shadow_path,
+					})
+					if (scrollToPosition) {
+						await performScrollTo(parameters.x, parameters.y, scrollTarget)
+						return
+					}
+
+					const { selector: scrollSelector, release } = await resolveTargetSelector(scrollTarget)
+					try {
+						await performScroll(parameters.direction, scrollSelector)
+					} finally {
+						await release()
+					}
 				},
 				true,
 			)
@@ -276,6 +433,32 @@ async function executeOperation(operation, requestId, intervalMs) {
 			)
 			break
 
+		case "wait_for": {
+			const conditions = {
+				selector: parameters?.selector,
+				selectorState: parameters?.selector_state,
+				text: parameters?.text,
+				url: parameters?.url,
+				networkIdleMs: parameters?.network_idle_ms,
+			}
+			if (!hasWaitCondition(conditions)) {
+				throw new Error("wait_for operation requires 'selector', 'text', 'url' or 'network_idle_ms' parameter")
+			}
+
+			// 使用performSimpleOperation处理条件等待（不导航）
+			// 传入true表示这是批处理模式，跳过截图
+			result = await performSimpleOperation(
+				"waitFor",
+				operationRequestId,
+				async () => {
+					const fired = await waitForCondition(conditions, parameters.timeout_ms || 30000)
+					return { waitCondition: fired.condition, message: fired.description }
+				},
+				true,
+			)
+			break
+		}
+
 		default:
 			throw new Error(`Unsupported operation: ${name}`)
 	}
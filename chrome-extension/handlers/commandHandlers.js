@@ -14,13 +14,36 @@ import {
 	selectTab,
 	closeTabByIndex,
 	getActiveTabId,
+	isTabProcessing,
+	waitForTabProcessingComplete,
+	navigateHistory,
 } from "../services/tabService.js"
-import { captureVisibleTabPromise, captureAreaScreenshot } from "../services/screenshotService.js"
-import { performClick, performKeyCombination, performPressKey, performType } from "../services/interactionService.js"
-import { performScroll } from "../services/scrollService.js"
-import { getFullHtml, getViewportSize } from "../services/contentService.js"
+import {
+	captureVisibleTabPromise,
+	captureAreaScreenshot,
+	captureScreenshot,
+	updateStateScreenshotLimits,
+} from "../services/screenshotService.js"
+import {
+	performClick,
+	performHover,
+	performDrag,
+	performKeyCombination,
+	performPressKey,
+	performType,
+} from "../services/interactionService.js"
+import { performScroll, performScrollTo } from "../services/scrollService.js"
+import { getFullHtml, getViewportSize, evaluateInActiveTab, getPageMarkdown } from "../services/contentService.js"
 import { updateViewportConfig, applyViewportConfig } from "../services/viewportService.js"
 import { debugTarget, attachDebugger, isDebuggerAttached } from "../services/debuggerService.js"
+import { pickTarget, describeTarget, resolveTargetSelector } from "../services/elementService.js"
+import { captureSnapshot } from "../services/snapshotService.js"
+import { waitForCondition, hasWaitCondition } from "../services/waitService.js"
+import { fillForm, selectOption, pickOptionChoice } from "../services/formService.js"
+import { uploadFiles } from "../services/fileUploadService.js"
+import { handleDialog, updateDialogPolicy } from "../services/dialogService.js"
+import { getConsoleLogs } from "../services/consoleService.js"
+import { listRequests, getRequestDetail, exportHar } from "../services/networkService.js"
 import { handleBatchCommand } from "./batchCommandHandler.js"
 import { executeAreaVisualization } from "./visualizationHandler.js"
 
@@ -93,18 +116,69 @@ export async function handleCommandFromServer(message) {
 		case "getFullHtml":
 			await handleGetFullHtmlCommand(message)
 			break
+		case "getPageContent":
+			await handleGetPageContentCommand(message)
+			break
 		case "click":
 			await handleClickCommand(message)
 			break
+		case "hover":
+			await handleHoverCommand(message)
+			break
+		case "drag":
+			await handleDragCommand(message)
+			break
 		case "get_viewport_size":
 			await handleGetViewportSizeCommand(message)
 			break
 		case "takeAreaScreenshot":
 			await handleTakeAreaScreenshotCommand(message)
 			break
+		case "takeScreenshot":
+			await handleTakeScreenshotCommand(message)
+			break
+		case "setScreenshotPolicy":
+			handleSetScreenshotPolicyCommand(message)
+			break
 		case "wait":
 			await handleWaitCommand(message)
 			break
+		case "waitFor":
+			await handleWaitForCommand(message)
+			break
+		case "fillForm":
+			await handleFillFormCommand(message)
+			break
+		case "selectOption":
+			await handleSelectOptionCommand(message)
+			break
+		case "uploadFile":
+			await handleUploadFileCommand(message)
+			break
+		case "handleDialog":
+			await handleHandleDialogCommand(message)
+			break
+		case "setDialogPolicy":
+			handleSetDialogPolicyCommand(message)
+			break
+		case "snapshot":
+			await handleSnapshotCommand(message)
+			break
+		case "evaluate":
+			await handleEvaluateCommand(message)
+			break
+		case "getConsoleLogs":
+			await handleGetConsoleLogsCommand(message)
+			break
+		case "listRequests":
+			await handleListRequestsCommand(message)
+			break
+		case "getRequest":
+			await handleGetRequestCommand(message)
+			break
+		case "exportHar":
+			await handleExportHarCommand(message)
+			break
 		// 标签页管理命令
 		case "listTabs":
 			await handleListTabsCommand(message)
@@ -124,6 +198,9 @@ export async function handleCommandFromServer(message) {
 		case "navigateForward":
 			await handleNavigateForwardCommand(message)
 			break
+		case "reload":
+			await handleReloadCommand(message)
+			break
 		// 批处理命令
 		case "batch":
 			await handleBatchCommand(message)
@@ -168,13 +245,15 @@ async function handleCloseCommand(message) {
  */
 async function handleScrollCommand(message) {
 	const scrollRequestId = message.requestId
-	const { direction, selector } = message
+	const { direction, selector, ref, x, y } = message
+	// 提供了x或y时滚动到精确位置，否则按方向滚动
+	const scrollToPosition = Number.isFinite(x) || Number.isFinite(y)
 
 	console.log(
-		`[BG_WS] Received scroll command (request: ${scrollRequestId}, direction: ${direction}, selector: ${selector || "null"})`,
+		`[BG_WS] Received scroll command (request: ${scrollRequestId}, ${scrollToPosition ? `position: ${x ?? "-"},${y ?? "-"}` : `direction: ${direction}`}, selector: ${selector || "null"}, ref: ${ref || "null"})`,
 	)
 
-	if (!direction || !["up", "down", "left", "right"].includes(direction)) {
+	if (!scrollToPosition && (!direction || !["up", "down", "left", "right"].includes(direction))) {
 		console.error(`[BG_WS] 无效的滚动方向: ${direction}`)
 		sendMessageToServer({
 			status: "error",
@@ -187,8 +266,20 @@ async function handleScrollCommand(message) {
 	try {
 		// 使用简单操作处理函数进行滚动
 		const result = await performSimpleOperation("scroll", scrollRequestId, async () => {
-			// 使用新的scrollService中的performScroll函数
-			await performScroll(direction, selector)
+			// 滚动到精确位置时直接在解析出的元素上执行
+			if (scrollToPosition) {
+				await performScrollTo(x, y, pickTarget({ ref, selector }))
+				return
+			}
+
+			// 按方向滚动需要选择器，元素引用先解析为选择器，滚动后移除临时标记
+			const { selector: scrollSelector, release } = await resolveTargetSelector(pickTarget({ ref, selector }))
+			try {
+				// 使用新的scrollService中的performScroll函数
+				await performScroll(direction, scrollSelector)
+			} finally {
+				await release()
+			}
 		})
 
 		// 发送结果给服务器
@@ -210,8 +301,12 @@ async function handleScrollCommand(message) {
 async function handleTypeCommand(message) {
 	const typeRequestId = message.requestId
 	const textToType = message.text
+	// 可选的输入目标，text字段是输入内容，所以这里只接受ref和selector
+	const typeTarget = pickTarget({ ref: message.ref, selector: message.selector })
 
-	console.log(`[BG_WS] Received type command (request: ${typeRequestId}, text length: ${textToType?.length})`)
+	console.log(
+		`[BG_WS] Received type command (request: ${typeRequestId}, text length: ${textToType?.length}, target: ${message.ref || message.selector || "focused element"})`,
+	)
 
 	try {
 		// 使用简单操作处理函数，不等待导航或新标签页
@@ -220,7 +315,7 @@ async function handleTypeCommand(message) {
 			typeRequestId, // 请求ID
 			async () => {
 				// 实际执行的输入操作
-				await performType(textToType)
+				await performType(textToType, typeTarget)
 				// 添加短暂延迟让输入完成
 				await new Promise((resolve) => setTimeout(resolve, 100))
 			},
@@ -342,29 +437,82 @@ async function handleGetFullHtmlCommand(message) {
 	}
 }
 
+/**
+ * 处理获取页面内容（Markdown）命令
+ * 不截图，直接返回页面主要内容的Markdown
+ * @param {Object} message - 命令消息
+ */
+async function handleGetPageContentCommand(message) {
+	const contentRequestId = message.requestId
+
+	console.log(
+		`[BG_WS] Received getPageContent command (request: ${contentRequestId}, selector: ${message.selector || "auto"})`,
+	)
+
+	try {
+		const activeTabId = getActiveTabId()
+		if (!activeTabId) {
+			throw new Error("无可用的标签页获取页面内容")
+		}
+
+		// 等待正在进行的标签页处理完成，避免读取到导航中的页面
+		if (isTabProcessing(activeTabId)) {
+			await waitForTabProcessingComplete(activeTabId, 10000)
+		}
+
+		const { markdown, title, url } = await getPageMarkdown(message.selector)
+
+		sendMessageToServer({
+			status: "success",
+			command: "getPageContent",
+			requestId: contentRequestId,
+			pageContent: markdown,
+			title,
+			currentUrl: url,
+		})
+	} catch (error) {
+		console.error(`[BG_WS] Error processing getPageContent command:`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: "getPageContent",
+			requestId: contentRequestId,
+		})
+	}
+}
+
 /**
  * 处理点击命令
  * @param {Object} message - 命令消息
  */
 async function handleClickCommand(message) {
 	const clickRequestId = message.requestId
-	const coordinateString = message.coordinate
+	const clickTarget = pickTarget(message)
+	const clickOptions = { button: message.button, clickCount: message.clickCount, modifiers: message.modifiers }
 
-	console.log(`[BG_WS] Received click command (request: ${clickRequestId}, coordinates: ${coordinateString})`)
+	console.log(
+		`[BG_WS] Received click command (request: ${clickRequestId}, target: ${describeTarget(clickTarget)}, button: ${message.button || "left"}, clickCount: ${message.clickCount || 1})`,
+	)
 
 	try {
+		// 记录实际点击的坐标（元素目标会被解析为坐标）
+		let clickedCoordinate = clickTarget.coordinate
+
 		// 使用通用的标签页操作函数进行点击和处理
 		const result = await waitForTabOperationComplete(
 			"click", // 操作类型
 			clickRequestId, // 请求ID
 			async () => {
 				// 实际执行的点击操作，无需关心activeTabId
-				await performClick(coordinateString)
+				clickedCoordinate = await performClick(clickTarget, clickOptions)
 			},
 		)
 
 		// 发送结果给服务器
-		sendMessageToServer(result)
+		sendMessageToServer({
+			...result,
+			currentMousePosition: clickedCoordinate,
+		})
 	} catch (error) {
 		console.error(`[BG_WS] Error processing click command ${clickRequestId}:`, error)
 		sendMessageToServer({
@@ -376,6 +524,75 @@ async function handleClickCommand(message) {
 	}
 }
 
+/**
+ * 处理悬停命令
+ * @param {Object} message - 命令消息
+ */
+async function handleHoverCommand(message) {
+	const hoverRequestId = message.requestId
+	const hoverTarget = pickTarget(message)
+
+	console.log(`[BG_WS] Received hover command (request: ${hoverRequestId}, target: ${describeTarget(hoverTarget)})`)
+
+	try {
+		let hoveredCoordinate = hoverTarget.coordinate
+
+		// 悬停可能打开菜单或改变页面，使用通用的标签页操作函数返回截图
+		const result = await waitForTabOperationComplete("hover", hoverRequestId, async () => {
+			hoveredCoordinate = await performHover(hoverTarget)
+		})
+
+		sendMessageToServer({
+			...result,
+			currentMousePosition: hoveredCoordinate,
+		})
+	} catch (error) {
+		console.error(`[BG_WS] Error processing hover command ${hoverRequestId}:`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: "hover",
+			requestId: hoverRequestId,
+		})
+	}
+}
+
+/**
+ * 处理拖拽命令：起点和终点可以是坐标或元素定位信息
+ * @param {Object} message - 命令消息 {from, to, steps}
+ */
+async function handleDragCommand(message) {
+	const dragRequestId = message.requestId
+	const source = pickTarget(message.from)
+	const destination = pickTarget(message.to)
+
+	console.log(
+		`[BG_WS] Received drag command (request: ${dragRequestId}, from: ${describeTarget(source)}, to: ${describeTarget(destination)})`,
+	)
+
+	try {
+		let dragResult = null
+
+		const result = await waitForTabOperationComplete("drag", dragRequestId, async () => {
+			dragResult = await performDrag(source, destination, { steps: message.steps })
+		})
+
+		sendMessageToServer({
+			...result,
+			currentMousePosition: dragResult?.to,
+			dragFrom: dragResult?.from,
+		})
+	} catch (error) {
+		console.error(`[BG_WS] Error processing drag command ${dragRequestId}:`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: "drag",
+			requestId: dragRequestId,
+		})
+	}
+}
+
 /**
  * 处理获取视口大小命令
  * @param {Object} message - 命令消息
@@ -480,6 +697,69 @@ async function handleTakeAreaScreenshotCommand(message) {
 	}
 }
 
+/**
+ * 处理截图命令：视口、整页或元素截图，可指定格式、质量和最大宽度，可叠加元素编号
+ * @param {Object} message - 命令消息
+ */
+async function handleTakeScreenshotCommand(message) {
+	const screenshotRequestId = message.requestId
+	const target = pickTarget({ ref: message.ref, selector: message.selector })
+
+	console.log(
+		`[BG_WS] Received takeScreenshot command (request: ${screenshotRequestId}, fullPage: ${!!message.fullPage}, target: ${describeTarget(target)}, format: ${message.format || "png"})`,
+	)
+
+	try {
+		const { screenshot, width, height, marks } = await captureScreenshot({
+			fullPage: message.fullPage,
+			target,
+			format: message.format,
+			quality: message.quality,
+			maxWidth: message.maxWidth,
+			omitBackground: message.omitBackground,
+			marks: message.marks,
+		})
+
+		const tab = await chrome.tabs.get(getActiveTabId())
+		sendMessageToServer({
+			status: "success",
+			command: "takeScreenshot",
+			requestId: screenshotRequestId,
+			screenshot,
+			imageSize: { width, height },
+			...(marks && { marks }),
+			currentUrl: tab.url,
+		})
+	} catch (error) {
+		console.error(`[BG_WS] Error processing takeScreenshot command: ${error.message}`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: "takeScreenshot",
+			requestId: screenshotRequestId,
+		})
+	}
+}
+
+/**
+ * 处理截图策略命令：更新操作后自动截图的最大尺寸、JPEG质量和是否叠加编号框
+ * @param {Object} message - 命令消息
+ */
+function handleSetScreenshotPolicyCommand(message) {
+	const limits = updateStateScreenshotLimits({
+		maxWidth: message.maxWidth,
+		maxHeight: message.maxHeight,
+		quality: message.quality,
+		marks: message.marks,
+	})
+	sendMessageToServer({
+		status: "success",
+		command: "setScreenshotPolicy",
+		requestId: message.requestId,
+		screenshotLimits: limits,
+	})
+}
+
 /**
  * 处理等待命令
  * @param {Object} message - 命令消息
@@ -527,6 +807,458 @@ async function handleWaitCommand(message) {
 	}
 }
 
+/**
+ * 处理条件等待命令
+ * @param {Object} message - 命令消息
+ */
+async function handleWaitForCommand(message) {
+	const waitForRequestId = message.requestId
+	const { selector, selectorState, text, url, networkIdleMs, timeoutMs = 30000 } = message
+	const conditions = { selector, selectorState, text, url, networkIdleMs }
+
+	console.log(`[BG_WS] Received waitFor command (request: ${waitForRequestId}, timeout: ${timeoutMs}ms)`)
+
+	if (!hasWaitCondition(conditions)) {
+		sendMessageToServer({
+			status: "error",
+			message: "waitFor requires at least one of 'selector', 'text', 'url' or 'networkIdleMs'",
+			command: "waitFor",
+			requestId: waitForRequestId,
+		})
+		return
+	}
+
+	try {
+		// 使用简单操作处理函数执行等待，条件满足后返回截图
+		const result = await performSimpleOperation("waitFor", waitForRequestId, async () => {
+			const fired = await waitForCondition(conditions, timeoutMs)
+			return {
+				message: `${fired.description} (after ${fired.elapsedMs}ms)`,
+				waitCondition: fired.condition,
+			}
+		})
+
+		sendMessageToServer(result)
+	} catch (error) {
+		console.error(`[BG_WS] Error processing waitFor command ${waitForRequestId}:`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: "waitFor",
+			requestId: waitForRequestId,
+		})
+	}
+}
+
+/**
+ * 处理表单填写命令
+ * @param {Object} message - 命令消息 {fields: {字段定位信息: 值}}
+ */
+async function handleFillFormCommand(message) {
+	const fillFormRequestId = message.requestId
+	const fieldCount = Object.keys(message.fields || {}).length
+
+	console.log(`[BG_WS] Received fillForm command (request: ${fillFormRequestId}, fields: ${fieldCount})`)
+
+	try {
+		// 填写字段不会导航，使用简单操作处理函数并返回截图
+		const result = await performSimpleOperation("fillForm", fillFormRequestId, async () => {
+			const { fields, validationMessages } = await fillForm(message.fields)
+			return { formFields: fields, validationMessages }
+		})
+
+		sendMessageToServer(result)
+	} catch (error) {
+		console.error(`[BG_WS] Error processing fillForm command ${fillFormRequestId}:`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: "fillForm",
+			requestId: fillFormRequestId,
+		})
+	}
+}
+
+/**
+ * 处理下拉框选项选择命令
+ * @param {Object} message - 命令消息 {ref, mark, selector, text, role, name, value, label, index}
+ */
+async function handleSelectOptionCommand(message) {
+	const selectRequestId = message.requestId
+	const selectTarget = pickTarget(message)
+	const choice = pickOptionChoice(message)
+
+	console.log(
+		`[BG_WS] Received selectOption command (request: ${selectRequestId}, target: ${describeTarget(selectTarget)})`,
+	)
+
+	try {
+		let selection = null
+
+		// change事件可能触发页面跳转，使用通用的标签页操作函数等待
+		const result = await waitForTabOperationComplete("selectOption", selectRequestId, async () => {
+			selection = await selectOption(selectTarget, choice)
+		})
+
+		sendMessageToServer({
+			...result,
+			selectedOptions: selection?.selected,
+			selectElement: selection?.element,
+		})
+	} catch (error) {
+		console.error(`[BG_WS] Error processing selectOption command ${selectRequestId}:`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: "selectOption",
+			requestId: selectRequestId,
+		})
+	}
+}
+
+/**
+ * 处理文件上传命令
+ * @param {Object} message - 命令消息 {files, ref, mark, selector, text, role, name}
+ */
+async function handleUploadFileCommand(message) {
+	const uploadRequestId = message.requestId
+	const uploadTarget = pickTarget(message)
+
+	console.log(
+		`[BG_WS] Received uploadFile command (request: ${uploadRequestId}, files: ${message.files?.length}, target: ${describeTarget(uploadTarget)})`,
+	)
+
+	try {
+		// 设置文件不会导航，使用简单操作处理函数并返回截图
+		const result = await performSimpleOperation("uploadFile", uploadRequestId, async () => {
+			return uploadFiles(message.files, uploadTarget)
+		})
+
+		sendMessageToServer(result)
+	} catch (error) {
+		console.error(`[BG_WS] Error processing uploadFile command ${uploadRequestId}:`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: "uploadFile",
+			requestId: uploadRequestId,
+		})
+	}
+}
+
+/**
+ * 处理JavaScript对话框命令：确认或取消活动标签页中打开的对话框
+ * @param {Object} message - 命令消息 {accept, promptText}
+ */
+async function handleHandleDialogCommand(message) {
+	const dialogRequestId = message.requestId
+	const accept = message.accept !== false
+
+	console.log(`[BG_WS] Received handleDialog command (request: ${dialogRequestId}, accept: ${accept})`)
+
+	try {
+		// 先关闭对话框，被阻塞的页面和之前的命令才能继续执行
+		const dialog = await handleDialog(accept, message.promptText)
+
+		// 对话框关闭后页面可能继续导航（如beforeunload），等待后返回截图
+		const result = await performSimpleOperation("handleDialog", dialogRequestId, async () => ({
+			handledDialog: dialog,
+		}))
+
+		sendMessageToServer(result)
+	} catch (error) {
+		console.error(`[BG_WS] Error processing handleDialog command ${dialogRequestId}:`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: "handleDialog",
+			requestId: dialogRequestId,
+		})
+	}
+}
+
+/**
+ * 处理对话框策略命令：更新各类对话框的自动处理方式
+ * @param {Object} message - 命令消息 {alert, confirm, prompt, beforeunload, promptText}
+ */
+function handleSetDialogPolicyCommand(message) {
+	const policy = updateDialogPolicy({
+		alert: message.alert,
+		confirm: message.confirm,
+		prompt: message.prompt,
+		beforeunload: message.beforeunload,
+		promptText: message.promptText,
+	})
+	sendMessageToServer({
+		status: "success",
+		command: "setDialogPolicy",
+		requestId: message.requestId,
+		dialogPolicy: policy,
+	})
+}
+
+/**
+ * 处理页面快照命令
+ * 不截图，直接返回无障碍树文本
+ * @param {Object} message - 命令消息
+ */
+async function handleSnapshotCommand(message) {
+	const snapshotRequestId = message.requestId
+
+	console.log(`[BG_WS] Received snapshot command (request: ${snapshotRequestId})`)
+
+	try {
+		const activeTabId = getActiveTabId()
+		if (!activeTabId) {
+			throw new Error("无可用的标签页获取页面快照")
+		}
+
+		// 等待正在进行的标签页处理完成，避免读取到导航中的页面
+		if (isTabProcessing(activeTabId)) {
+			await waitForTabProcessingComplete(activeTabId, 10000)
+		}
+
+		const { snapshot, refCount, currentUrl } = await captureSnapshot()
+
+		sendMessageToServer({
+			status: "success",
+			command: "snapshot",
+			requestId: snapshotRequestId,
+			snapshot,
+			currentUrl,
+			message: `Captured page snapshot with ${refCount} element refs`,
+		})
+	} catch (error) {
+		console.error(`[BG_WS] Error processing snapshot command:`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: "snapshot",
+			requestId: snapshotRequestId,
+		})
+	}
+}
+
+/**
+ * 处理执行JavaScript命令
+ * 不截图，直接返回序列化的执行结果
+ * @param {Object} message - 命令消息
+ */
+async function handleEvaluateCommand(message) {
+	const evaluateRequestId = message.requestId
+	const { script, awaitPromise, timeoutMs, world } = message
+
+	console.log(`[BG_WS] Received evaluate command (request: ${evaluateRequestId}, world: ${world || "MAIN"})`)
+
+	if (!script || typeof script !== "string") {
+		sendMessageToServer({
+			status: "error",
+			message: "Missing script for evaluate command",
+			command: "evaluate",
+			requestId: evaluateRequestId,
+		})
+		return
+	}
+
+	try {
+		const activeTabId = getActiveTabId()
+		if (!activeTabId) {
+			throw new Error("无可用的标签页执行脚本")
+		}
+
+		// 等待正在进行的标签页处理完成
+		if (isTabProcessing(activeTabId)) {
+			await waitForTabProcessingComplete(activeTabId, 10000)
+		}
+
+		const { result, type } = await evaluateInActiveTab(script, { awaitPromise, timeoutMs, world })
+		const tab = await chrome.tabs.get(activeTabId)
+
+		sendMessageToServer({
+			status: "success",
+			command: "evaluate",
+			requestId: evaluateRequestId,
+			evaluationResult: result,
+			currentUrl: tab.url,
+			message: `Evaluated script, result type: ${type}`,
+		})
+	} catch (error) {
+		console.error(`[BG_WS] Error processing evaluate command:`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: "evaluate",
+			requestId: evaluateRequestId,
+		})
+	}
+}
+
+/**
+ * 处理获取控制台日志命令
+ * @param {Object} message - 命令消息
+ */
+async function handleGetConsoleLogsCommand(message) {
+	const logsRequestId = message.requestId
+	const { minLevel, sinceLastCall, limit } = message
+
+	console.log(
+		`[BG_WS] Received getConsoleLogs command (request: ${logsRequestId}, minLevel: ${minLevel || "debug"}, sinceLastCall: ${!!sinceLastCall})`,
+	)
+
+	try {
+		const activeTabId = getActiveTabId()
+		if (!activeTabId) {
+			throw new Error("无可用的标签页获取控制台日志")
+		}
+
+		const { logs, total, dropped } = getConsoleLogs(activeTabId, { minLevel, sinceLastCall, limit })
+		const tab = await chrome.tabs.get(activeTabId)
+
+		let summary = `Returned ${logs.length} of ${total} matching console entries`
+		if (dropped) {
+			summary += " (older entries were dropped from the buffer)"
+		}
+
+		sendMessageToServer({
+			status: "success",
+			command: "getConsoleLogs",
+			requestId: logsRequestId,
+			logs,
+			currentUrl: tab.url,
+			message: summary,
+		})
+	} catch (error) {
+		console.error(`[BG_WS] Error processing getConsoleLogs command:`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: "getConsoleLogs",
+			requestId: logsRequestId,
+		})
+	}
+}
+
+/**
+ * 处理列出网络请求命令
+ * @param {Object} message - 命令消息
+ */
+async function handleListRequestsCommand(message) {
+	const listRequestId = message.requestId
+	const { urlFilter, resourceType, failedOnly, limit } = message
+
+	console.log(
+		`[BG_WS] Received listRequests command (request: ${listRequestId}, urlFilter: ${urlFilter || "none"}, type: ${resourceType || "all"})`,
+	)
+
+	try {
+		const activeTabId = getActiveTabId()
+		if (!activeTabId) {
+			throw new Error("无可用的标签页获取网络请求")
+		}
+
+		const { requests, total, dropped } = listRequests(activeTabId, { urlFilter, resourceType, failedOnly, limit })
+		const tab = await chrome.tabs.get(activeTabId)
+
+		let summary = `Returned ${requests.length} of ${total} matching requests`
+		if (dropped) {
+			summary += " (older requests were dropped from the buffer)"
+		}
+
+		sendMessageToServer({
+			status: "success",
+			command: "listRequests",
+			requestId: listRequestId,
+			requests,
+			currentUrl: tab.url,
+			message: summary,
+		})
+	} catch (error) {
+		console.error(`[BG_WS] Error processing listRequests command:`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: "listRequests",
+			requestId: listRequestId,
+		})
+	}
+}
+
+/**
+ * 处理获取网络请求详情命令
+ * @param {Object} message - 命令消息
+ */
+async function handleGetRequestCommand(message) {
+	const getRequestId = message.requestId
+	const { id, includeBodies } = message
+
+	console.log(`[BG_WS] Received getRequest command (request: ${getRequestId}, id: ${id})`)
+
+	try {
+		const activeTabId = getActiveTabId()
+		if (!activeTabId) {
+			throw new Error("无可用的标签页获取网络请求")
+		}
+
+		const request = await getRequestDetail(activeTabId, id, { includeBodies })
+		const tab = await chrome.tabs.get(activeTabId)
+
+		sendMessageToServer({
+			status: "success",
+			command: "getRequest",
+			requestId: getRequestId,
+			request,
+			currentUrl: tab.url,
+			message: `${request.method} ${request.url} -> ${request.status ?? request.error ?? "pending"}`,
+		})
+	} catch (error) {
+		console.error(`[BG_WS] Error processing getRequest command:`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: "getRequest",
+			requestId: getRequestId,
+		})
+	}
+}
+
+/**
+ * 处理导出HAR命令
+ * @param {Object} message - 命令消息
+ */
+async function handleExportHarCommand(message) {
+	const harRequestId = message.requestId
+	const { includeBodies } = message
+
+	console.log(`[BG_WS] Received exportHar command (request: ${harRequestId}, includeBodies: ${!!includeBodies})`)
+
+	try {
+		const activeTabId = getActiveTabId()
+		if (!activeTabId) {
+			throw new Error("无可用的标签页导出HAR")
+		}
+
+		const { har, entryCount } = await exportHar(activeTabId, { includeBodies })
+		const tab = await chrome.tabs.get(activeTabId)
+
+		sendMessageToServer({
+			status: "success",
+			command: "exportHar",
+			requestId: harRequestId,
+			har,
+			currentUrl: tab.url,
+			message: `Exported ${entryCount} requests as HAR`,
+		})
+	} catch (error) {
+		console.error(`[BG_WS] Error processing exportHar command:`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: "exportHar",
+			requestId: harRequestId,
+		})
+	}
+}
+
 /**
  * 处理获取标签页列表命令
  * @param {Object} message - 命令消息
@@ -625,3 +1357,53 @@ async function handleCloseTabCommand(message) {
 		})
 	}
 }
+
+/**
+ * 执行历史导航类命令并发送结果
+ * @param {Object} message - 命令消息
+ * @param {string} operationType - 操作类型: "navigateBack"、"navigateForward" 或 "reload"
+ * @param {Object} options - 传递给navigateHistory的选项
+ */
+async function runHistoryNavigation(message, operationType, options = {}) {
+	const requestId = message.requestId
+
+	try {
+		const result = await navigateHistory(requestId, operationType, options)
+		sendMessageToServer(result)
+	} catch (error) {
+		console.error(`[BG_WS] Error processing ${operationType} command:`, error)
+		sendMessageToServer({
+			status: "error",
+			message: error.message,
+			command: operationType,
+			requestId,
+		})
+	}
+}
+
+/**
+ * 处理后退命令
+ * @param {Object} message - 命令消息
+ */
+async function handleNavigateBackCommand(message) {
+	console.log(`[BG_WS] Received navigateBack command (request: ${message.requestId})`)
+	await runHistoryNavigation(message, "navigateBack")
+}
+
+/**
+ * 处理前进命令
+ * @param {Object} message - 命令消息
+ */
+async function handleNavigateForwardCommand(message) {
+	console.log(`[BG_WS] Received navigateForward command (request: ${message.requestId})`)
+	await runHistoryNavigation(message, "navigateForward")
+}
+
+/**
+ * 处理刷新命令
+ * @param {Object} message - 命令消息，hard为true时忽略缓存强制刷新
+ */
+async function handleReloadCommand(message) {
+	console.log(`[BG_WS] Received reload command (request: ${message.requestId}, hard: ${!!message.hard})`)
+	await runHistoryNavigation(message, "reload", { bypassCache: !!message.hard })
+}
@@ -4,6 +4,7 @@
  */
 
 import { getActiveTabId } from "../services/tabService.js"
+import { SET_OF_MARKS_ATTRIBUTE } from "../services/elementService.js"
 
 // 全局存储当前可视化状态的标签页ID
 let activeVisualizationTabId = null
@@ -11,6 +12,8 @@ let activeVisualizationTabId = null
 const initializedTabs = new Set()
 // 存储每个标签页的最后鼠标位置
 const lastMousePositions = new Map()
+// set-of-marks最多标记的元素数量
+const MAX_SET_OF_MARKS = 200
 
 /**
  * 确保标签页的可视化功能已初始化
@@ -36,7 +39,7 @@ export async function ensureVisualizationInitialized(tabId) {
 		try {
 			await chrome.scripting.executeScript({
 				target: { tabId: tabId },
-				files: ["content_scripts/visualization.js"],
+				files: ["content_scripts/selectorGenerator.js", "content_scripts/redaction.js", "content_scripts/visualization.js"],
 			})
 
 			// 给内容脚本一些时间初始化
@@ -112,9 +115,10 @@ export async function ensureVisualizationInitialized(tabId) {
  * @param {number} tabId - 标签页ID
  * @param {number} x - 目标X坐标
  * @param {number} y - 目标Y坐标
+ * @param {boolean} [showClickEffect] - 是否在终点显示点击效果，悬停和拖拽时只移动指针
  * @returns {Promise<boolean>} - 是否成功执行
  */
-export async function executeMouseClick(tabId, x, y) {
+export async function executeMouseClick(tabId, x, y, showClickEffect = true) {
 	try {
 		//console.log(`[VIZ Handler] 执行标签页 ${tabId} 的鼠标点击可视化 (${x},${y})`)
 
@@ -138,7 +142,7 @@ export async function executeMouseClick(tabId, x, y) {
 		const result = await chrome.scripting
 			.executeScript({
 				target: { tabId },
-				func: (x, y, lastX, lastY, hasLastPosition) => {
+				func: (x, y, lastX, lastY, hasLastPosition, showClickEffect) => {
 					console.log(`[VIZ Script] 开始在页面内执行鼠标动画 (${x},${y})`)
 
 					// 创建或获取鼠标指针元素
@@ -350,6 +354,12 @@ export async function executeMouseClick(tabId, x, y) {
 								coordLabel.style.left = `${x}px`
 								coordLabel.style.top = `${y}px`
 
+								// 悬停和拖拽只移动指针，不显示点击效果
+								if (!showClickEffect) {
+									resolve(true)
+									return
+								}
+
 								// 设置点击效果位置
 								clickEffect.style.left = `${x}px`
 								clickEffect.style.top = `${y}px`
@@ -377,7 +387,7 @@ export async function executeMouseClick(tabId, x, y) {
 						requestAnimationFrame(animate)
 					})
 				},
-				args: [x, y, lastX, lastY, hasLastPosition], // 使用简单值代替复杂对象
+				args: [x, y, lastX, lastY, hasLastPosition, showClickEffect], // 使用简单值代替复杂对象
 			})
 			.catch((error) => {
 				console.error(`[VIZ Handler] 执行可视化脚本失败: ${error.message}`)
@@ -1127,3 +1137,225 @@ export async function executeAreaVisualization(topLeftStr, bottomRightStr) {
 		return false
 	}
 }
+
+/**
+ * 在视口中每个可见的可交互元素上叠加编号框(set-of-marks)，供截图后按编号操作元素
+ * 元素会被打上编号属性，移除编号框后仍可通过编号定位
+ * @param {number} tabId - 标签页ID
+ * @param {{left: number, top: number, right: number, bottom: number}} [region] - 只标记与该区域相交的元素(视口CSS像素)，默认整个视口
+ * @returns {Promise<{mark: number, role: string, name: string, left: number, top: number, width: number, height: number}[]>} 编号图例，编号框裁剪到区域内(视口CSS像素)
+ */
+export async function showSetOfMarks(tabId, region = null) {
+	const result = await chrome.scripting.executeScript({
+		target: { tabId },
+		func: (markAttribute, maxMarks, region) => {
+			const INTERACTIVE_SELECTOR = [
+				"a[href]",
+				"button",
+				"input:not([type='hidden'])",
+				"select",
+				"textarea",
+				"summary",
+				"[onclick]",
+				"[contenteditable='']",
+				"[contenteditable='true']",
+				"[tabindex]:not([tabindex='-1'])",
+				"[role='button']",
+				"[role='link']",
+				"[role='checkbox']",
+				"[role='radio']",
+				"[role='switch']",
+				"[role='tab']",
+				"[role='menuitem']",
+				"[role='option']",
+				"[role='combobox']",
+				"[role='textbox']",
+				"[role='searchbox']",
+				"[role='slider']",
+			].join(",")
+
+			const INPUT_ROLES = {
+				button: "button",
+				submit: "button",
+				reset: "button",
+				image: "button",
+				checkbox: "checkbox",
+				radio: "radio",
+				range: "slider",
+				search: "searchbox",
+			}
+
+			const normalize = (value) =>
+				String(value || "")
+					.replace(/\s+/g, " ")
+					.trim()
+
+			const getRole = (el) => {
+				const role = el.getAttribute("role")
+				if (role) return role.split(/\s+/)[0]
+				const tag = el.tagName.toLowerCase()
+				if (tag === "a") return "link"
+				if (tag === "button" || tag === "summary") return "button"
+				if (tag === "select") return el.multiple ? "listbox" : "combobox"
+				if (tag === "textarea") return "textbox"
+				if (tag === "input") return INPUT_ROLES[(el.type || "text").toLowerCase()] || "textbox"
+				return el.isContentEditable ? "textbox" : "generic"
+			}
+
+			const getName = (el) => {
+				const labelledBy = el.getAttribute("aria-labelledby")
+				const labelledText = labelledBy
+					? labelledBy
+							.split(/\s+/)
+							.map((id) => document.getElementById(id)?.textContent || "")
+							.join(" ")
+					: ""
+				const labels = el.labels ? Array.from(el.labels, (label) => label.textContent).join(" ") : ""
+				const buttonValue =
+					el.tagName === "INPUT" && INPUT_ROLES[(el.type || "").toLowerCase()] === "button" ? el.value : ""
+				const name = [
+					el.getAttribute("aria-label"),
+					labelledText,
+					labels,
+					buttonValue,
+					el.getAttribute("alt"),
+					el.getAttribute("placeholder"),
+					el.tagName === "INPUT" || el.tagName === "SELECT" || el.tagName === "TEXTAREA"
+						? ""
+						: el.innerText || el.textContent,
+					el.getAttribute("title"),
+				]
+					.map(normalize)
+					.find(Boolean)
+				return name && name.length > 60 ? `${name.slice(0, 57)}...` : name || ""
+			}
+
+			// 清除上一次的编号
+			for (const el of document.querySelectorAll(`[${markAttribute}]`)) {
+				el.removeAttribute(markAttribute)
+			}
+			document.querySelectorAll(".coding-baby-mark").forEach((box) => box.remove())
+
+			// 获取或创建容器
+			let container = document.getElementById("coding-baby-viz-container")
+			if (!container) {
+				container = document.createElement("div")
+				container.id = "coding-baby-viz-container"
+				container.style.cssText = `
+					position: fixed;
+					top: 0;
+					left: 0;
+					width: 100%;
+					height: 100%;
+					pointer-events: none;
+					z-index: 2147483647;
+					overflow: hidden;
+				`
+				document.body.appendChild(container)
+			}
+
+			const regionLeft = Math.max(region?.left ?? 0, 0)
+			const regionTop = Math.max(region?.top ?? 0, 0)
+			const regionRight = Math.min(region?.right ?? Infinity, window.innerWidth)
+			const regionBottom = Math.min(region?.bottom ?? Infinity, window.innerHeight)
+			const marked = []
+			const legend = []
+
+			for (const el of document.querySelectorAll(INTERACTIVE_SELECTOR)) {
+				if (legend.length >= maxMarks) break
+				if (container.contains(el) || el.disabled) continue
+				// 可交互元素内部的可交互元素(如按钮中的链接)只标记外层
+				if (marked.some((parent) => parent.contains(el))) continue
+
+				const rect = el.getBoundingClientRect()
+				if (rect.width < 2 || rect.height < 2) continue
+				const left = Math.max(rect.left, regionLeft)
+				const top = Math.max(rect.top, regionTop)
+				const right = Math.min(rect.right, regionRight)
+				const bottom = Math.min(rect.bottom, regionBottom)
+				if (right - left < 2 || bottom - top < 2) continue
+
+				const style = window.getComputedStyle(el)
+				if (style.visibility === "hidden" || style.display === "none" || style.opacity === "0") continue
+
+				// 中心点被其他元素遮挡时跳过
+				const x = Math.round((left + right) / 2)
+				const y = Math.round((top + bottom) / 2)
+				const topElement = document.elementFromPoint(x, y)
+				if (topElement && topElement !== el && !el.contains(topElement) && !topElement.contains(el)) {
+					const topRoot = topElement.getRootNode()
+					if (!(topRoot instanceof ShadowRoot && el.contains(topRoot.host))) continue
+				}
+
+				const mark = legend.length + 1
+				el.setAttribute(markAttribute, String(mark))
+				marked.push(el)
+				legend.push({
+					mark,
+					role: getRole(el),
+					name: getName(el),
+					left,
+					top,
+					width: right - left,
+					height: bottom - top,
+				})
+
+				const box = document.createElement("div")
+				box.className = "coding-baby-mark"
+				box.style.cssText = `
+					position: absolute;
+					left: ${left}px;
+					top: ${top}px;
+					width: ${right - left}px;
+					height: ${bottom - top}px;
+					border: 2px solid #FF3355;
+					box-sizing: border-box;
+				`
+				const label = document.createElement("div")
+				label.textContent = String(mark)
+				label.style.cssText = `
+					position: absolute;
+					left: -2px;
+					top: ${top - regionTop >= 16 ? "-16px" : "-2px"};
+					padding: 0 3px;
+					background-color: #FF3355;
+					color: #FFFFFF;
+					font-size: 11px;
+					line-height: 14px;
+					font-family: 'Arial', sans-serif;
+					font-weight: bold;
+					white-space: nowrap;
+				`
+				box.appendChild(label)
+				container.appendChild(box)
+			}
+
+			return legend
+		},
+		args: [SET_OF_MARKS_ATTRIBUTE, MAX_SET_OF_MARKS, region],
+	})
+
+	return (result && result[0] && result[0].result) || []
+}
+
+/**
+ * 移除set-of-marks编号框，保留元素上的编号属性
+ * @param {number} tabId - 标签页ID
+ * @returns {Promise<void>}
+ */
+export async function clearSetOfMarks(tabId) {
+	await chrome.scripting
+		.executeScript({
+			target: { tabId },
+			func: () => {
+				document.querySelectorAll(".coding-baby-mark").forEach((box) => box.remove())
+				const container = document.getElementById("coding-baby-viz-container")
+				if (container && container.childElementCount === 0) {
+					container.remove()
+				}
+			},
+		})
+		.catch((error) => {
+			console.error(`[VIZ Handler] 移除编号框失败: ${error.message}`)
+		})
+}
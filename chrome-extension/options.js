@@ -0,0 +1,151 @@
+/**
+ * 扩展选项页
+ * 配置扩展要连接的MCP服务器地址和配对令牌，保存到chrome.storage.local后由后台脚本重新连接
+ * 以及录制时的脱敏设置，下次开始录制时生效，和已停止录制会话的保留数量
+ */
+
+import {
+	DEFAULT_SERVER_URLS,
+	getServerUrls,
+	saveServerUrls,
+	getPairingToken,
+	savePairingToken,
+} from "./services/serverConfigService.js"
+import { getRedactionConfig, saveRedactionConfig } from "./services/redactionService.js"
+import { getMaxStoredSessions, saveMaxStoredSessions } from "./services/recordingStorageService.js"
+
+const textarea = document.getElementById("serverUrls")
+const statusLabel = document.getElementById("status")
+const connectionList = document.getElementById("connections")
+const tokenInput = document.getElementById("pairingToken")
+const tokenStatusLabel = document.getElementById("tokenStatus")
+const redactSelectorsInput = document.getElementById("redactSelectors")
+const redactPatternsInput = document.getElementById("redactPatterns")
+const blurScreenshotsInput = document.getElementById("blurScreenshots")
+const redactionStatusLabel = document.getElementById("redactionStatus")
+const maxStoredRecordingsInput = document.getElementById("maxStoredRecordings")
+const maxStoredRecordingsStatusLabel = document.getElementById("maxStoredRecordingsStatus")
+
+/**
+ * 显示保存结果
+ * @param {HTMLElement} label - 提示元素
+ * @param {string} text - 提示文本
+ * @param {boolean} isError - 是否为错误
+ */
+function showStatus(label, text, isError = false) {
+	label.textContent = text
+	label.className = isError ? "disconnected" : "connected"
+}
+
+/**
+ * 加载已保存的服务器地址
+ */
+async function loadServerUrls() {
+	textarea.value = (await getServerUrls()).join("\n")
+}
+
+/**
+ * 保存服务器地址
+ * @param {string[]} urls - 地址列表
+ */
+async function save(urls) {
+	try {
+		const saved = await saveServerUrls(urls)
+		textarea.value = saved.join("\n")
+		showStatus(statusLabel, "已保存")
+	} catch (error) {
+		showStatus(statusLabel, error.message, true)
+	}
+}
+
+/**
+ * 在表单中显示脱敏设置
+ * @param {Object} config - 脱敏配置
+ */
+function showRedactionConfig(config) {
+	redactSelectorsInput.value = config.selectors.join("\n")
+	redactPatternsInput.value = config.patterns.join("\n")
+	blurScreenshotsInput.checked = config.blurScreenshots
+}
+
+/**
+ * 生成连接状态的描述
+ * @param {Object} connection - 连接状态
+ * @returns {string} 描述文本
+ */
+function describeConnection(connection) {
+	if (connection.authenticated) return "已连接"
+	if (connection.error) return `认证失败: ${connection.error}`
+	if (connection.connected) return "正在认证..."
+	return `未连接 (重试 ${connection.connectionAttempts} 次)`
+}
+
+/**
+ * 刷新连接状态列表
+ */
+async function refreshConnectionStatus() {
+	try {
+		const { connections } = await chrome.runtime.sendMessage({ type: "GET_CONNECTION_STATUS" })
+		connectionList.replaceChildren(
+			...connections.map((connection) => {
+				const item = document.createElement("li")
+				item.className = connection.authenticated ? "connected" : "disconnected"
+				item.textContent = `${connection.url}: ${describeConnection(connection)}`
+				return item
+			}),
+		)
+	} catch (error) {
+		connectionList.textContent = `无法获取连接状态: ${error.message}`
+	}
+}
+
+document.getElementById("save").addEventListener("click", () => {
+	save(textarea.value.split("\n"))
+})
+
+document.getElementById("reset").addEventListener("click", () => {
+	save(DEFAULT_SERVER_URLS)
+})
+
+document.getElementById("saveToken").addEventListener("click", async () => {
+	try {
+		await savePairingToken(tokenInput.value)
+		showStatus(tokenStatusLabel, "已保存，正在重新连接")
+	} catch (error) {
+		showStatus(tokenStatusLabel, error.message, true)
+	}
+})
+
+document.getElementById("saveRedaction").addEventListener("click", async () => {
+	try {
+		const saved = await saveRedactionConfig({
+			selectors: redactSelectorsInput.value.split("\n"),
+			patterns: redactPatternsInput.value.split("\n"),
+			blurScreenshots: blurScreenshotsInput.checked,
+		})
+		showRedactionConfig(saved)
+		showStatus(redactionStatusLabel, "已保存，下次开始录制时生效")
+	} catch (error) {
+		showStatus(redactionStatusLabel, error.message, true)
+	}
+})
+
+document.getElementById("saveMaxStoredRecordings").addEventListener("click", async () => {
+	try {
+		maxStoredRecordingsInput.value = await saveMaxStoredSessions(maxStoredRecordingsInput.value)
+		showStatus(maxStoredRecordingsStatusLabel, "已保存，下次停止录制时生效")
+	} catch (error) {
+		showStatus(maxStoredRecordingsStatusLabel, error.message, true)
+	}
+})
+
+loadServerUrls()
+getRedactionConfig().then(showRedactionConfig)
+getMaxStoredSessions().then((count) => {
+	maxStoredRecordingsInput.value = count
+})
+getPairingToken().then((token) => {
+	tokenInput.value = token
+})
+refreshConnectionStatus()
+setInterval(refreshConnectionStatus, 2000)
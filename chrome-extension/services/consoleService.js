@@ -0,0 +1,192 @@
+/**
+ * 控制台日志服务
+ * 通过CDP Runtime.consoleAPICalled、Runtime.exceptionThrown和Log.entryAdded事件，
+ * 为每个标签页在环形缓冲区中保存控制台日志和JavaScript错误
+ */
+
+// 每个标签页最多保存的日志条数
+const MAX_LOG_ENTRIES = 500
+
+// 单条日志文本的最大长度
+const MAX_LOG_TEXT_LENGTH = 2000
+
+// 日志级别的严重程度，用于按最低级别过滤
+const LEVEL_SEVERITY = {
+	debug: 0,
+	log: 1,
+	info: 1,
+	warning: 2,
+	error: 3,
+}
+
+/**
+ * 每个标签页的日志缓冲区
+ * tabId -> { entries: Object[], nextId: number, lastReadId: number }
+ */
+const consoleBuffers = new Map()
+
+/**
+ * 获取标签页的日志缓冲区
+ * @param {number} tabId - 标签页ID
+ * @returns {Object} 日志缓冲区
+ */
+function getBuffer(tabId) {
+	let buffer = consoleBuffers.get(tabId)
+	if (!buffer) {
+		buffer = { entries: [], nextId: 1, lastReadId: 0 }
+		consoleBuffers.set(tabId, buffer)
+	}
+	return buffer
+}
+
+/**
+ * 向缓冲区追加一条日志，超出容量时丢弃最旧的日志
+ * @param {number} tabId - 标签页ID
+ * @param {Object} entry - 日志条目 {level, source, text, url, lineNumber}
+ */
+function pushEntry(tabId, entry) {
+	const buffer = getBuffer(tabId)
+	const text = entry.text.length > MAX_LOG_TEXT_LENGTH ? `${entry.text.slice(0, MAX_LOG_TEXT_LENGTH)}...` : entry.text
+	buffer.entries.push({ id: buffer.nextId++, timestamp: Date.now(), ...entry, text })
+	if (buffer.entries.length > MAX_LOG_ENTRIES) {
+		buffer.entries.shift()
+	}
+}
+
+/**
+ * 将console API的参数格式化为文本
+ * @param {Object[]} args - CDP RemoteObject列表
+ * @returns {string} 文本
+ */
+function formatConsoleArgs(args = []) {
+	return args
+		.map((arg) => {
+			if (arg.unserializableValue) return arg.unserializableValue
+			if (arg.type === "string") return arg.value
+			if (arg.value !== undefined) return JSON.stringify(arg.value)
+			return arg.description || arg.type
+		})
+		.join(" ")
+}
+
+/**
+ * 将console API类型映射为日志级别
+ * @param {string} type - consoleAPICalled的type
+ * @returns {string} 日志级别
+ */
+function consoleTypeToLevel(type) {
+	switch (type) {
+		case "error":
+		case "assert":
+			return "error"
+		case "warning":
+			return "warning"
+		case "debug":
+			return "debug"
+		case "info":
+			return "info"
+		default:
+			return "log"
+	}
+}
+
+/**
+ * 取调用栈的第一帧作为日志位置
+ * @param {Object} stackTrace - CDP StackTrace
+ * @returns {{url: string, lineNumber: number}|{}} 位置信息
+ */
+function topFrameLocation(stackTrace) {
+	const frame = stackTrace?.callFrames?.[0]
+	return frame ? { url: frame.url, lineNumber: frame.lineNumber + 1 } : {}
+}
+
+/**
+ * 处理调试器事件中的控制台相关事件
+ * @param {Object} source - 事件源 {tabId}
+ * @param {string} method - 事件名
+ * @param {Object} params - 事件参数
+ */
+function handleConsoleEvent(source, method, params) {
+	if (!source.tabId) {
+		return
+	}
+
+	switch (method) {
+		case "Runtime.consoleAPICalled":
+			pushEntry(source.tabId, {
+				level: consoleTypeToLevel(params.type),
+				source: "console",
+				text: formatConsoleArgs(params.args),
+				...topFrameLocation(params.stackTrace),
+			})
+			break
+		case "Runtime.exceptionThrown": {
+			const details = params.exceptionDetails || {}
+			pushEntry(source.tabId, {
+				level: "error",
+				source: "exception",
+				text: details.exception?.description || details.text || "Uncaught exception",
+				url: details.url,
+				lineNumber: details.lineNumber !== undefined ? details.lineNumber + 1 : undefined,
+			})
+			break
+		}
+		case "Log.entryAdded": {
+			const entry = params.entry || {}
+			pushEntry(source.tabId, {
+				level: entry.level === "verbose" ? "debug" : entry.level || "info",
+				source: entry.source || "browser",
+				text: entry.text || "",
+				url: entry.url,
+				lineNumber: entry.lineNumber !== undefined ? entry.lineNumber + 1 : undefined,
+			})
+			break
+		}
+	}
+}
+
+/**
+ * 初始化控制台事件监听器
+ */
+export function initConsoleListeners() {
+	chrome.debugger.onEvent.addListener(handleConsoleEvent)
+	chrome.tabs.onRemoved.addListener((tabId) => {
+		consoleBuffers.delete(tabId)
+	})
+}
+
+/**
+ * 获取标签页的控制台日志
+ * @param {number} tabId - 标签页ID
+ * @param {Object} options - 过滤选项
+ * @param {string} options.minLevel - 最低日志级别: debug、log、info、warning、error
+ * @param {boolean} options.sinceLastCall - 只返回上次获取之后的新日志
+ * @param {number} options.limit - 最多返回的条数（取最新的），默认为100
+ * @returns {{logs: Object[], total: number, dropped: boolean}} 日志列表、匹配总数和是否有日志因缓冲区已满被丢弃
+ */
+export function getConsoleLogs(tabId, options = {}) {
+	const { minLevel = "debug", sinceLastCall = false, limit = 100 } = options
+
+	const minSeverity = LEVEL_SEVERITY[minLevel]
+	if (minSeverity === undefined) {
+		throw new Error(`无效的日志级别: ${minLevel}，应为 ${Object.keys(LEVEL_SEVERITY).join("、")}`)
+	}
+
+	const buffer = getBuffer(tabId)
+	const sinceId = sinceLastCall ? buffer.lastReadId : 0
+	const matched = buffer.entries.filter(
+		(entry) => entry.id > sinceId && (LEVEL_SEVERITY[entry.level] ?? LEVEL_SEVERITY.info) >= minSeverity,
+	)
+
+	// 缓冲区最旧的日志比上次读取位置更新，说明中间有日志被丢弃
+	const dropped = buffer.entries.length > 0 && buffer.entries[0].id > sinceId + 1
+
+	// 每次获取都更新读取位置
+	buffer.lastReadId = buffer.nextId - 1
+
+	return {
+		logs: matched.slice(-limit),
+		total: matched.length,
+		dropped,
+	}
+}
@@ -1,4 +1,11 @@
 import { openedTabIds, getActiveTabId } from "./tabService.js"
+import { debugTarget } from "./debuggerService.js"
+
+// evaluate使用的隔离世界名称
+const EVALUATE_WORLD_NAME = "CodingBabyEvaluate"
+
+// evaluate返回结果的最大长度，超出部分会被截断
+const MAX_EVALUATE_RESULT_LENGTH = 50000
 
 /**
  * 在标签页中执行脚本
@@ -71,6 +78,250 @@ export async function getFullHtml() {
 	}
 }
 
+/**
+ * 将页面主要内容转换为Markdown（注入页面执行，必须保持自包含）
+ * @param {string|null} rootSelector - 可选的内容根元素选择器
+ * @returns {{markdown: string, title: string, url: string}|{error: string}} Markdown内容和页面信息，或错误信息
+ */
+function extractPageMarkdown(rootSelector) {
+	// 不输出内容的元素
+	const SKIP_TAGS = new Set([
+		"SCRIPT",
+		"STYLE",
+		"NOSCRIPT",
+		"TEMPLATE",
+		"SVG",
+		"CANVAS",
+		"IFRAME",
+		"OBJECT",
+		"EMBED",
+		"BUTTON",
+		"INPUT",
+		"SELECT",
+		"TEXTAREA",
+		"DIALOG",
+	])
+	// 导航类页面框架，默认去除
+	const NAVIGATION_SELECTOR = "nav, aside, [role='navigation'], [role='complementary'], [role='search'], [role='menu']"
+	// 页眉页脚，只在文章内部保留
+	const PAGE_CHROME_SELECTOR = "header, footer, [role='banner'], [role='contentinfo']"
+	const BLOCK_TAGS = new Set([
+		"ADDRESS",
+		"ARTICLE",
+		"DD",
+		"DETAILS",
+		"DIV",
+		"DL",
+		"DT",
+		"FIELDSET",
+		"FIGCAPTION",
+		"FIGURE",
+		"FOOTER",
+		"FORM",
+		"HEADER",
+		"MAIN",
+		"P",
+		"SECTION",
+		"SUMMARY",
+	])
+
+	const selectedRoot = rootSelector ? document.querySelector(rootSelector) : null
+	if (rootSelector && !selectedRoot) {
+		return { error: `No element matches selector: ${rootSelector}` }
+	}
+
+	// 选择内容根元素：指定选择器 > main > article > body
+	const root =
+		selectedRoot || document.querySelector("main, [role='main']") || document.querySelector("article") || document.body
+
+	// 调用方显式选中导航、侧栏或页眉页脚（或其中的元素）时，这些区域就是要读取的内容，不再去除
+	const keepPageFrame = !!selectedRoot?.closest(`${NAVIGATION_SELECTOR}, ${PAGE_CHROME_SELECTOR}`)
+
+	const isHidden = (el) => {
+		if (el.hidden || el.getAttribute("aria-hidden") === "true") return true
+		const style = window.getComputedStyle(el)
+		return style.display === "none" || style.visibility === "hidden"
+	}
+
+	const shouldSkip = (el) => {
+		if (SKIP_TAGS.has(el.tagName.toUpperCase())) return true
+		if (!keepPageFrame && el.matches(NAVIGATION_SELECTOR)) return true
+		if (!keepPageFrame && el.matches(PAGE_CHROME_SELECTOR) && !el.parentElement?.closest("article")) return true
+		return isHidden(el)
+	}
+
+	const collapse = (text) => text.replace(/\s+/g, " ")
+	const escapeCell = (text) => text.replace(/\|/g, "\\|").replace(/\n+/g, " ").trim()
+
+	// 转换行内内容
+	const inline = (node) => {
+		if (node.nodeType === Node.TEXT_NODE) return collapse(node.textContent)
+		if (node.nodeType !== Node.ELEMENT_NODE || shouldSkip(node)) return ""
+
+		const tag = node.tagName
+		const children = () => Array.from(node.childNodes).map(inline).join("")
+
+		switch (tag) {
+			case "BR":
+				return "\n"
+			case "A": {
+				const text = children().trim()
+				const href = node.href
+				if (!text) return ""
+				if (!href || !/^(https?|mailto|ftp):/i.test(href)) return text
+				return `[${text}](${href})`
+			}
+			case "IMG": {
+				const alt = collapse(node.getAttribute("alt") || "").trim()
+				return alt && node.src ? `![${alt}](${node.src})` : ""
+			}
+			case "STRONG":
+			case "B": {
+				const text = children().trim()
+				return text ? `**${text}**` : ""
+			}
+			case "EM":
+			case "I": {
+				const text = children().trim()
+				return text ? `*${text}*` : ""
+			}
+			case "CODE": {
+				const text = node.textContent.trim()
+				return text ? `\`${text}\`` : ""
+			}
+			default:
+				return BLOCK_TAGS.has(tag) || /^H[1-6]$/.test(tag) ? ` ${children()} ` : children()
+		}
+	}
+
+	// 转换块级内容，返回以空行分隔的Markdown
+	const block = (node, listDepth = 0) => {
+		if (node.nodeType === Node.TEXT_NODE) return collapse(node.textContent)
+		if (node.nodeType !== Node.ELEMENT_NODE || shouldSkip(node)) return ""
+
+		const tag = node.tagName
+		const childBlocks = () => {
+			// 连续的行内节点合并为一个段落
+			const parts = []
+			let inlineRun = ""
+			const flush = () => {
+				if (inlineRun.trim()) parts.push(inlineRun.trim())
+				inlineRun = ""
+			}
+			for (const child of node.childNodes) {
+				if (child.nodeType === Node.ELEMENT_NODE && isBlockElement(child)) {
+					flush()
+					const converted = block(child, listDepth)
+					if (converted.trim()) parts.push(converted)
+				} else {
+					inlineRun += inline(child)
+				}
+			}
+			flush()
+			return parts.join("\n\n")
+		}
+
+		if (/^H[1-6]$/.test(tag)) {
+			const text = inline(node).trim()
+			return text ? `${"#".repeat(Number(tag[1]))} ${text}` : ""
+		}
+
+		switch (tag) {
+			case "UL":
+			case "OL": {
+				const indent = "  ".repeat(listDepth)
+				const items = Array.from(node.children).filter((child) => child.tagName === "LI" && !shouldSkip(child))
+				return items
+					.map((item, index) => {
+						const marker = tag === "OL" ? `${index + 1}.` : "-"
+						// 列表项中的行内内容和嵌套列表分开处理
+						let text = ""
+						const nested = []
+						for (const child of item.childNodes) {
+							if (child.nodeType === Node.ELEMENT_NODE && (child.tagName === "UL" || child.tagName === "OL")) {
+								nested.push(block(child, listDepth + 1))
+							} else if (child.nodeType === Node.ELEMENT_NODE && isBlockElement(child)) {
+								text += ` ${inline(child)} `
+							} else {
+								text += inline(child)
+							}
+						}
+						const line = `${indent}${marker} ${collapse(text).trim()}`
+						return [line, ...nested.filter((list) => list.trim())].join("\n")
+					})
+					.join("\n")
+			}
+			case "PRE": {
+				const code = node.textContent.replace(/\n+$/, "")
+				return code.trim() ? `\`\`\`\n${code}\n\`\`\`` : ""
+			}
+			case "BLOCKQUOTE": {
+				const content = childBlocks()
+				return content
+					.split("\n")
+					.map((line) => `> ${line}`)
+					.join("\n")
+			}
+			case "HR":
+				return "---"
+			case "TABLE": {
+				const rows = Array.from(node.rows)
+					.filter((row) => !shouldSkip(row))
+					.map((row) => Array.from(row.cells).map((cell) => escapeCell(inline(cell))))
+					.filter((cells) => cells.some((cell) => cell))
+				if (rows.length === 0) return ""
+				const columnCount = Math.max(...rows.map((cells) => cells.length))
+				const pad = (cells) => [...cells, ...Array(columnCount - cells.length).fill("")]
+				const toLine = (cells) => `| ${pad(cells).join(" | ")} |`
+				return [toLine(rows[0]), toLine(Array(columnCount).fill("---")), ...rows.slice(1).map(toLine)].join("\n")
+			}
+			default:
+				return childBlocks()
+		}
+	}
+
+	const isBlockElement = (el) =>
+		BLOCK_TAGS.has(el.tagName) ||
+		/^H[1-6]$/.test(el.tagName) ||
+		["UL", "OL", "PRE", "BLOCKQUOTE", "HR", "TABLE", "NAV", "ASIDE"].includes(el.tagName)
+
+	const markdown = (root ? block(root) : "")
+		.split("\n")
+		.map((line) => line.replace(/[ \t]+$/, ""))
+		.join("\n")
+		.replace(/\n{3,}/g, "\n\n")
+		.trim()
+
+	return {
+		markdown,
+		title: document.title,
+		url: location.href,
+	}
+}
+
+/**
+ * 获取页面主要内容的Markdown
+ * @param {string|null} selector - 可选的内容根元素选择器，默认自动选择main/article/body
+ * @returns {Promise<{markdown: string, title: string, url: string}>} Markdown内容和页面信息
+ */
+export async function getPageMarkdown(selector = null) {
+	// 获取当前活动标签页ID
+	const activeTabId = getActiveTabId()
+	if (!activeTabId) {
+		throw new Error("无可用的标签页获取页面内容")
+	}
+
+	const result = await executeScriptInTab(extractPageMarkdown, [selector || null], activeTabId)
+	if (result?.error) {
+		throw new Error(result.error)
+	}
+	if (!result || typeof result.markdown !== "string") {
+		throw new Error("无法获取页面内容")
+	}
+
+	return result
+}
+
 /**
  * 获取当前视口大小
  * @returns {Promise<Object>} 视口大小 {width, height}
@@ -104,3 +355,254 @@ export async function getViewportSize() {
 		throw error
 	}
 }
+
+/**
+ * 获取活动标签页的页面状态，附加在带截图的响应中
+ * 签名在URL、DOM内容、表单值、滚动位置或视口大小变化时改变，服务器据此判断截图是否需要返回；
+ * 摘要是页面的简短文字描述，用于不返回截图的纯文本模式
+ * @returns {Promise<{signature: string, summary: string}|null>} 页面状态，无法获取时返回null
+ */
+export async function describePageState() {
+	const activeTabId = getActiveTabId()
+	if (!activeTabId) {
+		return null
+	}
+
+	try {
+		const result = await chrome.scripting.executeScript({
+			target: { tabId: activeTabId },
+			func: () => {
+				const hash = (text) => {
+					let value = 5381
+					for (let i = 0; i < text.length; i++) {
+						value = ((value << 5) + value + text.charCodeAt(i)) | 0
+					}
+					return (value >>> 0).toString(36)
+				}
+				const normalize = (value) =>
+					String(value || "")
+						.replace(/\s+/g, " ")
+						.trim()
+				const isInViewport = (el) => {
+					const rect = el.getBoundingClientRect()
+					return (
+						rect.width > 0 &&
+						rect.height > 0 &&
+						rect.bottom > 0 &&
+						rect.right > 0 &&
+						rect.top < window.innerHeight &&
+						rect.left < window.innerWidth
+					)
+				}
+
+				const scrollX = Math.round(window.scrollX)
+				const scrollY = Math.round(window.scrollY)
+				const fieldValues = Array.from(document.querySelectorAll("input, textarea, select"), (el) =>
+					el.type === "checkbox" || el.type === "radio" ? String(el.checked) : el.value,
+				)
+				const signature = hash(
+					[
+						location.href,
+						document.title,
+						document.getElementsByTagName("*").length,
+						document.body ? document.body.innerText : "",
+						fieldValues.join("\u0000"),
+						`${scrollX},${scrollY}`,
+						`${window.innerWidth}x${window.innerHeight}`,
+					].join("\u0001"),
+				)
+
+				const lines = [`Title: ${document.title}`, `URL: ${location.href}`]
+				const scrollElement = document.scrollingElement || document.documentElement
+				lines.push(
+					`Viewport: ${window.innerWidth}x${window.innerHeight}, scrolled to ${scrollX},${scrollY} of ${scrollElement.scrollWidth}x${scrollElement.scrollHeight}`,
+				)
+
+				const dialog = Array.from(
+					document.querySelectorAll("dialog[open], [role='dialog'], [role='alertdialog']"),
+				).find(isInViewport)
+				if (dialog) {
+					lines.push(`Dialog: ${normalize(dialog.getAttribute("aria-label") || dialog.innerText).slice(0, 120)}`)
+				}
+
+				const headings = Array.from(document.querySelectorAll("h1, h2, h3"))
+					.filter(isInViewport)
+					.map((el) => normalize(el.innerText))
+					.filter(Boolean)
+					.slice(0, 5)
+				if (headings.length > 0) {
+					lines.push(`Headings in view: ${headings.join(" | ")}`)
+				}
+
+				const interactiveCount = Array.from(
+					document.querySelectorAll("a[href], button, input:not([type='hidden']), select, textarea"),
+				).filter(isInViewport).length
+				lines.push(`Interactive elements in view: ${interactiveCount}`)
+
+				const focused = document.activeElement
+				if (focused && focused !== document.body && focused !== document.documentElement) {
+					const label = normalize(
+						focused.getAttribute("aria-label") || focused.getAttribute("placeholder") || focused.innerText,
+					).slice(0, 60)
+					lines.push(`Focused: <${focused.tagName.toLowerCase()}>${label ? ` "${label}"` : ""}`)
+				}
+
+				return { signature, summary: lines.join("\n") }
+			},
+		})
+
+		return (result && result[0] && result[0].result) || null
+	} catch (error) {
+		console.warn("[BG_WS] 获取页面状态时出错:", error.message)
+		return null
+	}
+}
+
+/**
+ * 判断脚本是否是函数字面量（function、async function或箭头函数）
+ * @param {string} script - 脚本文本
+ * @returns {boolean} 是否是函数
+ */
+function isFunctionLiteral(script) {
+	return /^\s*(async\s+)?(function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/.test(script)
+}
+
+/**
+ * 获取指定世界的执行上下文ID
+ * @param {Object} target - 调试目标 {tabId}
+ * @param {string} world - "MAIN" 或 "ISOLATED"
+ * @returns {Promise<number|undefined>} 执行上下文ID，MAIN世界返回undefined（使用默认上下文）
+ */
+async function getExecutionContextId(target, world) {
+	if (world !== "ISOLATED") {
+		return undefined
+	}
+
+	const { frameTree } = await chrome.debugger.sendCommand(target, "Page.getFrameTree")
+	const { executionContextId } = await chrome.debugger.sendCommand(target, "Page.createIsolatedWorld", {
+		frameId: frameTree.frame.id,
+		worldName: EVALUATE_WORLD_NAME,
+	})
+	return executionContextId
+}
+
+/**
+ * 将Runtime.evaluate的返回对象序列化为文本
+ * @param {Object} remoteObject - CDP RemoteObject
+ * @returns {string} 序列化后的结果
+ */
+function serializeRemoteObject(remoteObject) {
+	if (!remoteObject || remoteObject.type === "undefined") {
+		return "undefined"
+	}
+
+	// NaN、Infinity、-0、BigInt等无法用JSON表示的值
+	if (remoteObject.unserializableValue) {
+		return remoteObject.unserializableValue
+	}
+
+	let serialized
+	if (remoteObject.value !== undefined) {
+		serialized = JSON.stringify(remoteObject.value, null, 2)
+	} else {
+		serialized = remoteObject.description || String(remoteObject.type)
+	}
+
+	if (serialized.length > MAX_EVALUATE_RESULT_LENGTH) {
+		return `${serialized.slice(0, MAX_EVALUATE_RESULT_LENGTH)}\n... (truncated, ${serialized.length} characters in total)`
+	}
+	return serialized
+}
+
+/**
+ * 通过CDP执行一次Runtime.evaluate
+ * @param {Object} target - 调试目标 {tabId}
+ * @param {string} expression - 表达式
+ * @param {Object} options - 选项 {contextId, awaitPromise, timeoutMs}
+ * @returns {Promise<Object>} Runtime.evaluate的原始返回
+ */
+async function runtimeEvaluate(target, expression, { contextId, awaitPromise, timeoutMs }) {
+	let timeoutId = null
+	const timeoutPromise = new Promise((_, reject) => {
+		timeoutId = setTimeout(() => reject(new Error(`Evaluation timed out after ${timeoutMs}ms`)), timeoutMs)
+	})
+
+	try {
+		return await Promise.race([
+			chrome.debugger.sendCommand(target, "Runtime.evaluate", {
+				expression,
+				contextId,
+				awaitPromise,
+				returnByValue: true,
+				userGesture: true,
+				// 同步代码的执行超时由CDP负责终止，Promise的等待由上面的计时器负责
+				timeout: timeoutMs,
+			}),
+			timeoutPromise,
+		])
+	} finally {
+		clearTimeout(timeoutId)
+	}
+}
+
+/**
+ * 在活动标签页中执行JavaScript并返回序列化的结果
+ * 支持表达式、函数字面量（会被调用）以及包含return语句的函数体
+ * @param {string} script - 要执行的脚本
+ * @param {Object} options - 选项
+ * @param {boolean} options.awaitPromise - 是否等待Promise结果，默认为true
+ * @param {number} options.timeoutMs - 超时时间(毫秒)，默认为10000
+ * @param {string} options.world - 执行世界 "MAIN" 或 "ISOLATED"，默认为"MAIN"
+ * @returns {Promise<{result: string, type: string}>} 序列化的结果和结果类型
+ */
+export async function evaluateInActiveTab(script, options = {}) {
+	const { awaitPromise = true, timeoutMs = 10000, world = "MAIN" } = options
+
+	const activeTabId = getActiveTabId()
+	if (!activeTabId) {
+		throw new Error("无可用的标签页执行脚本")
+	}
+
+	if (!debugTarget || debugTarget.tabId !== activeTabId) {
+		throw new Error(`Debugger not attached to tab ${activeTabId} for evaluate`)
+	}
+
+	const target = { tabId: activeTabId }
+	const contextId = await getExecutionContextId(target, world)
+	const evaluateOptions = { contextId, awaitPromise, timeoutMs }
+
+	console.log(`[BG_WS] Evaluating script in tab ${activeTabId} (world: ${world}, length: ${script.length})`)
+
+	// 函数字面量直接调用
+	const expression = isFunctionLiteral(script) ? `(${script})()` : script
+	let evalResult = await runtimeEvaluate(target, expression, evaluateOptions)
+
+	// 顶层出现return语句时，按函数体重新执行
+	const syntaxError = evalResult.exceptionDetails?.exception?.className === "SyntaxError"
+	if (syntaxError && /return/.test(evalResult.exceptionDetails.exception.description || "")) {
+		console.log(`[BG_WS] Script is not an expression, retrying as function body`)
+		evalResult = await runtimeEvaluate(target, `(async () => {\n${script}\n})()`, {
+			...evaluateOptions,
+			awaitPromise: true,
+		})
+	}
+
+	if (evalResult.exceptionDetails) {
+		const details = evalResult.exceptionDetails
+		// Error对象的description已包含调用栈，抛出非Error值时需要从stackTrace补充
+		const description = details.exception?.description || details.text
+		const stack = (details.stackTrace?.callFrames || [])
+			.map(
+				(frame) =>
+					`    at ${frame.functionName || "<anonymous>"} (${frame.url || "<eval>"}:${frame.lineNumber + 1}:${frame.columnNumber + 1})`,
+			)
+			.join("\n")
+		const hasStack = description.includes("\n    at ") || !stack
+		throw new Error(`Evaluation threw: ${hasStack ? description : `${description}\n${stack}`}`)
+	}
+
+	return {
+		result: serializeRemoteObject(evalResult.result),
+		type: evalResult.result?.subtype || evalResult.result?.type || "undefined",
+	}
+}
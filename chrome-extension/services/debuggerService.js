@@ -132,6 +132,8 @@ export async function attachDebugger(tabId) {
 		await chrome.debugger.sendCommand({ tabId }, "Page.enable")
 		await chrome.debugger.sendCommand({ tabId }, "Runtime.enable")
 		await chrome.debugger.sendCommand({ tabId }, "DOM.enable")
+		await chrome.debugger.sendCommand({ tabId }, "Network.enable")
+		await chrome.debugger.sendCommand({ tabId }, "Log.enable")
 
 		// 更新全局调试目标
 		debugTarget = { tabId }
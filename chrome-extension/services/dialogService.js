@@ -0,0 +1,195 @@
+/**
+ * JavaScript对话框服务
+ * 通过CDP Page.javascriptDialogOpening跟踪alert/confirm/prompt/beforeunload对话框。
+ * 对话框打开时页面被阻塞，正在执行的命令无法完成：按自动处理策略直接确认或取消，
+ * 或者通知服务器，由handle_dialog处理
+ */
+
+import { getActiveTabId } from "./tabService.js"
+import { sendMessageToServer } from "./websocketService.js"
+
+// 对话框类型
+const DIALOG_TYPES = ["alert", "confirm", "prompt", "beforeunload"]
+
+// 对话框处理方式：manual等待handle_dialog，accept自动确认，dismiss自动取消
+const DIALOG_ACTIONS = ["manual", "accept", "dismiss"]
+
+// 最多保留的未报告的自动处理记录
+const MAX_HANDLED_DIALOGS = 20
+
+/**
+ * 每个标签页中打开的对话框
+ * tabId -> { type, message, defaultPrompt, url, openedAt }
+ */
+const openDialogs = new Map()
+
+// 自动处理过、尚未随响应报告给服务器的对话框
+let handledDialogs = []
+
+// 自动处理策略，promptText为自动确认prompt时填入的文本（为空时使用默认值）
+let dialogPolicy = {
+	alert: "manual",
+	confirm: "manual",
+	prompt: "manual",
+	beforeunload: "manual",
+	promptText: "",
+}
+
+/**
+ * 向页面发送对话框处理命令
+ * @param {number} tabId - 标签页ID
+ * @param {Object} dialog - 对话框信息
+ * @param {boolean} accept - 确认或取消
+ * @param {string} [promptText] - prompt对话框中填入的文本
+ * @returns {Promise<void>}
+ */
+async function sendDialogResponse(tabId, dialog, accept, promptText) {
+	await chrome.debugger.sendCommand({ tabId }, "Page.handleJavaScriptDialog", {
+		accept,
+		...(dialog.type === "prompt" && promptText !== undefined && { promptText }),
+	})
+}
+
+/**
+ * 按自动处理策略处理刚打开的对话框
+ * @param {number} tabId - 标签页ID
+ * @param {Object} dialog - 对话框信息
+ * @param {boolean} accept - 确认或取消
+ * @returns {Promise<void>}
+ */
+async function autoHandleDialog(tabId, dialog, accept) {
+	const promptText = dialogPolicy.promptText || dialog.defaultPrompt || ""
+	try {
+		await sendDialogResponse(tabId, dialog, accept, promptText)
+		console.log(`[BG_WS] Auto-${accept ? "accepted" : "dismissed"} ${dialog.type} dialog in tab ${tabId}`)
+		handledDialogs.push({ ...dialog, accepted: accept })
+		handledDialogs = handledDialogs.slice(-MAX_HANDLED_DIALOGS)
+	} catch (error) {
+		// 自动处理失败时退回为手动处理
+		console.warn(`[BG_WS] Failed to auto-handle ${dialog.type} dialog in tab ${tabId}: ${error.message}`)
+		openDialog(tabId, dialog)
+	}
+}
+
+/**
+ * 记录需要手动处理的对话框，活动标签页中的对话框会立即通知服务器
+ * @param {number} tabId - 标签页ID
+ * @param {Object} dialog - 对话框信息
+ */
+function openDialog(tabId, dialog) {
+	openDialogs.set(tabId, dialog)
+	if (tabId === getActiveTabId()) {
+		// 服务器收到后结束正在等待的请求，不必等到超时
+		sendMessageToServer({ command: "dialogOpened", dialog })
+	}
+}
+
+/**
+ * 处理调试器事件中的对话框事件
+ * @param {Object} source - 事件源 {tabId}
+ * @param {string} method - 事件名
+ * @param {Object} params - 事件参数
+ */
+function handleDialogEvent(source, method, params) {
+	if (!source.tabId) {
+		return
+	}
+
+	if (method === "Page.javascriptDialogOpening") {
+		const dialog = {
+			type: params.type,
+			message: params.message,
+			url: params.url,
+			openedAt: Date.now(),
+			...(params.type === "prompt" && { defaultPrompt: params.defaultPrompt || "" }),
+		}
+		console.log(`[BG_WS] ${dialog.type} dialog opened in tab ${source.tabId}: ${dialog.message}`)
+
+		const action = dialogPolicy[dialog.type] || "manual"
+		if (action === "manual") {
+			openDialog(source.tabId, dialog)
+		} else {
+			autoHandleDialog(source.tabId, dialog, action === "accept")
+		}
+	} else if (method === "Page.javascriptDialogClosed") {
+		// 用户在浏览器中手动关闭对话框时通知服务器清除提示
+		if (openDialogs.delete(source.tabId) && source.tabId === getActiveTabId()) {
+			sendMessageToServer({ command: "dialogClosed" })
+		}
+	}
+}
+
+/**
+ * 初始化对话框事件监听器
+ */
+export function initDialogListeners() {
+	chrome.debugger.onEvent.addListener(handleDialogEvent)
+	chrome.debugger.onDetach.addListener((source) => {
+		if (source.tabId) {
+			openDialogs.delete(source.tabId)
+		}
+	})
+	chrome.tabs.onRemoved.addListener((tabId) => {
+		openDialogs.delete(tabId)
+	})
+}
+
+/**
+ * 获取标签页中打开的对话框
+ * @param {number} tabId - 标签页ID
+ * @returns {Object|null} 对话框信息 {type, message, defaultPrompt, url, openedAt}，没有时返回null
+ */
+export function getOpenDialog(tabId) {
+	return (tabId && openDialogs.get(tabId)) || null
+}
+
+/**
+ * 取出自上次报告以来自动处理过的对话框
+ * @returns {Object[]} 对话框信息列表，每项带有accepted
+ */
+export function takeHandledDialogs() {
+	const dialogs = handledDialogs
+	handledDialogs = []
+	return dialogs
+}
+
+/**
+ * 处理活动标签页中打开的对话框
+ * @param {boolean} accept - 确认(true)或取消(false)
+ * @param {string} [promptText] - prompt对话框中填入的文本，默认使用对话框的默认值
+ * @returns {Promise<Object>} 被处理的对话框信息，带有accepted
+ */
+export async function handleDialog(accept, promptText) {
+	const tabId = getActiveTabId()
+	if (!tabId) {
+		throw new Error("无可用的标签页处理对话框")
+	}
+
+	const dialog = openDialogs.get(tabId)
+	if (!dialog) {
+		throw new Error("当前标签页没有打开的对话框")
+	}
+
+	console.log(`[BG_WS] ${accept ? "Accepting" : "Dismissing"} ${dialog.type} dialog in tab ${tabId}`)
+	await sendDialogResponse(tabId, dialog, accept, promptText ?? dialog.defaultPrompt)
+	openDialogs.delete(tabId)
+
+	return { ...dialog, accepted: accept }
+}
+
+/**
+ * 更新对话框自动处理策略，未提供或无效的字段保持不变
+ * @param {Object} changes - {alert, confirm, prompt, beforeunload, promptText}
+ * @returns {Object} 更新后的策略
+ */
+export function updateDialogPolicy(changes = {}) {
+	for (const type of DIALOG_TYPES) {
+		if (DIALOG_ACTIONS.includes(changes[type])) {
+			dialogPolicy[type] = changes[type]
+		}
+	}
+	if (typeof changes.promptText === "string") {
+		dialogPolicy.promptText = changes.promptText
+	}
+	return { ...dialogPolicy }
+}
@@ -0,0 +1,541 @@
+/**
+ * 元素定位服务
+ * 通过CSS选择器、可见文本、ARIA角色+名称、快照元素引用或截图编号定位页面元素，并计算点击坐标
+ */
+
+import { debugTarget } from "./debuggerService.js"
+import { getActiveTabId } from "./tabService.js"
+import { getRefBackendNodeId } from "./snapshotService.js"
+
+// 用于标记已定位元素的属性名，供需要CSS选择器的操作使用
+const LOCATED_ELEMENT_ATTRIBUTE = "data-coding-baby-target"
+
+// set-of-marks截图给可交互元素打上的编号属性
+export const SET_OF_MARKS_ATTRIBUTE = "data-coding-baby-mark"
+
+/**
+ * 判断参数中是否包含元素定位信息
+ * @param {Object} params - 命令参数
+ * @returns {boolean} 是否包含定位信息
+ */
+export function hasElementLocator(params) {
+	return !!(params && (params.ref || params.mark || params.selector || params.text || params.role))
+}
+
+/**
+ * 从命令参数中提取目标信息（坐标或元素定位）
+ * framePath和shadowPath是从顶层文档到selector所在文档的iframe和shadow宿主选择器，只与selector一起使用
+ * @param {Object} params - 命令参数
+ * @returns {Object} 目标对象 {coordinate, ref, mark, selector, text, role, name, framePath, shadowPath}
+ */
+export function pickTarget(params = {}) {
+	const target = {}
+	for (const key of ["coordinate", "ref", "mark", "selector", "text", "role", "name"]) {
+		if (params[key] !== undefined && params[key] !== null && params[key] !== "") {
+			target[key] = params[key]
+		}
+	}
+	for (const key of ["framePath", "shadowPath"]) {
+		if (Array.isArray(params[key]) && params[key].length > 0) {
+			target[key] = params[key]
+		}
+	}
+	return target
+}
+
+/**
+ * 判断目标是否只通过CSS选择器定位（可以带iframe和shadow DOM路径）
+ * @param {Object} target - 目标对象
+ * @returns {boolean} 是否只有选择器
+ */
+function isSelectorOnlyTarget(target) {
+	return !!(target?.selector && !target.ref && !target.mark && !target.text && !target.role)
+}
+
+/**
+ * 生成目标的可读描述，用于日志和错误信息
+ * @param {Object} target - 目标对象
+ * @returns {string} 描述文本
+ */
+export function describeTarget(target) {
+	if (!target) return "unknown target"
+	if (target.coordinate) return `coordinate ${target.coordinate}`
+	if (target.ref) return `ref ${target.ref}`
+	if (target.mark) return `mark ${target.mark}`
+
+	const parts = []
+	if (target.framePath) parts.push(`iframe ${target.framePath.map((frame) => `"${frame}"`).join(" > ")}`)
+	if (target.shadowPath) parts.push(`shadow host ${target.shadowPath.map((host) => `"${host}"`).join(" > ")}`)
+	if (target.selector) parts.push(`selector "${target.selector}"`)
+	if (target.role) parts.push(`role "${target.role}"${target.name ? ` name "${target.name}"` : ""}`)
+	if (target.text) parts.push(`text "${target.text}"`)
+	return parts.join(", ") || "unknown target"
+}
+
+/**
+ * 在页面中查找元素（注入页面执行，必须保持自包含）
+ * @param {Object} locator - 定位信息 {selector, text, role, name}
+ * @returns {Element|null} 找到的元素
+ */
+function findElementInPage(locator) {
+	const normalize = (value) =>
+		String(value || "")
+			.replace(/\s+/g, " ")
+			.trim()
+			.toLowerCase()
+
+	const isVisible = (el) => {
+		const rect = el.getBoundingClientRect()
+		if (rect.width === 0 || rect.height === 0) return false
+		const style = window.getComputedStyle(el)
+		return style.visibility !== "hidden" && style.display !== "none"
+	}
+
+	// 计算元素的ARIA角色（显式role优先，其次为隐式角色）
+	const getRole = (el) => {
+		const explicitRole = el.getAttribute("role")
+		if (explicitRole) return explicitRole.split(/\s+/)[0].toLowerCase()
+
+		const tag = el.tagName.toLowerCase()
+		const type = (el.getAttribute("type") || "").toLowerCase()
+		switch (tag) {
+			case "a":
+			case "area":
+				return el.hasAttribute("href") ? "link" : ""
+			case "button":
+			case "summary":
+				return "button"
+			case "input":
+				if (["button", "submit", "reset", "image"].includes(type)) return "button"
+				if (type === "checkbox") return "checkbox"
+				if (type === "radio") return "radio"
+				if (type === "range") return "slider"
+				if (type === "number") return "spinbutton"
+				if (type === "search") return "searchbox"
+				if (type === "hidden") return ""
+				return "textbox"
+			case "textarea":
+				return "textbox"
+			case "select":
+				return el.multiple || el.size > 1 ? "listbox" : "combobox"
+			case "option":
+				return "option"
+			case "img":
+				return el.getAttribute("alt") === "" ? "presentation" : "img"
+			case "h1":
+			case "h2":
+			case "h3":
+			case "h4":
+			case "h5":
+			case "h6":
+				return "heading"
+			case "ul":
+			case "ol":
+				return "list"
+			case "li":
+				return "listitem"
+			case "nav":
+				return "navigation"
+			case "main":
+				return "main"
+			case "dialog":
+				return "dialog"
+			case "table":
+				return "table"
+			case "tr":
+				return "row"
+			case "td":
+				return "cell"
+			case "th":
+				return "columnheader"
+			case "form":
+				return "form"
+			default:
+				return ""
+		}
+	}
+
+	// 计算元素的可访问名称（简化版）
+	const getName = (el) => {
+		const ariaLabel = el.getAttribute("aria-label")
+		if (ariaLabel) return ariaLabel
+
+		const labelledBy = el.getAttribute("aria-labelledby")
+		if (labelledBy) {
+			const text = labelledBy
+				.split(/\s+/)
+				.map((id) => document.getElementById(id)?.innerText || "")
+				.join(" ")
+			if (text.trim()) return text
+		}
+
+		if (el.labels && el.labels.length > 0) {
+			return Array.from(el.labels)
+				.map((label) => label.innerText)
+				.join(" ")
+		}
+
+		return (
+			el.getAttribute("alt") ||
+			el.innerText ||
+			(el.tagName === "INPUT" && ["button", "submit", "reset"].includes(el.type) ? el.value : "") ||
+			el.getAttribute("title") ||
+			el.getAttribute("placeholder") ||
+			""
+		)
+	}
+
+	let candidates = locator.selector
+		? Array.from(document.querySelectorAll(locator.selector))
+		: Array.from(document.body ? document.body.querySelectorAll("*") : [])
+	candidates = candidates.filter(isVisible)
+
+	if (locator.role) {
+		const role = locator.role.toLowerCase()
+		candidates = candidates.filter((el) => getRole(el) === role)
+	}
+
+	if (locator.name) {
+		const name = normalize(locator.name)
+		const named = candidates.filter((el) => normalize(getName(el)).includes(name))
+		const exactNamed = named.filter((el) => normalize(getName(el)) === name)
+		candidates = exactNamed.length > 0 ? exactNamed : named
+	}
+
+	if (locator.text) {
+		const text = normalize(locator.text)
+		const textOf = (el) => normalize(el.innerText || el.value || "")
+		// 先用textContent粗筛，避免对每个元素都计算innerText
+		let matches = candidates.filter((el) => normalize(el.textContent || el.value).includes(text))
+		matches = matches.filter((el) => textOf(el).includes(text))
+		// 只保留最内层的匹配元素
+		matches = matches.filter((el) => !matches.some((other) => other !== el && el.contains(other)))
+		const exactMatches = matches.filter((el) => textOf(el) === text)
+		candidates = exactMatches.length > 0 ? exactMatches : matches
+	}
+
+	return candidates[0] || null
+}
+
+/**
+ * 按选择器查找元素，先逐级进入同源iframe和开放的shadow root（注入页面执行，必须保持自包含）
+ * 不要求元素可见（如被样式隐藏的文件输入框）
+ * @param {Object} locator - {selector, framePath, shadowPath}
+ * @returns {Element|null} 找到的元素
+ */
+function findScopedElementInPage(locator) {
+	let root = document
+	for (const frameSelector of locator.framePath || []) {
+		const frame = root.querySelector(frameSelector)
+		if (!frame || !["IFRAME", "FRAME"].includes(frame.tagName)) {
+			throw new Error(`未找到iframe: ${frameSelector}`)
+		}
+		if (!frame.contentDocument) {
+			throw new Error(`无法访问跨域iframe中的元素: ${frameSelector}`)
+		}
+		root = frame.contentDocument
+	}
+	for (const hostSelector of locator.shadowPath || []) {
+		const host = root.querySelector(hostSelector)
+		if (!host || !host.shadowRoot) {
+			throw new Error(`未找到开放的shadow DOM宿主: ${hostSelector}`)
+		}
+		root = host.shadowRoot
+	}
+	return root.querySelector(locator.selector)
+}
+
+/**
+ * 在调试目标中查找元素，返回远程对象ID
+ * @param {Object} target - 调试目标 {tabId}
+ * @param {Object} locator - 定位信息
+ * @returns {Promise<string>} 元素的objectId
+ */
+async function findElementObjectId(target, locator) {
+	const expression = `(${findElementInPage.toString()})(${JSON.stringify(locator)})`
+	const evalResult = await chrome.debugger.sendCommand(target, "Runtime.evaluate", {
+		expression,
+		returnByValue: false,
+	})
+
+	if (evalResult.exceptionDetails) {
+		const description = evalResult.exceptionDetails.exception?.description || evalResult.exceptionDetails.text
+		throw new Error(`查找元素时出错 (${describeTarget(locator)}): ${description}`)
+	}
+
+	if (!evalResult.result || !evalResult.result.objectId) {
+		throw new Error(`未找到匹配的可见元素: ${describeTarget(locator)}`)
+	}
+
+	return evalResult.result.objectId
+}
+
+/**
+ * 将节点滚动到可见区域并计算其中心坐标
+ * @param {Object} target - 调试目标 {tabId}
+ * @param {Object} node - 节点标识 {objectId} 或 {backendNodeId}
+ * @param {string} description - 目标描述，用于错误信息
+ * @returns {Promise<{x: number, y: number}>} 视口中的中心坐标
+ */
+export async function getNodeCenterPoint(target, node, description) {
+	try {
+		await chrome.debugger.sendCommand(target, "DOM.scrollIntoViewIfNeeded", node)
+	} catch (error) {
+		console.warn(`[BG_WS_ELEMENT] 滚动元素到可见区域失败 (${description}): ${error.message}`)
+	}
+
+	const { quads } = await chrome.debugger.sendCommand(target, "DOM.getContentQuads", node)
+	if (!quads || quads.length === 0) {
+		throw new Error(`元素不可见或没有布局区域: ${description}`)
+	}
+
+	// 取第一个四边形的中心点
+	const quad = quads[0]
+	const x = (quad[0] + quad[2] + quad[4] + quad[6]) / 4
+	const y = (quad[1] + quad[3] + quad[5] + quad[7]) / 4
+	return { x: Math.round(x), y: Math.round(y) }
+}
+
+/**
+ * 在活动标签页中解析目标元素
+ * 快照引用直接使用后端节点ID，截图编号按编号属性查找，其他定位方式通过页面脚本查找
+ * @param {Object} target - 目标对象 {ref, mark, selector, text, role, name}
+ * @returns {Promise<{cdpTarget: Object, node: Object, description: string, release: Function}>} 节点信息和释放函数
+ */
+async function resolveTargetNode(target) {
+	if (!hasElementLocator(target)) {
+		throw new Error("缺少目标: 需要提供coordinate、ref、mark、selector、text或role中的至少一个")
+	}
+
+	if (target.framePath || target.shadowPath) {
+		throw new Error(`iframe和shadow DOM路径只能与selector一起使用: ${describeTarget(target)}`)
+	}
+
+	const tabId = getActiveTabId()
+	if (!tabId) {
+		throw new Error("无可用的标签页执行元素定位")
+	}
+
+	if (!debugTarget || debugTarget.tabId !== tabId) {
+		throw new Error(`Debugger not attached to tab ${tabId} for element lookup`)
+	}
+
+	const cdpTarget = { tabId }
+	const description = describeTarget(target)
+
+	if (target.ref) {
+		const backendNodeId = getRefBackendNodeId(tabId, target.ref)
+		return { cdpTarget, node: { backendNodeId }, description, release: () => {} }
+	}
+
+	let objectId
+	if (target.mark) {
+		try {
+			objectId = await findElementObjectId(cdpTarget, { selector: `[${SET_OF_MARKS_ATTRIBUTE}="${target.mark}"]` })
+		} catch (error) {
+			throw new Error(`编号 ${target.mark} 不存在，请重新调用screenshot并开启marks`)
+		}
+	} else {
+		objectId = await findElementObjectId(cdpTarget, target)
+	}
+	return {
+		cdpTarget,
+		node: { objectId },
+		description,
+		release: () => chrome.debugger.sendCommand(cdpTarget, "Runtime.releaseObject", { objectId }).catch(() => {}),
+	}
+}
+
+/**
+ * 解析目标元素为远程对象，供需要在元素上调用CDP命令的操作使用
+ * 仅提供selector时直接查询，不要求元素可见（如被样式隐藏的文件输入框），并可以通过framePath和shadowPath
+ * 进入同源iframe和开放的shadow DOM
+ * @param {Object} target - 目标对象 {ref, mark, selector, text, role, name, framePath, shadowPath}
+ * @returns {Promise<{cdpTarget: Object, objectId: string, description: string, release: Function}>} 远程对象和释放函数
+ */
+export async function resolveTargetObject(target) {
+	if (isSelectorOnlyTarget(target)) {
+		const tabId = getActiveTabId()
+		if (!tabId) {
+			throw new Error("无可用的标签页执行元素定位")
+		}
+
+		if (!debugTarget || debugTarget.tabId !== tabId) {
+			throw new Error(`Debugger not attached to tab ${tabId} for element lookup`)
+		}
+
+		const cdpTarget = { tabId }
+		const locator = { selector: target.selector, framePath: target.framePath, shadowPath: target.shadowPath }
+		const { result, exceptionDetails } = await chrome.debugger.sendCommand(cdpTarget, "Runtime.evaluate", {
+			expression: `(${findScopedElementInPage.toString()})(${JSON.stringify(locator)})`,
+			returnByValue: false,
+		})
+		if (exceptionDetails) {
+			throw new Error(
+				`查找元素时出错 (${describeTarget(target)}): ${exceptionDetails.exception?.description || exceptionDetails.text}`,
+			)
+		}
+		if (!result?.objectId) {
+			throw new Error(`未找到匹配的元素: ${describeTarget(target)}`)
+		}
+		return {
+			cdpTarget,
+			objectId: result.objectId,
+			description: describeTarget(target),
+			release: () =>
+				chrome.debugger.sendCommand(cdpTarget, "Runtime.releaseObject", { objectId: result.objectId }).catch(() => {}),
+		}
+	}
+
+	const { cdpTarget, node, description, release } = await resolveTargetNode(target)
+	if (node.objectId) {
+		return { cdpTarget, objectId: node.objectId, description, release }
+	}
+
+	// 快照引用只有后端节点ID，需要先转换为远程对象
+	try {
+		const { object } = await chrome.debugger.sendCommand(cdpTarget, "DOM.resolveNode", node)
+		return {
+			cdpTarget,
+			objectId: object.objectId,
+			description,
+			release: () =>
+				chrome.debugger.sendCommand(cdpTarget, "Runtime.releaseObject", { objectId: object.objectId }).catch(() => {}),
+		}
+	} catch (error) {
+		throw new Error(`元素引用 ${target.ref} 已失效，请重新调用snapshot: ${error.message}`)
+	}
+}
+
+/**
+ * 解析目标为视口坐标字符串
+ * 坐标目标直接返回；元素目标会被定位、滚动到可见区域并返回中心点
+ * @param {Object} target - 目标对象 {coordinate, ref, mark, selector, text, role, name}
+ * @returns {Promise<string>} 坐标字符串 "x,y"
+ */
+export async function resolveTargetCoordinate(target) {
+	if (target && target.coordinate) {
+		return target.coordinate
+	}
+
+	const { cdpTarget, node, description, release } = await resolveTargetNode(target)
+
+	try {
+		const { x, y } = await getNodeCenterPoint(cdpTarget, node, description)
+		console.log(`[BG_WS_ELEMENT] 已定位元素 ${description} -> (${x},${y})`)
+		return `${x},${y}`
+	} catch (error) {
+		// 快照引用对应的节点可能已被移除
+		if (target.ref) {
+			throw new Error(`元素引用 ${target.ref} 已失效，请重新调用snapshot: ${error.message}`)
+		}
+		throw error
+	} finally {
+		release()
+	}
+}
+
+/**
+ * 将目标元素滚动到可见区域并返回其边框盒，用于元素截图
+ * @param {Object} target - 目标对象 {ref, mark, selector, text, role, name}
+ * @returns {Promise<{x: number, y: number, width: number, height: number}>} 元素在视口中的区域(CSS像素)
+ */
+export async function resolveTargetBox(target) {
+	const { cdpTarget, node, description, release } = await resolveTargetNode(target)
+
+	try {
+		await chrome.debugger.sendCommand(cdpTarget, "DOM.scrollIntoViewIfNeeded", node).catch(() => {})
+		const { model } = await chrome.debugger.sendCommand(cdpTarget, "DOM.getBoxModel", node)
+		const xs = [model.border[0], model.border[2], model.border[4], model.border[6]]
+		const ys = [model.border[1], model.border[3], model.border[5], model.border[7]]
+		const box = {
+			x: Math.min(...xs),
+			y: Math.min(...ys),
+			width: Math.max(...xs) - Math.min(...xs),
+			height: Math.max(...ys) - Math.min(...ys),
+		}
+		if (box.width <= 0 || box.height <= 0) {
+			throw new Error(`元素没有可见区域: ${description}`)
+		}
+		return box
+	} catch (error) {
+		// 快照引用对应的节点可能已被移除
+		if (target.ref) {
+			throw new Error(`元素引用 ${target.ref} 已失效，请重新调用snapshot: ${error.message}`)
+		}
+		throw error
+	} finally {
+		release()
+	}
+}
+
+/**
+ * 将焦点移动到目标元素
+ * @param {Object} target - 目标对象 {ref, mark, selector, text, role, name}
+ * @returns {Promise<void>}
+ */
+export async function focusTarget(target) {
+	const { cdpTarget, node, description, release } = await resolveTargetNode(target)
+
+	try {
+		await chrome.debugger.sendCommand(cdpTarget, "DOM.scrollIntoViewIfNeeded", node).catch(() => {})
+		await chrome.debugger.sendCommand(cdpTarget, "DOM.focus", node)
+		console.log(`[BG_WS_ELEMENT] 已聚焦元素 ${description}`)
+	} finally {
+		release()
+	}
+}
+
+/**
+ * 将目标解析为CSS选择器，供只接受选择器的操作（如滚动）使用
+ * 仅提供selector时直接返回；其他定位方式会给元素打上临时属性并返回对应的选择器，
+ * 使用完毕后必须调用release移除该属性，避免在页面DOM中留下修改
+ * @param {Object} target - 目标对象 {ref, mark, selector, text, role, name}
+ * @returns {Promise<{selector: string|null, release: Function}>} CSS选择器（没有元素目标时为null）和清理函数
+ */
+export async function resolveTargetSelector(target) {
+	if (!hasElementLocator(target)) {
+		return { selector: null, release: async () => {} }
+	}
+
+	// 返回的选择器在顶层文档中使用，无法表示iframe和shadow DOM中的元素
+	if (target.framePath || target.shadowPath) {
+		throw new Error(`该操作不支持iframe或shadow DOM中的元素: ${describeTarget(target)}`)
+	}
+
+	if (isSelectorOnlyTarget(target)) {
+		return { selector: target.selector, release: async () => {} }
+	}
+
+	const { cdpTarget, objectId, description, release } = await resolveTargetObject(target)
+	const marker = `${Date.now()}`
+
+	try {
+		await chrome.debugger.sendCommand(cdpTarget, "Runtime.callFunctionOn", {
+			objectId,
+			functionDeclaration: `function (name, value) { this.setAttribute(name, value) }`,
+			arguments: [{ value: LOCATED_ELEMENT_ATTRIBUTE }, { value: marker }],
+		})
+	} catch (error) {
+		release()
+		throw error
+	}
+	console.log(`[BG_WS_ELEMENT] 已标记元素 ${description}`)
+
+	return {
+		selector: `[${LOCATED_ELEMENT_ATTRIBUTE}="${marker}"]`,
+		release: async () => {
+			try {
+				await chrome.debugger.sendCommand(cdpTarget, "Runtime.callFunctionOn", {
+					objectId,
+					functionDeclaration: `function (name) { this.removeAttribute(name) }`,
+					arguments: [{ value: LOCATED_ELEMENT_ATTRIBUTE }],
+				})
+			} catch (error) {
+				// 元素可能已被页面移除
+			} finally {
+				release()
+			}
+		},
+	}
+}
@@ -0,0 +1,213 @@
+/**
+ * 文件上传服务
+ * 通过CDP DOM.setFileInputFiles把MCP服务器所在主机上的文件设置到<input type=file>；
+ * 自动点击或按键期间拦截Page.fileChooserOpened，打开的文件选择框不再弹出系统对话框，
+ * 而是记录下来，由upload_file提供文件应答
+ */
+
+import { debugTarget } from "./debuggerService.js"
+import { getActiveTabId } from "./tabService.js"
+import { hasElementLocator, describeTarget, resolveTargetObject } from "./elementService.js"
+
+// 操作结束后继续拦截的时间，文件选择框事件可能晚于触发它的输入事件到达(毫秒)
+const FILE_CHOOSER_SETTLE_MS = 100
+
+/**
+ * 每个标签页中正在进行的、可能打开文件选择框的自动操作数
+ * 只在这些操作期间拦截文件选择框，用户自己点击上传按钮（包括录制演示时）仍弹出系统对话框
+ */
+const interceptingOperations = new Map()
+
+/**
+ * 每个标签页中等待应答的文件选择框
+ * tabId -> { backendNodeId: number, mode: "selectSingle"|"selectMultiple", openedAt: number }
+ */
+const pendingFileChoosers = new Map()
+
+/**
+ * 处理调试器事件中的文件选择框事件
+ * @param {Object} source - 事件源 {tabId}
+ * @param {string} method - 事件名
+ * @param {Object} params - 事件参数
+ */
+function handleFileChooserEvent(source, method, params) {
+	if (!source.tabId) {
+		return
+	}
+
+	if (method === "Page.fileChooserOpened") {
+		console.log(`[BG_WS] File chooser opened in tab ${source.tabId} (mode: ${params.mode})`)
+		pendingFileChoosers.set(source.tabId, {
+			backendNodeId: params.backendNodeId,
+			mode: params.mode,
+			openedAt: Date.now(),
+		})
+	} else if (method === "Page.frameNavigated" && !params.frame?.parentId) {
+		// 主框架导航后原来的文件输入框已不存在
+		pendingFileChoosers.delete(source.tabId)
+	}
+}
+
+/**
+ * 初始化文件选择框事件监听器
+ */
+export function initFileChooserListeners() {
+	chrome.debugger.onEvent.addListener(handleFileChooserEvent)
+	chrome.debugger.onDetach.addListener((source) => {
+		if (source.tabId) {
+			pendingFileChoosers.delete(source.tabId)
+		}
+	})
+	chrome.tabs.onRemoved.addListener((tabId) => {
+		pendingFileChoosers.delete(tabId)
+	})
+}
+
+/**
+ * 在执行可能打开文件选择框的自动操作（点击、按键）期间拦截文件选择框
+ * 打开的文件选择框会被记录下来，由upload_file应答
+ * @param {number} tabId - 标签页ID
+ * @param {Function} operation - 要执行的异步操作
+ * @returns {Promise<any>} 操作的结果
+ */
+export async function withFileChooserInterception(tabId, operation) {
+	const count = interceptingOperations.get(tabId) || 0
+	interceptingOperations.set(tabId, count + 1)
+	if (count === 0) {
+		await chrome.debugger
+			.sendCommand({ tabId }, "Page.setInterceptFileChooserDialog", { enabled: true })
+			.catch((error) => console.warn(`[BG_WS] 无法拦截文件选择框 (tab ${tabId}): ${error.message}`))
+	}
+
+	try {
+		return await operation()
+	} finally {
+		await new Promise((resolve) => setTimeout(resolve, FILE_CHOOSER_SETTLE_MS))
+		const remaining = (interceptingOperations.get(tabId) || 1) - 1
+		if (remaining > 0) {
+			interceptingOperations.set(tabId, remaining)
+		} else {
+			interceptingOperations.delete(tabId)
+			await chrome.debugger
+				.sendCommand({ tabId }, "Page.setInterceptFileChooserDialog", { enabled: false })
+				.catch(() => {})
+		}
+	}
+}
+
+/**
+ * 获取标签页中等待应答的文件选择框
+ * @param {number} tabId - 标签页ID
+ * @returns {{mode: string, openedAt: number}|null} 文件选择框信息，没有时返回null
+ */
+export function getPendingFileChooser(tabId) {
+	const chooser = tabId ? pendingFileChoosers.get(tabId) : null
+	return chooser ? { mode: chooser.mode, openedAt: chooser.openedAt } : null
+}
+
+/**
+ * 从目标元素找到文件输入框：元素本身、label关联的输入框或其中的输入框（在页面中执行）
+ * @this {Element}
+ * @returns {HTMLInputElement|null} 文件输入框
+ */
+function findFileInput() {
+	const isFileInput = (el) => el instanceof HTMLInputElement && el.type === "file"
+	if (isFileInput(this)) return this
+	if (this instanceof HTMLLabelElement && isFileInput(this.control)) return this.control
+	return this.querySelector?.('input[type="file"]') || null
+}
+
+/**
+ * 将文件设置到目标元素对应的文件输入框
+ * @param {Object} target - 目标对象 {ref, mark, selector, text, role, name}
+ * @param {string[]} files - 文件的绝对路径
+ * @returns {Promise<string>} 文件输入框的描述
+ */
+async function setFilesOnTarget(target, files) {
+	const { cdpTarget, objectId, description, release } = await resolveTargetObject(target)
+
+	try {
+		const { result } = await chrome.debugger.sendCommand(cdpTarget, "Runtime.callFunctionOn", {
+			objectId,
+			functionDeclaration: findFileInput.toString(),
+			returnByValue: false,
+		})
+		if (!result?.objectId) {
+			throw new Error(
+				`${description} 不是文件输入框，也不包含文件输入框；可以先点击上传按钮，再调用upload_file应答打开的文件选择框`,
+			)
+		}
+
+		try {
+			const { node } = await chrome.debugger.sendCommand(cdpTarget, "DOM.describeNode", { objectId: result.objectId })
+			// attributes为 [名称, 值, 名称, 值, ...]
+			const attributeNames = (node.attributes || []).filter((_, index) => index % 2 === 0)
+			if (files.length > 1 && !attributeNames.includes("multiple")) {
+				throw new Error(`${description} 只接受一个文件，收到 ${files.length} 个`)
+			}
+			if (attributeNames.includes("disabled")) {
+				throw new Error(`${description} 已禁用`)
+			}
+
+			await chrome.debugger.sendCommand(cdpTarget, "DOM.setFileInputFiles", { files, objectId: result.objectId })
+		} finally {
+			chrome.debugger.sendCommand(cdpTarget, "Runtime.releaseObject", { objectId: result.objectId }).catch(() => {})
+		}
+
+		return description
+	} finally {
+		release()
+	}
+}
+
+/**
+ * 上传文件：提供目标时设置到该文件输入框，否则应答当前打开的文件选择框
+ * 设置成功后页面会收到input和change事件
+ * @param {string[]} files - MCP服务器所在主机上文件的绝对路径
+ * @param {Object} [target] - 可选的目标 {ref, mark, selector, text, role, name}
+ * @returns {Promise<{uploadTarget: string}>} 接收文件的元素描述
+ */
+export async function uploadFiles(files, target = null) {
+	const tabId = getActiveTabId()
+	if (!tabId) {
+		throw new Error("无可用的标签页上传文件")
+	}
+
+	if (!Array.isArray(files) || files.length === 0) {
+		throw new Error("上传文件至少需要一个文件路径")
+	}
+
+	if (!debugTarget || debugTarget.tabId !== tabId) {
+		throw new Error(`Debugger not attached to tab ${tabId} for file upload`)
+	}
+
+	if (hasElementLocator(target)) {
+		console.log(`[BG_WS] Setting ${files.length} files on ${describeTarget(target)} in tab ${tabId}`)
+		const uploadTarget = await setFilesOnTarget(target, files)
+		// 文件选择框对应的就是这个输入框时，不再等待应答
+		pendingFileChoosers.delete(tabId)
+		return { uploadTarget }
+	}
+
+	const chooser = pendingFileChoosers.get(tabId)
+	if (!chooser) {
+		throw new Error("没有打开的文件选择框：请提供文件输入框的selector或ref，或先点击上传按钮打开文件选择框")
+	}
+	if (chooser.mode === "selectSingle" && files.length > 1) {
+		throw new Error(`打开的文件选择框只接受一个文件，收到 ${files.length} 个`)
+	}
+
+	console.log(`[BG_WS] Answering file chooser in tab ${tabId} with ${files.length} files`)
+	try {
+		await chrome.debugger.sendCommand({ tabId }, "DOM.setFileInputFiles", {
+			files,
+			backendNodeId: chooser.backendNodeId,
+		})
+	} catch (error) {
+		throw new Error(`应答文件选择框失败（文件输入框可能已被移除）: ${error.message}`)
+	} finally {
+		pendingFileChoosers.delete(tabId)
+	}
+
+	return { uploadTarget: "the open file chooser" }
+}
@@ -0,0 +1,577 @@
+/**
+ * 表单填写服务
+ * 按标签文本、name、placeholder或CSS选择器定位表单字段，一次设置多个字段的值，
+ * 并收集填写后页面上显示的校验信息；以及按值、标签或序号选择原生下拉框的选项
+ */
+
+import { getActiveTabId } from "./tabService.js"
+import { executeScriptInTab } from "./contentService.js"
+import { describeTarget, hasElementLocator, resolveTargetObject } from "./elementService.js"
+
+// 填写完成后等待页面显示校验信息的时间(毫秒)
+const VALIDATION_SETTLE_MS = 300
+
+/**
+ * 在页面中填写表单字段（注入页面执行，必须保持自包含）
+ * @param {Array<[string, any]>} entries - [字段定位信息, 值] 列表，按顺序填写
+ * @param {number} settleMs - 填写后等待校验信息出现的时间
+ * @returns {Promise<{fields: Object[], validationMessages: string[]}>} 每个字段的结果和页面上的校验信息
+ */
+async function fillFieldsInPage(entries, settleMs) {
+	const CONTROL_SELECTOR = "input:not([type=hidden]), textarea, select, [contenteditable]:not([contenteditable=false])"
+
+	// 只能接受特定格式的输入类型，值被浏览器丢弃时提示正确格式
+	const VALUE_FORMATS = {
+		date: "YYYY-MM-DD",
+		time: "HH:MM",
+		month: "YYYY-MM",
+		week: "YYYY-Www",
+		"datetime-local": "YYYY-MM-DDTHH:MM",
+		color: "#rrggbb",
+		number: "a number",
+		range: "a number",
+	}
+
+	const TRUE_VALUES = ["true", "on", "yes", "checked", "1"]
+	const FALSE_VALUES = ["false", "off", "no", "unchecked", "0", ""]
+
+	const collapse = (value) =>
+		String(value ?? "")
+			.replace(/\s+/g, " ")
+			.trim()
+	const normalize = (value) => collapse(value).toLowerCase()
+	// 标签文本常带有冒号或必填星号
+	const normalizeLabel = (value) => normalize(value).replace(/[\s:：*]+$/, "")
+
+	const isVisible = (el) => {
+		const rect = el.getBoundingClientRect()
+		if (rect.width === 0 && rect.height === 0) return false
+		const style = window.getComputedStyle(el)
+		return style.visibility !== "hidden" && style.display !== "none"
+	}
+
+	const isControl = (el) => el instanceof Element && el.matches(CONTROL_SELECTOR)
+
+	// 标签文本中去掉嵌套控件的内容（如label内的select选项）
+	const textWithoutControls = (el) => {
+		const clone = el.cloneNode(true)
+		clone.querySelectorAll(CONTROL_SELECTOR).forEach((control) => control.remove())
+		return clone.textContent
+	}
+
+	const getLabels = (el) => {
+		const labels = Array.from(el.labels || []).map(textWithoutControls)
+		const ariaLabel = el.getAttribute("aria-label")
+		if (ariaLabel) labels.push(ariaLabel)
+		const labelledBy = el.getAttribute("aria-labelledby")
+		if (labelledBy) {
+			labels.push(
+				labelledBy
+					.split(/\s+/)
+					.map((id) => document.getElementById(id)?.textContent || "")
+					.join(" "),
+			)
+		}
+		return labels.map(normalizeLabel).filter(Boolean)
+	}
+
+	const describeElement = (el) => {
+		const tag = el.tagName.toLowerCase()
+		if (el.isContentEditable && tag !== "input" && tag !== "textarea") return `${tag}[contenteditable]`
+		let description = tag === "input" ? `input[type=${el.type}]` : tag
+		if (el.id) description += `#${el.id}`
+		else if (el.getAttribute("name")) description += `[name=${el.getAttribute("name")}]`
+		return description
+	}
+
+	const controls = Array.from(document.querySelectorAll(CONTROL_SELECTOR))
+
+	// 按标签 → 分组标题 → name → id → placeholder → CSS选择器 → 标签包含 的顺序查找字段
+	const findControls = (locator) => {
+		const key = normalizeLabel(locator)
+		const strategies = [
+			() => controls.filter((el) => getLabels(el).includes(key)),
+			() =>
+				Array.from(document.querySelectorAll("fieldset"))
+					.filter((fieldset) => normalizeLabel(fieldset.querySelector("legend")?.textContent) === key)
+					.flatMap((fieldset) => Array.from(fieldset.querySelectorAll(CONTROL_SELECTOR))),
+			() => controls.filter((el) => el.getAttribute("name") === locator),
+			() => controls.filter((el) => el.id === locator),
+			() => controls.filter((el) => normalizeLabel(el.getAttribute("placeholder")) === key),
+			() => {
+				try {
+					return Array.from(document.querySelectorAll(locator)).flatMap((el) => {
+						if (isControl(el)) return [el]
+						if (el.tagName === "LABEL" && el.control) return [el.control]
+						const nested = el.querySelector(CONTROL_SELECTOR)
+						return nested ? [nested] : []
+					})
+				} catch (error) {
+					// 不是有效的CSS选择器
+					return []
+				}
+			},
+			() => controls.filter((el) => getLabels(el).some((label) => label.includes(key))),
+			() => controls.filter((el) => normalize(el.getAttribute("placeholder")).includes(key)),
+		]
+
+		for (const strategy of strategies) {
+			const matches = Array.from(new Set(strategy()))
+			if (matches.length > 0) {
+				// 可见的字段优先（自定义样式的复选框常把input本身隐藏）
+				return [...matches.filter(isVisible), ...matches.filter((el) => !isVisible(el))]
+			}
+		}
+		return []
+	}
+
+	const optionLabel = (el) => collapse(el.labels?.[0] ? textWithoutControls(el.labels[0]) : el.value)
+
+	// 在选项中按值、完整标签、部分标签依次查找
+	const findOption = (options, value, getLabel) => {
+		const raw = String(value)
+		const key = normalizeLabel(value)
+		return (
+			options.find((option) => option.value === raw) ||
+			options.find((option) => normalizeLabel(getLabel(option)) === key) ||
+			(key ? options.find((option) => normalizeLabel(getLabel(option)).includes(key)) : undefined)
+		)
+	}
+
+	const listOptions = (options, getLabel) =>
+		options
+			.slice(0, 20)
+			.map((option) =>
+				normalizeLabel(getLabel(option)) === normalizeLabel(option.value)
+					? option.value
+					: `${getLabel(option)} (${option.value})`,
+			)
+			.join(", ") + (options.length > 20 ? `, ... (${options.length} total)` : "")
+
+	const parseBooleanOrNull = (value) => {
+		if (typeof value === "boolean") return value
+		const key = normalize(value)
+		if (TRUE_VALUES.includes(key)) return true
+		if (FALSE_VALUES.includes(key)) return false
+		return null
+	}
+
+	const parseBoolean = (value) => {
+		const checked = parseBooleanOrNull(value)
+		if (checked === null) {
+			throw new Error(`复选框的值必须是true或false，收到 "${value}"`)
+		}
+		return checked
+	}
+
+	const dispatchInputEvents = (el, data) => {
+		el.dispatchEvent(new InputEvent("input", { bubbles: true, composed: true, inputType: "insertText", data }))
+		el.dispatchEvent(new Event("change", { bubbles: true }))
+	}
+
+	// 通过原型上的setter赋值，React等框架才能感知到值的变化
+	const setNativeValue = (el, value) => {
+		const prototype =
+			el instanceof HTMLTextAreaElement
+				? HTMLTextAreaElement.prototype
+				: el instanceof HTMLSelectElement
+					? HTMLSelectElement.prototype
+					: HTMLInputElement.prototype
+		Object.getOwnPropertyDescriptor(prototype, "value").set.call(el, value)
+	}
+
+	// 点击切换选中状态，页面会收到click/input/change事件
+	const setChecked = (el, checked) => {
+		if (el.checked !== checked) {
+			el.click()
+		}
+		if (el.checked !== checked) {
+			throw new Error(`页面阻止了${checked ? "选中" : "取消选中"} ${describeElement(el)}`)
+		}
+	}
+
+	const fillSelect = (el, value) => {
+		const options = Array.from(el.options)
+		const values = Array.isArray(value) ? value : [value]
+		if (!el.multiple && values.length > 1) {
+			throw new Error("单选下拉框只能选择一个选项")
+		}
+
+		const getLabel = (option) => collapse(option.label || option.text)
+		const selected = values.map((item) => {
+			const option = findOption(options, item, getLabel)
+			if (!option) {
+				throw new Error(`没有选项 "${item}"，可选项: ${listOptions(options, getLabel)}`)
+			}
+			return option
+		})
+
+		el.focus()
+		if (el.multiple) {
+			options.forEach((option) => {
+				option.selected = selected.includes(option)
+			})
+		} else {
+			setNativeValue(el, selected[0].value)
+		}
+		dispatchInputEvents(el, null)
+		el.blur()
+		return selected.map(getLabel)
+	}
+
+	const fillRadio = (matches, value) => {
+		const name = matches[0].name
+		const group = Array.from(
+			new Set([
+				...matches.filter((el) => el.type === "radio"),
+				...(name ? Array.from(document.getElementsByName(name)).filter((el) => el.type === "radio") : []),
+			]),
+		)
+
+		// 按值或标签在同组中查找；定位到单个单选框且值为true时直接选中它
+		let option = findOption(group, value, optionLabel)
+		if (!option && matches.length === 1 && typeof value !== "object") {
+			if (!parseBooleanOrNull(value)) {
+				throw new Error(
+					parseBooleanOrNull(value) === false
+						? "不能取消选中单选框，请选择同组的其他选项"
+						: `没有选项 "${value}"，可选项: ${listOptions(group, optionLabel)}`,
+				)
+			}
+			option = matches[0]
+		}
+		if (!option) {
+			throw new Error(`没有选项 "${value}"，可选项: ${listOptions(group, optionLabel)}`)
+		}
+		if (option.disabled) {
+			throw new Error(`选项 "${value}" 已禁用`)
+		}
+		setChecked(option, true)
+		return optionLabel(option)
+	}
+
+	const fillCheckbox = (matches, value) => {
+		const checkboxes = matches.filter((el) => el.type === "checkbox")
+		// 多个复选框或数组值：选中列出的选项，取消其他选项
+		if (checkboxes.length > 1 || Array.isArray(value)) {
+			const wanted = (Array.isArray(value) ? value : [value]).map((item) => {
+				const option = findOption(checkboxes, item, optionLabel)
+				if (!option) {
+					throw new Error(`没有选项 "${item}"，可选项: ${listOptions(checkboxes, optionLabel)}`)
+				}
+				return option
+			})
+			checkboxes.forEach((el) => {
+				if (!el.disabled) setChecked(el, wanted.includes(el))
+			})
+			return wanted.map(optionLabel)
+		}
+
+		setChecked(checkboxes[0], parseBoolean(value))
+		return checkboxes[0].checked
+	}
+
+	const fillContentEditable = (el, value) => {
+		const text = String(value)
+		el.focus()
+		const range = document.createRange()
+		range.selectNodeContents(el)
+		const selection = window.getSelection()
+		selection.removeAllRanges()
+		selection.addRange(range)
+		// insertText会像真实输入一样触发beforeinput/input事件，编辑器不支持时直接替换文本
+		if (!document.execCommand("insertText", false, text)) {
+			el.textContent = text
+			dispatchInputEvents(el, text)
+		}
+		el.blur()
+	}
+
+	const fillText = (el, value) => {
+		if (el.readOnly) {
+			throw new Error("字段为只读")
+		}
+		const text = String(value)
+		el.focus()
+		setNativeValue(el, text)
+		if (el.value !== text && VALUE_FORMATS[el.type]) {
+			throw new Error(`"${text}" 不是有效的${el.type}值，应为 ${VALUE_FORMATS[el.type]}`)
+		}
+		dispatchInputEvents(el, text)
+		el.blur()
+	}
+
+	const fillField = (matches, value) => {
+		const el = matches[0]
+		if (el.disabled || el.closest("fieldset:disabled")) {
+			throw new Error("字段已禁用")
+		}
+
+		if (el instanceof HTMLSelectElement) return fillSelect(el, value)
+		if (el instanceof HTMLInputElement) {
+			if (el.type === "radio") return fillRadio(matches, value)
+			if (el.type === "checkbox") return fillCheckbox(matches, value)
+			if (el.type === "file") throw new Error("文件输入框不能直接填写")
+			if (["button", "submit", "reset", "image"].includes(el.type))
+				throw new Error(`${describeElement(el)} 不是输入字段`)
+		}
+		if (el.isContentEditable && !(el instanceof HTMLInputElement) && !(el instanceof HTMLTextAreaElement)) {
+			fillContentEditable(el, value)
+			return undefined
+		}
+		fillText(el, value)
+		return undefined
+	}
+
+	const fields = []
+	const filledElements = []
+	for (const [locator, value] of entries) {
+		const matches = findControls(locator)
+		if (matches.length === 0) {
+			fields.push({ field: locator, status: "error", message: "未找到匹配的表单字段" })
+			continue
+		}
+
+		try {
+			const selected = fillField(matches, value)
+			fields.push({
+				field: locator,
+				status: "success",
+				element: describeElement(matches[0]),
+				...(selected !== undefined && { value: selected }),
+			})
+		} catch (error) {
+			fields.push({ field: locator, status: "error", element: describeElement(matches[0]), message: error.message })
+		}
+		filledElements[fields.length - 1] = matches[0]
+	}
+
+	// 等待页面根据input/change/blur事件显示校验信息
+	await new Promise((resolve) => setTimeout(resolve, settleMs))
+
+	const textOfIds = (ids) =>
+		(ids || "")
+			.split(/\s+/)
+			.map((id) => document.getElementById(id))
+			.filter((el) => el && isVisible(el))
+			.map((el) => collapse(el.innerText))
+
+	fields.forEach((field, index) => {
+		const el = filledElements[index]
+		if (!el) return
+		const messages = []
+		if (el.willValidate && el.validity && !el.validity.valid && el.validationMessage) {
+			messages.push(el.validationMessage)
+		}
+		if (el.getAttribute("aria-invalid") === "true") {
+			messages.push(
+				...textOfIds(el.getAttribute("aria-errormessage")),
+				...textOfIds(el.getAttribute("aria-describedby")),
+			)
+		}
+		const validation = Array.from(new Set(messages.filter(Boolean)))
+		if (validation.length > 0) {
+			field.validation = validation
+		}
+	})
+
+	// 页面上可见的错误提示
+	const alertElements = Array.from(
+		document.querySelectorAll('[role="alert"], [aria-live="assertive"], [class*="error" i], [class*="invalid" i]'),
+	).filter((el) => !isControl(el) && !el.querySelector(CONTROL_SELECTOR) && isVisible(el))
+	const validationMessages = Array.from(
+		new Set(alertElements.map((el) => collapse(el.innerText)).filter((text) => text.length > 0 && text.length <= 200)),
+	).slice(0, 10)
+
+	return { fields, validationMessages }
+}
+
+/**
+ * 在当前标签页中一次填写多个表单字段
+ * @param {Object} fields - 字段定位信息（标签文本、name、placeholder或CSS选择器）到值的映射
+ * @returns {Promise<{fields: Object[], validationMessages: string[]}>} 每个字段的结果和页面上的校验信息
+ */
+export async function fillForm(fields) {
+	const tabId = getActiveTabId()
+	if (!tabId) {
+		throw new Error("无可用的标签页填写表单")
+	}
+
+	const entries = Object.entries(fields || {})
+	if (entries.length === 0) {
+		throw new Error("填写表单至少需要一个字段")
+	}
+
+	console.log(`[BG_WS] Filling ${entries.length} form fields on tab ${tabId}`)
+
+	const result = await executeScriptInTab(fillFieldsInPage, [entries, VALIDATION_SETTLE_MS], tabId)
+	if (!result || !Array.isArray(result.fields)) {
+		throw new Error("无法填写表单")
+	}
+
+	return result
+}
+
+/**
+ * 在目标元素上选择下拉框的选项（在元素所在的框架中执行，必须保持自包含）
+ * 原生下拉框的弹出层不在页面中，无法通过鼠标事件选择，因此直接设置选项并触发input/change事件
+ * @this {Element} 下拉框，或包含下拉框的label/容器
+ * @param {Object} choice - {values: string[], labels: string[], indexes: number[]}
+ * @returns {{selected?: Object[], element?: string, error?: string}} 选中的选项或错误信息
+ */
+function selectOptionsInPage(choice) {
+	const collapse = (value) =>
+		String(value ?? "")
+			.replace(/\s+/g, " ")
+			.trim()
+	const normalize = (value) => collapse(value).toLowerCase()
+
+	const found = this
+	// 定位到label或包装容器时使用其中的下拉框
+	const el =
+		found instanceof HTMLSelectElement
+			? found
+			: found.tagName === "LABEL" && found.control instanceof HTMLSelectElement
+				? found.control
+				: found.querySelector("select")
+	if (!el) {
+		return {
+			error: `目标是<${found.tagName.toLowerCase()}>而不是原生<select>，自定义下拉框请先点击展开再点击选项`,
+		}
+	}
+
+	const describeElement = () => {
+		if (el.id) return `select#${el.id}`
+		return el.getAttribute("name") ? `select[name=${el.getAttribute("name")}]` : "select"
+	}
+
+	const options = Array.from(el.options)
+	const labelOf = (option) => collapse(option.label || option.text)
+	const describeOption = (option) =>
+		`[${option.index}] ${labelOf(option)}${option.value !== labelOf(option) ? ` (${option.value})` : ""}${option.disabled ? " (disabled)" : ""}`
+	const availableOptions = () =>
+		`可选项: ${options.slice(0, 50).map(describeOption).join(", ")}${options.length > 50 ? `, ... (共${options.length}个)` : ""}`
+
+	if (el.disabled) {
+		return { error: `${describeElement()} 已禁用` }
+	}
+
+	const selected = []
+	for (const value of choice.values || []) {
+		const option = options.find((item) => item.value === String(value))
+		if (!option) return { error: `没有值为 "${value}" 的选项。${availableOptions()}` }
+		selected.push(option)
+	}
+	for (const label of choice.labels || []) {
+		// 完整标签优先，没有时使用唯一包含该文本的选项
+		const key = normalize(label)
+		const partial = options.filter((item) => normalize(labelOf(item)).includes(key))
+		const option =
+			options.find((item) => normalize(labelOf(item)) === key) || (partial.length === 1 ? partial[0] : null)
+		if (!option) {
+			return {
+				error: `${partial.length > 1 ? `有多个选项包含 "${label}"` : `没有标签为 "${label}" 的选项`}。${availableOptions()}`,
+			}
+		}
+		selected.push(option)
+	}
+	for (const index of choice.indexes || []) {
+		const option = options[index]
+		if (!option) return { error: `序号 ${index} 超出范围（共${options.length}个选项）。${availableOptions()}` }
+		selected.push(option)
+	}
+
+	const unique = Array.from(new Set(selected))
+	if (unique.length === 0) {
+		return { error: `需要提供要选择的选项。${availableOptions()}` }
+	}
+	if (!el.multiple && unique.length > 1) {
+		return { error: `${describeElement()} 不是多选下拉框，只能选择一个选项` }
+	}
+	const disabled = unique.find((option) => option.disabled || option.parentElement?.disabled)
+	if (disabled) {
+		return { error: `选项 ${describeOption(disabled)} 已禁用` }
+	}
+
+	el.focus()
+	if (el.multiple) {
+		options.forEach((option) => {
+			option.selected = unique.includes(option)
+		})
+	} else {
+		// 通过原型上的setter赋值，React等框架才能感知到值的变化
+		Object.getOwnPropertyDescriptor(HTMLSelectElement.prototype, "value").set.call(el, unique[0].value)
+		el.selectedIndex = unique[0].index
+	}
+	el.dispatchEvent(new Event("input", { bubbles: true, composed: true }))
+	el.dispatchEvent(new Event("change", { bubbles: true }))
+	el.blur()
+
+	return {
+		element: describeElement(),
+		selected: unique.map((option) => ({ index: option.index, value: option.value, label: labelOf(option) })),
+	}
+}
+
+/**
+ * 从命令参数中提取要选择的选项，value/label/index可以是单个值或数组
+ * @param {Object} params - 命令参数 {value, label, index}
+ * @returns {{values: string[], labels: string[], indexes: number[]}} 选项条件
+ */
+export function pickOptionChoice(params = {}) {
+	const toList = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value])
+	return {
+		values: toList(params.value).map(String),
+		labels: toList(params.label).map(String),
+		indexes: toList(params.index).map(Number),
+	}
+}
+
+/**
+ * 在当前标签页中选择原生下拉框的选项
+ * @param {Object} target - 下拉框目标 {ref, mark, selector, text, role, name}
+ * @param {Object} choice - 要选择的选项 {values, labels, indexes}，多选下拉框可同时选择多个
+ * @returns {Promise<{element: string, selected: Object[]}>} 下拉框描述和选中的选项
+ */
+export async function selectOption(target, choice) {
+	const tabId = getActiveTabId()
+	if (!tabId) {
+		throw new Error("无可用的标签页选择选项")
+	}
+
+	console.log(`[BG_WS] Selecting option in ${describeTarget(target)} on tab ${tabId}`)
+
+	if (!hasElementLocator(target)) {
+		throw new Error("缺少目标: 需要提供ref、mark、selector、text或role中的至少一个")
+	}
+
+	// 直接在解析出的节点上执行，快照引用指向iframe中的下拉框时同样有效
+	const { cdpTarget, objectId, release } = await resolveTargetObject(target)
+	let result
+	try {
+		const { result: evaluation, exceptionDetails } = await chrome.debugger.sendCommand(
+			cdpTarget,
+			"Runtime.callFunctionOn",
+			{
+				objectId,
+				functionDeclaration: selectOptionsInPage.toString(),
+				arguments: [{ value: choice }],
+				returnByValue: true,
+			},
+		)
+		if (exceptionDetails) {
+			throw new Error(exceptionDetails.exception?.description || exceptionDetails.text)
+		}
+		result = evaluation?.value
+	} finally {
+		release()
+	}
+	if (!result) {
+		throw new Error("无法选择选项")
+	}
+	if (result.error) {
+		throw new Error(result.error)
+	}
+
+	return result
+}
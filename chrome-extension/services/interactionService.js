@@ -4,50 +4,82 @@ import * as visualizationHandler from "../handlers/visualizationHandler.js"
 import * as domUtils from "../utils/domUtils.js"
 import * as screenshotService from "./screenshotService.js"
 // 导入增强键盘服务
-import { pressKeyOnActiveTab, pressKeyCombinationOnActiveTab } from "./keyboardService.js"
+import {
+	pressKeyOnActiveTab,
+	pressKeyCombinationOnActiveTab,
+	getPlatformModifier,
+	calculateModifiersMask,
+} from "./keyboardService.js"
 // 导入tabService用于获取activeTabId
 import { getActiveTabId } from "../services/tabService.js"
+import { resolveTargetCoordinate, focusTarget, hasElementLocator, describeTarget } from "./elementService.js"
+import { withFileChooserInterception } from "./fileUploadService.js"
+
+// 鼠标按键在CDP Input.dispatchMouseEvent的buttons位掩码中的值
+const MOUSE_BUTTON_MASKS = {
+	left: 1,
+	right: 2,
+	middle: 4,
+}
+
+// 拖拽时默认的中间移动步数，以及每步之间的间隔
+const DEFAULT_DRAG_STEPS = 10
+const MAX_DRAG_STEPS = 100
+const DRAG_STEP_INTERVAL_MS = 16
 
 /**
- * 执行鼠标点击操作
- * @param {string} coordinateString - 坐标字符串，格式为 "x,y"
- * @returns {Promise<void>}
+ * 将目标解析为视口坐标
+ * @param {string|Object} target - 坐标字符串 "x,y"，或目标对象 {coordinate, ref, mark, selector, text, role, name}
+ * @returns {Promise<{x: number, y: number}>} 视口坐标
  */
-export async function performClick(coordinateString) {
-	// 获取当前活动标签页ID
-	const tabId = getActiveTabId()
-	if (!tabId) {
-		throw new Error("无可用的标签页执行点击操作")
-	}
+async function resolvePoint(target) {
+	// 元素目标先解析为坐标（会自动滚动到可见区域）
+	const coordinateString = typeof target === "string" ? target : await resolveTargetCoordinate(target)
 
-	// 直接解析坐标字符串
-	const [cssX, cssY] = coordinateString.split(",").map(Number)
-	if (isNaN(cssX) || isNaN(cssY)) {
+	// 解析坐标字符串
+	const [x, y] = coordinateString.split(",").map(Number)
+	if (isNaN(x) || isNaN(y)) {
 		throw new Error(`无效的坐标格式: ${coordinateString}，应为 "x,y"`)
 	}
+	return { x, y }
+}
 
-	console.log(`[BG_WS] Performing click at ${cssX},${cssY} on tab ${tabId}`)
-
-	if (!debugTarget || debugTarget.tabId !== tabId) {
-		throw new Error(`Debugger not attached to tab ${tabId} for click operation`)
+/**
+ * 将修饰键名称转换为CDP的modifiers位掩码
+ * @param {string[]} modifiers - 修饰键，如 ["Control", "Shift"]
+ * @returns {number} 位掩码
+ */
+function getMouseModifiersMask(modifiers = []) {
+	for (const modifier of modifiers) {
+		if (!getPlatformModifier(modifier)) {
+			throw new Error(`不支持的修饰键: ${modifier}，可选 Alt/Control/Meta/Shift`)
+		}
 	}
+	return calculateModifiersMask(modifiers)
+}
 
-	const clickTarget = { tabId: tabId }
-
-	// 首先执行可视化动画，如果有错误不阻断主操作流程
+/**
+ * 播放鼠标指针移动动画，失败或超时不阻断鼠标操作
+ * @param {number} tabId - 标签页ID
+ * @param {number} x - 目标X坐标
+ * @param {number} y - 目标Y坐标
+ * @param {boolean} [showClickEffect] - 是否在终点显示点击效果
+ * @returns {Promise<void>}
+ */
+async function animatePointer(tabId, x, y, showClickEffect = true) {
 	let visualizationSuccess = false
 	let timeoutTriggered = false
 	let timeoutId = null
 
 	try {
 		// 使用更简单的超时机制
-		const animationPromise = visualizationHandler.executeMouseClick(tabId, cssX, cssY)
+		const animationPromise = visualizationHandler.executeMouseClick(tabId, x, y, showClickEffect)
 
 		// 创建一个定时器Promise
 		const timeoutPromise = new Promise((resolve) => {
 			timeoutId = setTimeout(() => {
 				timeoutTriggered = true
-				console.warn(`[BG_WS] 鼠标可视化超时(5秒)，继续执行点击操作`)
+				console.warn(`[BG_WS] 鼠标可视化超时(5秒)，继续执行鼠标操作`)
 				resolve(false)
 			}, 5000)
 		})
@@ -55,66 +87,263 @@ export async function performClick(coordinateString) {
 		// 使用Promise.race并等待结果
 		visualizationSuccess = await Promise.race([animationPromise, timeoutPromise])
 
-		// 如果动画先完成，取消超时
-		if (timeoutId) {
-			clearTimeout(timeoutId)
-			timeoutId = null
-		}
-
-		// 记录适当的日志
-		if (visualizationSuccess && !timeoutTriggered) {
-			//console.log(`[BG_WS] 鼠标可视化成功完成，继续执行点击操作`)
-		} else if (timeoutTriggered) {
-			console.warn(`[BG_WS] 鼠标可视化因超时而中断，继续执行点击操作`)
-		} else {
-			console.error(`[BG_WS] 鼠标可视化失败，继续执行点击操作`)
+		if (!visualizationSuccess && !timeoutTriggered) {
+			console.error(`[BG_WS] 鼠标可视化失败，继续执行鼠标操作`)
 		}
 	} catch (error) {
-		// 清理超时
+		console.warn(`[BG_WS] 鼠标可视化出错: ${error.message}，继续执行鼠标操作`)
+		// 即使可视化失败，也继续进行鼠标操作
+	} finally {
 		if (timeoutId) {
 			clearTimeout(timeoutId)
-			timeoutId = null
 		}
-		console.warn(`[BG_WS] 鼠标可视化出错: ${error.message}，继续执行点击操作`)
-		// 即使可视化失败，也继续进行点击操作
 	}
 
 	// 如果可视化成功，增加短暂延迟让用户看到动画
-	if (visualizationSuccess && !timeoutTriggered) {
+	if (visualizationSuccess && !timeoutTriggered && showClickEffect) {
 		await new Promise((resolve) => setTimeout(resolve, 300))
 	}
+}
+
+/**
+ * 获取当前活动标签页，并确认调试器已附加
+ * @param {string} operation - 操作名称，用于错误信息
+ * @returns {number} 标签页ID
+ */
+function getMouseTabId(operation) {
+	const tabId = getActiveTabId()
+	if (!tabId) {
+		throw new Error(`无可用的标签页执行${operation}操作`)
+	}
+	if (!debugTarget || debugTarget.tabId !== tabId) {
+		throw new Error(`Debugger not attached to tab ${tabId} for ${operation} operation`)
+	}
+	return tabId
+}
+
+/**
+ * 执行鼠标点击操作
+ * @param {string|Object} target - 坐标字符串 "x,y"，或目标对象 {coordinate, ref, mark, selector, text, role, name}
+ * @param {Object} [options] - 点击选项
+ * @param {string} [options.button] - 鼠标按键 left/right/middle，默认left
+ * @param {number} [options.clickCount] - 连击次数，2为双击，默认1
+ * @param {string[]} [options.modifiers] - 点击时按住的修饰键，如 ["Control"]
+ * @returns {Promise<string>} 实际点击的坐标字符串
+ */
+export async function performClick(target, options = {}) {
+	const { button = "left", clickCount = 1, modifiers = [] } = options
+	if (!MOUSE_BUTTON_MASKS[button]) {
+		throw new Error(`不支持的鼠标按键: ${button}，可选 left/right/middle`)
+	}
+	if (!Number.isInteger(clickCount) || clickCount < 1 || clickCount > 3) {
+		throw new Error(`无效的点击次数: ${clickCount}，应为1-3`)
+	}
+	const modifiersMask = getMouseModifiersMask(modifiers)
+
+	const tabId = getMouseTabId("点击")
+	const { x: cssX, y: cssY } = await resolvePoint(target)
+
+	console.log(
+		`[BG_WS] Performing ${button} click (count: ${clickCount}${modifiers.length > 0 ? `, modifiers: ${modifiers.join("+")}` : ""}) at ${cssX},${cssY} on tab ${tabId}`,
+	)
+
+	// 首先执行可视化动画，如果有错误不阻断主操作流程
+	await animatePointer(tabId, cssX, cssY)
+
+	// 发送鼠标事件：先移动到目标位置触发悬停状态，双击时依次发送clickCount为1和2的按下/释放
+	const clickTarget = { tabId: tabId }
+	// 点击上传按钮打开的文件选择框由upload_file应答
+	await withFileChooserInterception(tabId, async () => {
+		try {
+			await chrome.debugger.sendCommand(clickTarget, "Input.dispatchMouseEvent", {
+				type: "mouseMoved",
+				x: cssX,
+				y: cssY,
+				modifiers: modifiersMask,
+			})
+
+			for (let count = 1; count <= clickCount; count++) {
+				await chrome.debugger.sendCommand(clickTarget, "Input.dispatchMouseEvent", {
+					type: "mousePressed",
+					x: cssX,
+					y: cssY,
+					button,
+					buttons: MOUSE_BUTTON_MASKS[button],
+					clickCount: count,
+					modifiers: modifiersMask,
+				})
+
+				await chrome.debugger.sendCommand(clickTarget, "Input.dispatchMouseEvent", {
+					type: "mouseReleased",
+					x: cssX,
+					y: cssY,
+					button,
+					buttons: 0,
+					clickCount: count,
+					modifiers: modifiersMask,
+				})
+			}
+		} catch (error) {
+			console.error(`[BG_WS] 点击操作出错: ${error.message}`)
+			throw new Error(`点击操作失败: ${error.message}`)
+		}
+	})
+
+	return `${cssX},${cssY}`
+}
+
+/**
+ * 将鼠标移动到目标上方，触发悬停效果（如下拉菜单、提示框）
+ * @param {string|Object} target - 坐标字符串 "x,y"，或目标对象 {coordinate, ref, mark, selector, text, role, name}
+ * @returns {Promise<string>} 鼠标所在的坐标字符串
+ */
+export async function performHover(target) {
+	const tabId = getMouseTabId("悬停")
+	const { x, y } = await resolvePoint(target)
+
+	console.log(`[BG_WS] Hovering at ${x},${y} on tab ${tabId}`)
+
+	await animatePointer(tabId, x, y, false)
 
-	// 发送鼠标事件
 	try {
-		await chrome.debugger.sendCommand(clickTarget, "Input.dispatchMouseEvent", {
-			type: "mousePressed",
-			x: cssX,
-			y: cssY,
-			button: "left",
-			clickCount: 1,
-		})
+		await chrome.debugger.sendCommand({ tabId }, "Input.dispatchMouseEvent", { type: "mouseMoved", x, y })
+	} catch (error) {
+		console.error(`[BG_WS] 悬停操作出错: ${error.message}`)
+		throw new Error(`悬停操作失败: ${error.message}`)
+	}
 
-		await chrome.debugger.sendCommand(clickTarget, "Input.dispatchMouseEvent", {
-			type: "mouseReleased",
-			x: cssX,
-			y: cssY,
+	return `${x},${y}`
+}
+
+/**
+ * 按住左键从起点拖拽到终点
+ * 中间发送多次mouseMoved，可排序列表和滑块需要连续的移动事件；
+ * 通过Input.setInterceptDrags拦截页面发起的HTML5拖放，之后用Input.dispatchDragEvent
+ * 发送dragenter/dragover/drop，拦截不可用或页面没有发起拖放时只发送鼠标事件
+ * @param {string|Object} source - 起点，坐标字符串或目标对象
+ * @param {string|Object} destination - 终点，坐标字符串或目标对象
+ * @param {Object} [options] - 拖拽选项
+ * @param {number} [options.steps] - 中间移动的步数，默认10
+ * @returns {Promise<{from: string, to: string}>} 实际的起点和终点坐标字符串
+ */
+export async function performDrag(source, destination, options = {}) {
+	const { steps = DEFAULT_DRAG_STEPS } = options
+	if (!Number.isInteger(steps) || steps < 1 || steps > MAX_DRAG_STEPS) {
+		throw new Error(`无效的拖拽步数: ${steps}，应为1-${MAX_DRAG_STEPS}`)
+	}
+
+	const tabId = getMouseTabId("拖拽")
+	const dragTarget = { tabId }
+	const dispatch = (type, point, pressed) =>
+		chrome.debugger.sendCommand(dragTarget, "Input.dispatchMouseEvent", {
+			type,
+			x: point.x,
+			y: point.y,
 			button: "left",
-			clickCount: 1,
+			buttons: pressed ? MOUSE_BUTTON_MASKS.left : 0,
+			...(type !== "mouseMoved" && { clickCount: 1 }),
 		})
 
-		//console.log(`[BG_WS] Dispatched mouse click event (CSS: ${cssX},${cssY}) to tab ${tabId}`)
+	// 页面发起HTML5拖放时，Chrome不再自行处理，而是通过Input.dragIntercepted交出拖拽数据
+	let dragData = null
+	const onDragIntercepted = (eventSource, method, params) => {
+		if (eventSource.tabId === tabId && method === "Input.dragIntercepted") {
+			dragData = params.data
+		}
+	}
+	const dispatchDrag = (type, point) =>
+		chrome.debugger.sendCommand(dragTarget, "Input.dispatchDragEvent", { type, x: point.x, y: point.y, data: dragData })
+
+	const start = await resolvePoint(source)
+	await animatePointer(tabId, start.x, start.y)
+
+	let intercepting = false
+	try {
+		await chrome.debugger.sendCommand(dragTarget, "Input.setInterceptDrags", { enabled: true })
+		chrome.debugger.onEvent.addListener(onDragIntercepted)
+		intercepting = true
 	} catch (error) {
-		console.error(`[BG_WS] 点击操作出错: ${error.message}`)
-		throw new Error(`点击操作失败: ${error.message}`)
+		console.warn(`[BG_WS] 无法拦截HTML5拖放，仅发送鼠标事件: ${error.message}`)
 	}
+
+	let current = start
+	let end = null
+	let completed = false
+	try {
+		await dispatch("mouseMoved", start, false)
+		await dispatch("mousePressed", start, true)
+
+		// 终点在按下之后解析：元素终点可能需要滚动到可见区域
+		end = await resolvePoint(destination)
+		console.log(`[BG_WS] Dragging from ${start.x},${start.y} to ${end.x},${end.y} in ${steps} steps on tab ${tabId}`)
+
+		// 页面触发dragstart后（拦截事件可能晚于这次移动的响应到达），从当前位置进入拖放
+		let dragEntered = false
+		const enterDragIfStarted = async () => {
+			if (dragData && !dragEntered) {
+				console.log(`[BG_WS] HTML5 drag started at ${current.x},${current.y} on tab ${tabId}`)
+				dragEntered = true
+				await dispatchDrag("dragEnter", current)
+			}
+		}
+
+		const from = start
+		const moveInSteps = async () => {
+			for (let step = 1; step <= steps; step++) {
+				await enterDragIfStarted()
+				current = {
+					x: from.x + ((end.x - from.x) * step) / steps,
+					y: from.y + ((end.y - from.y) * step) / steps,
+				}
+				if (!dragEntered) {
+					await dispatch("mouseMoved", current, true)
+					await enterDragIfStarted()
+				}
+				if (dragEntered) {
+					await dispatchDrag("dragOver", current)
+				}
+				await new Promise((resolve) => setTimeout(resolve, DRAG_STEP_INTERVAL_MS))
+			}
+		}
+
+		// 指针动画与实际移动同时进行
+		await Promise.all([animatePointer(tabId, end.x, end.y, false), moveInSteps()])
+
+		if (dragData && !dragEntered) {
+			await enterDragIfStarted()
+			await dispatchDrag("dragOver", current)
+		}
+		if (dragEntered) {
+			await dispatchDrag("drop", current)
+		}
+		completed = true
+	} catch (error) {
+		console.error(`[BG_WS] 拖拽操作出错: ${error.message}`)
+		throw new Error(`拖拽操作失败: ${error.message}`)
+	} finally {
+		// 无论成功与否都结束拖放并释放鼠标，避免页面停留在拖拽状态
+		if (dragData && !completed) {
+			await dispatchDrag("dragCancel", current).catch(() => {})
+		}
+		await dispatch("mouseReleased", current, false).catch(() => {})
+		if (intercepting) {
+			chrome.debugger.onEvent.removeListener(onDragIntercepted)
+			await chrome.debugger.sendCommand(dragTarget, "Input.setInterceptDrags", { enabled: false }).catch(() => {})
+		}
+	}
+
+	return { from: `${start.x},${start.y}`, to: `${end.x},${end.y}` }
 }
 
 /**
  * 执行文本输入
  * @param {string} text - 要输入的文本
+ * @param {Object} [target] - 可选的输入目标 {ref, selector, text, role, name}，提供时先聚焦该元素
+ * @param {Object} [options] - 输入选项
+ * @param {boolean} [options.clear] - 先选中已有内容再输入，使输入的文本替换原值（回放录制的完整值时使用）
  * @returns {Promise<void>}
  */
-export async function performType(text) {
+export async function performType(text, target = null, options = {}) {
 	// 获取当前活动标签页ID
 	const tabId = getActiveTabId()
 	if (!tabId) {
@@ -142,6 +371,25 @@ export async function performType(text) {
 		console.log(`[BG_WS] Debugger already attached to tab ${tabId} for typing.`)
 	}
 
+	// 有输入目标时先聚焦，无法聚焦的元素退回为点击
+	if (hasElementLocator(target)) {
+		try {
+			await focusTarget(target)
+		} catch (error) {
+			console.warn(`[BG_WS] 聚焦 ${describeTarget(target)} 失败: ${error.message}，改为点击该元素`)
+			await performClick(target)
+		}
+	}
+
+	// 通过编辑命令全选聚焦元素的内容（在焦点所在的框架中执行，与平台快捷键无关），插入的文本会替换选中内容
+	if (options.clear) {
+		await chrome.debugger.sendCommand(typeTarget, "Input.dispatchKeyEvent", {
+			type: "rawKeyDown",
+			commands: ["selectAll"],
+		})
+		await chrome.debugger.sendCommand(typeTarget, "Input.dispatchKeyEvent", { type: "keyUp" })
+	}
+
 	// 插入文本
 	console.log(`[BG_WS] Dispatching key events for text: ${text}`)
 	await chrome.debugger.sendCommand(typeTarget, "Input.insertText", {
@@ -160,8 +408,13 @@ export async function performPressKey(key) {
 	console.log(`[BG_WS] Pressing key: ${key}`)
 
 	try {
-		// 使用无tabId参数的增强版键盘服务
-		await pressKeyOnActiveTab(key)
+		// 使用无tabId参数的增强版键盘服务；在聚焦的上传按钮上按回车或空格同样会打开文件选择框
+		const tabId = getActiveTabId()
+		if (tabId) {
+			await withFileChooserInterception(tabId, () => pressKeyOnActiveTab(key))
+		} else {
+			await pressKeyOnActiveTab(key)
+		}
 		console.log(`[BG_WS] Dispatched key events successfully`)
 	} catch (error) {
 		console.error(`[BG_WS] Error in performPressKey: ${error.message}`)
@@ -350,4 +350,4 @@ export async function pressKeyCombinationOnActiveTab(combination) {
 }
 
 // 导出标准化函数，便于其他服务使用
-export { normalizeKeyName, getKeyParams }
+export { normalizeKeyName, getKeyParams, getPlatformModifier, calculateModifiersMask }
@@ -0,0 +1,570 @@
+/**
+ * 网络活动服务
+ * 通过CDP Network域事件跟踪每个标签页进行中的请求，用于判断网络是否空闲；
+ * 同时在环形缓冲区中记录请求详情，用于请求查看和HAR导出
+ */
+
+// 长连接类请求不会结束，不参与网络空闲判断
+const LONG_LIVED_RESOURCE_TYPES = new Set(["EventSource", "WebSocket"])
+
+// 每个标签页最多记录的请求数
+const MAX_REQUEST_RECORDS = 1000
+
+// 请求/响应正文的最大返回长度
+const MAX_BODY_LENGTH = 100000
+
+/**
+ * 每个标签页的网络活动状态
+ * tabId -> { inflight: Set<requestId>, lastActivityTime: number }
+ */
+const networkActivity = new Map()
+
+/**
+ * 获取标签页的网络活动状态
+ * @param {number} tabId - 标签页ID
+ * @returns {Object} 网络活动状态
+ */
+function getActivity(tabId) {
+	let activity = networkActivity.get(tabId)
+	if (!activity) {
+		activity = { inflight: new Set(), lastActivityTime: Date.now() }
+		networkActivity.set(tabId, activity)
+	}
+	return activity
+}
+
+/**
+ * 每个标签页的请求记录
+ * tabId -> { records: Object[], nextId: number, byRequestId: Map<requestId, record> }
+ */
+const requestLogs = new Map()
+
+/**
+ * 获取标签页的请求记录
+ * @param {number} tabId - 标签页ID
+ * @returns {Object} 请求记录
+ */
+function getRequestLog(tabId) {
+	let log = requestLogs.get(tabId)
+	if (!log) {
+		log = { records: [], nextId: 1, byRequestId: new Map() }
+		requestLogs.set(tabId, log)
+	}
+	return log
+}
+
+/**
+ * 将CDP响应信息写入请求记录
+ * @param {Object} record - 请求记录
+ * @param {Object} response - CDP Network.Response
+ */
+function applyResponse(record, response) {
+	record.status = response.status
+	record.statusText = response.statusText
+	record.mimeType = response.mimeType
+	record.responseHeaders = response.headers || {}
+	record.protocol = response.protocol
+	record.remoteIPAddress = response.remoteIPAddress
+	record.fromCache = !!(response.fromDiskCache || response.fromServiceWorker || response.fromPrefetchCache)
+	record.timing = response.timing
+	record.encodedDataLength = response.encodedDataLength
+}
+
+/**
+ * 记录一个新请求，超出容量时丢弃最旧的记录
+ * 重定向时结束上一跳的记录，并以同一个CDP requestId开始新记录
+ * @param {number} tabId - 标签页ID
+ * @param {Object} params - Network.requestWillBeSent参数
+ */
+function recordRequest(tabId, params) {
+	const log = getRequestLog(tabId)
+
+	const previous = log.byRequestId.get(params.requestId)
+	if (previous && params.redirectResponse) {
+		applyResponse(previous, params.redirectResponse)
+		previous.redirectURL = params.request.url
+		previous.endTimestamp = params.timestamp
+		previous.finished = true
+	}
+
+	const record = {
+		id: log.nextId++,
+		requestId: params.requestId,
+		method: params.request.method,
+		url: params.request.url,
+		resourceType: params.type || "Other",
+		requestHeaders: params.request.headers || {},
+		postData: params.request.postData,
+		hasPostData: !!params.request.hasPostData,
+		startedDateTime: new Date((params.wallTime || Date.now() / 1000) * 1000).toISOString(),
+		timestamp: params.timestamp,
+		dataLength: 0,
+		finished: false,
+	}
+	log.byRequestId.set(params.requestId, record)
+	log.records.push(record)
+
+	if (log.records.length > MAX_REQUEST_RECORDS) {
+		const removed = log.records.shift()
+		if (log.byRequestId.get(removed.requestId) === removed) {
+			log.byRequestId.delete(removed.requestId)
+		}
+	}
+}
+
+/**
+ * 更新请求记录
+ * @param {number} tabId - 标签页ID
+ * @param {string} method - 事件名
+ * @param {Object} params - 事件参数
+ */
+function updateRequestRecord(tabId, method, params) {
+	const record = requestLogs.get(tabId)?.byRequestId.get(params.requestId)
+	if (!record) return
+
+	switch (method) {
+		case "Network.responseReceived":
+			applyResponse(record, params.response)
+			record.resourceType = params.type || record.resourceType
+			break
+		case "Network.dataReceived":
+			record.dataLength += params.dataLength || 0
+			break
+		case "Network.loadingFinished":
+			record.encodedDataLength = params.encodedDataLength
+			record.endTimestamp = params.timestamp
+			record.finished = true
+			break
+		case "Network.loadingFailed":
+			record.errorText = params.canceled ? "canceled" : params.errorText
+			record.endTimestamp = params.timestamp
+			record.failed = true
+			record.finished = true
+			break
+	}
+}
+
+/**
+ * 处理调试器事件中的Network事件
+ * @param {Object} source - 事件源 {tabId}
+ * @param {string} method - 事件名
+ * @param {Object} params - 事件参数
+ */
+function handleNetworkEvent(source, method, params) {
+	if (!source.tabId || !method.startsWith("Network.")) {
+		return
+	}
+
+	switch (method) {
+		case "Network.requestWillBeSent": {
+			recordRequest(source.tabId, params)
+			if (LONG_LIVED_RESOURCE_TYPES.has(params.type)) return
+			const activity = getActivity(source.tabId)
+			activity.inflight.add(params.requestId)
+			activity.lastActivityTime = Date.now()
+			break
+		}
+		case "Network.loadingFinished":
+		case "Network.loadingFailed": {
+			const activity = getActivity(source.tabId)
+			activity.inflight.delete(params.requestId)
+			activity.lastActivityTime = Date.now()
+			updateRequestRecord(source.tabId, method, params)
+			break
+		}
+		case "Network.responseReceived":
+		case "Network.dataReceived":
+			updateRequestRecord(source.tabId, method, params)
+			break
+	}
+}
+
+/**
+ * 初始化网络事件监听器
+ */
+export function initNetworkListeners() {
+	chrome.debugger.onEvent.addListener(handleNetworkEvent)
+	chrome.debugger.onDetach.addListener((source) => {
+		if (source.tabId) {
+			networkActivity.delete(source.tabId)
+		}
+	})
+	chrome.tabs.onRemoved.addListener((tabId) => {
+		requestLogs.delete(tabId)
+	})
+}
+
+/**
+ * 确保标签页已启用Network域（重复调用是安全的）
+ * @param {number} tabId - 标签页ID
+ * @returns {Promise<void>}
+ */
+export async function ensureNetworkTracking(tabId) {
+	await chrome.debugger.sendCommand({ tabId }, "Network.enable")
+	getActivity(tabId)
+}
+
+/**
+ * 获取标签页网络已空闲的时长
+ * @param {number} tabId - 标签页ID
+ * @returns {number} 空闲时长(毫秒)，有进行中的请求时返回0
+ */
+export function getNetworkIdleDuration(tabId) {
+	const activity = getActivity(tabId)
+	if (activity.inflight.size > 0) {
+		return 0
+	}
+	return Date.now() - activity.lastActivityTime
+}
+
+/**
+ * 获取标签页进行中的请求数量
+ * @param {number} tabId - 标签页ID
+ * @returns {number} 进行中的请求数量
+ */
+export function getInflightRequestCount(tabId) {
+	return getActivity(tabId).inflight.size
+}
+
+/**
+ * 计算请求耗时
+ * @param {Object} record - 请求记录
+ * @returns {number|null} 耗时(毫秒)，未完成时返回null
+ */
+function getDuration(record) {
+	if (record.endTimestamp === undefined || record.timestamp === undefined) {
+		return null
+	}
+	return Math.max(0, Math.round((record.endTimestamp - record.timestamp) * 1000))
+}
+
+/**
+ * 生成请求记录的摘要
+ * @param {Object} record - 请求记录
+ * @returns {Object} 摘要 {id, method, url, status, type, durationMs, size, ...}
+ */
+function summarizeRecord(record) {
+	const summary = {
+		id: record.id,
+		method: record.method,
+		url: record.url,
+		status: record.status ?? null,
+		type: record.resourceType,
+		mimeType: record.mimeType,
+		durationMs: getDuration(record),
+		size: record.encodedDataLength ?? null,
+		fromCache: record.fromCache || undefined,
+	}
+	if (record.failed) summary.error = record.errorText
+	if (!record.finished) summary.pending = true
+	return summary
+}
+
+/**
+ * 列出标签页记录的网络请求
+ * @param {number} tabId - 标签页ID
+ * @param {Object} options - 过滤选项
+ * @param {string} options.urlFilter - URL需包含的子串
+ * @param {string} options.resourceType - 资源类型，例如 XHR、Fetch、Document、Script（不区分大小写）
+ * @param {boolean} options.failedOnly - 只返回失败或状态码>=400的请求
+ * @param {number} options.limit - 最多返回的条数（取最新的），默认为50
+ * @returns {{requests: Object[], total: number, dropped: boolean}} 请求摘要列表、匹配总数和是否有记录因缓冲区已满被丢弃
+ */
+export function listRequests(tabId, options = {}) {
+	const { urlFilter, resourceType, failedOnly = false, limit = 50 } = options
+	const log = getRequestLog(tabId)
+
+	const matched = log.records.filter((record) => {
+		if (urlFilter && !record.url.includes(urlFilter)) return false
+		if (resourceType && record.resourceType.toLowerCase() !== resourceType.toLowerCase()) return false
+		if (failedOnly && !record.failed && !(record.status >= 400)) return false
+		return true
+	})
+
+	return {
+		requests: matched.slice(-limit).map(summarizeRecord),
+		total: matched.length,
+		dropped: log.records.length > 0 && log.records[0].id > 1,
+	}
+}
+
+/**
+ * 截断过长的正文
+ * @param {string} text - 正文
+ * @returns {string} 处理后的正文
+ */
+function truncateBody(text) {
+	return text.length > MAX_BODY_LENGTH
+		? `${text.slice(0, MAX_BODY_LENGTH)}\n... (truncated, ${text.length} chars total)`
+		: text
+}
+
+/**
+ * 获取请求正文（POST数据）
+ * @param {number} tabId - 标签页ID
+ * @param {Object} record - 请求记录
+ * @returns {Promise<string|undefined>} 请求正文
+ */
+async function fetchRequestBody(tabId, record) {
+	if (record.postData !== undefined || !record.hasPostData) {
+		return record.postData
+	}
+	try {
+		const { postData } = await chrome.debugger.sendCommand({ tabId }, "Network.getRequestPostData", {
+			requestId: record.requestId,
+		})
+		return postData
+	} catch (error) {
+		return undefined
+	}
+}
+
+/**
+ * 获取响应正文，重定向的中间跳和已被浏览器释放的资源无法获取
+ * @param {number} tabId - 标签页ID
+ * @param {Object} record - 请求记录
+ * @returns {Promise<{body: string, base64Encoded: boolean}|{error: string}>} 响应正文或无法获取的原因
+ */
+async function fetchResponseBody(tabId, record) {
+	if (!record.finished) return { error: "Request has not finished loading" }
+	if (record.failed) return { error: `Request failed: ${record.errorText}` }
+	if (record.redirectURL) return { error: `Redirect response (to ${record.redirectURL}) has no body` }
+	try {
+		const result = await chrome.debugger.sendCommand({ tabId }, "Network.getResponseBody", {
+			requestId: record.requestId,
+		})
+		return { body: result.body, base64Encoded: result.base64Encoded }
+	} catch (error) {
+		return { error: `Response body is not available: ${error.message}` }
+	}
+}
+
+/**
+ * 获取单个请求的详情，包括请求头、响应头和正文
+ * @param {number} tabId - 标签页ID
+ * @param {number} id - list_requests返回的请求ID
+ * @param {Object} options - 选项
+ * @param {boolean} options.includeBodies - 是否获取请求和响应正文，默认为true
+ * @returns {Promise<Object>} 请求详情
+ */
+export async function getRequestDetail(tabId, id, options = {}) {
+	const { includeBodies = true } = options
+	const record = getRequestLog(tabId).records.find((item) => item.id === Number(id))
+	if (!record) {
+		throw new Error(`未找到请求 ${id}，请先调用list_requests获取请求ID（记录可能已被丢弃）`)
+	}
+
+	const detail = {
+		...summarizeRecord(record),
+		statusText: record.statusText,
+		protocol: record.protocol,
+		remoteIPAddress: record.remoteIPAddress,
+		redirectURL: record.redirectURL,
+		startedDateTime: record.startedDateTime,
+		requestHeaders: record.requestHeaders,
+		responseHeaders: record.responseHeaders,
+	}
+
+	if (includeBodies) {
+		const requestBody = await fetchRequestBody(tabId, record)
+		if (requestBody !== undefined) {
+			detail.requestBody = truncateBody(requestBody)
+		}
+
+		const response = await fetchResponseBody(tabId, record)
+		if (response.error) {
+			detail.responseBodyError = response.error
+		} else if (response.base64Encoded) {
+			detail.responseBody = `(binary body, ${response.body.length} base64 chars omitted)`
+		} else {
+			detail.responseBody = truncateBody(response.body)
+		}
+	}
+
+	return detail
+}
+
+/**
+ * 将请求头对象转换为HAR的名称/值列表
+ * @param {Object} headers - 请求头
+ * @returns {{name: string, value: string}[]} HAR头列表
+ */
+function toHarHeaders(headers = {}) {
+	return Object.entries(headers).flatMap(([name, value]) =>
+		String(value)
+			.split("\n")
+			.map((line) => ({ name, value: line })),
+	)
+}
+
+/**
+ * 解析URL查询参数为HAR列表
+ * @param {string} url - 请求URL
+ * @returns {{name: string, value: string}[]} HAR查询参数列表
+ */
+function toHarQueryString(url) {
+	try {
+		return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }))
+	} catch (error) {
+		return []
+	}
+}
+
+/**
+ * 查找请求头的值（不区分大小写）
+ * @param {Object} headers - 请求头
+ * @param {string} name - 请求头名称
+ * @returns {string|undefined} 值
+ */
+function findHeader(headers = {}, name) {
+	const key = Object.keys(headers).find((header) => header.toLowerCase() === name)
+	return key ? headers[key] : undefined
+}
+
+/**
+ * 将CDP ResourceTiming转换为HAR timings
+ * @param {Object} record - 请求记录
+ * @param {number} totalMs - 总耗时(毫秒)
+ * @returns {Object} HAR timings
+ */
+function toHarTimings(record, totalMs) {
+	const timing = record.timing
+	if (!timing) {
+		return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: totalMs, receive: 0 }
+	}
+
+	const span = (start, end) => (start >= 0 && end >= start ? end - start : -1)
+	const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find((value) => value >= 0) ?? 0
+	// requestTime是请求开始处理的时间，与requestWillBeSent的时间戳之差也计入阻塞时间
+	const queued = Math.max(0, (timing.requestTime - record.timestamp) * 1000)
+	const receiveStart = record.endTimestamp !== undefined ? (record.endTimestamp - timing.requestTime) * 1000 : null
+
+	const timings = {
+		blocked: queued + firstStart,
+		dns: span(timing.dnsStart, timing.dnsEnd),
+		connect: span(timing.connectStart, timing.connectEnd),
+		ssl: span(timing.sslStart, timing.sslEnd),
+		send: Math.max(0, timing.sendEnd - timing.sendStart),
+		wait: Math.max(0, timing.receiveHeadersEnd - timing.sendEnd),
+		receive: receiveStart !== null ? Math.max(0, receiveStart - timing.receiveHeadersEnd) : 0,
+	}
+	return Object.fromEntries(Object.entries(timings).map(([key, value]) => [key, Math.round(value * 1000) / 1000]))
+}
+
+/**
+ * 将CDP协议名转换为HAR的HTTP版本
+ * @param {string} protocol - CDP协议名，例如 "h2"、"http/1.1"
+ * @returns {string} HTTP版本，例如 "HTTP/2.0"
+ */
+function toHttpVersion(protocol) {
+	switch ((protocol || "").toLowerCase()) {
+		case "h2":
+			return "HTTP/2.0"
+		case "h3":
+		case "quic":
+			return "HTTP/3"
+		case "http/1.0":
+			return "HTTP/1.0"
+		default:
+			return "HTTP/1.1"
+	}
+}
+
+/**
+ * 将请求记录转换为HAR条目
+ * @param {number} tabId - 标签页ID
+ * @param {Object} record - 请求记录
+ * @param {boolean} includeBodies - 是否包含响应正文
+ * @returns {Promise<Object>} HAR条目
+ */
+async function toHarEntry(tabId, record, includeBodies) {
+	const totalMs = getDuration(record) ?? 0
+	const httpVersion = toHttpVersion(record.protocol)
+	const postData = await fetchRequestBody(tabId, record)
+
+	const request = {
+		method: record.method,
+		url: record.url,
+		httpVersion,
+		cookies: [],
+		headers: toHarHeaders(record.requestHeaders),
+		queryString: toHarQueryString(record.url),
+		headersSize: -1,
+		bodySize: postData !== undefined ? postData.length : 0,
+	}
+	if (postData !== undefined) {
+		request.postData = {
+			mimeType: findHeader(record.requestHeaders, "content-type") || "",
+			text: postData,
+		}
+	}
+
+	const content = { size: record.dataLength, mimeType: record.mimeType || "x-unknown" }
+	if (includeBodies) {
+		const response = await fetchResponseBody(tabId, record)
+		if (!response.error) {
+			content.text = response.body
+			if (response.base64Encoded) content.encoding = "base64"
+		}
+	}
+
+	const entry = {
+		pageref: `page_${tabId}`,
+		startedDateTime: record.startedDateTime,
+		time: totalMs,
+		request,
+		response: {
+			status: record.status ?? 0,
+			statusText: record.failed ? record.errorText || "" : record.statusText || "",
+			httpVersion,
+			cookies: [],
+			headers: toHarHeaders(record.responseHeaders),
+			content,
+			redirectURL: record.redirectURL || "",
+			headersSize: -1,
+			bodySize: record.encodedDataLength ?? -1,
+		},
+		cache: {},
+		timings: toHarTimings(record, totalMs),
+		_resourceType: record.resourceType,
+	}
+	if (record.remoteIPAddress) entry.serverIPAddress = record.remoteIPAddress
+	if (record.failed) entry._error = record.errorText
+	return entry
+}
+
+/**
+ * 将标签页记录的网络请求导出为HAR 1.2格式
+ * @param {number} tabId - 标签页ID
+ * @param {Object} options - 选项
+ * @param {boolean} options.includeBodies - 是否包含响应正文，默认为false
+ * @returns {Promise<{har: Object, entryCount: number}>} HAR对象和条目数量
+ */
+export async function exportHar(tabId, options = {}) {
+	const { includeBodies = false } = options
+	const tab = await chrome.tabs.get(tabId)
+	const log = getRequestLog(tabId)
+
+	const entries = []
+	for (const record of log.records) {
+		entries.push(await toHarEntry(tabId, record, includeBodies))
+	}
+
+	const har = {
+		log: {
+			version: "1.2",
+			creator: { name: "CodingBaby Extension", version: chrome.runtime.getManifest().version },
+			pages: [
+				{
+					startedDateTime: log.records[0]?.startedDateTime || new Date().toISOString(),
+					id: `page_${tabId}`,
+					title: tab.title || tab.url,
+					pageTimings: { onContentLoad: -1, onLoad: -1 },
+				},
+			],
+			entries,
+		},
+	}
+
+	return { har, entryCount: entries.length }
+}
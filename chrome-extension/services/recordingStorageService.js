@@ -0,0 +1,304 @@
+/**
+ * 录制会话持久化服务
+ * MV3的Service Worker空闲时会被浏览器终止，内存中的录制会话随之丢失。
+ * 录制过程中把会话信息和每个操作增量写入IndexedDB（截图以Blob保存），
+ * Service Worker重启后据此恢复录制，停止后的会话也可以再次列出、读取和删除
+ */
+
+const DB_NAME = "codingBabyRecordings"
+const DB_VERSION = 1
+const SESSION_STORE = "sessions"
+const ACTION_STORE = "actions"
+
+// 会话状态
+export const RECORDING_STATUS = {
+	RECORDING: "recording",
+	STOPPED: "stopped",
+}
+
+// chrome.storage.local中保存已停止会话保留数量的键
+export const MAX_STORED_SESSIONS_STORAGE_KEY = "maxStoredRecordings"
+
+// 默认最多保留的已停止会话数量，超出时删除最早的会话
+export const DEFAULT_MAX_STORED_SESSIONS = 20
+
+// 操作中以Blob保存的截图字段
+const SCREENSHOT_FIELDS = ["screenshotBefore", "screenshotAfter"]
+
+let dbPromise = null
+
+/**
+ * 打开(必要时创建)录制数据库
+ * @returns {Promise<IDBDatabase>} 数据库连接
+ */
+function openDatabase() {
+	if (!dbPromise) {
+		dbPromise = new Promise((resolve, reject) => {
+			const request = indexedDB.open(DB_NAME, DB_VERSION)
+			request.onupgradeneeded = () => {
+				const db = request.result
+				if (!db.objectStoreNames.contains(SESSION_STORE)) {
+					db.createObjectStore(SESSION_STORE, { keyPath: "id" })
+				}
+				if (!db.objectStoreNames.contains(ACTION_STORE)) {
+					const actionStore = db.createObjectStore(ACTION_STORE, { keyPath: ["sessionId", "index"] })
+					actionStore.createIndex("sessionId", "sessionId")
+				}
+			}
+			request.onsuccess = () => resolve(request.result)
+			request.onerror = () => {
+				dbPromise = null
+				reject(request.error)
+			}
+		})
+	}
+	return dbPromise
+}
+
+/**
+ * 将IDBRequest包装为Promise
+ * @param {IDBRequest} request - 请求
+ * @returns {Promise<any>} 请求结果
+ */
+function promisifyRequest(request) {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result)
+		request.onerror = () => reject(request.error)
+	})
+}
+
+/**
+ * 在事务中执行操作，事务完成后返回操作结果
+ * @param {string[]} storeNames - 涉及的存储
+ * @param {IDBTransactionMode} mode - 事务模式
+ * @param {Function} callback - 接收各存储对象，返回IDBRequest或结果(可为Promise)
+ * @returns {Promise<any>} 操作结果
+ */
+async function runTransaction(storeNames, mode, callback) {
+	const db = await openDatabase()
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(storeNames, mode)
+		const stores = storeNames.map((name) => transaction.objectStore(name))
+		let result
+		const value = callback(...stores)
+		if (value instanceof IDBRequest) {
+			value.onsuccess = () => {
+				result = value.result
+			}
+		} else {
+			// 异步回调只能等待本事务内的请求，否则事务会提前提交
+			Promise.resolve(value).then(
+				(resolved) => {
+					result = resolved
+				},
+				(error) => {
+					transaction.abort()
+					reject(error)
+				},
+			)
+		}
+		transaction.oncomplete = () => resolve(result)
+		transaction.onerror = () => reject(transaction.error)
+		transaction.onabort = () => reject(transaction.error || new Error("事务已中止"))
+	})
+}
+
+/**
+ * 将Blob转换为dataURL
+ * @param {Blob} blob - 图片数据
+ * @returns {Promise<string>} dataURL
+ */
+function blobToDataUrl(blob) {
+	return new Promise((resolve, reject) => {
+		const reader = new FileReader()
+		reader.onload = () => resolve(reader.result)
+		reader.onerror = () => reject(reader.error)
+		reader.readAsDataURL(blob)
+	})
+}
+
+/**
+ * 提取会话的基本信息（不含操作列表）
+ * @param {Object} session - 录制会话
+ * @param {string} status - 会话状态
+ * @returns {Object} 会话记录
+ */
+function toSessionRecord(session, status) {
+	const { actions, ...meta } = session
+	return {
+		...meta,
+		status,
+		actionCount: actions?.length || 0,
+		updatedAt: Date.now(),
+	}
+}
+
+/**
+ * 读取会话的所有操作，截图还原为dataURL
+ * @param {string} sessionId - 会话ID
+ * @returns {Promise<Object[]>} 按顺序排列的操作
+ */
+async function loadSessionActions(sessionId) {
+	const records = await runTransaction([ACTION_STORE], "readonly", (store) =>
+		store.index("sessionId").getAll(IDBKeyRange.only(sessionId)),
+	)
+
+	records.sort((a, b) => a.index - b.index)
+	return Promise.all(
+		records.map(async ({ sessionId: _sessionId, index: _index, ...action }) => {
+			for (const field of SCREENSHOT_FIELDS) {
+				if (action[field] instanceof Blob) {
+					action[field] = await blobToDataUrl(action[field])
+				}
+			}
+			return action
+		}),
+	)
+}
+
+/**
+ * 保存录制会话的基本信息（标题、状态、脱敏配置等），不写入操作
+ * @param {Object} session - 录制会话
+ * @param {string} [status] - 会话状态，默认为录制中
+ * @returns {Promise<void>}
+ */
+export async function saveRecordingSessionInfo(session, status = RECORDING_STATUS.RECORDING) {
+	await runTransaction([SESSION_STORE], "readwrite", (store) => store.put(toSessionRecord(session, status)))
+}
+
+/**
+ * 追加一个操作，截图转为Blob保存以减小存储体积
+ * @param {string} sessionId - 会话ID
+ * @param {number} index - 操作在会话中的序号
+ * @param {Object} action - 操作
+ * @returns {Promise<void>}
+ */
+export async function appendRecordingAction(sessionId, index, action) {
+	const record = { ...action, sessionId, index }
+	for (const field of SCREENSHOT_FIELDS) {
+		if (typeof record[field] === "string" && record[field].startsWith("data:")) {
+			record[field] = await (await fetch(record[field])).blob()
+		}
+	}
+	await runTransaction([ACTION_STORE], "readwrite", (store) => store.put(record))
+}
+
+/**
+ * 读取已停止会话的保留数量（选项页和后台脚本共用）
+ * @returns {Promise<number>} 保留数量
+ */
+export async function getMaxStoredSessions() {
+	try {
+		const stored = await chrome.storage.local.get(MAX_STORED_SESSIONS_STORAGE_KEY)
+		const value = stored[MAX_STORED_SESSIONS_STORAGE_KEY]
+		return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_STORED_SESSIONS
+	} catch (error) {
+		console.error("[BG] 读取录制会话保留数量失败:", error)
+		return DEFAULT_MAX_STORED_SESSIONS
+	}
+}
+
+/**
+ * 校验并保存已停止会话的保留数量，下次停止录制时生效
+ * @param {number|string} value - 保留数量
+ * @returns {Promise<number>} 实际保存的数量
+ */
+export async function saveMaxStoredSessions(value) {
+	const count = Number(value)
+	if (!Number.isInteger(count) || count < 1) {
+		throw new Error(`保留数量必须是正整数: ${value}`)
+	}
+	await chrome.storage.local.set({ [MAX_STORED_SESSIONS_STORAGE_KEY]: count })
+	return count
+}
+
+/**
+ * 将会话标记为已停止，并清理超出保留数量的旧会话
+ * @param {string} sessionId - 会话ID
+ * @returns {Promise<Object[]>} 被清理的会话 {id, title, createdAt}
+ */
+export async function markRecordingSessionStopped(sessionId) {
+	await runTransaction([SESSION_STORE], "readwrite", async (store) => {
+		const record = await promisifyRequest(store.get(sessionId))
+		if (record) {
+			store.put({ ...record, status: RECORDING_STATUS.STOPPED, updatedAt: Date.now() })
+		}
+	})
+
+	const maxStoredSessions = await getMaxStoredSessions()
+	const stopped = (await listRecordingSessions()).filter((session) => session.status === RECORDING_STATUS.STOPPED)
+	const pruned = stopped.slice(maxStoredSessions)
+	for (const session of pruned) {
+		await deleteRecordingSession(session.id)
+	}
+	if (pruned.length > 0) {
+		console.warn(`[BG] 已停止的录制会话超过 ${maxStoredSessions} 个，删除了最早的 ${pruned.length} 个`)
+	}
+	return pruned.map(({ id, title, createdAt }) => ({ id, title, createdAt }))
+}
+
+/**
+ * 列出保存的录制会话，最新的在前
+ * @returns {Promise<Object[]>} 会话基本信息列表
+ */
+export async function listRecordingSessions() {
+	const records = await runTransaction([SESSION_STORE], "readonly", (store) => store.getAll())
+	return records.sort((a, b) => b.createdAt - a.createdAt)
+}
+
+/**
+ * 读取完整的录制会话（含操作和截图）
+ * @param {string} sessionId - 会话ID
+ * @returns {Promise<Object|null>} 录制会话，不存在时返回null
+ */
+export async function loadRecordingSession(sessionId) {
+	const record = await runTransaction([SESSION_STORE], "readonly", (store) => store.get(sessionId))
+	if (!record) {
+		return null
+	}
+
+	const { status, actionCount, updatedAt, ...session } = record
+	return { ...session, actions: await loadSessionActions(sessionId) }
+}
+
+/**
+ * 删除录制会话及其所有操作
+ * @param {string} sessionId - 会话ID
+ * @returns {Promise<boolean>} 会话是否存在
+ */
+export async function deleteRecordingSession(sessionId) {
+	return runTransaction([SESSION_STORE, ACTION_STORE], "readwrite", async (sessionStore, actionStore) => {
+		const record = await promisifyRequest(sessionStore.get(sessionId))
+		sessionStore.delete(sessionId)
+		actionStore.delete(IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]))
+		return !!record
+	})
+}
+
+/**
+ * 查找Service Worker终止前仍在录制的会话
+ * 存在多个时使用最新的一个，其余标记为已停止
+ * 写入失败的操作会在序号中留下空缺，因此下一个操作序号取已保存的最大序号加一，而不是操作数量
+ * @returns {Promise<Object|null>} 完整的录制会话（含nextActionIndex），没有时返回null
+ */
+export async function findUnfinishedRecordingSession() {
+	const unfinished = (await listRecordingSessions()).filter((session) => session.status === RECORDING_STATUS.RECORDING)
+	if (unfinished.length === 0) {
+		return null
+	}
+
+	for (const session of unfinished.slice(1)) {
+		await markRecordingSessionStopped(session.id)
+	}
+
+	const sessionId = unfinished[0].id
+	const session = await loadRecordingSession(sessionId)
+	if (!session) {
+		return null
+	}
+	const actionKeys = await runTransaction([ACTION_STORE], "readonly", (store) =>
+		store.index("sessionId").getAllKeys(IDBKeyRange.only(sessionId)),
+	)
+	const nextActionIndex = actionKeys.reduce((next, [, index]) => Math.max(next, index + 1), 0)
+	return { ...session, nextActionIndex }
+}
@@ -0,0 +1,152 @@
+/**
+ * 录制脱敏服务
+ * 保存用户配置的敏感字段选择器和正则（后台脚本和选项页共用，不能依赖后台模块），
+ * 并在录制截图中模糊敏感字段所在的区域
+ */
+
+// chrome.storage.local中保存脱敏配置的键
+export const REDACTION_STORAGE_KEY = "recordingRedaction"
+
+// 默认脱敏配置：密码和信用卡字段总是脱敏，不需要配置
+export const DEFAULT_REDACTION_CONFIG = {
+	selectors: [],
+	patterns: [],
+	blurScreenshots: false,
+}
+
+// 截图中模糊的半径(像素)
+const BLUR_RADIUS = 12
+
+// 模糊后截图的JPEG质量，与录制截图保持一致
+const REDACTED_SCREENSHOT_QUALITY = 0.3
+
+/**
+ * 将正则配置解析为RegExp，支持 "/.../flags" 和纯文本两种写法
+ * @param {string} pattern - 正则配置
+ * @returns {RegExp} 正则表达式
+ */
+export function parseRedactionPattern(pattern) {
+	const match = String(pattern).match(/^\/(.+)\/([a-z]*)$/)
+	return match ? new RegExp(match[1], match[2]) : new RegExp(pattern)
+}
+
+/**
+ * 校验并整理脱敏配置
+ * @param {Object} config - 脱敏配置 {selectors, patterns, blurScreenshots}
+ * @returns {Object} 整理后的配置
+ */
+export function normalizeRedactionConfig(config = {}) {
+	const toList = (value) =>
+		Array.from(new Set((Array.isArray(value) ? value : []).map((item) => String(item).trim()).filter(Boolean)))
+
+	const patterns = toList(config.patterns)
+	for (const pattern of patterns) {
+		try {
+			parseRedactionPattern(pattern)
+		} catch (error) {
+			throw new Error(`无效的正则: ${pattern}`)
+		}
+	}
+
+	return {
+		selectors: toList(config.selectors),
+		patterns,
+		blurScreenshots: config.blurScreenshots === true,
+	}
+}
+
+/**
+ * 读取保存的脱敏配置
+ * @returns {Promise<Object>} 脱敏配置
+ */
+export async function getRedactionConfig() {
+	try {
+		const stored = await chrome.storage.local.get(REDACTION_STORAGE_KEY)
+		return normalizeRedactionConfig({ ...DEFAULT_REDACTION_CONFIG, ...stored[REDACTION_STORAGE_KEY] })
+	} catch (error) {
+		console.error("[BG] 读取脱敏配置失败:", error)
+		return { ...DEFAULT_REDACTION_CONFIG }
+	}
+}
+
+/**
+ * 校验并保存脱敏配置
+ * @param {Object} config - 脱敏配置
+ * @returns {Promise<Object>} 实际保存的配置
+ */
+export async function saveRedactionConfig(config) {
+	const normalized = normalizeRedactionConfig(config)
+	await chrome.storage.local.set({ [REDACTION_STORAGE_KEY]: normalized })
+	return normalized
+}
+
+/**
+ * 合并保存的配置和本次录制指定的配置，选择器和正则取并集，截图模糊以本次指定为准
+ * @param {Object} overrides - 本次录制指定的配置
+ * @returns {Promise<Object>} 合并后的配置
+ */
+export async function resolveRedactionConfig(overrides = {}) {
+	const stored = await getRedactionConfig()
+	return normalizeRedactionConfig({
+		selectors: [...stored.selectors, ...(overrides.selectors || [])],
+		patterns: [...stored.patterns, ...(overrides.patterns || [])],
+		blurScreenshots: overrides.blurScreenshots ?? stored.blurScreenshots,
+	})
+}
+
+/**
+ * 将Blob转换为dataURL（Service Worker中没有FileReader以外的便捷方法）
+ * @param {Blob} blob - 图片数据
+ * @returns {Promise<string>} dataURL
+ */
+export function blobToDataUrl(blob) {
+	return new Promise((resolve, reject) => {
+		const reader = new FileReader()
+		reader.onload = () => resolve(reader.result)
+		reader.onerror = () => reject(reader.error)
+		reader.readAsDataURL(blob)
+	})
+}
+
+/**
+ * 模糊截图中的指定区域
+ * 使用OffscreenCanvas，可以在Service Worker中运行
+ * @param {string} dataUrl - 截图dataURL
+ * @param {{x: number, y: number, width: number, height: number}[]} rects - 区域列表(CSS像素)
+ * @param {number} devicePixelRatio - 页面的设备像素比，用于换算为截图像素
+ * @returns {Promise<string>} 处理后的截图dataURL
+ */
+export async function blurScreenshotRegions(dataUrl, rects, devicePixelRatio = 1) {
+	if (!rects || rects.length === 0) {
+		return dataUrl
+	}
+
+	const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob())
+	const canvas = new OffscreenCanvas(bitmap.width, bitmap.height)
+	const context = canvas.getContext("2d")
+	context.drawImage(bitmap, 0, 0)
+
+	for (const rect of rects) {
+		const x = Math.max(0, Math.floor(rect.x * devicePixelRatio))
+		const y = Math.max(0, Math.floor(rect.y * devicePixelRatio))
+		const width = Math.min(bitmap.width - x, Math.ceil(rect.width * devicePixelRatio))
+		const height = Math.min(bitmap.height - y, Math.ceil(rect.height * devicePixelRatio))
+		if (width <= 0 || height <= 0) continue
+
+		context.save()
+		context.beginPath()
+		context.rect(x, y, width, height)
+		context.clip()
+		context.filter = `blur(${BLUR_RADIUS}px)`
+		context.drawImage(bitmap, 0, 0)
+		context.restore()
+
+		// 模糊不足以遮盖较短的文本时，再覆盖一层半透明色块
+		context.fillStyle = "rgba(128, 128, 128, 0.6)"
+		context.fillRect(x, y, width, height)
+	}
+
+	bitmap.close()
+	const blob = await canvas.convertToBlob({ type: "image/jpeg", quality: REDACTED_SCREENSHOT_QUALITY })
+	return blobToDataUrl(blob)
+}
@@ -1,5 +1,109 @@
 import { debugTarget, isDebuggerAttached } from "./debuggerService.js"
 import { getActiveTabId } from "../services/tabService.js"
+import { hasElementLocator, resolveTargetBox } from "./elementService.js"
+import * as visualizationHandler from "../handlers/visualizationHandler.js"
+import { blobToDataUrl } from "./redactionService.js"
+
+// screenshot命令支持的图片格式
+export const SCREENSHOT_FORMATS = ["png", "jpeg", "webp"]
+
+// 操作后自动返回的页面截图的尺寸和JPEG质量限制，以及是否叠加编号框，由服务器的截图策略下发；尺寸为0表示不限制
+let stateScreenshotLimits = {
+	maxWidth: 0,
+	maxHeight: 0,
+	quality: 100,
+	marks: false,
+}
+
+// 操作后截图的编号图例，按截图的dataURL查找，发送响应时取出；只保留最近的几个
+const stateScreenshotMarks = new Map()
+const MAX_TRACKED_SCREENSHOT_MARKS = 5
+
+/**
+ * 更新自动截图的尺寸和质量限制
+ * @param {Object} limits - {maxWidth, maxHeight, quality, marks}
+ * @returns {Object} 更新后的限制
+ */
+export function updateStateScreenshotLimits(limits = {}) {
+	const toSize = (value) => (Number.isInteger(value) && value > 0 ? value : 0)
+	stateScreenshotLimits = {
+		maxWidth: toSize(limits.maxWidth),
+		maxHeight: toSize(limits.maxHeight),
+		quality: Number.isInteger(limits.quality) && limits.quality >= 1 && limits.quality <= 100 ? limits.quality : 100,
+		marks: limits.marks === true,
+	}
+	console.log("[BG_WS_SS_CDP] Updated state screenshot limits:", stateScreenshotLimits)
+	return stateScreenshotLimits
+}
+
+/**
+ * 取出操作后截图的编号图例
+ * @param {string} screenshot - 截图dataURL
+ * @returns {Object[]|undefined} 编号图例，截图没有叠加编号框时返回undefined
+ */
+export function takeScreenshotMarks(screenshot) {
+	const marks = stateScreenshotMarks.get(screenshot)
+	stateScreenshotMarks.delete(screenshot)
+	return marks
+}
+
+/**
+ * 将编号图例从视口CSS像素换算为截图中的图片像素
+ * @param {Object[]} legend - showSetOfMarks返回的图例 {mark, role, name, left, top, width, height}
+ * @param {{x: number, y: number}} origin - 截图左上角在视口中的位置(CSS像素)
+ * @param {number} scale - 每个CSS像素对应的图片像素（设备像素比乘以缩小比例）
+ * @returns {{mark: number, role: string, name: string, x: number, y: number, width: number, height: number}[]} 图例，x/y为编号框左上角
+ */
+function toImageMarks(legend, origin, scale) {
+	return legend.map(({ left, top, width, height, ...entry }) => ({
+		...entry,
+		x: Math.round((left - origin.x) * scale),
+		y: Math.round((top - origin.y) * scale),
+		width: Math.round(width * scale),
+		height: Math.round(height * scale),
+	}))
+}
+
+/**
+ * 获取页面的设备像素比，截图按设备像素输出
+ * @param {Object} cdpTarget - 调试目标 {tabId}
+ * @returns {Promise<number>} 设备像素比
+ */
+async function getDevicePixelRatio(cdpTarget) {
+	const { result } = await chrome.debugger.sendCommand(cdpTarget, "Runtime.evaluate", {
+		expression: "window.devicePixelRatio",
+		returnByValue: true,
+	})
+	return result?.value || 1
+}
+
+/**
+ * 将图片等比缩小到不超过最大宽高，并重新编码为JPEG
+ * 使用OffscreenCanvas，可以在Service Worker中运行
+ * @param {string} dataUrl - 原始图片的dataURL
+ * @param {Object} limits - {maxWidth, maxHeight, quality}，尺寸为0表示不限制
+ * @returns {Promise<{dataUrl: string, scale: number}>} 缩小后的dataURL和缩小比例，不需要缩小时返回原图
+ */
+async function resizeImage(dataUrl, { maxWidth, maxHeight, quality }) {
+	const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob())
+	const scale = Math.min(1, maxWidth ? maxWidth / bitmap.width : 1, maxHeight ? maxHeight / bitmap.height : 1)
+	if (scale >= 1) {
+		bitmap.close()
+		return { dataUrl, scale: 1 }
+	}
+
+	const width = Math.max(1, Math.round(bitmap.width * scale))
+	const height = Math.max(1, Math.round(bitmap.height * scale))
+	const canvas = new OffscreenCanvas(width, height)
+	const context = canvas.getContext("2d")
+	context.imageSmoothingQuality = "high"
+	context.drawImage(bitmap, 0, 0, width, height)
+	bitmap.close()
+
+	const blob = await canvas.convertToBlob({ type: "image/jpeg", quality: quality / 100 })
+	console.log(`[BG_WS_SS_CDP] Resized screenshot to ${width}x${height} (${Math.round(blob.size / 1024)}KB)`)
+	return { dataUrl: await blobToDataUrl(blob), scale }
+}
 
 /**
  * 捕获标签页状态（截图、URL）
@@ -66,10 +170,20 @@ export async function captureVisibleTabPromise(targetTabId) {
 	}
 
 	// 执行截图
+	// 截图策略开启marks时先在可交互元素上叠加编号框，截图后移除
+	const { marks } = stateScreenshotLimits
+	let legend = null
 	try {
-		// 允许指定格式和质量
+		// 质量由截图策略决定，默认最高质量
 		const format = "jpeg" // png
-		const quality = 100 // 默认最高质量
+		const { quality } = stateScreenshotLimits
+
+		if (marks) {
+			legend = await visualizationHandler.showSetOfMarks(targetTabId).catch((error) => {
+				console.error(`[BG_WS_SS_CDP] Error showing set-of-marks for tab ${targetTabId}: ${error.message}`)
+				return null
+			})
+		}
 
 		const screenshotResult = await chrome.debugger.sendCommand({ tabId: targetTabId }, "Page.captureScreenshot", {
 			format: format,
@@ -85,7 +199,29 @@ export async function captureVisibleTabPromise(targetTabId) {
 
 			// 根据实际格式动态设置MIME类型
 			const mimeType = format.toLowerCase() === "jpeg" ? "image/jpeg" : "image/png"
-			return `data:${mimeType};base64,` + screenshotResult.data
+			const dataUrl = `data:${mimeType};base64,` + screenshotResult.data
+
+			// 超过截图策略的最大尺寸时缩小，缩小失败时使用原图
+			const resized =
+				stateScreenshotLimits.maxWidth || stateScreenshotLimits.maxHeight
+					? await resizeImage(dataUrl, stateScreenshotLimits).catch((error) => {
+							console.error(`[BG_WS_SS_CDP] Error resizing screenshot: ${error.message}`)
+							return { dataUrl, scale: 1 }
+						})
+					: { dataUrl, scale: 1 }
+
+			// 编号图例换算为最终图片的像素，发送响应时随截图附加
+			if (legend) {
+				const devicePixelRatio = await getDevicePixelRatio({ tabId: targetTabId }).catch(() => 1)
+				stateScreenshotMarks.set(
+					resized.dataUrl,
+					toImageMarks(legend, { x: 0, y: 0 }, devicePixelRatio * resized.scale),
+				)
+				if (stateScreenshotMarks.size > MAX_TRACKED_SCREENSHOT_MARKS) {
+					stateScreenshotMarks.delete(stateScreenshotMarks.keys().next().value)
+				}
+			}
+			return resized.dataUrl
 		} else {
 			console.error(`[BG_WS_SS_CDP] CDP Page.captureScreenshot for tab ${targetTabId} returned no data.`)
 			return null
@@ -93,6 +229,10 @@ export async function captureVisibleTabPromise(targetTabId) {
 	} catch (error) {
 		console.error(`[BG_WS_SS_CDP] Error capturing screenshot via CDP for tab ${targetTabId}: ${error.message}`)
 		return null
+	} finally {
+		if (legend) {
+			await visualizationHandler.clearSetOfMarks(targetTabId)
+		}
 	}
 }
 
@@ -216,3 +356,129 @@ export async function captureCurrentTabScreenshot() {
 
 	return captureVisibleTabPromise(activeTabId)
 }
+
+/**
+ * 获取页面布局信息(CSS像素)：视口在文档中的位置和大小、文档内容大小
+ * @param {Object} cdpTarget - 调试目标 {tabId}
+ * @returns {Promise<{viewport: Object, contentSize: Object}>} 布局信息
+ */
+async function getCssLayoutMetrics(cdpTarget) {
+	const metrics = await chrome.debugger.sendCommand(cdpTarget, "Page.getLayoutMetrics")
+	// 新版本Chrome中不带css前缀的字段是设备像素
+	return {
+		viewport: metrics.cssLayoutViewport || metrics.layoutViewport,
+		contentSize: metrics.cssContentSize || metrics.contentSize,
+	}
+}
+
+/**
+ * 按选项捕获当前活动标签页的截图
+ * @param {Object} options - 截图选项
+ * @param {boolean} [options.fullPage] - 截取整个页面，包括视口之外的部分
+ * @param {Object} [options.target] - 只截取该元素的区域 {ref, selector, text, role, name}
+ * @param {string} [options.format] - 图片格式 png/jpeg/webp，默认png
+ * @param {number} [options.quality] - jpeg和webp的质量(0-100)
+ * @param {number} [options.maxWidth] - 图片最大宽度(像素)，超过时等比缩小
+ * @param {boolean} [options.omitBackground] - 使用透明背景代替页面默认的白色背景（仅png和webp）
+ * @param {boolean} [options.marks] - 截图前在视口中的可交互元素上叠加编号框，截图后移除
+ * @returns {Promise<{screenshot: string, width: number, height: number, marks?: Object[]}>} 截图的Data URL、图片尺寸和编号图例(图片像素)
+ */
+export async function captureScreenshot(options = {}) {
+	const { fullPage = false, target, format = "png", quality, maxWidth, omitBackground = false, marks = false } = options
+
+	const tabId = getActiveTabId()
+	if (!tabId) {
+		throw new Error("无可用的标签页执行截图")
+	}
+	if (!SCREENSHOT_FORMATS.includes(format)) {
+		throw new Error(`不支持的截图格式: ${format}，可选 ${SCREENSHOT_FORMATS.join("/")}`)
+	}
+	if (quality !== undefined && format === "png") {
+		throw new Error("quality只适用于jpeg和webp格式")
+	}
+	if (omitBackground && format === "jpeg") {
+		throw new Error("jpeg不支持透明背景，omitBackground需要png或webp格式")
+	}
+
+	const elementScreenshot = hasElementLocator(target)
+	if (fullPage && elementScreenshot) {
+		throw new Error("fullPage不能与元素截图同时使用")
+	}
+	if (fullPage && marks) {
+		throw new Error("marks只标记视口中的元素，不能与fullPage同时使用")
+	}
+	if (!debugTarget || debugTarget.tabId !== tabId) {
+		throw new Error(`调试器未正确附加到标签页 ${tabId}`)
+	}
+
+	const cdpTarget = { tabId }
+
+	// 截图区域使用文档坐标，元素需要先滚动到可见区域，再取滚动后的视口位置
+	const box = elementScreenshot ? await resolveTargetBox(target) : null
+	const { viewport, contentSize } = await getCssLayoutMetrics(cdpTarget)
+	let clip
+	if (fullPage) {
+		clip = { x: 0, y: 0, width: Math.ceil(contentSize.width), height: Math.ceil(contentSize.height) }
+	} else if (box) {
+		clip = { x: box.x + viewport.pageX, y: box.y + viewport.pageY, width: box.width, height: box.height }
+	} else {
+		clip = { x: viewport.pageX, y: viewport.pageY, width: viewport.clientWidth, height: viewport.clientHeight }
+	}
+
+	// 截图按设备像素输出，maxWidth限制的是最终图片的宽度
+	const devicePixelRatio = await getDevicePixelRatio(cdpTarget)
+	const scale = maxWidth && clip.width * devicePixelRatio > maxWidth ? maxWidth / (clip.width * devicePixelRatio) : 1
+
+	console.log(
+		`[BG_WS_SS_CDP] 捕获${fullPage ? "整页" : box ? "元素" : "视口"}截图 (${Math.round(clip.x)},${Math.round(clip.y)},${Math.round(clip.width)}x${Math.round(clip.height)}), 格式: ${format}, 缩放: ${scale.toFixed(2)}`,
+	)
+
+	if (omitBackground) {
+		await chrome.debugger.sendCommand(cdpTarget, "Emulation.setDefaultBackgroundColorOverride", {
+			color: { r: 0, g: 0, b: 0, a: 0 },
+		})
+	}
+
+	let legend
+	try {
+		// 编号框在元素滚动到可见区域之后绘制，元素截图只标记元素区域内的可交互元素
+		if (marks) {
+			const region = box && { left: box.x, top: box.y, right: box.x + box.width, bottom: box.y + box.height }
+			legend = await visualizationHandler.showSetOfMarks(tabId, region)
+			console.log(`[BG_WS_SS_CDP] 已标记 ${legend.length} 个可交互元素`)
+		}
+
+		const screenshotResult = await chrome.debugger.sendCommand(cdpTarget, "Page.captureScreenshot", {
+			format,
+			...(quality !== undefined && { quality }),
+			clip: { ...clip, scale },
+			captureBeyondViewport: fullPage || !!box,
+			fromSurface: true,
+		})
+
+		if (!screenshotResult || !screenshotResult.data) {
+			throw new Error("CDP命令未返回有效的截图数据")
+		}
+
+		return {
+			screenshot: `data:image/${format};base64,${screenshotResult.data}`,
+			width: Math.round(clip.width * scale * devicePixelRatio),
+			height: Math.round(clip.height * scale * devicePixelRatio),
+			// 图例换算为图片像素：以截图区域左上角为原点，乘以设备像素比和maxWidth缩小比例
+			...(legend && {
+				marks: toImageMarks(
+					legend,
+					{ x: clip.x - viewport.pageX, y: clip.y - viewport.pageY },
+					scale * devicePixelRatio,
+				),
+			}),
+		}
+	} finally {
+		if (marks) {
+			await visualizationHandler.clearSetOfMarks(tabId)
+		}
+		if (omitBackground) {
+			await chrome.debugger.sendCommand(cdpTarget, "Emulation.setDefaultBackgroundColorOverride", {}).catch(() => {})
+		}
+	}
+}
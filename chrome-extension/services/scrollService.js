@@ -8,7 +8,7 @@ import { getActiveTabId } from "./tabService.js"
 import * as screenshotService from "./screenshotService.js"
 import * as domUtils from "../utils/domUtils.js"
 import * as visualizationHandler from "../handlers/visualizationHandler.js"
-import { debugTarget } from "./debuggerService.js"
+import { hasElementLocator, describeTarget, resolveTargetObject } from "./elementService.js"
 
 // 添加滚动锁定机制，防止多种方法同时生效
 const scrollLocks = new Map()
@@ -213,6 +213,92 @@ export async function performScroll(direction, selector = null) {
 	}
 }
 
+/**
+ * 将元素滚动到精确位置（注入页面执行，this为滚动容器）
+ * @param {number|null} x 目标水平位置，null时保持不变
+ * @param {number|null} y 目标垂直位置，null时保持不变
+ * @returns {{x: number, y: number}} 滚动后的实际位置
+ */
+function scrollElementTo(x, y) {
+	this.scrollTo({
+		left: x ?? this.scrollLeft,
+		top: y ?? this.scrollTop,
+		behavior: "instant",
+	})
+	return { x: Math.round(this.scrollLeft), y: Math.round(this.scrollTop) }
+}
+
+/**
+ * 滚动到精确的位置，用于回放录制到的滚动
+ * 滚动容器与点击、输入等操作使用同一个元素解析，可以位于同源iframe和开放的shadow DOM中
+ * @param {number|undefined} x 目标水平位置(像素)，省略时保持不变
+ * @param {number|undefined} y 目标垂直位置(像素)，省略时保持不变
+ * @param {Object} [target] 可选的滚动容器 {selector, ref, framePath, shadowPath}，省略时滚动页面
+ * @returns {Promise<{x: number, y: number}>} 滚动后的实际位置（内容不足时可能小于目标位置）
+ */
+export async function performScrollTo(x, y, target = {}) {
+	const tabId = getActiveTabId()
+	if (!tabId) {
+		throw new Error("无可用的标签页执行滚动操作")
+	}
+
+	if (!Number.isFinite(x) && !Number.isFinite(y)) {
+		throw new Error("滚动位置需要提供x或y")
+	}
+
+	const hasContainer = hasElementLocator(target)
+	console.log(
+		`[BG_WS] Scrolling to ${x ?? "-"},${y ?? "-"} on tab ${tabId}${hasContainer ? ` (${describeTarget(target)})` : ""}`,
+	)
+
+	const position = [Number.isFinite(x) ? x : null, Number.isFinite(y) ? y : null]
+	let result
+	if (hasContainer) {
+		const { cdpTarget, objectId, release } = await resolveTargetObject(target)
+		try {
+			const { result: scrolled, exceptionDetails } = await chrome.debugger.sendCommand(
+				cdpTarget,
+				"Runtime.callFunctionOn",
+				{
+					objectId,
+					functionDeclaration: scrollElementTo.toString(),
+					arguments: position.map((value) => ({ value })),
+					returnByValue: true,
+				},
+			)
+			if (exceptionDetails) {
+				throw new Error(`滚动容器失败: ${exceptionDetails.exception?.description || exceptionDetails.text}`)
+			}
+			result = scrolled?.value
+		} finally {
+			release()
+		}
+	} else {
+		const [execution] = await chrome.scripting.executeScript({
+			target: { tabId },
+			func: (x, y) => {
+				const page = document.scrollingElement || document.documentElement
+				page.scrollTo({ left: x ?? page.scrollLeft, top: y ?? page.scrollTop, behavior: "instant" })
+				return { x: Math.round(page.scrollLeft), y: Math.round(page.scrollTop) }
+			},
+			args: position,
+		})
+		result = execution?.result
+	}
+
+	if (!result) {
+		throw new Error("执行滚动脚本失败")
+	}
+
+	if ((Number.isFinite(x) && result.x !== Math.round(x)) || (Number.isFinite(y) && result.y !== Math.round(y))) {
+		console.log(`[BG_WS] 滚动位置为 ${result.x},${result.y}，内容不足以滚动到目标位置`)
+	}
+
+	// 等待滚动触发的懒加载等页面逻辑
+	await new Promise((resolve) => setTimeout(resolve, 150))
+	return result
+}
+
 /**
  * 策略1: 标准DOM滚动方法
  * 使用标准的scrollBy和scrollTop/Left属性
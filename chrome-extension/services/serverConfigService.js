@@ -0,0 +1,109 @@
+/**
+ * 服务器连接配置服务
+ * 保存扩展要连接的MCP服务器WebSocket地址和配对令牌，后台脚本和选项页共用（不能依赖后台模块）
+ */
+
+// 默认连接的服务器地址，与服务器默认绑定的127.0.0.1一致（localhost可能先解析为IPv6的::1而连接失败）
+export const DEFAULT_SERVER_URLS = ["ws://127.0.0.1:9876"]
+
+// chrome.storage.local中保存服务器地址的键
+export const SERVER_URLS_STORAGE_KEY = "serverUrls"
+
+// chrome.storage.local中保存配对令牌的键
+export const PAIRING_TOKEN_STORAGE_KEY = "pairingToken"
+
+/**
+ * 读取配置的服务器地址，未配置时返回默认地址
+ * @returns {Promise<string[]>} 服务器地址列表
+ */
+export async function getServerUrls() {
+	try {
+		const stored = await chrome.storage.local.get(SERVER_URLS_STORAGE_KEY)
+		const urls = stored[SERVER_URLS_STORAGE_KEY]
+		if (Array.isArray(urls) && urls.length > 0) {
+			return urls
+		}
+	} catch (error) {
+		console.error("[BG_WS] 读取服务器地址配置失败:", error)
+	}
+	return DEFAULT_SERVER_URLS
+}
+
+/**
+ * 校验并保存服务器地址
+ * @param {string[]} urls - 服务器地址列表
+ * @returns {Promise<string[]>} 去重后实际保存的地址列表
+ */
+export async function saveServerUrls(urls) {
+	const uniqueUrls = Array.from(new Set(urls.map((url) => url.trim()).filter(Boolean)))
+	if (uniqueUrls.length === 0) {
+		throw new Error("至少需要一个服务器地址")
+	}
+
+	for (const url of uniqueUrls) {
+		let parsed
+		try {
+			parsed = new URL(url)
+		} catch (error) {
+			throw new Error(`无效的地址: ${url}`)
+		}
+		if (parsed.protocol !== "ws:" && parsed.protocol !== "wss:") {
+			throw new Error(`地址必须以 ws:// 或 wss:// 开头: ${url}`)
+		}
+	}
+
+	await chrome.storage.local.set({ [SERVER_URLS_STORAGE_KEY]: uniqueUrls })
+	return uniqueUrls
+}
+
+/**
+ * 读取配对令牌
+ * @returns {Promise<string>} 配对令牌，未配置时返回空字符串
+ */
+export async function getPairingToken() {
+	const stored = await chrome.storage.local.get(PAIRING_TOKEN_STORAGE_KEY)
+	return stored[PAIRING_TOKEN_STORAGE_KEY] || ""
+}
+
+/**
+ * 保存配对令牌
+ * @param {string} token - MCP服务器生成的配对令牌
+ * @returns {Promise<string>} 实际保存的令牌
+ */
+export async function savePairingToken(token) {
+	const trimmed = String(token || "").trim()
+	if (!trimmed) {
+		throw new Error("配对令牌不能为空")
+	}
+	await chrome.storage.local.set({ [PAIRING_TOKEN_STORAGE_KEY]: trimmed })
+	return trimmed
+}
+
+/**
+ * 计算握手证明: HMAC-SHA256(token, "codingbaby-<role>:<nonceA>:<nonceB>")，与服务器端算法一致
+ * @param {string} token - 配对令牌
+ * @param {string} role - "client"（扩展）或 "server"
+ * @param {string} nonceA - 对方的随机数
+ * @param {string} nonceB - 己方的随机数
+ * @returns {Promise<string>} 十六进制的证明
+ */
+export async function computePairingProof(token, role, nonceA, nonceB) {
+	const encoder = new TextEncoder()
+	const key = await crypto.subtle.importKey("raw", encoder.encode(token), { name: "HMAC", hash: "SHA-256" }, false, [
+		"sign",
+	])
+	const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(`codingbaby-${role}:${nonceA}:${nonceB}`))
+	return Array.from(new Uint8Array(signature))
+		.map((byte) => byte.toString(16).padStart(2, "0"))
+		.join("")
+}
+
+/**
+ * 生成随机数（十六进制）
+ * @returns {string} 随机数
+ */
+export function createNonce() {
+	return Array.from(crypto.getRandomValues(new Uint8Array(16)))
+		.map((byte) => byte.toString(16).padStart(2, "0"))
+		.join("")
+}
@@ -0,0 +1,249 @@
+/**
+ * 页面快照服务
+ * 基于CDP Accessibility.getFullAXTree生成紧凑的无障碍树文本，并为可交互节点分配元素引用（如 e12）
+ */
+
+import { debugTarget } from "./debuggerService.js"
+import { getActiveTabId } from "./tabService.js"
+
+// 可交互角色，这些节点会被分配元素引用
+const INTERACTIVE_ROLES = new Set([
+	"button",
+	"link",
+	"textbox",
+	"searchbox",
+	"checkbox",
+	"radio",
+	"switch",
+	"combobox",
+	"listbox",
+	"option",
+	"menuitem",
+	"menuitemcheckbox",
+	"menuitemradio",
+	"tab",
+	"slider",
+	"spinbutton",
+	"treeitem",
+	"scrollbar",
+])
+
+// 无意义的容器角色，没有名称时直接展开其子节点
+const TRANSPARENT_ROLES = new Set([
+	"generic",
+	"none",
+	"presentation",
+	"GenericContainer",
+	"Section",
+	"LayoutTable",
+	"LayoutTableRow",
+	"LayoutTableCell",
+	"paragraph",
+	"group",
+	"Ignored",
+])
+
+// 完全跳过的角色
+const SKIPPED_ROLES = new Set(["InlineTextBox", "LineBreak"])
+
+// 需要在快照中显示的状态属性
+const STATE_PROPERTIES = [
+	"checked",
+	"pressed",
+	"selected",
+	"expanded",
+	"disabled",
+	"required",
+	"readonly",
+	"focused",
+	"level",
+	"invalid",
+]
+
+// 名称和值的最大显示长度
+const MAX_TEXT_LENGTH = 100
+
+/**
+ * 每个标签页的元素引用表
+ * tabId -> { documentUrl, nextId, refToNode: Map<ref, backendNodeId>, nodeToRef: Map<backendNodeId, ref> }
+ */
+const elementRefs = new Map()
+
+/**
+ * 获取（必要时重置）标签页的元素引用表
+ * 同一文档内同一个节点的引用保持不变，文档变化后重新编号
+ * @param {number} tabId - 标签页ID
+ * @param {string} documentUrl - 当前文档URL（不含hash）
+ * @returns {Object} 引用表
+ */
+function getRefTable(tabId, documentUrl) {
+	let table = elementRefs.get(tabId)
+	if (!table || table.documentUrl !== documentUrl) {
+		table = { documentUrl, nextId: 1, refToNode: new Map(), nodeToRef: new Map() }
+		elementRefs.set(tabId, table)
+	}
+	return table
+}
+
+/**
+ * 为节点分配引用
+ * @param {Object} table - 引用表
+ * @param {number} backendNodeId - 后端节点ID
+ * @returns {string} 引用，例如 "e12"
+ */
+function assignRef(table, backendNodeId) {
+	let ref = table.nodeToRef.get(backendNodeId)
+	if (!ref) {
+		ref = `e${table.nextId++}`
+		table.nodeToRef.set(backendNodeId, ref)
+		table.refToNode.set(ref, backendNodeId)
+	}
+	return ref
+}
+
+/**
+ * 根据引用查找后端节点ID
+ * @param {number} tabId - 标签页ID
+ * @param {string} ref - 元素引用，例如 "e12"
+ * @returns {number} 后端节点ID
+ */
+export function getRefBackendNodeId(tabId, ref) {
+	const table = elementRefs.get(tabId)
+	const backendNodeId = table?.refToNode.get(String(ref).trim())
+	if (!backendNodeId) {
+		throw new Error(`未知的元素引用: ${ref}，请先调用snapshot获取最新的元素引用`)
+	}
+	return backendNodeId
+}
+
+/**
+ * 清除标签页的元素引用表
+ * @param {number} tabId - 标签页ID
+ */
+export function clearElementRefs(tabId) {
+	elementRefs.delete(tabId)
+}
+
+/**
+ * 截断过长的文本
+ * @param {string} text - 原始文本
+ * @returns {string} 处理后的文本
+ */
+function truncate(text) {
+	const normalized = String(text).replace(/\s+/g, " ").trim()
+	return normalized.length > MAX_TEXT_LENGTH ? `${normalized.slice(0, MAX_TEXT_LENGTH)}...` : normalized
+}
+
+/**
+ * 格式化节点的状态属性
+ * @param {Object} node - AX节点
+ * @returns {string[]} 状态标记列表，例如 ["checked", "level=2"]
+ */
+function formatStates(node) {
+	const states = []
+	for (const property of node.properties || []) {
+		if (!STATE_PROPERTIES.includes(property.name)) continue
+		const value = property.value?.value
+		if (value === true || value === "true") {
+			states.push(property.name)
+		} else if (property.name === "expanded" && (value === false || value === "false")) {
+			states.push("expanded=false")
+		} else if (value !== undefined && value !== null && value !== false && value !== "false" && value !== "") {
+			states.push(`${property.name}=${value}`)
+		}
+	}
+	return states
+}
+
+/**
+ * 将AX节点列表渲染为紧凑的文本树
+ * @param {Object[]} nodes - Accessibility.getFullAXTree返回的节点列表
+ * @param {Object} table - 元素引用表
+ * @returns {{lines: string[], refCount: number}} 文本行和引用数量
+ */
+function renderTree(nodes, table) {
+	const nodeMap = new Map(nodes.map((node) => [node.nodeId, node]))
+	const root = nodes.find((node) => !node.parentId) || nodes[0]
+	const lines = []
+	let refCount = 0
+
+	const renderNode = (node, depth, parentText) => {
+		if (!node) return
+
+		const role = node.role?.value || ""
+		if (SKIPPED_ROLES.has(role)) return
+
+		const name = node.name?.value ? truncate(node.name.value) : ""
+		const children = (node.childIds || []).map((id) => nodeMap.get(id))
+
+		// 忽略的节点和无名称的容器只渲染子节点
+		const interactive = INTERACTIVE_ROLES.has(role) && node.backendDOMNodeId
+		if (node.ignored || (!interactive && !name && TRANSPARENT_ROLES.has(role))) {
+			children.forEach((child) => renderNode(child, depth, parentText))
+			return
+		}
+
+		const indent = "  ".repeat(depth)
+
+		// 文本节点：与父节点名称重复时省略
+		if (role === "StaticText") {
+			if (name && !(parentText && String(parentText).includes(name))) {
+				lines.push(`${indent}- text: ${JSON.stringify(name)}`)
+			}
+			return
+		}
+
+		let line = `${indent}- ${role}`
+		if (name) line += ` ${JSON.stringify(name)}`
+		if (interactive) {
+			line += ` [ref=${assignRef(table, node.backendDOMNodeId)}]`
+			refCount++
+		}
+		for (const state of formatStates(node)) {
+			line += ` [${state}]`
+		}
+		const value = node.value?.value
+		if (value !== undefined && value !== null && value !== "" && String(value) !== node.name?.value) {
+			line += `: ${truncate(value)}`
+		}
+		lines.push(line)
+
+		// 子文本节点与本节点的名称或值重复时省略
+		const contextText = [name, value].filter((text) => text !== undefined && text !== null && text !== "").join(" ")
+		children.forEach((child) => renderNode(child, depth + 1, contextText || parentText))
+	}
+
+	renderNode(root, 0, "")
+	return { lines, refCount }
+}
+
+/**
+ * 获取当前活动标签页的无障碍树快照
+ * @returns {Promise<{snapshot: string, refCount: number, currentUrl: string}>} 快照文本、引用数量和当前URL
+ */
+export async function captureSnapshot() {
+	const tabId = getActiveTabId()
+	if (!tabId) {
+		throw new Error("无可用的标签页获取页面快照")
+	}
+
+	if (!debugTarget || debugTarget.tabId !== tabId) {
+		throw new Error(`Debugger not attached to tab ${tabId} for snapshot`)
+	}
+
+	const tab = await chrome.tabs.get(tabId)
+	const { nodes } = await chrome.debugger.sendCommand({ tabId }, "Accessibility.getFullAXTree")
+	if (!nodes || nodes.length === 0) {
+		throw new Error("无法获取页面的无障碍树")
+	}
+
+	const table = getRefTable(tabId, (tab.url || "").split("#")[0])
+	const { lines, refCount } = renderTree(nodes, table)
+	console.log(`[BG_WS_SNAPSHOT] 已生成页面快照 (tab: ${tabId}, nodes: ${nodes.length}, refs: ${refCount})`)
+
+	return {
+		snapshot: lines.join("\n"),
+		refCount,
+		currentUrl: tab.url,
+	}
+}
@@ -4,6 +4,7 @@ import { applyViewportConfig } from "./viewportService.js"
 import { debugTarget, attachDebugger } from "./debuggerService.js"
 import { captureVisibleTabPromise } from "./screenshotService.js"
 import { waitTillHTMLStable } from "../utils/domUtils.js"
+import { clearElementRefs } from "./snapshotService.js"
 
 // 存储请求ID到标签页ID的映射
 export const tabRequestMap = {}
@@ -292,6 +293,9 @@ function handleTabRemoved(tabId, removeInfo) {
 		tabProcessingStates.delete(tabId)
 	}
 
+	// 清理快照生成的元素引用
+	clearElementRefs(tabId)
+
 	// 清理debugTarget，如果当前附加到此标签
 	if (debugTarget && debugTarget.tabId === tabId) {
 		console.log(`[BG_WS] Cleaning debugger target for closed tab ${tabId}`)
@@ -735,7 +739,7 @@ export async function captureCurrentTabState(requestId) {
  * 执行简单操作并获取当前标签页状态（用于不触发导航的操作如type）
  * @param {string} operationType - 操作类型（如"type"）
  * @param {string} requestId - 请求ID
- * @param {Function} operationFn - 执行的操作函数
+ * @param {Function} operationFn - 执行的操作函数，返回的对象会合并到操作结果中
  * @param {boolean} isBatchMode - 是否为批处理模式，在此模式下跳过截图
  * @returns {Promise<Object>} - 操作结果
  */
@@ -758,7 +762,7 @@ export async function performSimpleOperation(operationType, requestId, operation
 
 	try {
 		// 简单操作的前置处理（执行操作）
-		await operationFn()
+		const operationData = await operationFn()
 		console.log(`[BG_WS_TABS] 已完成${operationType}操作`)
 		recordCommandStep(requestId, `完成${operationType}操作`)
 
@@ -781,6 +785,8 @@ export async function performSimpleOperation(operationType, requestId, operation
 				// 直接设置状态为稳定化，跳过导航等待
 				tabProcessingStates.set(activeTabId, TabProcessingState.STABILIZING)
 			},
+			// 将操作返回的数据（如htmlContent、viewportSize）合并到结果中
+			postProcessing: () => operationData,
 		})
 
 		// 简单操作返回"ack"状态而不是"success"
@@ -796,6 +802,108 @@ export async function performSimpleOperation(operationType, requestId, operation
 	}
 }
 
+/**
+ * 等待标签页加载完成
+ * @param {number} tabId - 标签页ID
+ * @param {number} timeoutMs - 超时时间(毫秒)，超时后继续处理
+ * @returns {{promise: Promise<boolean>, cancel: Function}} - promise在加载完成时解析为true，超时解析为false
+ */
+function waitForTabLoadComplete(tabId, timeoutMs = 30000) {
+	let listener = null
+	let timer = null
+
+	const cleanup = () => {
+		if (listener) chrome.tabs.onUpdated.removeListener(listener)
+		if (timer) clearTimeout(timer)
+	}
+
+	const promise = new Promise((resolve) => {
+		listener = (updatedTabId, changeInfo, tab) => {
+			// 同文档导航（如hash变化）只会触发url变化，此时标签页状态已是complete
+			const sameDocumentNavigation = changeInfo.url && tab.status === "complete"
+			if (updatedTabId === tabId && (changeInfo.status === "complete" || sameDocumentNavigation)) {
+				cleanup()
+				resolve(true)
+			}
+		}
+		timer = setTimeout(() => {
+			console.log(`[BG_WS_TABS] 等待标签页 ${tabId} 加载完成超时 (${timeoutMs}ms)，继续处理`)
+			cleanup()
+			resolve(false)
+		}, timeoutMs)
+		chrome.tabs.onUpdated.addListener(listener)
+	})
+
+	return { promise, cancel: cleanup }
+}
+
+/**
+ * 在当前活动标签页执行历史导航或刷新
+ * @param {string} requestId - 请求ID
+ * @param {string} operationType - 操作类型: "navigateBack"、"navigateForward" 或 "reload"
+ * @param {Object} options - 选项
+ * @param {boolean} options.bypassCache - 刷新时是否忽略缓存（强制刷新）
+ * @returns {Promise<Object>} - 导航结果，包含截图和URL
+ */
+export async function navigateHistory(requestId, operationType, options = {}) {
+	const tabId = getActiveTabId()
+	if (!tabId) {
+		throw new Error(`无可用的标签页执行${operationType}操作`)
+	}
+
+	console.log(`[BG_WS_TABS] 开始执行${operationType}操作 (request: ${requestId}, tabId: ${tabId})`)
+	recordCommandStep(requestId, `开始执行${operationType}操作`)
+
+	// 检查标签页是否正在处理中
+	if (isTabProcessing(tabId)) {
+		console.log(`[BG_WS_TABS] 标签页 ${tabId} 当前正在处理中。等待完成后继续操作。`)
+		await waitForTabProcessingComplete(tabId, 10000)
+	}
+
+	// 先注册加载监听，避免错过很快完成的导航（例如往返缓存）
+	const loadWaiter = waitForTabLoadComplete(tabId)
+	tabProcessingStates.set(tabId, TabProcessingState.NAVIGATION_PENDING)
+
+	try {
+		const tabBefore = await chrome.tabs.get(tabId)
+
+		if (operationType === "navigateBack") {
+			await chrome.tabs.goBack(tabId)
+		} else if (operationType === "navigateForward") {
+			await chrome.tabs.goForward(tabId)
+		} else if (operationType === "reload") {
+			// 刷新后旧文档的元素引用全部失效
+			clearElementRefs(tabId)
+			await chrome.tabs.reload(tabId, { bypassCache: !!options.bypassCache })
+		} else {
+			throw new Error(`不支持的历史导航操作: ${operationType}`)
+		}
+
+		const loaded = await loadWaiter.promise
+		recordCommandStep(requestId, loaded ? "页面加载完成" : "页面加载等待超时")
+
+		// 使用核心处理函数等待DOM稳定并截图
+		const result = await processTabCore({
+			tabId,
+			operationType,
+			requestId,
+			isBatchMode: false,
+			isNewTab: false,
+		})
+
+		return {
+			...result,
+			navigationOccurred: operationType === "reload" || result.currentUrl !== tabBefore.url,
+			tabId,
+		}
+	} catch (error) {
+		console.error(`[BG_WS_TABS] 执行${operationType}操作 ${requestId} 时出错:`, error)
+		loadWaiter.cancel()
+		tabProcessingStates.set(tabId, TabProcessingState.IDLE)
+		throw error
+	}
+}
+
 /**
  * 关闭所有由扩展打开的标签页
  * @param {string} requestId - 请求ID
@@ -0,0 +1,200 @@
+/**
+ * 条件等待服务
+ * 轮询检查选择器、文本、URL和网络空闲等条件，任一条件满足即返回
+ */
+
+import { debugTarget } from "./debuggerService.js"
+import { getActiveTabId } from "./tabService.js"
+import { ensureNetworkTracking, getNetworkIdleDuration } from "./networkService.js"
+
+// 轮询间隔(毫秒)
+const POLL_INTERVAL_MS = 200
+
+// 页面导航期间执行上下文切换产生的暂时性错误，下一次轮询即可恢复
+const TRANSIENT_EVALUATE_ERRORS =
+	/context was destroyed|Cannot find context|Cannot find default execution context|navigated/i
+
+/**
+ * 判断参数中是否包含等待条件
+ * @param {Object} conditions - 等待条件
+ * @returns {boolean} 是否包含至少一个条件
+ */
+export function hasWaitCondition(conditions) {
+	return !!(
+		conditions &&
+		(conditions.selector || conditions.text || conditions.url || conditions.networkIdleMs !== undefined)
+	)
+}
+
+/**
+ * 将URL模式转换为匹配函数
+ * "/.../" 视为正则表达式，包含 * 视为通配符，否则按子串匹配
+ * @param {string} pattern - URL模式
+ * @returns {Function} 匹配函数
+ */
+function createUrlMatcher(pattern) {
+	const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/)
+	if (regexMatch) {
+		const regex = new RegExp(regexMatch[1], regexMatch[2])
+		return (url) => regex.test(url)
+	}
+
+	if (pattern.includes("*")) {
+		const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")
+		const regex = new RegExp(`^${escaped}$`)
+		return (url) => regex.test(url)
+	}
+
+	return (url) => url.includes(pattern)
+}
+
+/**
+ * 在页面中检查选择器和文本条件（注入页面执行，必须保持自包含）
+ * @param {Object} check - {selector, selectorState, text}
+ * @returns {{selectorMatched: boolean, textMatched: boolean}} 检查结果
+ */
+function checkPageConditions(check) {
+	const isVisible = (el) => {
+		const rect = el.getBoundingClientRect()
+		if (rect.width === 0 || rect.height === 0) return false
+		const style = window.getComputedStyle(el)
+		return style.visibility !== "hidden" && style.display !== "none"
+	}
+
+	let selectorMatched = false
+	if (check.selector) {
+		const visibleExists = Array.from(document.querySelectorAll(check.selector)).some(isVisible)
+		selectorMatched = check.selectorState === "hidden" ? !visibleExists : visibleExists
+	}
+
+	let textMatched = false
+	if (check.text) {
+		// innerText只包含渲染出来的文本
+		const bodyText = document.body ? document.body.innerText : ""
+		textMatched = bodyText.includes(check.text)
+	}
+
+	return { selectorMatched, textMatched }
+}
+
+/**
+ * 检查一次页面内的条件，页面导航中无法执行脚本时视为未满足
+ * @param {number} tabId - 标签页ID
+ * @param {Object} check - {selector, selectorState, text}
+ * @returns {Promise<{selectorMatched: boolean, textMatched: boolean}>} 检查结果
+ */
+async function evaluatePageConditions(tabId, check) {
+	try {
+		const evalResult = await chrome.debugger.sendCommand({ tabId }, "Runtime.evaluate", {
+			expression: `(${checkPageConditions.toString()})(${JSON.stringify(check)})`,
+			returnByValue: true,
+		})
+		if (evalResult.exceptionDetails) {
+			const description = evalResult.exceptionDetails.exception?.description || evalResult.exceptionDetails.text
+			// 无效的选择器无法通过等待恢复，直接报错
+			if (/SyntaxError|not a valid selector/.test(description)) {
+				throw new Error(`Invalid selector "${check.selector}": ${description}`)
+			}
+			return { selectorMatched: false, textMatched: false }
+		}
+		return evalResult.result.value || { selectorMatched: false, textMatched: false }
+	} catch (error) {
+		// 调试器已分离或标签页已关闭时继续轮询只会等到超时，直接报错
+		if (!TRANSIENT_EVALUATE_ERRORS.test(error.message)) throw error
+		return { selectorMatched: false, textMatched: false }
+	}
+}
+
+/**
+ * 生成条件的可读描述
+ * @param {Object} conditions - 等待条件
+ * @returns {string} 描述文本
+ */
+function describeConditions(conditions) {
+	const parts = []
+	if (conditions.selector) {
+		parts.push(`selector "${conditions.selector}" ${conditions.selectorState === "hidden" ? "hidden" : "visible"}`)
+	}
+	if (conditions.text) parts.push(`text "${conditions.text}" visible`)
+	if (conditions.url) parts.push(`URL matching "${conditions.url}"`)
+	if (conditions.networkIdleMs !== undefined) parts.push(`network idle for ${conditions.networkIdleMs}ms`)
+	return parts.join(" or ")
+}
+
+/**
+ * 在活动标签页中等待任一条件满足
+ * @param {Object} conditions - 等待条件
+ * @param {string} conditions.selector - CSS选择器
+ * @param {string} conditions.selectorState - "visible"（出现，默认）或 "hidden"（消失）
+ * @param {string} conditions.text - 需要出现在页面中的可见文本
+ * @param {string} conditions.url - URL模式（子串、通配符*或/正则/）
+ * @param {number} conditions.networkIdleMs - 网络空闲时长(毫秒)
+ * @param {number} timeoutMs - 超时时间(毫秒)
+ * @returns {Promise<{condition: string, description: string, elapsedMs: number, currentUrl: string}>} 触发的条件
+ */
+export async function waitForCondition(conditions, timeoutMs = 30000) {
+	const tabId = getActiveTabId()
+	if (!tabId) {
+		throw new Error("无可用的标签页执行条件等待")
+	}
+
+	if (!hasWaitCondition(conditions)) {
+		throw new Error("wait_for需要至少一个条件: selector、text、url或network_idle_ms")
+	}
+
+	const { selector, selectorState = "visible", text, url, networkIdleMs } = conditions
+	const matchUrl = url ? createUrlMatcher(url) : null
+	const pageCheck = { selector, selectorState, text }
+	const needsPageCheck = !!(selector || text)
+
+	if (needsPageCheck && (!debugTarget || debugTarget.tabId !== tabId)) {
+		throw new Error(`Debugger not attached to tab ${tabId} for wait_for`)
+	}
+
+	if (networkIdleMs !== undefined) {
+		await ensureNetworkTracking(tabId)
+	}
+
+	console.log(`[BG_WS_WAIT] 开始等待条件 (tab: ${tabId}, timeout: ${timeoutMs}ms): ${describeConditions(conditions)}`)
+	const startTime = Date.now()
+
+	while (true) {
+		const tab = await chrome.tabs.get(tabId).catch(() => null)
+		if (!tab) {
+			throw new Error(`标签页 ${tabId} 在等待过程中关闭`)
+		}
+
+		let fired = null
+		if (matchUrl && matchUrl(tab.url || "")) {
+			fired = { condition: "url", description: `URL matched "${url}": ${tab.url}` }
+		}
+
+		if (!fired && needsPageCheck) {
+			const { selectorMatched, textMatched } = await evaluatePageConditions(tabId, pageCheck)
+			if (selectorMatched) {
+				fired = {
+					condition: selectorState === "hidden" ? "selector_hidden" : "selector_visible",
+					description: `Selector "${selector}" is ${selectorState === "hidden" ? "hidden" : "visible"}`,
+				}
+			} else if (textMatched) {
+				fired = { condition: "text", description: `Text "${text}" is visible` }
+			}
+		}
+
+		if (!fired && networkIdleMs !== undefined && getNetworkIdleDuration(tabId) >= networkIdleMs) {
+			fired = { condition: "network_idle", description: `Network idle for ${networkIdleMs}ms` }
+		}
+
+		const elapsedMs = Date.now() - startTime
+		if (fired) {
+			console.log(`[BG_WS_WAIT] 条件满足 (${elapsedMs}ms): ${fired.description}`)
+			return { ...fired, elapsedMs, currentUrl: tab.url }
+		}
+
+		if (elapsedMs >= timeoutMs) {
+			throw new Error(`Timed out after ${timeoutMs}ms waiting for ${describeConditions(conditions)}`)
+		}
+
+		await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS))
+	}
+}
@@ -1,18 +1,30 @@
 import { handleCommandFromServer } from "../handlers/commandHandlers.js"
 import { detachDebuggerIfNeeded } from "./debuggerService.js"
-import { captureVisibleTabPromise } from "./screenshotService.js"
+import { captureVisibleTabPromise, takeScreenshotMarks } from "./screenshotService.js"
+import { describePageState } from "./contentService.js"
+import { getPendingFileChooser } from "./fileUploadService.js"
+import { getOpenDialog, takeHandledDialogs } from "./dialogService.js"
+import { getActiveTabId } from "./tabService.js"
 import { handleRecordingCommand } from "../background.js"
 import { viewportConfig } from "./viewportService.js"
+import { getServerUrls, getPairingToken, computePairingProof, createNonce } from "./serverConfigService.js"
 
-// WebSocket连接配置
-const WEBSOCKET_URL = "ws://localhost:9876"
-let ws = null
-let reconnectInterval = 5000 // 重连间隔5秒
-let reconnectTimer = null
-let isConnected = false
-let connectionAttempts = 0
 const RECONNECT_DELAY = 5000
 
+/**
+ * 每个服务器的连接状态
+ * url -> { id, url, ws, reconnectTimer, isConnected, authenticated, authError, connectionAttempts }
+ */
+const connections = new Map()
+let nextConnectionId = 1
+
+/**
+ * 扩展内部请求ID到服务器及原始请求ID的映射
+ * 多个服务器的请求ID可能重复，收到命令时改写为带连接前缀的ID，响应时再还原
+ */
+const requestOrigins = new Map()
+const MAX_TRACKED_REQUESTS = 500
+
 // 添加性能分析相关内容
 // 保存命令开始时间的映射
 const commandStartTimes = new Map()
@@ -81,176 +93,441 @@ export function endCommandTiming(requestId) {
 }
 
 /**
- * 连接到WebSocket服务器
+ * 连接到所有配置的WebSocket服务器（可在扩展选项页中修改），并断开已从配置中移除的服务器
  */
-export function connectWebSocket() {
-	if (ws && (ws.readyState === WebSocket.CONNECTING || ws.readyState === WebSocket.OPEN)) {
-		console.log("[BG_WS] WebSocket already connecting or open.")
-		return
+export async function connectWebSocket() {
+	const urls = await getServerUrls()
+
+	for (const [url, connection] of connections) {
+		if (!urls.includes(url)) {
+			console.log(`[BG_WS] 服务器 ${url} 已从配置中移除，断开连接`)
+			closeConnection(connection)
+			connections.delete(url)
+		}
+	}
+
+	for (const url of urls) {
+		let connection = connections.get(url)
+		if (!connection) {
+			connection = {
+				id: nextConnectionId++,
+				url,
+				ws: null,
+				reconnectTimer: null,
+				isConnected: false,
+				authenticated: false,
+				authError: null,
+				connectionAttempts: 0,
+			}
+			connections.set(url, connection)
+		}
+		connectToServer(connection)
+	}
+}
+
+/**
+ * 连接到单个WebSocket服务器，断开后自动重连
+ * @param {Object} connection - 连接状态
+ * @returns {boolean} 是否成功创建连接
+ */
+function connectToServer(connection) {
+	const { url } = connection
+	if (
+		connection.ws &&
+		(connection.ws.readyState === WebSocket.CONNECTING || connection.ws.readyState === WebSocket.OPEN)
+	) {
+		console.log(`[BG_WS] WebSocket already connecting or open: ${url}`)
+		return true
 	}
 
-	if (reconnectTimer) {
-		clearTimeout(reconnectTimer)
-		reconnectTimer = null
+	if (connection.reconnectTimer) {
+		clearTimeout(connection.reconnectTimer)
+		connection.reconnectTimer = null
 	}
 
-	console.log(`[BG_WS] Attempting to connect to WebSocket server: ${WEBSOCKET_URL}`)
+	const scheduleReconnect = () => {
+		// 已从配置中移除的服务器不再重连
+		if (connections.get(url) !== connection) return
+		console.log(`[BG_WS] 将在${RECONNECT_DELAY}ms后尝试重连 ${url} (尝试次数 ${connection.connectionAttempts})`)
+		connection.reconnectTimer = setTimeout(() => {
+			connectToServer(connection)
+		}, RECONNECT_DELAY)
+	}
+
+	console.log(`[BG_WS] Attempting to connect to WebSocket server: ${url}`)
 	try {
-		ws = new WebSocket(WEBSOCKET_URL)
-		connectionAttempts++
+		const ws = new WebSocket(url)
+		connection.ws = ws
+		connection.connectionAttempts++
 
 		ws.onopen = (event) => {
-			console.log("[BG_WS] WebSocket connection opened.", event)
-			isConnected = true
-			connectionAttempts = 0 // 重置尝试计数
-			// 重置重连间隔
-			reconnectInterval = 5000
-
-			// 连接建立后，发送当前viewport配置到服务器，用于同步
-			setTimeout(() => {
-				sendMessageToServer({
-					command: "viewportSync",
-					viewport: viewportConfig,
-					message: "Chrome扩展默认viewport配置",
-					source: "chromeExtension",
-				})
-				console.log("[BG_WS] 已发送viewport配置同步消息:", viewportConfig)
-			}, 1000) // 延迟1秒发送，确保连接稳定
+			console.log(`[BG_WS] WebSocket connection opened: ${url}, 等待服务器认证质询`, event)
+			connection.isConnected = true
+			connection.authenticated = false
+			connection.serverVerified = false
+			connection.connectionAttempts = 0 // 重置尝试计数
 		}
 
 		ws.onmessage = (event) => {
-			console.log("[BG_WS] Message received from server:", event.data)
+			handleServerMessage(connection, event)
+		}
 
-			try {
-				const parsedMessage = JSON.parse(event.data)
+		ws.onerror = (event) => {
+			console.error(`[BG_WS] WebSocket error observed (${url}):`, event)
+			// 错误通常在close之前，重连会在close处理
+		}
 
-				// 开始计时
-				if (parsedMessage.command && parsedMessage.requestId) {
-					startCommandTiming(parsedMessage.requestId, parsedMessage.command)
-				}
+		ws.onclose = async (event) => {
+			console.log(
+				`[BG_WS] WebSocket connection closed (${url}). Code: ${event.code}, Reason: ${event.reason}, Was clean: ${event.wasClean}`,
+			)
+			if (connection.ws === ws) {
+				connection.ws = null
+				connection.isConnected = false
+				connection.authenticated = false
+			}
 
-				// 过滤掉带有自己来源的消息
-				if (parsedMessage.source === "chromeExtension") {
-					console.warn("[BG_WS] Ignoring message with own source.")
-					return
-				}
+			// 所有服务器都断开后才释放调试器
+			if (!isWebSocketConnected()) {
+				await detachDebuggerIfNeeded()
+			}
 
-				// 检查是否是录制相关命令
-				if (parsedMessage.command === "startRecording" || parsedMessage.command === "stopRecording") {
-					// 直接打印命令类型，方便调试
-					console.log(`[BG_WS] 接收到${parsedMessage.command}命令，开始处理`)
+			scheduleReconnect()
+		}
 
-					// 如果是停止录制，添加更多日志
-					if (parsedMessage.command === "stopRecording") {
-						console.log("[BG_WS] 即将处理停止录制命令")
-					}
+		return true
+	} catch (error) {
+		console.error(`[BG_WS] Error creating WebSocket (${url}):`, error)
+		connection.ws = null
+		connection.isConnected = false
+		scheduleReconnect()
+		return false
+	}
+}
 
-					// 创建安全的响应函数
-					const safeResponse = (response) => {
-						try {
-							// 在发送前记录响应内容
-							console.log(`[BG_WS] 发送录制命令响应:`, response)
-
-							// 添加请求ID后发送
-							sendMessageToServer({
-								...response,
-								requestId: parsedMessage.requestId,
-							})
-
-							// 如果是停止录制的成功响应，确保会话数据完整
-							if (parsedMessage.command === "stopRecording" && response.status === "success") {
-								console.log(
-									"[BG_WS] 停止录制成功，校验会话数据:",
-									response.session ? "会话数据完整" : "无会话数据",
-								)
-							}
-						} catch (error) {
-							console.error("[BG_WS] 发送响应时出错:", error)
-
-							// 尝试发送简化的错误响应
-							try {
-								sendMessageToServer({
-									status: "error",
-									message: "发送响应时出错: " + error.message,
-									requestId: parsedMessage.requestId,
-									source: "chromeExtension",
-								})
-							} catch (e) {
-								console.error("[BG_WS] 无法发送错误响应:", e)
-							}
-						}
-					}
+/**
+ * 处理服务器的认证握手消息
+ * 收到authChallenge后只回复扩展随机数；收到authServerProof并确认服务器持有同一令牌后，
+ * 才发出扩展自己的证明，避免向冒充的服务器泄露可用于离线猜测令牌的证明；收到authResult后开始接受命令
+ * @param {Object} connection - 消息来源的连接
+ * @param {Object} message - 握手消息
+ */
+async function handleAuthMessage(connection, message) {
+	const token = await getPairingToken()
+
+	if (message.command === "authChallenge") {
+		if (!token) {
+			connection.authError = "未配置配对令牌，请在扩展选项页中填入MCP服务器的配对令牌"
+			console.error(`[BG_WS] ${connection.url}: ${connection.authError}`)
+			connection.ws?.close(1000, "Missing pairing token")
+			return
+		}
 
-					// 使用同步调用方式处理录制命令 - 避免异步问题
-					handleRecordingCommand(parsedMessage, safeResponse)
-				} else {
-					// 处理其他命令
-					handleCommandFromServer(parsedMessage)
-				}
-			} catch (e) {
-				console.error("[BG_WS] Error parsing message from server:", e, "Raw:", event.data)
+		connection.serverNonce = message.nonce
+		connection.clientNonce = createNonce()
+		connection.serverVerified = false
+		sendToConnection(connection, { command: "authHello", clientNonce: connection.clientNonce })
+		return
+	}
+
+	if (message.command === "authServerProof") {
+		const expectedProof =
+			token && connection.clientNonce && connection.serverNonce
+				? await computePairingProof(token, "server", connection.clientNonce, connection.serverNonce)
+				: null
+		if (!expectedProof || message.proof !== expectedProof) {
+			connection.authError = "服务器未能证明持有配对令牌，已断开连接"
+			console.error(`[BG_WS] ${connection.url}: ${connection.authError}`)
+			connection.ws?.close(1000, "Server authentication failed")
+			return
+		}
+
+		connection.serverVerified = true
+		sendToConnection(connection, {
+			command: "authResponse",
+			proof: await computePairingProof(token, "client", connection.serverNonce, connection.clientNonce),
+		})
+		return
+	}
+
+	// authResult
+	if (message.status !== "success") {
+		connection.authError = message.message || "认证失败"
+		console.error(`[BG_WS] 服务器 ${connection.url} 拒绝认证: ${connection.authError}`)
+		return
+	}
+
+	// 未先证明持有令牌的服务器不能直接宣布认证成功
+	if (!connection.serverVerified) {
+		connection.authError = "服务器未能证明持有配对令牌，已断开连接"
+		console.error(`[BG_WS] ${connection.url}: ${connection.authError}`)
+		connection.ws?.close(1000, "Server authentication failed")
+		return
+	}
+
+	connection.authenticated = true
+	connection.authError = null
+	console.log(`[BG_WS] 服务器 ${connection.url} 认证成功`)
+
+	// 认证通过后，发送当前viewport配置到服务器，用于同步
+	setTimeout(() => {
+		sendToConnection(connection, {
+			command: "viewportSync",
+			viewport: viewportConfig,
+			message: "Chrome扩展默认viewport配置",
+		})
+		console.log(`[BG_WS] 已发送viewport配置同步消息到 ${connection.url}:`, viewportConfig)
+	}, 1000) // 延迟1秒发送，确保连接稳定
+}
+
+/**
+ * 处理来自服务器的消息
+ * @param {Object} connection - 消息来源的连接
+ * @param {MessageEvent} event - WebSocket消息事件
+ */
+function handleServerMessage(connection, event) {
+	console.log(`[BG_WS] Message received from server ${connection.url}:`, event.data)
+
+	try {
+		const parsedMessage = JSON.parse(event.data)
+
+		// 过滤掉带有自己来源的消息
+		if (parsedMessage.source === "chromeExtension") {
+			console.warn("[BG_WS] Ignoring message with own source.")
+			return
+		}
+
+		// 认证握手消息
+		if (["authChallenge", "authServerProof", "authResult"].includes(parsedMessage.command)) {
+			handleAuthMessage(connection, parsedMessage).catch((error) => {
+				console.error(`[BG_WS] 处理认证消息时出错 (${connection.url}):`, error)
+			})
+			return
+		}
+
+		// 认证通过前不接受任何命令
+		if (!connection.authenticated) {
+			console.warn(`[BG_WS] 忽略未认证服务器 ${connection.url} 的消息: ${parsedMessage.command}`)
+			return
+		}
+
+		// 改写请求ID，使响应能发回发出命令的服务器
+		if (parsedMessage.requestId) {
+			const localRequestId = `s${connection.id}:${parsedMessage.requestId}`
+			requestOrigins.set(localRequestId, {
+				url: connection.url,
+				requestId: parsedMessage.requestId,
+				// 服务器的截图模式需要页面状态（on_change/text）时才计算
+				includePageState: parsedMessage.includePageState === true,
+			})
+			if (requestOrigins.size > MAX_TRACKED_REQUESTS) {
+				requestOrigins.delete(requestOrigins.keys().next().value)
 			}
+			parsedMessage.requestId = localRequestId
 		}
 
-		ws.onerror = (event) => {
-			console.error("[BG_WS] WebSocket error observed:", event)
-			// 错误通常在close之前，重连会在close处理
+		// 开始计时
+		if (parsedMessage.command && parsedMessage.requestId) {
+			startCommandTiming(parsedMessage.requestId, parsedMessage.command)
 		}
 
-		ws.onclose = async (event) => {
-			console.log(
-				`[BG_WS] WebSocket connection closed. Code: ${event.code}, Reason: ${event.reason}, Was clean: ${event.wasClean}`,
-			)
-			await detachDebuggerIfNeeded()
-			ws = null
-			isConnected = false
+		// 检查是否是录制相关命令
+		if (
+			parsedMessage.command === "startRecording" ||
+			parsedMessage.command === "stopRecording" ||
+			parsedMessage.command === "getRecordingStatus" ||
+			parsedMessage.command === "listRecordings" ||
+			parsedMessage.command === "loadRecording" ||
+			parsedMessage.command === "deleteRecording"
+		) {
+			// 直接打印命令类型，方便调试
+			console.log(`[BG_WS] 接收到${parsedMessage.command}命令，开始处理`)
+
+			// 如果是停止录制，添加更多日志
+			if (parsedMessage.command === "stopRecording") {
+				console.log("[BG_WS] 即将处理停止录制命令")
+			}
 
-			console.log(`[BG_WS] 将在${RECONNECT_DELAY}ms后尝试重连 (尝试次数 ${connectionAttempts})`)
-			reconnectTimer = setTimeout(() => {
-				connectWebSocket()
-			}, RECONNECT_DELAY)
+			// 创建安全的响应函数
+			const safeResponse = (response) => {
+				try {
+					// 在发送前记录响应内容
+					console.log(`[BG_WS] 发送录制命令响应:`, response)
+
+					// 添加请求ID后发送
+					sendMessageToServer({
+						...response,
+						requestId: parsedMessage.requestId,
+					})
+
+					// 如果是停止录制的成功响应，确保会话数据完整
+					if (parsedMessage.command === "stopRecording" && response.status === "success") {
+						console.log("[BG_WS] 停止录制成功，校验会话数据:", response.session ? "会话数据完整" : "无会话数据")
+					}
+				} catch (error) {
+					console.error("[BG_WS] 发送响应时出错:", error)
+
+					// 尝试发送简化的错误响应
+					try {
+						sendMessageToServer({
+							status: "error",
+							message: "发送响应时出错: " + error.message,
+							requestId: parsedMessage.requestId,
+							source: "chromeExtension",
+						})
+					} catch (e) {
+						console.error("[BG_WS] 无法发送错误响应:", e)
+					}
+				}
+			}
+
+			// 使用同步调用方式处理录制命令 - 避免异步问题
+			handleRecordingCommand(parsedMessage, safeResponse)
+		} else {
+			// 处理其他命令
+			handleCommandFromServer(parsedMessage)
 		}
+	} catch (e) {
+		console.error("[BG_WS] Error parsing message from server:", e, "Raw:", event.data)
+	}
+}
+
+/**
+ * 向单个服务器发送消息
+ * @param {Object} connection - 连接状态
+ * @param {Object} message - 要发送的消息对象
+ * @returns {boolean} 是否发送成功
+ */
+function sendToConnection(connection, message) {
+	if (!connection?.ws || connection.ws.readyState !== WebSocket.OPEN) {
+		console.error(
+			`[BG_WS] Cannot send message: WebSocket not open (${connection?.url}). State:`,
+			connection?.ws?.readyState,
+		)
+		return false
+	}
 
+	try {
+		// 添加消息来源标记
+		const payload = { ...message, source: "chromeExtension" }
+		console.log(`[BG_WS] Sending message to server ${connection.url}:`, payload)
+		connection.ws.send(JSON.stringify(payload))
 		return true
 	} catch (error) {
-		console.error("[BG_WS] Error creating WebSocket:", error)
-		ws = null
-		isConnected = false
+		console.error(`[BG_WS] Error sending message to server ${connection.url}:`, error)
+		return false
+	}
+}
 
-		console.log(`[BG_WS] 将在${RECONNECT_DELAY}ms后尝试重连 (尝试次数 ${connectionAttempts})`)
-		reconnectTimer = setTimeout(() => {
-			connectWebSocket()
-		}, RECONNECT_DELAY)
+// 获取页面状态的最长等待时间，页面无响应时不附加页面状态(毫秒)
+const PAGE_STATE_TIMEOUT_MS = 2000
 
-		return false
+// 待发送消息的队列：附加页面状态需要异步获取，按调用顺序发送，后面的响应不会先于前面的响应到达服务器
+let outgoingMessages = Promise.resolve()
+
+/**
+ * 在限定时间内获取活动标签页的页面状态
+ * @returns {Promise<{signature: string, summary: string}|null>} 页面状态，超时或无法获取时返回null
+ */
+async function describePageStateWithTimeout() {
+	let timeoutId = null
+	const timeout = new Promise((resolve) => {
+		timeoutId = setTimeout(() => resolve(null), PAGE_STATE_TIMEOUT_MS)
+	})
+	try {
+		return await Promise.race([describePageState(), timeout])
+	} finally {
+		clearTimeout(timeoutId)
 	}
 }
 
 /**
  * 向WebSocket服务器发送消息
+ * 命令的响应发回发出该命令的服务器，其他消息广播到所有已连接的服务器
  * @param {Object} message - 要发送的消息对象
+ * @returns {Promise<boolean>} 是否至少发送到一个服务器
  */
 export function sendMessageToServer(message) {
-	if (ws && ws.readyState === WebSocket.OPEN) {
-		try {
-			// 如果是响应消息，记录结束时间
-			if (message.requestId && (message.status === "ack" || message.status === "success" || message.status === "error")) {
-				endCommandTiming(message.requestId)
-			}
+	const succeeded = message.status === "success" || message.status === "ack"
+
+	// 成功或已确认的命令响应带上需要调用方处理的页面状态：等待应答的文件选择框（用upload_file应答）、
+	// 打开的JavaScript对话框（用handle_dialog处理）以及自动处理过的对话框；响应中已有的状态保持不变
+	if (message.requestId && succeeded) {
+		const activeTabId = getActiveTabId()
+		const handledDialogs = takeHandledDialogs()
+		message = {
+			...message,
+			...(!message.fileChooser && { fileChooser: getPendingFileChooser(activeTabId) }),
+			...(!message.dialog && { dialog: getOpenDialog(activeTabId) }),
+			...(handledDialogs.length > 0 && { handledDialogs }),
+		}
+	}
 
-			// 添加消息来源标记
-			message.source = "chromeExtension"
-			console.log("[BG_WS] Sending message to server:", message)
-			ws.send(JSON.stringify(message))
-			return true
-		} catch (error) {
-			console.error("[BG_WS] Error sending message to server:", error)
-			return false
+	// 截图策略开启marks时，操作后截图带上编号图例
+	const screenshotMarks =
+		typeof message.screenshot === "string" && !message.marks && takeScreenshotMarks(message.screenshot)
+	if (screenshotMarks) {
+		message = { ...message, marks: screenshotMarks }
+	}
+
+	// 带页面截图的成功响应（含简单操作的ack）在服务器的截图模式需要时附加页面状态，
+	// 服务器据此决定返回图片、文本摘要或都不返回；对话框打开时页面无法执行脚本，不附加页面状态
+	const includePageState =
+		succeeded &&
+		typeof message.screenshot === "string" &&
+		!message.pageState &&
+		!message.dialog &&
+		requestOrigins.get(message.requestId)?.includePageState
+
+	const delivery = outgoingMessages.then(async () => {
+		if (includePageState) {
+			const pageState = await describePageStateWithTimeout()
+			if (pageState) {
+				message = { ...message, pageState }
+			}
 		}
-	} else {
-		console.error("[BG_WS] Cannot send message: WebSocket not open. State:", ws?.readyState)
+		return deliverMessageToServer(message)
+	})
+	outgoingMessages = delivery.catch(() => false)
+	return delivery
+}
+
+/**
+ * 发送消息（不附加页面状态）
+ * @param {Object} message - 要发送的消息对象
+ * @returns {boolean} 是否至少发送到一个服务器
+ */
+function deliverMessageToServer(message) {
+	// 如果是响应消息，记录结束时间
+	if (message.requestId && (message.status === "ack" || message.status === "success" || message.status === "error")) {
+		endCommandTiming(message.requestId)
+	}
+
+	const origin = message.requestId ? requestOrigins.get(message.requestId) : null
+	if (origin) {
+		return sendToConnection(connections.get(origin.url), { ...message, requestId: origin.requestId })
+	}
+
+	const openConnections = Array.from(connections.values()).filter((connection) => connection.authenticated)
+	if (openConnections.length === 0) {
+		console.error("[BG_WS] Cannot send message: no WebSocket server connected.")
 		return false
 	}
+	return openConnections.map((connection) => sendToConnection(connection, message)).some(Boolean)
+}
+
+/**
+ * 获取所有服务器的连接状态
+ * @returns {{url: string, connected: boolean, authenticated: boolean, error: string|null, connectionAttempts: number}[]} 连接状态列表
+ */
+export function getConnectionStatus() {
+	return Array.from(connections.values()).map((connection) => ({
+		url: connection.url,
+		connected: connection.isConnected,
+		authenticated: connection.authenticated,
+		error: connection.authError,
+		connectionAttempts: connection.connectionAttempts,
+	}))
 }
 
 /**
@@ -278,58 +555,52 @@ export async function sendErrorResponse(requestId, command, error) {
 }
 
 /**
- * 关闭WebSocket连接
- * @returns {Promise<void>} 返回promise，在WebSocket成功关闭后解析
+ * 关闭单个服务器连接，不再自动重连
+ * @param {Object} connection - 连接状态
+ * @returns {Promise<void>} 返回promise，在连接关闭后解析
  */
-export async function closeWebSocket() {
-	console.log("[BG_WS] 主动关闭WebSocket连接")
-
+function closeConnection(connection) {
 	// 清除重连定时器
-	if (reconnectTimer) {
-		clearTimeout(reconnectTimer)
-		reconnectTimer = null
+	if (connection.reconnectTimer) {
+		clearTimeout(connection.reconnectTimer)
+		connection.reconnectTimer = null
 	}
 
-	// 关闭WebSocket连接
-	if (ws) {
-		if (ws.readyState === WebSocket.CONNECTING || ws.readyState === WebSocket.OPEN) {
-			return new Promise((resolve) => {
-				// 设置onclose处理器，确保在关闭后解析promise
-				const originalOnClose = ws.onclose
-				ws.onclose = (event) => {
-					// 调用原始onclose处理器
-					if (originalOnClose) {
-						originalOnClose.call(ws, event)
-					}
-
-					console.log("[BG_WS] WebSocket连接已手动关闭")
-					ws = null
-					isConnected = false
-					resolve()
-				}
+	const ws = connection.ws
+	connection.ws = null
+	connection.isConnected = false
+	connection.authenticated = false
 
-				// 关闭连接
-				ws.close(1000, "Manual close")
+	if (!ws || (ws.readyState !== WebSocket.CONNECTING && ws.readyState !== WebSocket.OPEN)) {
+		return Promise.resolve()
+	}
 
-				// 以防onclose不触发，设置超时
-				setTimeout(() => {
-					if (ws) {
-						console.warn("[BG_WS] WebSocket关闭超时，强制重置")
-						ws = null
-						isConnected = false
-					}
-					resolve()
-				}, 2000)
-			})
-		} else {
-			// 已经关闭或正在关闭
-			ws = null
-			isConnected = false
+	return new Promise((resolve) => {
+		// 关闭后不触发重连
+		ws.onclose = () => {
+			console.log(`[BG_WS] WebSocket连接已手动关闭: ${connection.url}`)
+			resolve()
 		}
-	}
 
-	// 如果没有WebSocket，直接返回
-	return Promise.resolve()
+		// 关闭连接
+		ws.close(1000, "Manual close")
+
+		// 以防onclose不触发，设置超时
+		setTimeout(resolve, 2000)
+	})
+}
+
+/**
+ * 关闭所有WebSocket连接
+ * @returns {Promise<void>} 返回promise，在所有连接关闭后解析
+ */
+export async function closeWebSocket() {
+	console.log("[BG_WS] 主动关闭WebSocket连接")
+
+	await Promise.all(Array.from(connections.values()).map((connection) => closeConnection(connection)))
+	connections.clear()
+	requestOrigins.clear()
+	await detachDebuggerIfNeeded()
 }
 
 /**
@@ -370,5 +641,7 @@ export async function handleRecordingComplete(message, sendResponse) {
  * @returns {boolean} 是否已连接
  */
 export function isWebSocketConnected() {
-	return isConnected && ws && ws.readyState === WebSocket.OPEN
+	return Array.from(connections.values()).some(
+		(connection) => connection.authenticated && connection.ws?.readyState === WebSocket.OPEN,
+	)
 }